@@ -23,6 +23,8 @@ namespace EmbyBeautifyPlugin.Tests
             Assert.NotNull(config.ResponsiveSettings);
             Assert.NotNull(config.CustomSettings);
             Assert.Empty(config.CustomSettings);
+            Assert.NotNull(config.UserThemes);
+            Assert.Empty(config.UserThemes);
         }
 
         [Fact]
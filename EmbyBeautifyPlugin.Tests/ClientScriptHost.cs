@@ -0,0 +1,101 @@
+using System;
+using System.ComponentModel;
+using System.Diagnostics;
+using System.IO;
+using System.Text.Json;
+using System.Threading.Tasks;
+
+namespace EmbyBeautifyPlugin.Tests
+{
+    /// <summary>
+    /// Runs the client scripts under Node.js with a minimal DOM (Scripts/script-host.js)
+    /// so tests can check their behaviour instead of their source text
+    /// </summary>
+    public static class ClientScriptHost
+    {
+        /// <summary>
+        /// Client scripts in the order ClientScriptLoader injects them
+        /// </summary>
+        public static readonly string[] Scripts =
+        {
+            "browser-compatibility.js",
+            "color-utils.js",
+            "css-sanitizer.js",
+            "theme-transfer.js",
+            "style-injector.js"
+        };
+
+        private static readonly TimeSpan Timeout = TimeSpan.FromSeconds(30);
+
+        /// <summary>
+        /// Loads the client scripts and runs a test body
+        /// </summary>
+        /// <param name="body">Body of an async JavaScript function with window, document and host in scope; its return value is serialized to JSON</param>
+        /// <returns>The value returned by the body</returns>
+        public static async Task<JsonElement> RunAsync(string body)
+        {
+            var root = FindRepositoryRoot();
+            var startInfo = new ProcessStartInfo("node")
+            {
+                RedirectStandardInput = true,
+                RedirectStandardOutput = true,
+                RedirectStandardError = true,
+                UseShellExecute = false
+            };
+            startInfo.ArgumentList.Add(Path.Combine(root, "EmbyBeautifyPlugin.Tests", "Scripts", "script-host.js"));
+            startInfo.ArgumentList.Add(Path.Combine(root, "EmbyBeautifyPlugin", "Views", "js"));
+            foreach (var script in Scripts)
+            {
+                startInfo.ArgumentList.Add(script);
+            }
+
+            Process process;
+            try
+            {
+                process = Process.Start(startInfo);
+            }
+            catch (Win32Exception ex)
+            {
+                throw new InvalidOperationException("Client script tests require Node.js on the PATH", ex);
+            }
+
+            using (process)
+            {
+                await process.StandardInput.WriteAsync(body);
+                process.StandardInput.Close();
+
+                var output = process.StandardOutput.ReadToEndAsync();
+                var error = process.StandardError.ReadToEndAsync();
+                var exited = Task.Run(() => process.WaitForExit((int)Timeout.TotalMilliseconds));
+
+                if (!await exited)
+                {
+                    process.Kill();
+                    throw new TimeoutException($"Client script test did not finish within {Timeout.TotalSeconds} seconds");
+                }
+
+                if (process.ExitCode != 0)
+                {
+                    throw new InvalidOperationException($"Client script test failed:{Environment.NewLine}{await error}");
+                }
+
+                using var document = JsonDocument.Parse(await output);
+                return document.RootElement.GetProperty("result").Clone();
+            }
+        }
+
+        /// <summary>
+        /// Finds the repository root by walking up from the test assembly
+        /// </summary>
+        private static string FindRepositoryRoot()
+        {
+            var directory = new DirectoryInfo(Path.GetDirectoryName(typeof(ClientScriptHost).Assembly.Location));
+            while (directory != null && !File.Exists(Path.Combine(directory.FullName, "EmbyBeautifyPlugin.Tests", "Scripts", "script-host.js")))
+            {
+                directory = directory.Parent;
+            }
+
+            return directory?.FullName ?? throw new DirectoryNotFoundException("Cannot find the repository root from the test assembly");
+        }
+    }
+}
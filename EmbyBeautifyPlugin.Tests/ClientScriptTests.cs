@@ -1,14 +1,19 @@
 using System;
 using System.Collections.Generic;
 using System.IO;
+using System.Linq;
+using System.Reflection;
+using System.Text.Json;
 using System.Threading.Tasks;
 using Xunit;
 using FluentAssertions;
 using Moq;
 using Microsoft.Extensions.Logging;
+using EmbyBeautifyPlugin.Controllers;
 using EmbyBeautifyPlugin.Models;
 using EmbyBeautifyPlugin.Services;
 using EmbyBeautifyPlugin.Interfaces;
+using MediaBrowser.Model.Services;
 
 namespace EmbyBeautifyPlugin.Tests
 {
@@ -71,6 +76,288 @@ namespace EmbyBeautifyPlugin.Tests
             scriptContent.Should().Contain("detectBrowserCompatibility:", "脚本应包含兼容性检测函数");
         }
 
+        [Fact]
+        public async Task StyleInjectorScript_RegisterModule_InvalidReplacementShouldKeepExistingModule()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                injector.registerModule({ id: 'cards', css: '.card { color: red; }' });
+                const errors = [];
+                [['unknown-route'], 'home'].forEach(routes => {
+                    try {
+                        injector.registerModule({ id: 'cards', css: '.card { color: blue; }', routes: routes });
+                    } catch (error) {
+                        errors.push(error.message);
+                    }
+                });
+                return {
+                    errors: errors,
+                    modules: injector.getModules().map(module => module.id),
+                    css: injector.state.modules.get('cards').definition.css
+                };");
+
+            // Assert
+            result.GetProperty("errors").GetArrayLength().Should().Be(2, "未知路由和非数组的 routes 都应被拒绝");
+            result.GetProperty("modules").EnumerateArray().Select(id => id.GetString()).Should().Equal("cards");
+            result.GetProperty("css").GetString().Should().Be(".card { color: red; }", "校验失败时应保留原模块");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldDelegateInteractionEffects()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                window.EmbyBeautifyActiveTheme = {
+                    InteractionSettings: {
+                        ClickFeedbacks: {
+                            '.card': { Type: 'Ripple', Duration: 200 },
+                            'button': { Type: 'Scale', Duration: 150 }
+                        }
+                    }
+                };
+                await injector.setupInteractions();
+
+                // 事件委托在 document 上处理，元素在引擎启动后加入页面
+                const card = document.body.appendChild(document.createElement('div'));
+                card.className = 'card';
+                const inner = card.appendChild(document.createElement('span'));
+                const button = document.body.appendChild(document.createElement('button'));
+
+                document.dispatchEvent({ type: injector.state.interactionListeners.pointerEvent, button: 0, target: inner, clientX: 0, clientY: 0 });
+                document.dispatchEvent({ type: 'keydown', key: 'Enter', target: button });
+                const ripples = card.querySelectorAll('.emby-beautify-ripple').length;
+                const pressed = button.classList.contains('emby-beautify-pressed');
+                host.runTimers();
+
+                const layer = injector.getStyleLayers().layers.find(item => item.styles.some(style => style.id === 'interactions'));
+                const ripplesAfterTimers = card.querySelectorAll('.emby-beautify-ripple').length;
+                const pressedAfterTimers = button.classList.contains('emby-beautify-pressed');
+
+                // 应用用户主题后按该主题的交互设置播放反馈，而不是页面渲染时的活动主题
+                injector.applyThemeCss({
+                    Css: 'body { color: #000000; }',
+                    Theme: { Id: 'user-theme', InteractionSettings: { ClickFeedbacks: { 'button': { Type: 'Scale', Duration: 150 } } } }
+                }, { ThemeId: 'user-theme', Version: '1.0.0' });
+                document.dispatchEvent({ type: injector.state.interactionListeners.pointerEvent, button: 0, target: inner, clientX: 0, clientY: 0 });
+                const ripplesWithUserTheme = card.querySelectorAll('.emby-beautify-ripple').length;
+
+                // 刷新页面后从本地缓存恢复的主题同样使用用户主题的交互设置
+                injector.saveThemeCache({ ThemeId: 'user-theme', Version: '1.0.0', ETag: 'etag-1' });
+                injector.state.appliedTheme = null;
+                injector.restoreCachedStyles();
+                document.dispatchEvent({ type: injector.state.interactionListeners.pointerEvent, button: 0, target: inner, clientX: 0, clientY: 0 });
+
+                return {
+                    ripples: ripples,
+                    pressed: pressed,
+                    ripplesAfterTimers: ripplesAfterTimers,
+                    pressedAfterTimers: pressedAfterTimers,
+                    ripplesWithUserTheme: ripplesWithUserTheme,
+                    ripplesAfterRestore: card.querySelectorAll('.emby-beautify-ripple').length,
+                    layer: layer && layer.name
+                };");
+
+            // Assert
+            result.GetProperty("ripples").GetInt32().Should().Be(1, "点击卡片内的元素应在卡片上创建涟漪");
+            result.GetProperty("pressed").GetBoolean().Should().BeTrue("键盘激活按钮应添加按下状态");
+            result.GetProperty("ripplesAfterTimers").GetInt32().Should().Be(0, "动画结束后应移除涟漪");
+            result.GetProperty("pressedAfterTimers").GetBoolean().Should().BeFalse("反馈播放完后应移除按下状态");
+            result.GetProperty("ripplesWithUserTheme").GetInt32().Should().Be(0, "应用的用户主题没有卡片涟漪时不应再播放");
+            result.GetProperty("ripplesAfterRestore").GetInt32().Should().Be(0, "交互设置应随主题样式一起缓存");
+            result.GetProperty("layer").GetString().Should().Be("enhancements", "交互效果样式应放入 enhancements 层");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldTagNativeElements()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                window.ApiClient = { appVersion: () => '4.8.0.80' };
+                injector.registerEnhancementMappings('4.8', { 'touch-target': '' });
+
+                const card = document.body.appendChild(document.createElement('div'));
+                card.className = 'card own-class';
+                const button = document.body.appendChild(document.createElement('button'));
+                button.className = 'paper-icon-button-light emby-beautify-button';
+                await injector.setupEnhancements();
+
+                // 之后加入页面的元素由 DOM 变化监听器标记
+                const added = document.body.appendChild(document.createElement('div'));
+                added.className = 'listItem';
+                injector.tagEnhancements(added);
+
+                const tagged = { card: card.className, button: button.className, added: added.className };
+                injector.removeEnhancements();
+
+                // 增强类标记到原生元素上，其样式不应改变原生列表和按钮的布局
+                const compatibility = window.EmbyBeautifyCompatibility;
+                compatibility.features.transforms = false;
+                compatibility.setupCompatibilityCSS();
+                const enhancementCss = [
+                    injector.generateBaseStyles({}),
+                    injector.generateResponsiveStyles(null, {}),
+                    injector.state.injectedStyles.get('compatibility-compatibility').css
+                ].join('\n');
+                const layoutRules = (enhancementCss.match(/[^{}]*\{[^{}]*\}/g) || [])
+                    .filter(rule => /\.(emby-beautify-(enhanced|card|button)|touch-target)\b/.test(rule.split('{')[0]))
+                    .filter(rule => /(^|[\s;{])(margin|padding)(-[a-z]+)?\s*:/.test(rule.split('{')[1]))
+                    .map(rule => rule.trim());
+
+                return {
+                    layoutRules: layoutRules,
+                    tagged: tagged,
+                    removed: { card: card.className, button: button.className, added: added.className }
+                };");
+
+            // Assert
+            var tagged = result.GetProperty("tagged");
+            tagged.GetProperty("card").GetString().Should().Be("card own-class emby-beautify-enhanced emby-beautify-card");
+            tagged.GetProperty("button").GetString().Should().Be("paper-icon-button-light emby-beautify-button", "版本映射为空的增强类不应标记");
+            tagged.GetProperty("added").GetString().Should().Be("listItem emby-beautify-enhanced");
+
+            var removed = result.GetProperty("removed");
+            removed.GetProperty("card").GetString().Should().Be("card own-class", "移除时只应移除插件添加的类");
+            removed.GetProperty("button").GetString().Should().Be("paper-icon-button-light emby-beautify-button", "元素原有的增强类不应被移除");
+            removed.GetProperty("added").GetString().Should().Be("listItem");
+
+            result.GetProperty("layoutRules").EnumerateArray().Should().BeEmpty("作用于增强类的样式不应设置外边距和内边距");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldGenerateScrollbarStylesPerEngine()
+        {
+            // Act
+            // 应用服务端主题 CSS 后检查注入的主题补充样式
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                const compatibility = window.EmbyBeautifyCompatibility;
+                window.fetch = () => new Promise(() => {});
+                await injector.detectBrowserCompatibility();
+                const theme = {
+                    Id: 'scroll-test',
+                    Colors: { Primary: '#00a4dc', Background: '#101010', Surface: '#202020', Text: '#ffffff' },
+                    InteractionSettings: {
+                        ScrollOptimization: {
+                            EnableSmoothScrolling: true,
+                            EnableScrollbarStyling: true,
+                            ScrollbarStyle: { Width: 6, ThumbColor: '#4a4a4a', TrackColor: 'transparent' }
+                        }
+                    }
+                };
+                const supplement = engine => {
+                    compatibility.browser.engine = engine;
+                    injector.applyThemeCss({ Css: ':root { --primary-color: #00a4dc; }', Theme: theme }, { ThemeId: theme.Id, Version: '1' });
+                    const css = injector.state.injectedStyles.get('theme-supplement').css;
+                    return {
+                        webkit: css.indexOf('::-webkit-scrollbar-thumb') !== -1,
+                        scrollbarColor: /scrollbar-color:\s*#4a4a4a transparent/.test(css),
+                        thin: /scrollbar-width:\s*thin/.test(css),
+                        smooth: /scroll-behavior:\s*smooth/.test(css)
+                    };
+                };
+                const result = { blink: supplement('Blink'), gecko: supplement('Gecko') };
+                window.navigator.userAgent = 'UnknownBrowser/1.0';
+                await injector.detectBrowserCompatibility();
+                result.unknown = supplement('');
+                injector.setAccessibilityPreferences({ reducedMotion: 'reduce' });
+                result.reducedMotion = supplement('Blink');
+                return result;");
+
+            // Assert
+            var blink = result.GetProperty("blink");
+            blink.GetProperty("webkit").GetBoolean().Should().BeTrue("Blink 应使用 ::-webkit-scrollbar");
+            blink.GetProperty("scrollbarColor").GetBoolean().Should().BeFalse("设置 scrollbar-color 后 Chrome 会忽略 ::-webkit-scrollbar");
+            blink.GetProperty("smooth").GetBoolean().Should().BeTrue();
+
+            var gecko = result.GetProperty("gecko");
+            gecko.GetProperty("webkit").GetBoolean().Should().BeFalse();
+            gecko.GetProperty("scrollbarColor").GetBoolean().Should().BeTrue("Firefox 应使用 scrollbar-color");
+            gecko.GetProperty("thin").GetBoolean().Should().BeTrue("宽度不超过 10px 时应为 thin");
+
+            var unknown = result.GetProperty("unknown");
+            unknown.GetProperty("webkit").GetBoolean().Should().BeTrue("无法识别内核时应同时输出两种样式");
+            unknown.GetProperty("scrollbarColor").GetBoolean().Should().BeTrue();
+
+            result.GetProperty("reducedMotion").GetProperty("smooth").GetBoolean().Should().BeFalse("减少动画时不应启用平滑滚动");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldAnimatePageTransitions()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                await injector.setupPageTransitions();
+                const page = className => {
+                    const element = document.body.appendChild(document.createElement('div'));
+                    element.className = className;
+                    return element;
+                };
+
+                // 不支持 View Transitions API 时使用类名动画
+                const home = page('page');
+                window.dispatchEvent({ type: 'hashchange' });
+                const exiting = home.classList.contains('emby-beautify-page-exit');
+                home.classList.add('hide');
+                const details = page('page');
+                document.dispatchEvent({ type: 'viewshow', target: details });
+                const classes = { home: home.className, details: details.className };
+                host.runTimers();
+                const afterTimers = details.className;
+
+                // 支持时在新视图显示前保持旧画面
+                let updated = false;
+                document.startViewTransition = update => {
+                    update().then(() => { updated = true; });
+                    return { ready: Promise.resolve(), finished: Promise.resolve() };
+                };
+                window.dispatchEvent({ type: 'hashchange' });
+                const viewTransitionExit = details.classList.contains('emby-beautify-page-exit');
+                await host.flush();
+                const updatedBeforeShow = updated;
+                document.dispatchEvent({ type: 'viewshow', target: page('page') });
+                await host.flush();
+
+                // 已应用的用户主题关闭动画后不再播放页面切换
+                window.fetch = () => new Promise(() => {});
+                injector.applyThemeCss({
+                    Css: 'body { color: #000000; }',
+                    Theme: { Id: 'user-theme', AnimationSettings: { EnableAnimations: false } }
+                }, { ThemeId: 'user-theme', Version: '1.0.0' });
+                const animatesWithUserTheme = injector.beginPageTransition();
+
+                const css = injector.generatePageTransitionStyles(
+                    { Transitions: { PageTransitionDuration: 250 }, SpecificAnimations: { pageEnter: { Type: 'SlideIn', Duration: 300 } } }, 'ease');
+                return {
+                    exiting: exiting,
+                    classes: classes,
+                    afterTimers: afterTimers,
+                    viewTransitionExit: viewTransitionExit,
+                    updatedBeforeShow: updatedBeforeShow,
+                    updated: updated,
+                    animatesWithUserTheme: animatesWithUserTheme,
+                    enterRule: /\.emby-beautify-page-enter\s*\{[^}]*animation:\s*([^;]+);/.exec(css)[1],
+                    exitRule: /\.emby-beautify-page-exit\s*\{[^}]*animation:\s*([^;]+);/.exec(css)[1]
+                };");
+
+            // Assert
+            result.GetProperty("exiting").GetBoolean().Should().BeTrue("地址变化时当前视图应播放退出动画");
+            result.GetProperty("classes").GetProperty("home").GetString().Should().Be("page hide", "新视图显示后应移除退出动画类");
+            result.GetProperty("classes").GetProperty("details").GetString().Should().Be("page emby-beautify-page-enter", "新视图应播放进入动画");
+            result.GetProperty("afterTimers").GetString().Should().Be("page", "动画结束后应移除进入动画类");
+
+            result.GetProperty("viewTransitionExit").GetBoolean().Should().BeFalse("使用 View Transitions API 时不应添加退出动画类");
+            result.GetProperty("updatedBeforeShow").GetBoolean().Should().BeFalse("新视图显示前应保持旧画面");
+            result.GetProperty("updated").GetBoolean().Should().BeTrue("新视图显示后应结束页面切换");
+            result.GetProperty("animatesWithUserTheme").GetBoolean().Should().BeFalse("应按已应用主题的动画设置决定是否播放");
+
+            result.GetProperty("enterRule").GetString().Should().Be("emby-beautify-slideIn 300ms ease both", "进入动画应使用 SpecificAnimations.pageEnter");
+            result.GetProperty("exitRule").GetString().Should().Be("emby-beautify-fadeOut 250ms ease both", "未配置时退出动画应使用淡出和 PageTransitionDuration");
+        }
+
         [Fact]
         public async Task BrowserCompatibilityScript_ShouldExist()
         {
@@ -97,6 +384,610 @@ namespace EmbyBeautifyPlugin.Tests
             scriptContent.Should().Contain("applyPolyfills:", "脚本应包含polyfill应用函数");
         }
 
+        [Fact]
+        public async Task ColorUtilsScript_ShouldExist()
+        {
+            // Arrange
+            var baseDir = Path.GetDirectoryName(Path.GetDirectoryName(Path.GetDirectoryName(Path.GetDirectoryName(typeof(ClientScriptTests).Assembly.Location))));
+            var scriptPath = Path.Combine(baseDir, "EmbyBeautifyPlugin", "Views", "js", "color-utils.js");
+            
+            // Act & Assert
+            File.Exists(scriptPath).Should().BeTrue($"颜色工具脚本文件应该存在于: {scriptPath}");
+        }
+
+        [Fact]
+        public async Task ColorUtilsScript_ShouldCalculateAndEnsureContrast()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const color = window.EmbyBeautifyColor;
+                const fixed = color.ensureContrast('#777777', '#808080', 4.5);
+                return {
+                    blackOnWhite: color.contrastRatio('#000000', '#ffffff'),
+                    same: color.contrastRatio('#336699', '#336699'),
+                    invalid: color.contrastRatio('var(--x)', '#ffffff'),
+                    fixedRatio: color.contrastRatio(fixed, '#808080')
+                };");
+
+            // Assert
+            result.GetProperty("blackOnWhite").GetDouble().Should().BeApproximately(21, 0.01, "黑白对比度应为 21:1");
+            result.GetProperty("same").GetDouble().Should().BeApproximately(1, 0.01, "相同颜色的对比度应为 1:1");
+            result.GetProperty("invalid").ValueKind.Should().Be(JsonValueKind.Null, "无法解析的颜色不应计算对比度");
+            result.GetProperty("fixedRatio").GetDouble().Should().BeGreaterOrEqualTo(4.5, "修正后的颜色应满足要求的对比度");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_CheckContrast_ShouldCorrectFailingColors()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                const color = window.EmbyBeautifyColor;
+                const tokens = { 'text-color': '#555555', 'background-color': '#222222', 'surface-color': '#333333', 'primary-color': '#0b5394' };
+                const unchanged = injector.checkContrast(tokens);
+                injector.setContrastOptions({ level: 'AA', autoCorrect: true });
+                const report = injector.checkContrast(tokens);
+                const corrected = report.corrections['text-color'];
+                return {
+                    unchangedCorrected: unchanged.corrected,
+                    passed: report.passed,
+                    corrected: report.corrected,
+                    failed: report.checks.filter(check => !check.passed).map(check => check.pair),
+                    correctedRatios: ['#222222', '#333333'].map(bg => color.contrastRatio(corrected, bg))
+                };");
+
+            // Assert
+            result.GetProperty("unchangedCorrected").GetBoolean().Should().BeFalse("默认不自动修正颜色");
+            result.GetProperty("passed").GetBoolean().Should().BeFalse();
+            result.GetProperty("corrected").GetBoolean().Should().BeTrue();
+            result.GetProperty("failed").EnumerateArray().Select(pair => pair.GetString())
+                .Should().BeEquivalentTo(new[] { "text/background", "text/surface" });
+            result.GetProperty("correctedRatios").EnumerateArray().Should()
+                .OnlyContain(ratio => ratio.GetDouble() >= 4.5, "修正后的文字颜色应同时满足它参与的所有组合");
+        }
+
+        [Fact]
+        public async Task CssSanitizerScript_ShouldRejectAndEscapeUnsafeValues()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const sanitizer = window.EmbyBeautifySanitizer;
+                const checked = sanitizer.sanitizeTheme({
+                    Name: 'Evil */ body { display: none } /*',
+                    Colors: { Primary: '#007acc', Accent: 'red; } body { display: none' },
+                    Typography: { FontFamily: 'Inter; } body { x, sans-serif', FontSize: 'expression(alert(1))' },
+                    Layout: { BoxShadow: 'url(https://example.com/track.png)', BorderRadius: '8px' },
+                    CustomProperties: { 'glow-effect': '0 0 20px rgba(0, 0, 0, 0.3)', 'card-image': 'url(x.png)', 'x; }': 'red' }
+                });
+                const overrides = sanitizer.sanitizeVariables({ 'primary-color': '#ffffff', 'text-color': 'red; }', 'bad name': '1px' });
+                return {
+                    name: checked.theme.Name,
+                    colors: checked.theme.Colors,
+                    fontFamily: checked.theme.Typography.FontFamily,
+                    fontSize: checked.theme.Typography.FontSize || null,
+                    layout: checked.theme.Layout,
+                    custom: checked.theme.CustomProperties,
+                    fields: checked.fields.map(field => field.path + ':' + field.action),
+                    overrides: overrides.variables,
+                    overrideFields: overrides.fields.map(field => field.path)
+                };
+            ");
+
+            // Assert
+            result.GetProperty("name").GetString().Should().NotContain("*/", "主题名称写入注释，不能提前结束注释");
+            result.GetProperty("colors").GetProperty("Primary").GetString().Should().Be("#007acc");
+            result.GetProperty("colors").TryGetProperty("Accent", out _).Should().BeFalse("分号和花括号会结束声明，应拒绝");
+            result.GetProperty("fontFamily").GetString().Should().Be("\"Inter  body  x\", sans-serif", "无法识别的字体名应与服务端一样去掉特殊字符后加引号");
+            result.GetProperty("fontSize").ValueKind.Should().Be(JsonValueKind.Null, "expression() 不是合法的长度");
+            result.GetProperty("layout").TryGetProperty("BoxShadow", out _).Should().BeFalse("阴影中不能引用外部资源");
+            result.GetProperty("layout").GetProperty("BorderRadius").GetString().Should().Be("8px");
+            result.GetProperty("custom").EnumerateObject().Select(p => p.Name).Should().Equal(new[] { "glow-effect" });
+            result.GetProperty("fields").EnumerateArray().Select(f => f.GetString()).Should().BeEquivalentTo(new[]
+            {
+                "Colors.Accent:rejected",
+                "Typography.FontFamily:escaped",
+                "Typography.FontSize:rejected",
+                "Layout.BoxShadow:rejected",
+                "CustomProperties.card-image:rejected",
+                "CustomProperties.x; }:rejected"
+            });
+            result.GetProperty("overrides").EnumerateObject().Select(p => p.Name).Should().Equal(new[] { "primary-color" });
+            result.GetProperty("overrideFields").EnumerateArray().Select(f => f.GetString()).Should().BeEquivalentTo(new[] { "text-color", "bad name" });
+        }
+
+        [Fact]
+        public async Task ThemeTransferScript_ShouldRoundTripThemesThroughJsonAndShareCodes()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const transfer = window.EmbyBeautifyThemeTransfer;
+                const theme = {
+                    Id: 'sunset',
+                    Name: '日落 Sunset',
+                    Description: '',
+                    Version: '1.2.0',
+                    Author: 'Tester',
+                    IsBuiltIn: true,
+                    Colors: { Primary: '#ff6b6b', Background: '#1a1a2e', Text: '#f5f5f5', Accent: null },
+                    Typography: { FontFamily: 'Inter, sans-serif', FontSize: '16px' },
+                    CustomProperties: { 'glow-effect': '0 0 20px rgba(255, 107, 107, 0.3)' }
+                };
+                const exported = transfer.createDocument(theme, { 'accent-color': '#ffd166' });
+                const code = transfer.encodeShareCode(exported);
+                const url = transfer.createShareUrl(exported, 'http://emby.local/web/customizer.html#old');
+                const errorOf = action => {
+                    try {
+                        action();
+                        return null;
+                    } catch (error) {
+                        return error.errors || [error.message];
+                    }
+                };
+                return {
+                    exportedTheme: exported.theme,
+                    fromJson: transfer.parse(transfer.toJson(exported)),
+                    fromCode: transfer.parse(code),
+                    fromUrl: await transfer.load(url),
+                    code: code,
+                    url: url,
+                    serializerFile: transfer.parse(JSON.stringify({ id: 'file', name: 'File', version: '1.0.0', colors: { primary: '#000000', background: '#ffffff', text: '#111111' } })).theme,
+                    invalid: errorOf(() => transfer.parse(JSON.stringify({ Id: 'bad', Name: 'Bad', Version: '1', Colors: { Primary: '#000', Background: '#fff', Text: 'red; }' } }))),
+                    newer: errorOf(() => transfer.parse(JSON.stringify({ format: transfer.format, schemaVersion: 2, theme: theme }))),
+                    corrupted: errorOf(() => transfer.parse('EBT1.%%%'))
+                };
+            ");
+
+            // Assert
+            var exportedTheme = result.GetProperty("exportedTheme");
+            exportedTheme.TryGetProperty("IsBuiltIn", out _).Should().BeFalse("导出内容只包含主题模型中的字段");
+            exportedTheme.TryGetProperty("Description", out _).Should().BeFalse("空值不应写入导出内容");
+            exportedTheme.GetProperty("Colors").TryGetProperty("Accent", out _).Should().BeFalse();
+
+            var code = result.GetProperty("code").GetString();
+            code.Should().StartWith("EBT1.");
+            code.Should().NotContainAny(new[] { "+", "/", "=" }, "分享码应使用 base64url 编码");
+            result.GetProperty("url").GetString().Should().Be("http://emby.local/web/customizer.html#theme=" + code);
+
+            foreach (var imported in new[] { result.GetProperty("fromJson"), result.GetProperty("fromCode"), result.GetProperty("fromUrl") })
+            {
+                var theme = imported.GetProperty("theme");
+                theme.GetProperty("Name").GetString().Should().Be("日落 Sunset", "分享码应按 UTF-8 编码非 ASCII 字符");
+                theme.GetProperty("Version").GetString().Should().Be("1.2.0");
+                theme.GetProperty("Colors").GetProperty("Primary").GetString().Should().Be("#ff6b6b");
+                theme.GetProperty("Typography").GetProperty("FontFamily").GetString().Should().Be("Inter, sans-serif");
+                theme.GetProperty("CustomProperties").GetProperty("glow-effect").GetString().Should().Be("0 0 20px rgba(255, 107, 107, 0.3)");
+                theme.GetProperty("CustomProperties").GetProperty("accent-color").GetString().Should().Be("#ffd166", "用户覆盖应合并到 CustomProperties 中");
+                imported.GetProperty("overrides").GetProperty("accent-color").GetString().Should().Be("#ffd166");
+                imported.GetProperty("warnings").GetArrayLength().Should().Be(0);
+            }
+
+            var serializerFile = result.GetProperty("serializerFile");
+            serializerFile.GetProperty("Id").GetString().Should().Be("file", "服务器 themes 目录中的主题文件使用首字母小写的字段名");
+            serializerFile.GetProperty("Colors").GetProperty("Primary").GetString().Should().Be("#000000");
+
+            result.GetProperty("invalid").EnumerateArray().Select(e => e.GetString()).Should().Contain(new[] { "Version: 格式应为 x.y.z" })
+                .And.Contain(e => e.StartsWith("Colors.Text: 无效的值"));
+            result.GetProperty("newer")[0].GetString().Should().Contain("更新版本的插件");
+            result.GetProperty("corrupted")[0].GetString().Should().Be("分享码已损坏或不完整");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldImportPreviewExportAndSaveThemes()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                const transfer = window.EmbyBeautifyThemeTransfer;
+                const requests = [];
+                let saveResponse = null;
+                window.fetch = (url, options) => {
+                    requests.push({ url: url, method: options.method, body: options.body ? JSON.parse(options.body) : null });
+                    const data = saveResponse || { Success: true, Theme: JSON.parse(options.body).Theme };
+                    return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) });
+                };
+                injector.state.themeVersion = { Overrides: { 'text-color': '#eeeeee' } };
+
+                const code = transfer.encodeShareCode(transfer.createDocument({
+                    Id: 'imported',
+                    Name: 'Imported',
+                    Version: '1.0.0',
+                    Colors: { Primary: '#ff6b6b', Background: '#1a1a2e', Text: '#f5f5f5' }
+                }));
+                const imported = await injector.importTheme(code);
+                const previewCss = injector.state.injectedStyles.get('theme').css;
+                const exported = await injector.exportTheme();
+                const saved = await injector.saveImportedTheme(imported.sessionId);
+                const previewAfterSave = injector.getPreviewSession();
+                const themeStyleAfterSave = injector.state.injectedStyles.has('theme');
+
+                const second = await injector.importTheme(code);
+                saveResponse = { Success: false, Message: '主题验证失败', ValidationErrors: ['Typography: FontFamily must be a comma-separated list'] };
+                let saveError = null;
+                await injector.saveImportedTheme(second.sessionId).catch(error => {
+                    saveError = { message: error.message, errors: error.errors };
+                });
+
+                let importError = null;
+                await injector.importTheme('{ ""Id"": ""x"" }').catch(error => {
+                    importError = error.errors;
+                });
+
+                return {
+                    sessionId: imported.sessionId,
+                    previewUsesImportedColors: previewCss.indexOf('#ff6b6b') !== -1,
+                    exported: exported.theme,
+                    exportedOverrides: exported.overrides,
+                    saved: saved,
+                    requests: requests.map(request => ({ url: request.url, method: request.method, id: request.body.Theme.Id })),
+                    previewAfterSave: previewAfterSave,
+                    themeStyleAfterSave: themeStyleAfterSave,
+                    saveError: saveError,
+                    previewAfterFailedSave: injector.getPreviewSession() === second.sessionId,
+                    importError: importError,
+                    importedEvents: host.events.filter(event => event.type === 'emby-beautify-themeImported').length
+                };
+            ");
+
+            // Assert
+            result.GetProperty("sessionId").GetString().Should().StartWith("import-");
+            result.GetProperty("previewUsesImportedColors").GetBoolean().Should().BeTrue("导入后应立即预览主题");
+            result.GetProperty("importedEvents").GetInt32().Should().Be(2);
+
+            var exported = result.GetProperty("exported");
+            exported.GetProperty("Id").GetString().Should().Be("imported", "预览期间应导出预览中的主题");
+            exported.GetProperty("Colors").GetProperty("Primary").GetString().Should().Be("#ff6b6b");
+            result.GetProperty("exportedOverrides").GetProperty("text-color").GetString().Should().Be("#eeeeee", "导出内容应包含用户的 CSS 变量覆盖");
+
+            result.GetProperty("saved").GetProperty("Id").GetString().Should().Be("imported");
+            var request = result.GetProperty("requests")[0];
+            request.GetProperty("url").GetString().Should().Be("/emby-beautify/themes");
+            request.GetProperty("method").GetString().Should().Be("POST");
+            result.GetProperty("previewAfterSave").ValueKind.Should().Be(JsonValueKind.Null, "未要求应用时保存后应还原预览");
+            result.GetProperty("themeStyleAfterSave").GetBoolean().Should().BeFalse();
+
+            result.GetProperty("saveError").GetProperty("message").GetString().Should().Be("主题验证失败");
+            result.GetProperty("saveError").GetProperty("errors")[0].GetString().Should().Contain("FontFamily");
+            result.GetProperty("previewAfterFailedSave").GetBoolean().Should().BeTrue("保存失败时应保留预览以便修改");
+            result.GetProperty("importError").EnumerateArray().Select(e => e.GetString()).Should().Contain("Name: 不能为空");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldSanitizeThemeValues()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                const css = injector.generateThemeCSS({
+                    Id: 'evil',
+                    Name: 'Evil',
+                    Version: '1.0.0',
+                    Colors: { Primary: '#007acc', Background: '#ffffff', Text: '#000000', Accent: 'red; } body { display: none' },
+                    CustomProperties: { 'card-image': 'url(https://example.com/track.png)' }
+                });
+                injector.applyUserOverrides({ 'primary-color': '#ff0000', 'text-color': 'red; } body { display: none' });
+                const rejected = host.events.filter(event => event.type === 'emby-beautify-themeValuesRejected');
+                return {
+                    css: css,
+                    overrides: injector.state.injectedStyles.get('user-overrides').css,
+                    rejected: rejected.map(event => event.detail.fields.map(field => field.path))
+                };
+            ");
+
+            // Assert
+            var css = result.GetProperty("css").GetString();
+            css.Should().Contain("background: #007acc;", "通过校验的值应照常写入样式表");
+            css.Should().NotContain("display: none", "被拒绝的值不应写入样式表");
+            css.Should().NotContain("url(", "样式表中不应引用外部资源");
+            result.GetProperty("rejected").GetArrayLength().Should().Be(1, "生成主题 CSS 时应报告一次被拒绝的字段");
+            result.GetProperty("rejected")[0].EnumerateArray().Select(f => f.GetString()).Should().BeEquivalentTo(new[] { "Colors.Accent", "CustomProperties.card-image" });
+
+            var overrides = result.GetProperty("overrides").GetString();
+            overrides.Should().Contain("--primary-color: #ff0000");
+            overrides.Should().NotContain("text-color", "未通过校验的用户覆盖应被忽略");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_SyncThemeWithoutVersion_ShouldApplyActiveTheme()
+        {
+            // Act
+            // 版本接口不可用时回退到获取活动主题并在浏览器端生成样式
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                const requests = [];
+                window.fetch = url => {
+                    requests.push(url);
+                    return Promise.resolve({
+                        ok: true,
+                        json: () => Promise.resolve({ Id: 'active-theme', Name: 'Active', Colors: { Primary: '#00a4dc' } })
+                    });
+                };
+
+                const updated = await injector.syncTheme(null);
+                return {
+                    updated: updated,
+                    requests: requests,
+                    appliedThemeId: injector.state.appliedThemeId,
+                    css: injector.state.injectedStyles.get('theme').css
+                };");
+
+            // Assert
+            result.GetProperty("updated").GetBoolean().Should().BeTrue();
+            result.GetProperty("appliedThemeId").GetString().Should().Be("active-theme");
+            result.GetProperty("css").GetString().Should().Contain("#00a4dc");
+
+            var routes = typeof(ThemeApiController).GetCustomAttributes<RouteAttribute>()
+                .Where(route => route.Verbs == "GET")
+                .Select(route => route.Path);
+            result.GetProperty("requests").EnumerateArray().Select(url => url.GetString())
+                .Should().Equal(new[] { "/emby-beautify/themes/active" }, "应请求服务端的活动主题接口")
+                .And.OnlyContain(url => routes.Contains(url), "请求的地址应由主题API控制器提供");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldLoadThemeFontsFromCssResponseAndCache()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                await injector.detectBrowserCompatibility();
+                const requests = [];
+                window.fetch = url => {
+                    requests.push(url);
+                    return new Promise(() => {});
+                };
+                const loads = [];
+                window.FontFace = function(family, source, descriptors) {
+                    this.family = family;
+                    this.source = source;
+                    this.descriptors = descriptors;
+                    this.load = () => new Promise((resolve, reject) => loads.push({ resolve: resolve, reject: reject }));
+                };
+                const added = [];
+                document.fonts = { add: face => added.push(face), delete: () => {} };
+
+                const theme = {
+                    Id: 'fonts',
+                    Typography: {
+                        FontFamily: ""'Inter', 'Noto Sans SC', sans-serif"",
+                        FontDisplay: 'swap',
+                        FontFaces: [
+                            { Family: 'Inter', Source: 'Inter-Variable.woff2', Weight: '100 900' },
+                            { Family: 'Noto Sans SC', Source: 'NotoSansSC-Regular.otf' }
+                        ]
+                    }
+                };
+                const version = { ThemeId: 'fonts', Version: '1.0.0', ETag: 'etag-1' };
+                injector.applyThemeCss({ Css: 'body { color: #000000; }', Theme: theme }, version);
+                const loadingCss = injector.state.injectedStyles.get('fonts').css;
+                const loadingStatus = document.documentElement.getAttribute('data-emby-beautify-fonts');
+
+                loads.forEach(load => load.resolve());
+                await injector.state.fonts.promise;
+                const loadedStatus = injector.getFontStatus();
+                injector.saveThemeCache(version);
+
+                // 模拟刷新页面：清除已加载的字体后从本地缓存恢复
+                injector.clearThemeFonts();
+                added.length = 0;
+                const restored = injector.restoreCachedStyles();
+                const restoredFamilies = added.map(face => face.family);
+                const skipped = await injector.syncTheme(version);
+
+                // 旧版服务端的响应中没有主题配置，只能单独获取主题
+                injector.applyThemeCss({ Css: ':root {}' }, { ThemeId: 'legacy', Version: '1.0.0', ETag: 'etag-2' });
+
+                return {
+                    loadingCss: loadingCss,
+                    loadingStatus: loadingStatus,
+                    sources: restoredFamilies,
+                    loadedStatus: loadedStatus,
+                    restored: restored,
+                    skipped: skipped,
+                    requests: requests
+                };
+            ");
+
+            // Assert
+            var css = result.GetProperty("loadingCss").GetString();
+            css.Should().Contain("html[data-emby-beautify-fonts=\"loading\"] body", "加载期间应直接为正文设置回退字体栈");
+            css.Should().Contain("html[data-emby-beautify-fonts=\"loading\"] input", "输入框同样使用回退字体栈");
+            css.Should().Contain("font-family: sans-serif;");
+            css.Should().Contain("html[data-emby-beautify-fonts=\"loaded\"] body", "加载完成后应直接为正文设置主题字体栈");
+            css.Should().Contain("font-family: var(--font-family, 'Inter', 'Noto Sans SC', sans-serif);", "不应依赖服务端 CSS 中的 --font-family");
+            result.GetProperty("loadingStatus").GetString().Should().Be("loading");
+            result.GetProperty("loadedStatus").GetProperty("status").GetString().Should().Be("loaded");
+            result.GetProperty("loadedStatus").GetProperty("families").EnumerateArray().Select(f => f.GetString())
+                .Should().Equal("Inter", "Noto Sans SC");
+
+            result.GetProperty("restored").GetBoolean().Should().BeTrue();
+            result.GetProperty("sources").EnumerateArray().Select(f => f.GetString())
+                .Should().Equal(new[] { "Inter", "Noto Sans SC" }, "字体声明应随主题样式缓存，刷新后无需请求主题即可加载");
+            result.GetProperty("skipped").GetBoolean().Should().BeFalse("ETag 未变化时不应重新获取主题");
+
+            result.GetProperty("requests").EnumerateArray().Select(r => r.GetString())
+                .Should().Equal(new[] { "/emby-beautify/themes/legacy" }, "只有响应中没有主题配置时才单独获取主题");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldGenerateFluidTypeScale()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                await injector.detectBrowserCompatibility();
+                window.fetch = () => new Promise(() => {});
+
+                const theme = {
+                    Id: 'type-scale',
+                    Typography: { FontSize: '16px' },
+                    ResponsiveSettings: {
+                        Mobile: { FontScale: 0.875 },
+                        Tablet: { FontScale: 1 },
+                        Desktop: { FontScale: 1.125 }
+                    }
+                };
+                // 按媒体查询找到生效的字号变量，并按视口宽度计算 clamp() 的结果
+                const sizeAt = (css, level, width) => {
+                    host.resize(width);
+                    const block = css.split('@media ').slice(1).find(chunk => window.matchMedia(chunk.slice(0, chunk.indexOf(' {'))).matches);
+                    const value = new RegExp('--font-size-' + level + ': ([^;]+);').exec(block)[1];
+                    const clamp = /clamp\(([\d.]+)px, ([-\d.]+)px \+ ([-\d.]+)vw, ([\d.]+)px\)/.exec(value);
+                    const size = clamp
+                        ? Math.min(Math.max(+clamp[1], +clamp[2] + +clamp[3] * width / 100), +clamp[4])
+                        : parseFloat(/([\d.]+)px/.exec(value)[1]);
+                    return Math.round(size * 100) / 100;
+                };
+                const widths = [320, 360, 564, 768, 984, 1200, 1920];
+
+                injector.applyThemeCss({ Css: 'body { color: #000000; }', Theme: theme }, { ThemeId: 'type-scale', Version: '1.0.0' });
+                const fluid = injector.state.injectedStyles.get('theme-supplement').css;
+
+                injector.compatibility.supportsClamp = false;
+                const fixed = injector.generateThemeSupplement(theme);
+
+                injector.compatibility.supportsCustomProperties = false;
+                injector.state.preferences.textScale = 1.5;
+                const scaled = injector.generateThemeSupplement(theme);
+
+                return {
+                    body: widths.map(width => sizeAt(fluid, 'body', width)),
+                    h1: widths.map(width => sizeAt(fluid, 'h1', width)),
+                    usesTextScale: fluid.indexOf('* var(--text-scale, 1))') !== -1,
+                    bodyRule: /body \{\n  font-size: ([^;]+);/.exec(fluid)[1],
+                    fixedBody: widths.map(width => sizeAt(fixed, 'body', width)),
+                    fixedHasClamp: fixed.indexOf('clamp(') !== -1,
+                    scaledBody: /@media \(min-width: 1200px\) \{[^@]*\nbody \{\n  font-size: ([^;]+);/.exec(scaled)[1]
+                };
+            ");
+
+            // Assert
+            result.GetProperty("body").EnumerateArray().Select(v => v.GetDouble()).Should().Equal(
+                new[] { 14, 14, 15, 16, 17, 18, 18 },
+                "正文字号应在断点的 FontScale 之间按视口宽度线性过渡，小于 minViewport 和大于桌面断点时保持不变");
+            result.GetProperty("h1").EnumerateArray().Select(v => v.GetDouble()).Should().Equal(
+                new[] { 34.84, 34.84, 37.32, 39.81, 42.3, 44.79, 44.79 },
+                "标题字号按 1.2 的比例逐级放大");
+            result.GetProperty("usesTextScale").GetBoolean().Should().BeTrue("字号应乘以用户的文字大小倍数");
+            result.GetProperty("bodyRule").GetString().Should().Be("var(--font-size-body)");
+
+            result.GetProperty("fixedHasClamp").GetBoolean().Should().BeFalse("不支持 clamp() 时应使用固定字号");
+            result.GetProperty("fixedBody").EnumerateArray().Select(v => v.GetDouble()).Should().Equal(
+                new[] { 14, 14, 14, 16, 16, 18, 18 }, "不支持 clamp() 时每个断点使用断点起点的字号");
+            result.GetProperty("scaledBody").GetString().Should().Be("27px", "不支持 CSS 变量时文字大小倍数直接乘入字号");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ShouldTrackConfiguredBreakpoints()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                await injector.detectBrowserCompatibility();
+
+                const responsive = {
+                    Mobile: { MaxWidth: 599, GridColumns: 2, GridGap: '8px' },
+                    Tablet: { MinWidth: 600, MaxWidth: 1023, GridColumns: 4 },
+                    Desktop: { MinWidth: 1024, MaxWidth: 2147483647, GridColumns: 6, FontScale: 1.1 }
+                };
+                host.resize(500);
+                await injector.setupBreakpoints({ Id: 'breakpoints', ResponsiveSettings: responsive });
+
+                const visited = [];
+                [500, 800, 1023, 1024, 1920].forEach(width => {
+                    host.resize(width);
+                    const current = injector.getBreakpoint();
+                    visited.push({
+                        width: width,
+                        attribute: document.documentElement.getAttribute('data-breakpoint'),
+                        name: current.name,
+                        columns: current.gridColumns,
+                        maxWidth: current.maxWidth
+                    });
+                });
+                const changes = host.events
+                    .filter(event => event.type === 'emby-beautify-breakpointChanged')
+                    .map(event => event.detail.previous + '>' + event.detail.breakpoint.name);
+
+                // 原生列表和卡片只标记增强类，不应改为网格或改变间距
+                window.ApiClient = { appVersion: () => '4.8.0.80' };
+                const list = document.body.appendChild(document.createElement('div'));
+                list.className = 'itemsContainer vertical-wrap';
+                const card = list.appendChild(document.createElement('div'));
+                card.className = 'card';
+                await injector.setupEnhancements();
+
+                const css = injector.generateResponsiveStyles(responsive, {});
+                const selectors = (css.match(/^[^@\n{}][^{}\n]*(?= \{)/gm) || []).filter(selector => selector !== ':root');
+                const enhancementRules = css.match(/^\.emby-beautify-(card|button) \{[^}]*\}/gm) || [];
+                return {
+                    visited: visited,
+                    changes: changes,
+                    queries: (css.match(/@media [^{]+/g) || []).map(query => query.trim()),
+                    selectors: Array.from(new Set(selectors)),
+                    enhancementRules: enhancementRules,
+                    listClass: list.className,
+                    cardClass: card.className
+                };");
+
+            // Assert
+            var visited = result.GetProperty("visited").EnumerateArray().ToList();
+            visited.Select(v => v.GetProperty("attribute").GetString()).Should().Equal(
+                new[] { "mobile", "tablet", "tablet", "desktop", "desktop" },
+                "当前断点应按 ResponsiveSettings 中的宽度范围写入 <html> 的 data-breakpoint 属性");
+            visited.Select(v => v.GetProperty("name").GetString()).Should().Equal(
+                visited.Select(v => v.GetProperty("attribute").GetString()), "getBreakpoint 应返回当前断点");
+            visited.Select(v => v.GetProperty("columns").GetInt32()).Should().Equal(new[] { 2, 4, 4, 6, 6 });
+            visited[4].GetProperty("maxWidth").ValueKind.Should().Be(JsonValueKind.Null, "服务端的 int.MaxValue 表示不限最大宽度");
+            result.GetProperty("changes").EnumerateArray().Select(v => v.GetString()).Should().Equal(
+                new[] { "null>mobile", "mobile>tablet", "tablet>desktop" }, "只在断点变化时发出事件");
+
+            result.GetProperty("queries").EnumerateArray().Select(v => v.GetString()).Should().Equal(
+                "@media (max-width: 599px)", "@media (min-width: 600px) and (max-width: 1023px)", "@media (min-width: 1024px)");
+            result.GetProperty("selectors").EnumerateArray().Select(v => v.GetString()).Should().BeEquivalentTo(
+                new[] { ".emby-beautify-card", ".emby-beautify-grid, .responsive-grid", ".container, .main-container",
+                    ":where(:has(> .emby-beautify-grid, > .responsive-grid))" },
+                "网格样式只应作用于插件自己的网格容器，不应改变原生卡片的外边距和内边距");
+            result.GetProperty("enhancementRules").EnumerateArray().Select(v => v.GetString())
+                .Should().NotContain(rule => rule.Contains("margin") || rule.Contains("padding"), "增强类会标记到原生卡片和按钮上，断点样式不应改变它们的布局");
+            result.GetProperty("listClass").GetString().Should().Be("itemsContainer vertical-wrap", "原生列表默认不应标记为网格");
+            result.GetProperty("cardClass").GetString().Should().Be("card emby-beautify-enhanced emby-beautify-card");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_DefaultBreakpoints_ShouldMatchServerDefaults()
+        {
+            // Arrange
+            var manager = new ResponsiveStyleManager(new Mock<ILogger<ResponsiveStyleManager>>().Object);
+
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                return window.EmbyBeautifyStyleInjector.resolveBreakpoints(null).map(breakpoint => ({
+                    name: breakpoint.name,
+                    minWidth: breakpoint.minWidth,
+                    maxWidth: breakpoint.maxWidth
+                }));");
+
+            // Assert
+            var breakpoints = result.EnumerateArray().ToList();
+            breakpoints.Select(b => b.GetProperty("name").GetString()).Should().Equal("mobile", "tablet", "desktop");
+            foreach (var breakpoint in breakpoints)
+            {
+                var name = breakpoint.GetProperty("name").GetString();
+                var server = manager.GetBreakpoint(name);
+                var maxWidth = breakpoint.GetProperty("maxWidth");
+
+                breakpoint.GetProperty("minWidth").GetInt32().Should().Be(server.MinWidth, $"{name} 断点的最小宽度应与服务端默认值一致");
+                if (server.MaxWidth == int.MaxValue)
+                {
+                    maxWidth.ValueKind.Should().Be(JsonValueKind.Null, $"服务端 {name} 断点不限最大宽度");
+                }
+                else
+                {
+                    maxWidth.GetInt32().Should().Be(server.MaxWidth, $"{name} 断点的最大宽度应与服务端默认值一致");
+                }
+            }
+        }
+
         [Fact]
         public async Task GenerateClientScript_WithTheme_ShouldReturnValidScript()
         {
@@ -288,6 +1179,118 @@ namespace EmbyBeautifyPlugin.Tests
             script.Should().Contain("config.debugMode = true", "调试模式开启时脚本应包含调试标志");
         }
 
+        [Fact]
+        public async Task ClientScript_ShouldIncludeArtworkColors()
+        {
+            // Arrange
+            var config = TestConfiguration.GetSampleBeautifyConfig();
+            config.CustomSettings = new Dictionary<string, object>
+            {
+                { "ArtworkColors", true }
+            };
+
+            _mockConfigManager
+                .Setup(x => x.LoadConfigurationAsync())
+                .ReturnsAsync(config);
+
+            // Act
+            var script = await _styleInjector.GenerateClientScriptAsync();
+
+            // Assert
+            script.Should().Contain("config.artworkColors = true", "启用作品动态配色时脚本应包含对应标志");
+        }
+
+        [Theory]
+        [InlineData(false)]
+        [InlineData("false")]
+        [InlineData("yes")]
+        public async Task ClientScript_ArtworkColorsNotTrue_ShouldStayDisabled(object value)
+        {
+            // Arrange
+            var config = TestConfiguration.GetSampleBeautifyConfig();
+            config.CustomSettings = new Dictionary<string, object>
+            {
+                { "ArtworkColors", value }
+            };
+
+            _mockConfigManager
+                .Setup(x => x.LoadConfigurationAsync())
+                .ReturnsAsync(config);
+
+            // Act
+            var script = await _styleInjector.GenerateClientScriptAsync();
+
+            // Assert
+            script.Should().Contain("config.artworkColors = false", "ArtworkColors 为 false 或无法识别的值时不应启用作品动态配色");
+        }
+
+        [Fact]
+        public async Task ClientScript_ArtworkColorsFromConfigurationFile_ShouldReadBooleanValue()
+        {
+            // Arrange
+            // 从配置文件加载时 CustomSettings 中的值是 JsonElement
+            var config = TestConfiguration.GetSampleBeautifyConfig();
+            config.CustomSettings = JsonSerializer.Deserialize<Dictionary<string, object>>("{\"ArtworkColors\": false}");
+
+            _mockConfigManager
+                .Setup(x => x.LoadConfigurationAsync())
+                .ReturnsAsync(config);
+
+            // Act
+            var script = await _styleInjector.GenerateClientScriptAsync();
+
+            // Assert
+            script.Should().Contain("config.artworkColors = false");
+        }
+
+        [Fact]
+        public async Task ColorUtilsScript_Quantize_ShouldKeepDistinctColorsApart()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const color = window.EmbyBeautifyColor;
+                const pixels = new Uint8ClampedArray(100 * 4);
+                for (let i = 0; i < 100; i++) {
+                    pixels.set((i < 70 ? [200, 30, 30] : [20, 40, 200]).concat(255), i * 4);
+                }
+                return color.quantize(pixels, 4).map(swatch => ({ hex: color.toHex(swatch), population: swatch.population }));");
+
+            // Assert
+            var swatches = result.EnumerateArray()
+                .Select(swatch => (swatch.GetProperty("hex").GetString(), swatch.GetProperty("population").GetInt32()))
+                .ToList();
+            swatches.Should().Equal(new[] { ("#c81e1e", 70), ("#1428c8", 30) }, "提取的颜色应是图片中实际存在的颜色，并按像素数量排列");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_ChooseArtworkPalette_ShouldUseSaturatedColorAsPrimary()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const color = window.EmbyBeautifyColor;
+                const injector = window.EmbyBeautifyStyleInjector;
+                const palette = injector.chooseArtworkPalette([
+                    { r: 30, g: 30, b: 30, population: 60 },
+                    { r: 200, g: 30, b: 30, population: 30 },
+                    { r: 20, g: 40, b: 200, population: 10 }
+                ], true);
+                const grey = injector.chooseArtworkPalette([{ r: 90, g: 90, b: 90, population: 10 }, { r: 30, g: 30, b: 30, population: 5 }], true);
+                return {
+                    primary: palette['primary-color'],
+                    accent: palette['accent-color'],
+                    backgroundLuminance: color.relativeLuminance(palette['background-color']),
+                    textRatio: color.contrastRatio(palette['text-color'], palette['background-color']),
+                    grey: grey
+                };");
+
+            // Assert
+            result.GetProperty("primary").GetString().Should().Be("#c81e1e", "主色调应取饱和度高的作品颜色");
+            result.GetProperty("accent").GetString().Should().Be("#1428c8", "强调色应取色相不同的作品颜色");
+            result.GetProperty("backgroundLuminance").GetDouble().Should().BeLessThan(0.18, "深色主题下背景应保持深色");
+            result.GetProperty("textRatio").GetDouble().Should().BeGreaterOrEqualTo(7, "文字颜色应满足 AAA 对比度");
+            result.GetProperty("grey").ValueKind.Should().Be(JsonValueKind.Null, "作品颜色过于灰暗时不应生成配色");
+        }
+
         [Fact]
         public async Task BrowserCompatibility_ShouldProvidePolyfills()
         {
@@ -303,6 +1306,208 @@ namespace EmbyBeautifyPlugin.Tests
             scriptContent.Should().Contain("createQuerySelectorPolyfill", "应包含querySelector polyfill");
         }
 
+        [Fact]
+        public async Task BrowserCompatibility_ShouldDetectTvBrowsers()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const compatibility = window.EmbyBeautifyCompatibility;
+                const injector = window.EmbyBeautifyStyleInjector;
+                const agents = {
+                    tizen: 'Mozilla/5.0 (SMART-TV; LINUX; Tizen 6.0) AppleWebKit/537.36 (KHTML, like Gecko) 76.0.3809.146/6.0 TV Safari/537.36',
+                    webos: 'Mozilla/5.0 (Web0S; Linux/SmartTV) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/79.0.3945.79 Safari/537.36 WebAppManager',
+                    fireTv: 'Mozilla/5.0 (Linux; Android 9; AFTMM Build/PS7233) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/98.0.4758.101 Mobile Safari/537.36',
+                    desktop: window.navigator.userAgent
+                };
+                const detected = {};
+                Object.keys(agents).forEach(name => {
+                    detected[name] = compatibility.isTvUserAgent(agents[name]);
+                });
+
+                window.navigator.userAgent = agents.tizen;
+                compatibility.init();
+                await injector.detectBrowserCompatibility();
+                injector.updateTvMode();
+
+                return {
+                    detected: detected,
+                    rootClasses: document.documentElement.className.trim().split(/\s+/),
+                    tvMode: injector.isTvMode(),
+                    tvAttribute: document.documentElement.hasAttribute('data-emby-beautify-tv')
+                };");
+
+            // Assert
+            var detected = result.GetProperty("detected");
+            detected.GetProperty("tizen").GetBoolean().Should().BeTrue("应识别三星 Tizen 电视");
+            detected.GetProperty("webos").GetBoolean().Should().BeTrue("应识别 LG webOS 电视");
+            detected.GetProperty("fireTv").GetBoolean().Should().BeTrue("应识别 Fire TV");
+            detected.GetProperty("desktop").GetBoolean().Should().BeFalse("桌面浏览器不应识别为电视");
+            result.GetProperty("rootClasses").EnumerateArray().Select(name => name.GetString()).Should().Contain("is-tv", "电视浏览器应添加 is-tv 类");
+            result.GetProperty("tvMode").GetBoolean().Should().BeTrue("自动模式下电视浏览器应启用电视模式");
+            result.GetProperty("tvAttribute").GetBoolean().Should().BeTrue();
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_AccessibilityPreferences_ShouldFollowAppliedTheme()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                window.fetch = () => new Promise(() => {});
+                host.setMedia({ 'prefers-reduced-motion': 'reduce' });
+                window.EmbyBeautifyActiveTheme = { Id: 'global' };
+                await injector.setupAccessibilityPreferences();
+                const reducedAttribute = () => document.documentElement.hasAttribute('data-emby-beautify-reduced-motion');
+                const states = [{ reducedMotion: injector.getAccessibilityPreferences().reducedMotion, attribute: reducedAttribute() }];
+
+                // 用户主题忽略系统的减少动画设置
+                injector.applyThemeCss({
+                    Css: 'body { color: #000000; }',
+                    Theme: { Id: 'user-theme', InteractionSettings: { GlobalSettings: { RespectReducedMotion: false } } }
+                }, { ThemeId: 'user-theme', Version: '1.0.0' });
+                states.push({ reducedMotion: injector.getAccessibilityPreferences().reducedMotion, attribute: reducedAttribute() });
+
+                // 浅色/深色变体自带减少动画设置
+                host.setMedia({ 'prefers-reduced-motion': 'no-preference' });
+                injector.applyThemeCss({
+                    Css: 'body { color: #000000; }',
+                    Theme: { Id: 'user-theme-dark', AnimationSettings: { ReducedMotion: true } }
+                }, { ThemeId: 'user-theme-dark', Version: '1.0.0' });
+                states.push({ reducedMotion: injector.getAccessibilityPreferences().reducedMotion, attribute: reducedAttribute() });
+
+                return {
+                    states: states,
+                    changes: host.events.filter(event => event.type === 'emby-beautify-accessibilityChanged').length
+                };");
+
+            // Assert
+            var states = result.GetProperty("states").EnumerateArray().ToList();
+            states.Select(s => s.GetProperty("reducedMotion").GetBoolean()).Should().Equal(
+                new[] { true, false, true }, "减少动画应按已应用主题的设置计算，而不是页面渲染时的活动主题");
+            states.Select(s => s.GetProperty("attribute").GetBoolean()).Should().Equal(new[] { true, false, true });
+            result.GetProperty("changes").GetInt32().Should().Be(3, "初始化和每次偏好变化时各发出一次事件");
+        }
+
+        [Fact]
+        public async Task StyleInjectorScript_TvModeStyles_ShouldFollowAppliedTheme()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const injector = window.EmbyBeautifyStyleInjector;
+                window.fetch = () => new Promise(() => {});
+                const focusTheme = (id, width, color) => ({
+                    Id: id,
+                    InteractionSettings: {
+                        FocusEffects: { '.card': { Outline: { Width: width, Style: 'solid', Color: color } } }
+                    }
+                });
+                window.EmbyBeautifyActiveTheme = focusTheme('global', 2, '#00a4dc');
+                injector.setTvMode('on');
+                const globalCss = injector.state.injectedStyles.get('tv-mode').css;
+
+                // 用户主题或推送的主题应用后，焦点轮廓随之更新
+                injector.applyThemeCss({ Css: 'body { color: #000000; }', Theme: focusTheme('user-theme', 3, '#ff9800') },
+                    { ThemeId: 'user-theme', Version: '1.0.0' });
+                const userCss = injector.state.injectedStyles.get('tv-mode').css;
+
+                return { globalCss: globalCss, userCss: userCss };");
+
+            // Assert
+            result.GetProperty("globalCss").GetString().Should().Contain("outline: 4px solid #00a4dc !important");
+            var userCss = result.GetProperty("userCss").GetString();
+            userCss.Should().Contain("outline: 6px solid #ff9800 !important", "焦点轮廓应使用已应用主题的焦点效果并加粗");
+            userCss.Should().NotContain("#00a4dc", "不应继续使用页面渲染时的活动主题");
+        }
+
+        [Fact]
+        public async Task BrowserCompatibility_ShouldSelectEmbySelectorProfileByVersion()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const compatibility = window.EmbyBeautifyCompatibility;
+                const injector = window.EmbyBeautifyStyleInjector;
+                window.ApiClient = { appVersion: () => '4.8.0.80' };
+                compatibility.registerSelectorProfile({ name: 'emby-4.9', minVersion: '4.9', selectors: { card: '.cardBox' } });
+                const profile = compatibility.getSelectorProfile();
+                const selectors = injector.resolveSelectors();
+                return {
+                    profile: { name: profile.name, version: profile.version, source: profile.source, fallback: profile.fallback },
+                    warnings: compatibility.getCompatibilityReport().warnings,
+                    card: selectors.card,
+                    page: selectors.page
+                };");
+
+            // Assert
+            var profile = result.GetProperty("profile");
+            profile.GetProperty("name").GetString().Should().Be("emby-4", "不满足最低版本的配置不应被选中");
+            profile.GetProperty("version").GetString().Should().Be("4.8.0.80");
+            profile.GetProperty("source").GetString().Should().Be("appVersion");
+            profile.GetProperty("fallback").GetBoolean().Should().BeFalse();
+            result.GetProperty("warnings").GetArrayLength().Should().Be(0);
+            result.GetProperty("card").GetString().Should().Be(".card", "配置中的选择器应覆盖通用选择器");
+            result.GetProperty("page").GetString().Should().Be(".page", "配置中未列出的目标应使用通用选择器");
+        }
+
+        [Fact]
+        public async Task BrowserCompatibility_UnknownOrUnsupportedEmbyVersion_ShouldWarnAndUseGenericSelectors()
+        {
+            // Act
+            var result = await ClientScriptHost.RunAsync(@"
+                const compatibility = window.EmbyBeautifyCompatibility;
+                const injector = window.EmbyBeautifyStyleInjector;
+                const unknown = compatibility.getCompatibilityReport();
+
+                // 识别失败的结果同样缓存，解析选择器时不再重复检测
+                let scans = 0;
+                const querySelectorAll = document.querySelectorAll;
+                document.querySelectorAll = function(selector) {
+                    scans++;
+                    return querySelectorAll.call(document, selector);
+                };
+                injector.resolveSelectors();
+                compatibility.getSelectorProfile();
+                const scansWhileUnknown = scans;
+
+                // Emby 加载的脚本地址带有版本参数，未要求重新检测时仍使用缓存的结果
+                const script = document.head.appendChild(document.createElement('script'));
+                script.setAttribute('src', 'apploader.js?v=3.5.0.0');
+                const cachedVersion = compatibility.detectEmbyVersion().version;
+
+                // ApiClient 在页面加载后才创建时重新检测
+                window.ApiClient = { appVersion: () => '4.8.0.80' };
+                const late = Object.assign({}, compatibility.detectEmbyVersion());
+
+                delete window.ApiClient;
+                compatibility.detectEmbyVersion(true);
+                const old = compatibility.getCompatibilityReport();
+                return {
+                    unknown: { emby: unknown.emby, warnings: unknown.warnings },
+                    scansWhileUnknown: scansWhileUnknown,
+                    cachedVersion: cachedVersion,
+                    old: { emby: old.emby, warnings: old.warnings },
+                    late: { version: late.version, source: late.source }
+                };");
+
+            // Assert
+            var unknown = result.GetProperty("unknown");
+            unknown.GetProperty("emby").GetProperty("profile").GetString().Should().Be("generic");
+            unknown.GetProperty("emby").GetProperty("version").ValueKind.Should().Be(JsonValueKind.Null);
+            unknown.GetProperty("warnings").GetArrayLength().Should().Be(1, "无法识别版本时应给出警告");
+            result.GetProperty("scansWhileUnknown").GetInt32().Should().Be(0, "识别失败的结果应被缓存");
+            result.GetProperty("cachedVersion").ValueKind.Should().Be(JsonValueKind.Null, "未要求重新检测时应返回缓存的结果");
+
+            var old = result.GetProperty("old");
+            old.GetProperty("emby").GetProperty("version").GetString().Should().Be("3.5.0.0", "应从脚本地址的版本参数识别版本");
+            old.GetProperty("emby").GetProperty("source").GetString().Should().Be("dom");
+            old.GetProperty("emby").GetProperty("profile").GetString().Should().Be("generic", "没有适配的配置时应使用通用选择器");
+            old.GetProperty("warnings").EnumerateArray().Should().ContainSingle()
+                .Which.GetString().Should().Contain("3.5.0.0");
+
+            var late = result.GetProperty("late");
+            late.GetProperty("version").GetString().Should().Be("4.8.0.80", "ApiClient 创建后应重新检测版本");
+            late.GetProperty("source").GetString().Should().Be("appVersion");
+        }
+
         [Fact]
         public async Task StyleInjection_ShouldOptimizeCSS()
         {
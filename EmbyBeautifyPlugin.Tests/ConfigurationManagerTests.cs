@@ -213,6 +213,21 @@ namespace EmbyBeautifyPlugin.Tests
             Assert.True(loadedConfig.CustomSettings.ContainsKey("testKey"));
         }
 
+        [Fact]
+        public async Task GetConfigurationAsync_AfterFirstLoad_ShouldNotReadFileAgain()
+        {
+            // Arrange
+            var config = await _configManager.GetConfigurationAsync();
+            File.Delete(Path.Combine(_testConfigDirectory, "config.json"));
+
+            // Act
+            var cachedConfig = await _configManager.GetConfigurationAsync();
+
+            // Assert
+            Assert.Same(config, cachedConfig);
+            Assert.False(File.Exists(Path.Combine(_testConfigDirectory, "config.json")));
+        }
+
         public void Dispose()
         {
             try
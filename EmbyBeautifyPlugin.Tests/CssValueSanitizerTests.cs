@@ -0,0 +1,82 @@
+using EmbyBeautifyPlugin.Services;
+using Xunit;
+
+namespace EmbyBeautifyPlugin.Tests
+{
+    public class CssValueSanitizerTests
+    {
+        [Theory]
+        [InlineData("#ff6b6b")]
+        [InlineData("rgba(0, 0, 0, 0.5)")]
+        [InlineData("linear-gradient(135deg, #667eea 0%, #764ba2 100%)")]
+        [InlineData("\"Noto Sans SC\", sans-serif")]
+        [InlineData("var(--primary-color, #000)")]
+        public void IsSafeValue_WithPlainValues_ReturnsTrue(string value)
+        {
+            Assert.True(CssValueSanitizer.IsSafeValue(value));
+        }
+
+        [Theory]
+        [InlineData("")]
+        [InlineData("red; } body { display: none")]
+        [InlineData("url(https://example.com/track.png)")]
+        [InlineData("URL ('x')")]
+        [InlineData("expression(alert(1))")]
+        [InlineData("image-set(\"a.png\" 1x)")]
+        [InlineData("red /* comment */")]
+        [InlineData("\\75 rl(x)")]
+        [InlineData("calc(1px + 2px")]
+        [InlineData("\"unclosed")]
+        [InlineData("red\nblue")]
+        public void IsSafeValue_WithUnsafeValues_ReturnsFalse(string value)
+        {
+            Assert.False(CssValueSanitizer.IsSafeValue(value));
+        }
+
+        [Theory]
+        [InlineData("primary-color", true)]
+        [InlineData("x1", true)]
+        [InlineData("1x", false)]
+        [InlineData("primary color", false)]
+        [InlineData("", false)]
+        public void IsPropertyName_ReturnsExpectedResult(string name, bool expected)
+        {
+            Assert.Equal(expected, CssValueSanitizer.IsPropertyName(name));
+        }
+
+        [Theory]
+        [InlineData("Arial, sans-serif", true)]
+        [InlineData("-apple-system, 'Segoe UI', \"Noto Sans SC\", 微软雅黑", true)]
+        [InlineData("Times New Roman, serif", true)]
+        [InlineData("", false)]
+        [InlineData("Arial,,serif", false)]
+        [InlineData("Arial; } body { display: none", false)]
+        [InlineData("\"Inter\"; color: red", false)]
+        [InlineData("'Inter</style>'", false)]
+        [InlineData("Inter /* x */", false)]
+        public void IsFontFamily_ReturnsExpectedResult(string value, bool expected)
+        {
+            Assert.Equal(expected, CssValueSanitizer.IsFontFamily(value));
+        }
+
+        [Theory]
+        [InlineData("Arial, 'Segoe UI', sans-serif", "Arial, 'Segoe UI', sans-serif")]
+        [InlineData("Arial; } body { x, serif", "\"Arial  body  x\", serif")]
+        [InlineData("\"x</style>\"", "\"x/style\"")]
+        [InlineData(" , ", null)]
+        [InlineData("\"\";", null)]
+        public void EscapeFontFamily_ReturnsOnlyFamilyNames(string value, string expected)
+        {
+            Assert.Equal(expected, CssValueSanitizer.EscapeFontFamily(value));
+        }
+
+        [Fact]
+        public void EscapeComment_CannotCloseComment()
+        {
+            var escaped = CssValueSanitizer.EscapeComment("Theme */ body { display: none } /*\nnext");
+
+            Assert.DoesNotContain("*/", escaped);
+            Assert.DoesNotContain("\n", escaped);
+        }
+    }
+}
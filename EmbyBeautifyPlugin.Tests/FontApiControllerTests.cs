@@ -0,0 +1,117 @@
+using EmbyBeautifyPlugin.Controllers;
+using EmbyBeautifyPlugin.Services;
+using FluentAssertions;
+using MediaBrowser.Controller.Net;
+using MediaBrowser.Model.Logging;
+using MediaBrowser.Model.Services;
+using Moq;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using Xunit;
+
+namespace EmbyBeautifyPlugin.Tests
+{
+    /// <summary>
+    /// 字体API控制器的单元测试
+    /// </summary>
+    public class FontApiControllerTests : IDisposable
+    {
+        private readonly string _fontsDirectory;
+        private readonly Mock<IHttpResultFactory> _mockResultFactory;
+        private readonly Mock<ILogManager> _mockLogManager;
+        private readonly Mock<ILogger> _mockLogger;
+        private readonly FontApiController _controller;
+
+        public FontApiControllerTests()
+        {
+            _fontsDirectory = Path.Combine(Path.GetTempPath(), "emby-beautify-fonts-" + Guid.NewGuid().ToString("N"));
+            Directory.CreateDirectory(_fontsDirectory);
+
+            _mockResultFactory = new Mock<IHttpResultFactory>();
+            _mockLogManager = new Mock<ILogManager>();
+            _mockLogger = new Mock<ILogger>();
+            _mockLogManager.Setup(x => x.GetLogger(It.IsAny<string>())).Returns(_mockLogger.Object);
+
+            _controller = new FontApiController(
+                _mockResultFactory.Object, _mockLogManager.Object, new FontFileProvider(_fontsDirectory));
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_fontsDirectory))
+            {
+                Directory.Delete(_fontsDirectory, true);
+            }
+        }
+
+        [Fact]
+        public void Get_GetFontsRequest_ListsOnlySupportedFontFiles()
+        {
+            // Arrange
+            File.WriteAllBytes(Path.Combine(_fontsDirectory, "Inter.woff2"), new byte[] { 1, 2, 3 });
+            File.WriteAllBytes(Path.Combine(_fontsDirectory, "Noto.otf"), new byte[] { 1 });
+            File.WriteAllText(Path.Combine(_fontsDirectory, "readme.txt"), "not a font");
+
+            // Act
+            var result = _controller.Get(new GetFontsRequest()) as GetFontsResponse;
+
+            // Assert
+            result.Should().NotBeNull();
+            result.Count.Should().Be(2);
+            result.Fonts.Should().Contain(f => f.FileName == "Inter.woff2" && f.Format == "woff2" && f.Size == 3);
+            result.Fonts.Should().Contain(f => f.FileName == "Noto.otf" && f.Format == "opentype");
+        }
+
+        [Fact]
+        public void Get_GetFontFileRequest_ReturnsFontWithContentType()
+        {
+            // Arrange
+            var content = new byte[] { 0x77, 0x4F, 0x46, 0x32 };
+            var expected = new object();
+            File.WriteAllBytes(Path.Combine(_fontsDirectory, "Inter.woff2"), content);
+            _mockResultFactory
+                .Setup(x => x.GetResult(It.IsAny<IRequest>(), It.IsAny<byte[]>(), It.IsAny<string>(), It.IsAny<IDictionary<string, string>>()))
+                .Returns(expected);
+
+            // Act
+            var result = _controller.Get(new GetFontFileRequest { FileName = "Inter.woff2" });
+
+            // Assert
+            result.Should().BeSameAs(expected);
+            _mockResultFactory.Verify(x => x.GetResult(
+                It.IsAny<IRequest>(),
+                It.Is<byte[]>(bytes => bytes.Length == content.Length),
+                "font/woff2",
+                It.Is<IDictionary<string, string>>(headers => headers.ContainsKey("Cache-Control"))), Times.Once);
+        }
+
+        [Theory]
+        [InlineData("../Inter.woff2")]
+        [InlineData("..\\Inter.woff2")]
+        [InlineData("readme.txt")]
+        [InlineData("Missing.woff2")]
+        public void Get_GetFontFileRequest_WithInvalidOrMissingFile_ThrowsFileNotFoundException(string fileName)
+        {
+            // Arrange
+            File.WriteAllText(Path.Combine(_fontsDirectory, "readme.txt"), "not a font");
+
+            // Act
+            Action act = () => _controller.Get(new GetFontFileRequest { FileName = fileName });
+
+            // Assert
+            act.Should().Throw<FileNotFoundException>();
+        }
+
+        [Theory]
+        [InlineData("Inter.woff2", "font/woff2")]
+        [InlineData("Inter.woff", "font/woff")]
+        [InlineData("Inter.TTF", "font/ttf")]
+        [InlineData("Inter.otf", "font/otf")]
+        public void FontFileProvider_GetContentType_ReturnsFontMimeType(string fileName, string contentType)
+        {
+            // Act & Assert
+            FontFileProvider.GetContentType(fileName).Should().Be(contentType);
+        }
+    }
+}
@@ -6,6 +6,7 @@ using MediaBrowser.Model.Logging;
 using Moq;
 using System;
 using System.Collections.Generic;
+using System.Linq;
 using System.Threading.Tasks;
 using Xunit;
 
@@ -198,5 +199,29 @@ namespace EmbyBeautifyPlugin.Tests
             description.Should().Contain("beautify");
             description.Should().Contain("Emby Server");
         }
+
+        [Fact]
+        public void GetPages_ShouldReferenceEmbeddedResources()
+        {
+            // Arrange
+            var plugin = new Plugin(_mockLogManager.Object, _mockServerConfigurationManager.Object);
+            var resources = typeof(Plugin).Assembly.GetManifestResourceNames();
+
+            // Act
+            var pages = plugin.GetPages();
+
+            // Assert
+            pages.Select(page => page.EmbeddedResourcePath).Should().BeSubsetOf(resources);
+        }
+
+        [Fact]
+        public void Assembly_ShouldEmbedAllClientScripts()
+        {
+            // Act
+            var resources = typeof(Plugin).Assembly.GetManifestResourceNames();
+
+            // Assert
+            resources.Should().Contain(ClientScriptHost.Scripts.Select(script => "EmbyBeautifyPlugin.Views.js." + script));
+        }
     }
 }
\ No newline at end of file
@@ -105,6 +105,24 @@ namespace EmbyBeautifyPlugin.Tests
             css.Should().NotContain("@media (min-width: 768px)");
         }
 
+        [Fact]
+        public async Task GenerateResponsiveCssAsync_WithSpacing_GeneratesSpacingVariable()
+        {
+            // Arrange
+            var settings = new ResponsiveSettings
+            {
+                Mobile = new BreakpointSettings { MaxWidth = 767, GridColumns = 2, Spacing = "0.5rem" },
+                Desktop = new BreakpointSettings { MinWidth = 1200, MaxWidth = int.MaxValue }
+            };
+
+            // Act
+            var css = await _responsiveManager.GenerateResponsiveCssAsync(settings);
+
+            // Assert
+            css.Should().Contain("--responsive-spacing: 0.5rem");
+            css.Split("--responsive-spacing:").Length.Should().Be(2, "未设置 Spacing 的断点不应输出间距变量");
+        }
+
         [Fact]
         public async Task GenerateResponsiveCssAsync_WithTheme_GeneratesThemeAwareCSS()
         {
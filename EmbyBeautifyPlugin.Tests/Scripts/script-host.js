@@ -0,0 +1,577 @@
+/**
+ * Emby 美化插件 - 客户端脚本测试宿主
+ * 在 Node.js 中用最小的 DOM 模拟加载插件的客户端脚本，执行从标准输入读取的测试代码，并把返回值以 JSON 输出到标准输出
+ *
+ * 用法: node script-host.js <脚本目录> <脚本文件...> < 测试代码
+ * 测试代码是异步函数体，可以使用 window、document 和 host，例如 `return window.EmbyBeautifyColor.contrastRatio('#000', '#fff');`
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ---------------------------------------------------------------------------
+// 最小 DOM 模拟
+// ---------------------------------------------------------------------------
+
+class ClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get values() {
+        return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    }
+
+    set values(values) {
+        this.element.setAttribute('class', values.join(' '));
+    }
+
+    add(...names) {
+        this.values = Array.from(new Set(this.values.concat(names)));
+    }
+
+    remove(...names) {
+        this.values = this.values.filter(name => names.indexOf(name) === -1);
+    }
+
+    contains(name) {
+        return this.values.indexOf(name) !== -1;
+    }
+
+    toggle(name, force) {
+        const add = force === undefined ? !this.contains(name) : force;
+        if (add) {
+            this.add(name);
+        } else {
+            this.remove(name);
+        }
+        return add;
+    }
+}
+
+class EventTarget {
+    constructor() {
+        this.listeners = {};
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(item => item !== listener);
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        (this.listeners[event.type] || []).slice().forEach(listener => {
+            if (typeof listener === 'function') {
+                listener.call(this, event);
+            } else if (listener && typeof listener.handleEvent === 'function') {
+                listener.handleEvent(event);
+            }
+        });
+        return !event.defaultPrevented;
+    }
+}
+
+class Element extends EventTarget {
+    constructor(tagName, ownerDocument) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.nodeType = 1;
+        this.ownerDocument = ownerDocument;
+        this.attributes = new Map();
+        this.children = [];
+        this.parentNode = null;
+        this.textContent = '';
+        this.classList = new ClassList(this);
+        this.style = createStyleDeclaration();
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    get firstChild() {
+        return this.children[0] || null;
+    }
+
+    get nextSibling() {
+        const siblings = this.parentNode ? this.parentNode.children : [];
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) {
+            node = node.parentNode;
+        }
+        return node === this.ownerDocument.documentElement;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    insertBefore(child, reference) {
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        const index = reference ? this.children.indexOf(reference) : -1;
+        if (index === -1) {
+            this.children.push(child);
+        } else {
+            this.children.splice(index, 0, child);
+        }
+        child.parentNode = this;
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(item => item !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.removeChild(this);
+        }
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    descendants() {
+        return this.children.reduce((all, child) => all.concat(child, child.descendants()), []);
+    }
+
+    querySelectorAll(selector) {
+        return this.descendants().filter(element => element.matches(selector));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    matches(selector) {
+        return splitSelectorList(selector).some(complex => matchesComplex(this, complex));
+    }
+
+    closest(selector) {
+        for (let element = this; element && element.nodeType === 1; element = element.parentNode) {
+            if (element.matches(selector)) {
+                return element;
+            }
+        }
+        return null;
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+    }
+
+    focus() {
+        this.ownerDocument.activeElement = this;
+    }
+}
+
+function createStyleDeclaration() {
+    return {
+        setProperty(name, value) {
+            this[name] = value;
+        },
+        removeProperty(name) {
+            delete this[name];
+        },
+        getPropertyValue(name) {
+            return this[name] || '';
+        }
+    };
+}
+
+// 只支持测试需要的选择器：标签、#id、.class、[attr]、[attr="value"] 和 :not()，其他伪类会被忽略，组合符只支持后代
+function splitSelectorList(selector) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of selector) {
+        if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth--;
+        }
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+}
+
+function matchesComplex(element, complex) {
+    const compounds = complex.replace(/\s*>\s*/g, ' ').split(/\s+/);
+    if (!matchesCompound(element, compounds[compounds.length - 1])) {
+        return false;
+    }
+
+    let ancestor = element.parentNode;
+    for (let i = compounds.length - 2; i >= 0; i--) {
+        while (ancestor && ancestor.nodeType === 1 && !matchesCompound(ancestor, compounds[i])) {
+            ancestor = ancestor.parentNode;
+        }
+        if (!ancestor || ancestor.nodeType !== 1) {
+            return false;
+        }
+        ancestor = ancestor.parentNode;
+    }
+    return true;
+}
+
+function matchesCompound(element, compound) {
+    const pattern = /([#.]?[\w-]+|\*|\[[^\]]+\]|::?[\w-]+(\([^)]*\))?)/g;
+    let match;
+    while ((match = pattern.exec(compound))) {
+        const token = match[1];
+        if (token.indexOf(':not(') === 0) {
+            if (matchesCompound(element, token.slice(5, -1))) {
+                return false;
+            }
+            continue;
+        }
+        if (token === '*' || token.charAt(0) === ':') {
+            continue;
+        }
+        if (token.charAt(0) === '#') {
+            if (element.id !== token.slice(1)) {
+                return false;
+            }
+        } else if (token.charAt(0) === '.') {
+            if (!element.classList.contains(token.slice(1))) {
+                return false;
+            }
+        } else if (token.charAt(0) === '[') {
+            const attribute = /^\[([\w-]+)(?:([*^$]?=)["']?([^"'\]]*)["']?)?\]$/.exec(token);
+            const value = attribute ? element.getAttribute(attribute[1]) : null;
+            if (value === null) {
+                return false;
+            }
+            if (attribute[2] === '=' && value !== attribute[3]) {
+                return false;
+            }
+            if (attribute[2] === '*=' && value.indexOf(attribute[3]) === -1) {
+                return false;
+            }
+        } else if (element.tagName !== token.toUpperCase()) {
+            return false;
+        }
+    }
+    return true;
+}
+
+class Document extends EventTarget {
+    constructor() {
+        super();
+        this.nodeType = 9;
+        this.readyState = 'complete';
+        this.documentElement = new Element('html', this);
+        this.head = this.documentElement.appendChild(new Element('head', this));
+        this.body = this.documentElement.appendChild(new Element('body', this));
+        this.activeElement = this.body;
+        this.visibilityState = 'visible';
+    }
+
+    createElement(tagName) {
+        return new Element(tagName, this);
+    }
+
+    getElementById(id) {
+        return this.documentElement.querySelector('#' + id);
+    }
+
+    getElementsByTagName(tagName) {
+        return this.documentElement.querySelectorAll(tagName);
+    }
+
+    querySelectorAll(selector) {
+        return [this.documentElement].concat(this.documentElement.descendants()).filter(element => element.matches(selector));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// 宿主
+// ---------------------------------------------------------------------------
+
+function createStorage() {
+    const values = new Map();
+    return {
+        getItem: key => values.has(key) ? values.get(key) : null,
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        clear: () => values.clear(),
+        key: index => Array.from(values.keys())[index] || null,
+        get length() {
+            return values.size;
+        }
+    };
+}
+
+function createHost() {
+    const document = new Document();
+    const host = {
+        // 视口宽度和媒体特性，matchMedia 据此计算结果
+        width: 1280,
+        media: {},
+        mediaQueries: [],
+        timers: [],
+        events: [],
+
+        /**
+         * 执行已到期的定时器（不等待真实时间），返回执行的数量
+         */
+        runTimers: function(limit = 100) {
+            let count = 0;
+            while (this.timers.length > 0 && count < limit) {
+                const timer = this.timers.shift();
+                count++;
+                timer.callback.apply(null, timer.args);
+                if (timer.interval) {
+                    this.timers.push(timer);
+                }
+            }
+            return count;
+        },
+
+        /**
+         * 等待所有挂起的 Promise 回调执行完
+         */
+        flush: function() {
+            return new Promise(resolve => setImmediate(resolve));
+        },
+
+        /**
+         * 修改视口宽度并通知匹配结果发生变化的媒体查询
+         */
+        resize: function(width) {
+            this.width = width;
+            this.notifyMediaChange();
+        },
+
+        /**
+         * 修改媒体特性，例如 { 'prefers-reduced-motion': 'reduce' }
+         */
+        setMedia: function(features) {
+            Object.assign(this.media, features);
+            this.notifyMediaChange();
+        },
+
+        notifyMediaChange: function() {
+            this.mediaQueries.forEach(query => {
+                const matches = evaluateMediaQuery(query.media, this);
+                if (matches !== query.lastMatches) {
+                    query.lastMatches = matches;
+                    query.dispatchEvent({ type: 'change', matches: matches, media: query.media });
+                }
+            });
+        }
+    };
+
+    let timerId = 0;
+    const addTimer = (callback, args, interval) => {
+        const timer = { id: ++timerId, callback: callback, args: args, interval: interval };
+        host.timers.push(timer);
+        return timer.id;
+    };
+    const removeTimer = id => {
+        host.timers = host.timers.filter(timer => timer.id !== id);
+    };
+
+    const window = {
+        document: document,
+        navigator: { userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36', vendor: 'Google Inc.', maxTouchPoints: 0, language: 'zh-CN' },
+        location: { href: 'http://localhost/web/index.html#!/home', hash: '#!/home', pathname: '/web/index.html', search: '', origin: 'http://localhost' },
+        history: { pushState: function() {}, replaceState: function() {} },
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        console: {
+            log: function() {},
+            info: function() {},
+            debug: function() {},
+            warn: function() {},
+            error: function(...args) {
+                host.events.push({ type: 'console.error', detail: args.map(String).join(' ') });
+            }
+        },
+        CSS: { supports: function() { return true; } },
+        innerWidth: 1280,
+        innerHeight: 720,
+        devicePixelRatio: 1,
+        setTimeout: (callback, delay, ...args) => addTimer(callback, args, false),
+        clearTimeout: removeTimer,
+        setInterval: (callback, delay, ...args) => addTimer(callback, args, true),
+        clearInterval: removeTimer,
+        requestAnimationFrame: callback => addTimer(callback, [0], false),
+        cancelAnimationFrame: removeTimer,
+        matchMedia: function(media) {
+            const query = new EventTarget();
+            query.media = media;
+            query.lastMatches = evaluateMediaQuery(media, host);
+            Object.defineProperty(query, 'matches', { get: () => evaluateMediaQuery(media, host) });
+            query.addListener = listener => query.addEventListener('change', listener);
+            query.removeListener = listener => query.removeEventListener('change', listener);
+            host.mediaQueries.push(query);
+            return query;
+        },
+        getComputedStyle: function(element) {
+            return element.style;
+        },
+        CustomEvent: function(type, options) {
+            this.type = type;
+            this.detail = options ? options.detail : undefined;
+        },
+        Event: function(type) {
+            this.type = type;
+        },
+        Node: { ELEMENT_NODE: 1, TEXT_NODE: 3, DOCUMENT_NODE: 9 },
+        MutationObserver: function(callback) {
+            this.callback = callback;
+            this.observe = function() {};
+            this.disconnect = function() {};
+            this.takeRecords = function() { return []; };
+        },
+        AbortController: AbortController,
+        URL: URL,
+        URLSearchParams: URLSearchParams,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        atob: atob,
+        btoa: btoa,
+        addEventListener: function(type, listener) {
+            windowEvents.addEventListener(type, listener);
+        },
+        removeEventListener: function(type, listener) {
+            windowEvents.removeEventListener(type, listener);
+        },
+        dispatchEvent: function(event) {
+            return windowEvents.dispatchEvent(event);
+        }
+    };
+    const windowEvents = new EventTarget();
+
+    // 记录插件发出的事件，测试可以通过 host.events 检查
+    const dispatch = document.dispatchEvent.bind(document);
+    document.dispatchEvent = function(event) {
+        host.events.push({ type: event.type, detail: event.detail });
+        return dispatch(event);
+    };
+
+    window.window = window;
+    window.self = window;
+    window.globalThis = window;
+    host.window = window;
+    host.document = document;
+    return host;
+}
+
+// 支持 min-width/max-width（px）和 prefers-* 等按名称比较的媒体特性，多个条件以 and 连接
+function evaluateMediaQuery(media, host) {
+    return media.split(/\s+and\s+/).every(condition => {
+        const feature = /\(\s*([\w-]+)\s*(?::\s*([^)]+?))?\s*\)/.exec(condition);
+        if (!feature) {
+            return true;
+        }
+        const name = feature[1];
+        const value = feature[2];
+        if (name === 'min-width') {
+            return host.width >= parseFloat(value);
+        }
+        if (name === 'max-width') {
+            return host.width <= parseFloat(value);
+        }
+        return value === undefined ? !!host.media[name] : host.media[name] === value;
+    });
+}
+
+// ---------------------------------------------------------------------------
+// 入口
+// ---------------------------------------------------------------------------
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let input = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { input += chunk; });
+        process.stdin.on('end', () => resolve(input));
+        process.stdin.on('error', reject);
+    });
+}
+
+async function main() {
+    const [scriptDirectory, ...scripts] = process.argv.slice(2);
+    const body = await readStdin();
+    const host = createHost();
+    const context = vm.createContext(host.window);
+
+    scripts.forEach(script => {
+        const file = path.join(scriptDirectory, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    // 脚本加载时排队的定时器（例如样式注入器的自动初始化）不执行，测试按需调用对应的函数
+    host.timers = [];
+
+    const test = vm.runInContext(`(async function(window, document, host) {\n${body}\n})`, context, { filename: 'test.js' });
+    const result = await test(host.window, host.document, host);
+
+    process.stdout.write(JSON.stringify({ result: result === undefined ? null : result }));
+}
+
+main().then(() => process.exit(0), error => {
+    process.stderr.write((error && error.stack) || String(error));
+    process.exit(1);
+});
@@ -1,8 +1,13 @@
 using EmbyBeautifyPlugin.Controllers;
 using EmbyBeautifyPlugin.Interfaces;
 using EmbyBeautifyPlugin.Models;
+using EmbyBeautifyPlugin.Services;
 using FluentAssertions;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Net;
 using MediaBrowser.Model.Logging;
+using MediaBrowser.Model.Services;
+using MediaBrowser.Model.Users;
 using Moq;
 using System;
 using System.Collections.Generic;
@@ -17,19 +22,39 @@ namespace EmbyBeautifyPlugin.Tests
     public class ThemeApiControllerTests
     {
         private readonly Mock<IThemeManager> _mockThemeManager;
+        private readonly Mock<IAuthorizationContext> _mockAuthorizationContext;
         private readonly Mock<ILogManager> _mockLogManager;
         private readonly Mock<ILogger> _mockLogger;
+        private readonly ThemeChangeNotifier _changes;
         private readonly ThemeApiController _controller;
 
         public ThemeApiControllerTests()
         {
             _mockThemeManager = new Mock<IThemeManager>();
+            _mockAuthorizationContext = new Mock<IAuthorizationContext>();
             _mockLogManager = new Mock<ILogManager>();
             _mockLogger = new Mock<ILogger>();
+            _changes = new ThemeChangeNotifier();
             
             _mockLogManager.Setup(x => x.GetLogger(It.IsAny<string>())).Returns(_mockLogger.Object);
+            _mockThemeManager.Setup(x => x.Changes).Returns(_changes);
+            SetCurrentUser("admin", isAdministrator: true);
             
-            _controller = new ThemeApiController(_mockThemeManager.Object, _mockLogManager.Object);
+            _controller = new ThemeApiController(_mockThemeManager.Object, _mockAuthorizationContext.Object, _mockLogManager.Object)
+            {
+                Request = new Mock<IRequest>().Object
+            };
+        }
+
+        private void SetCurrentUser(string userId, bool isAdministrator)
+        {
+            _mockAuthorizationContext
+                .Setup(x => x.GetAuthorizationInfo(It.IsAny<IRequest>()))
+                .Returns(new AuthorizationInfo
+                {
+                    UserId = userId,
+                    User = new User { Policy = new UserPolicy { IsAdministrator = isAdministrator } }
+                });
         }
 
         [Fact]
@@ -226,6 +251,121 @@ namespace EmbyBeautifyPlugin.Tests
             response.ActiveTheme.Should().BeNull();
         }
 
+        [Fact]
+        public async Task Post_SaveThemeRequest_ValidTheme_SavesTheme()
+        {
+            // Arrange
+            var theme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.SaveThemeAsync(theme))
+                .ReturnsAsync(true);
+
+            var request = new SaveThemeRequest { Theme = theme };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SaveThemeResponse;
+            response.Should().NotBeNull();
+            response.Success.Should().BeTrue();
+            response.Theme.Id.Should().Be(theme.Id);
+            response.ValidationErrors.Should().BeEmpty();
+
+            _mockThemeManager.Verify(x => x.SaveThemeAsync(theme), Times.Once);
+        }
+
+        [Fact]
+        public async Task Post_SaveThemeRequest_InvalidTheme_ReturnsValidationErrors()
+        {
+            // Arrange
+            var theme = TestConfiguration.GetSampleTheme();
+            theme.Version = "1";
+            theme.Colors.Primary = "red; } body { display: none";
+
+            var request = new SaveThemeRequest { Theme = theme };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SaveThemeResponse;
+            response.Should().NotBeNull();
+            response.Success.Should().BeFalse();
+            response.ValidationErrors.Should().NotBeEmpty();
+
+            _mockThemeManager.Verify(x => x.SaveThemeAsync(It.IsAny<Theme>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task Post_SaveThemeRequest_UnsafeFontFamily_ReturnsValidationErrors()
+        {
+            // Arrange
+            var theme = TestConfiguration.GetSampleTheme();
+            theme.Typography.FontFamily = "Arial; } body { display: none";
+
+            var request = new SaveThemeRequest { Theme = theme };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SaveThemeResponse;
+            response.Should().NotBeNull();
+            response.Success.Should().BeFalse();
+            response.ValidationErrors.Should().Contain(e => e.Contains("FontFamily"), "字体族中的分号和花括号会破坏生成的样式表");
+
+            _mockThemeManager.Verify(x => x.SaveThemeAsync(It.IsAny<Theme>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task Post_SaveThemeRequest_BuiltInTheme_ReturnsFailureResponse()
+        {
+            // Arrange
+            var theme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.SaveThemeAsync(theme))
+                .ThrowsAsync(new InvalidOperationException("Built-in theme cannot be overwritten"));
+
+            var request = new SaveThemeRequest { Theme = theme };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SaveThemeResponse;
+            response.Should().NotBeNull();
+            response.Success.Should().BeFalse();
+            response.Message.Should().Contain("保存主题失败");
+        }
+
+        [Fact]
+        public async Task Post_SaveThemeRequest_Anonymous_ThrowsUnauthorizedAccessException()
+        {
+            // Arrange
+            _mockAuthorizationContext
+                .Setup(x => x.GetAuthorizationInfo(It.IsAny<IRequest>()))
+                .Returns((AuthorizationInfo)null);
+
+            var request = new SaveThemeRequest { Theme = TestConfiguration.GetSampleTheme() };
+
+            // Act & Assert
+            await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _controller.Post(request));
+            _mockThemeManager.Verify(x => x.SaveThemeAsync(It.IsAny<Theme>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task Post_SaveThemeRequest_NonAdministrator_ThrowsUnauthorizedAccessException()
+        {
+            // Arrange
+            SetCurrentUser("user-1", isAdministrator: false);
+            var request = new SaveThemeRequest { Theme = TestConfiguration.GetSampleTheme() };
+
+            // Act & Assert
+            await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _controller.Post(request));
+            _mockThemeManager.Verify(x => x.SaveThemeAsync(It.IsAny<Theme>()), Times.Never);
+        }
+
         [Fact]
         public async Task Get_GetThemeCssRequest_ValidThemeId_ReturnsCssResponse()
         {
@@ -254,6 +394,7 @@ namespace EmbyBeautifyPlugin.Tests
             response.Should().NotBeNull();
             response.ThemeId.Should().Be(themeId);
             response.Css.Should().Be(expectedCss);
+            response.Theme.Should().BeSameAs(theme);
             response.GeneratedAt.Should().BeCloseTo(DateTime.UtcNow, TimeSpan.FromSeconds(5));
             
             _mockThemeManager.Verify(x => x.GetAvailableThemesAsync(), Times.Once);
@@ -291,12 +432,203 @@ namespace EmbyBeautifyPlugin.Tests
             exception.Message.Should().Contain("主题ID不能为空");
         }
 
+        [Fact]
+        public async Task Get_GetActiveThemeVersionRequest_ReturnsVersionWithETag()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+
+            var request = new GetActiveThemeVersionRequest();
+
+            // Act
+            var result = await _controller.Get(request);
+
+            // Assert
+            var response = result as ThemeVersionResponse;
+            response.Should().NotBeNull();
+            response.ThemeId.Should().Be(activeTheme.Id);
+            response.Version.Should().Be(activeTheme.Version);
+            response.ETag.Should().Be(ThemeApiController.ComputeThemeETag(activeTheme));
+        }
+
+        [Fact]
+        public void ComputeThemeETag_ThemeChanged_ReturnsDifferentETag()
+        {
+            // Arrange
+            var theme = TestConfiguration.GetSampleTheme();
+            var originalETag = ThemeApiController.ComputeThemeETag(theme);
+
+            // Act
+            theme.Colors.Primary = "#123456";
+            var changedETag = ThemeApiController.ComputeThemeETag(theme);
+
+            // Assert
+            originalETag.Should().NotBeNullOrEmpty();
+            changedETag.Should().NotBe(originalETag);
+        }
+
+        [Fact]
+        public void ComputeThemeETag_VariantChanged_ReturnsDifferentETag()
+        {
+            // Arrange
+            var theme = TestConfiguration.GetSampleTheme();
+            var variant = TestConfiguration.GetSampleTheme();
+            variant.Id = "dark-variant";
+            var originalETag = ThemeApiController.ComputeThemeETag(theme, null, new[] { variant });
+
+            // Act
+            variant.Colors.Background = "#000000";
+            var changedETag = ThemeApiController.ComputeThemeETag(theme, null, new[] { variant });
+
+            // Assert
+            originalETag.Should().NotBe(ThemeApiController.ComputeThemeETag(theme));
+            changedETag.Should().NotBe(originalETag);
+        }
+
+        [Fact]
+        public async Task Get_WaitForThemeChangeRequest_VariantThemeSaved_ReturnsChanged()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            var variant = TestConfiguration.GetSampleTheme();
+            variant.Id = "dark-variant";
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+            _mockThemeManager
+                .Setup(x => x.GetThemeByIdAsync(variant.Id))
+                .ReturnsAsync(variant);
+
+            var versionRequest = new GetActiveThemeVersionRequest { Variants = variant.Id + ",unknown-theme" };
+            var current = (ThemeVersionResponse)await _controller.Get(versionRequest);
+            var request = new WaitForThemeChangeRequest { ETag = current.ETag, Timeout = 30, Variants = versionRequest.Variants };
+
+            // Act
+            var pending = _controller.Get(request);
+            variant.Colors.Background = "#000000";
+            _changes.NotifyChanged();
+            var completed = await Task.WhenAny(pending, Task.Delay(TimeSpan.FromSeconds(5)));
+
+            // Assert
+            completed.Should().BeSameAs(pending);
+            var response = await pending as ThemeVersionResponse;
+            response.Changed.Should().BeTrue();
+            response.ThemeId.Should().Be(activeTheme.Id);
+            response.ETag.Should().Be(ThemeApiController.ComputeThemeETag(activeTheme, null, new[] { variant }));
+        }
+
+        [Fact]
+        public async Task Get_WaitForThemeChangeRequest_StaleETag_ReturnsChangedImmediately()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+
+            var request = new WaitForThemeChangeRequest { ETag = "stale-etag", Timeout = 5 };
+
+            // Act
+            var result = await _controller.Get(request);
+
+            // Assert
+            var response = result as ThemeVersionResponse;
+            response.Should().NotBeNull();
+            response.Changed.Should().BeTrue();
+            response.ETag.Should().Be(ThemeApiController.ComputeThemeETag(activeTheme));
+            _mockThemeManager.Verify(x => x.GetActiveThemeAsync(), Times.Once);
+        }
+
+        [Fact]
+        public async Task Get_WaitForThemeChangeRequest_CurrentETag_ReturnsUnchangedAfterTimeout()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+
+            var request = new WaitForThemeChangeRequest
+            {
+                ETag = ThemeApiController.ComputeThemeETag(activeTheme),
+                Timeout = 1
+            };
+
+            // Act
+            var result = await _controller.Get(request);
+
+            // Assert
+            var response = result as ThemeVersionResponse;
+            response.Should().NotBeNull();
+            response.Changed.Should().BeFalse();
+            response.ThemeId.Should().Be(activeTheme.Id);
+            _mockThemeManager.Verify(x => x.GetActiveThemeAsync(), Times.Once);
+        }
+
+        [Fact]
+        public async Task Get_WaitForThemeChangeRequest_ActiveThemeChanged_ReturnsChangedBeforeTimeout()
+        {
+            // Arrange
+            var originalTheme = TestConfiguration.GetSampleTheme();
+            var newTheme = TestConfiguration.GetSampleTheme();
+            newTheme.Id = "new-theme";
+            var activeTheme = originalTheme;
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(() => activeTheme);
+
+            var request = new WaitForThemeChangeRequest
+            {
+                ETag = ThemeApiController.ComputeThemeETag(originalTheme),
+                Timeout = 30
+            };
+
+            // Act
+            var pending = _controller.Get(request);
+            activeTheme = newTheme;
+            _changes.NotifyChanged();
+            var completed = await Task.WhenAny(pending, Task.Delay(TimeSpan.FromSeconds(5)));
+
+            // Assert
+            completed.Should().BeSameAs(pending);
+            var response = await pending as ThemeVersionResponse;
+            response.Should().NotBeNull();
+            response.Changed.Should().BeTrue();
+            response.ThemeId.Should().Be(newTheme.Id);
+        }
+
+        [Fact]
+        public async Task Get_GetActiveThemeVersionRequest_CachesETagUntilChange()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+            var request = new GetActiveThemeVersionRequest();
+            var originalETag = ((ThemeVersionResponse)await _controller.Get(request)).ETag;
+
+            // Act
+            activeTheme.Colors.Primary = "#123456";
+            var cachedETag = ((ThemeVersionResponse)await _controller.Get(request)).ETag;
+            _changes.NotifyChanged();
+            var refreshedETag = ((ThemeVersionResponse)await _controller.Get(request)).ETag;
+
+            // Assert
+            cachedETag.Should().Be(originalETag);
+            refreshedETag.Should().Be(ThemeApiController.ComputeThemeETag(activeTheme));
+            refreshedETag.Should().NotBe(originalETag);
+        }
+
         [Fact]
         public async Task Constructor_NullThemeManager_ThrowsArgumentNullException()
         {
             // Act & Assert
             var exception = Assert.Throws<ArgumentNullException>(
-                () => new ThemeApiController(null, _mockLogManager.Object));
+                () => new ThemeApiController(null, _mockAuthorizationContext.Object, _mockLogManager.Object));
             
             exception.ParamName.Should().Be("themeManager");
         }
@@ -306,9 +638,19 @@ namespace EmbyBeautifyPlugin.Tests
         {
             // Act & Assert
             var exception = Assert.Throws<ArgumentNullException>(
-                () => new ThemeApiController(_mockThemeManager.Object, null));
+                () => new ThemeApiController(_mockThemeManager.Object, _mockAuthorizationContext.Object, null));
             
             exception.ParamName.Should().Be("logManager");
         }
+
+        [Fact]
+        public void Constructor_NullAuthorizationContext_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            var exception = Assert.Throws<ArgumentNullException>(
+                () => new ThemeApiController(_mockThemeManager.Object, null, _mockLogManager.Object));
+
+            exception.ParamName.Should().Be("authorizationContext");
+        }
     }
 }
\ No newline at end of file
@@ -282,5 +282,28 @@ namespace EmbyBeautifyPlugin.Tests
             // Assert
             Assert.Contains("box-shadow: var(--glow-effect);", css);
         }
+
+        [Fact]
+        public void GenerateThemeCss_WithUnsafeValues_EscapesOrSkipsThem()
+        {
+            // Arrange
+            var theme = CreateTestTheme();
+            theme.Name = "Test */ body { display: none } /*";
+            theme.Colors.Accent = "red; } body { display: none";
+            theme.Typography.FontFamily = "Inter; } body { x, sans-serif";
+            theme.CustomProperties["card-image"] = "url(https://example.com/track.png)";
+            theme.CustomProperties["--prefixed"] = "2px";
+
+            // Act
+            var css = ThemeCssGenerator.GenerateThemeCss(theme);
+
+            // Assert
+            Assert.Contains("/* Theme: Test * / body { display: none } /* v1.0.0 */", css);
+            Assert.DoesNotContain("--accent-color:", css);
+            Assert.Contains("--font-family: \"Inter  body  x\", sans-serif;", css);
+            Assert.DoesNotContain("--card-image", css);
+            Assert.Contains("  --prefixed: 2px;", css);
+            Assert.DoesNotContain("----prefixed", css);
+        }
     }
 }
\ No newline at end of file
@@ -145,6 +145,44 @@ namespace EmbyBeautifyPlugin.Tests
             Assert.Equal("Updated Theme", registeredTheme.Name);
         }
 
+        [Fact]
+        public async Task SaveThemeAsync_WithBuiltInThemeId_ThrowsInvalidOperationException()
+        {
+            // Arrange
+            var theme = CreateValidTheme("default-dark");
+
+            // Act & Assert
+            await Assert.ThrowsAsync<InvalidOperationException>(() =>
+                _themeManager.SaveThemeAsync(theme));
+        }
+
+        [Theory]
+        [InlineData("../escape")]
+        [InlineData("my theme")]
+        public async Task SaveThemeAsync_WithUnsafeThemeId_ThrowsArgumentException(string themeId)
+        {
+            // Arrange
+            var theme = CreateValidTheme(themeId);
+
+            // Act & Assert
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _themeManager.SaveThemeAsync(theme));
+        }
+
+        [Fact]
+        public async Task SaveThemeAsync_WithInvalidTheme_ReturnsFalse()
+        {
+            // Arrange
+            var theme = CreateValidTheme("imported-theme");
+            theme.Colors.Primary = "not-a-color";
+
+            // Act
+            var result = await _themeManager.SaveThemeAsync(theme);
+
+            // Assert
+            Assert.False(result);
+        }
+
         [Fact]
         public async Task SetActiveThemeAsync_WithValidThemeId_SetsActiveTheme()
         {
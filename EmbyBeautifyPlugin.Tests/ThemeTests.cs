@@ -189,5 +189,37 @@ namespace EmbyBeautifyPlugin.Tests
             // Assert
             Assert.Contains(errors, e => e.Contains("BorderRadius is not a valid CSS length value"));
         }
+
+        [Fact]
+        public void Theme_Validate_WithUnsafeCustomProperties_ReturnsErrors()
+        {
+            // Arrange
+            var theme = new Theme
+            {
+                Id = "test",
+                Name = "Test",
+                Version = "1.0.0",
+                Colors = new ThemeColors
+                {
+                    Primary = "#007acc",
+                    Background = "#ffffff",
+                    Text = "#000000"
+                },
+                CustomProperties = new Dictionary<string, string>
+                {
+                    { "--glow-effect", "0 0 20px rgba(0, 123, 255, 0.3)" },
+                    { "card-image", "url(https://example.com/track.png)" },
+                    { "x; } body { display: none", "red" }
+                }
+            };
+
+            // Act
+            var errors = theme.Validate();
+
+            // Assert
+            Assert.Equal(2, errors.Count);
+            Assert.Contains(errors, e => e.Contains("Custom property 'card-image'"));
+            Assert.Contains(errors, e => e.Contains("Custom property name 'x; } body { display: none'"));
+        }
     }
 }
\ No newline at end of file
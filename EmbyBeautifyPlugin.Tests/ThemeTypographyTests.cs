@@ -1,4 +1,5 @@
 using EmbyBeautifyPlugin.Models;
+using System.Collections.Generic;
 using Xunit;
 
 namespace EmbyBeautifyPlugin.Tests
@@ -184,5 +185,120 @@ namespace EmbyBeautifyPlugin.Tests
             // Assert
             Assert.Empty(errors);
         }
+    
+
+        [Theory]
+        [InlineData("swap")]
+        [InlineData("optional")]
+        [InlineData("FALLBACK")]
+        public void ThemeTypography_Validate_WithValidFontDisplay_ReturnsNoErrors(string fontDisplay)
+        {
+            // Arrange
+            var typography = new ThemeTypography
+            {
+                FontDisplay = fontDisplay
+            };
+
+            // Act
+            var errors = typography.Validate();
+
+            // Assert
+            Assert.Empty(errors);
+        }
+
+        [Fact]
+        public void ThemeTypography_Validate_WithInvalidFontDisplay_ReturnsError()
+        {
+            // Arrange
+            var typography = new ThemeTypography
+            {
+                FontDisplay = "instant"
+            };
+
+            // Act
+            var errors = typography.Validate();
+
+            // Assert
+            Assert.Contains(errors, e => e.Contains("FontDisplay must be one of"));
+        }
+
+        [Fact]
+        public void ThemeTypography_Validate_WithValidFontFaces_ReturnsNoErrors()
+        {
+            // Arrange
+            var typography = new ThemeTypography
+            {
+                FontFamily = "'Inter', sans-serif",
+                FontFaces = new List<ThemeFontFace>
+                {
+                    new ThemeFontFace { Family = "Inter", Source = "Inter-Variable.woff2", Weight = "100 900" },
+                    new ThemeFontFace { Family = "Noto Sans SC", Source = "NotoSansSC.otf", Style = "normal", UnicodeRange = "U+4E00-9FFF, U+3000-303F" }
+                }
+            };
+
+            // Act
+            var errors = typography.Validate();
+
+            // Assert
+            Assert.Empty(errors);
+        }
+
+        [Theory]
+        [InlineData("../Inter.woff2")]
+        [InlineData("fonts/Inter.woff2")]
+        [InlineData("Inter.svg")]
+        [InlineData("https://example.com/Inter.woff2")]
+        public void ThemeTypography_Validate_WithInvalidFontSource_ReturnsError(string source)
+        {
+            // Arrange
+            var typography = new ThemeTypography
+            {
+                FontFaces = new List<ThemeFontFace>
+                {
+                    new ThemeFontFace { Family = "Inter", Source = source }
+                }
+            };
+
+            // Act
+            var errors = typography.Validate();
+
+            // Assert
+            Assert.Contains(errors, e => e.Contains("Font face Source"));
+        }
+
+        [Fact]
+        public void ThemeTypography_Validate_WithInvalidFontFaceFamily_ReturnsError()
+        {
+            // Arrange
+            var typography = new ThemeTypography
+            {
+                FontFaces = new List<ThemeFontFace>
+                {
+                    new ThemeFontFace { Family = "Inter\"; } body { color: red", Source = "Inter.woff2" }
+                }
+            };
+
+            // Act
+            var errors = typography.Validate();
+
+            // Assert
+            Assert.Contains(errors, e => e.Contains("Font face Family contains invalid characters"));
+        }
+
+        [Theory]
+        [InlineData("Arial; } body { display: none")]
+        [InlineData("'Inter', url(https://example.com/x.woff2)")]
+        [InlineData("\"Inter")]
+        public void ThemeTypography_Validate_WithInvalidFontFamily_ReturnsError(string fontFamily)
+        {
+            // Arrange
+            var typography = new ThemeTypography { FontFamily = fontFamily };
+
+            // Act
+            var errors = typography.Validate();
+
+            // Assert
+            Assert.Contains(errors, e => e.Contains("FontFamily must be a comma-separated list"));
+        }
     }
-}
\ No newline at end of file
+}
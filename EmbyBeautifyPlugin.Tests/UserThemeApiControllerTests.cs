@@ -0,0 +1,407 @@
+using EmbyBeautifyPlugin.Controllers;
+using EmbyBeautifyPlugin.Interfaces;
+using EmbyBeautifyPlugin.Models;
+using EmbyBeautifyPlugin.Services;
+using FluentAssertions;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Net;
+using MediaBrowser.Model.Logging;
+using MediaBrowser.Model.Services;
+using MediaBrowser.Model.Users;
+using Moq;
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Xunit;
+
+namespace EmbyBeautifyPlugin.Tests
+{
+    /// <summary>
+    /// 用户主题API控制器的单元测试
+    /// </summary>
+    public class UserThemeApiControllerTests
+    {
+        private readonly Mock<IThemeManager> _mockThemeManager;
+        private readonly Mock<IConfigurationManager> _mockConfigurationManager;
+        private readonly Mock<IAuthorizationContext> _mockAuthorizationContext;
+        private readonly Mock<ILogManager> _mockLogManager;
+        private readonly Mock<ILogger> _mockLogger;
+        private readonly BeautifyConfig _config;
+        private readonly ThemeChangeNotifier _changes;
+        private readonly UserThemeApiController _controller;
+
+        public UserThemeApiControllerTests()
+        {
+            _mockThemeManager = new Mock<IThemeManager>();
+            _mockConfigurationManager = new Mock<IConfigurationManager>();
+            _mockAuthorizationContext = new Mock<IAuthorizationContext>();
+            _mockLogManager = new Mock<ILogManager>();
+            _mockLogger = new Mock<ILogger>();
+            _config = new BeautifyConfig();
+            _changes = new ThemeChangeNotifier();
+
+            _mockLogManager.Setup(x => x.GetLogger(It.IsAny<string>())).Returns(_mockLogger.Object);
+            _mockConfigurationManager.Setup(x => x.GetConfigurationAsync()).ReturnsAsync(_config);
+            _mockThemeManager.Setup(x => x.Changes).Returns(_changes);
+            SetCurrentUser("user-1", isAdministrator: false);
+
+            _controller = new UserThemeApiController(
+                _mockThemeManager.Object, _mockConfigurationManager.Object, _mockAuthorizationContext.Object, _mockLogManager.Object)
+            {
+                Request = new Mock<IRequest>().Object
+            };
+        }
+
+        private void SetCurrentUser(string userId, bool isAdministrator)
+        {
+            _mockAuthorizationContext
+                .Setup(x => x.GetAuthorizationInfo(It.IsAny<IRequest>()))
+                .Returns(new AuthorizationInfo
+                {
+                    UserId = userId,
+                    User = new User { Policy = new UserPolicy { IsAdministrator = isAdministrator } }
+                });
+        }
+
+        [Fact]
+        public async Task Get_GetUserThemeRequest_NoPreference_ReturnsActiveTheme()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+
+            var request = new GetUserThemeRequest { UserId = "user-1" };
+
+            // Act
+            var result = await _controller.Get(request);
+
+            // Assert
+            var response = result as UserThemeResponse;
+            response.Should().NotBeNull();
+            response.ThemeId.Should().Be(activeTheme.Id);
+            response.IsUserSpecific.Should().BeFalse();
+            response.ETag.Should().Be(ThemeApiController.ComputeThemeETag(activeTheme));
+        }
+
+        [Fact]
+        public async Task Get_GetUserThemeRequest_WithPreference_ReturnsUserTheme()
+        {
+            // Arrange
+            var themes = TestConfiguration.GetSampleThemes();
+            var userTheme = themes[1];
+            _config.UserThemes["user-1"] = new UserThemePreference
+            {
+                ThemeId = userTheme.Id,
+                Overrides = new Dictionary<string, string> { ["primary-color"] = "#ff0000" }
+            };
+            _mockThemeManager
+                .Setup(x => x.GetThemeByIdAsync(userTheme.Id))
+                .ReturnsAsync(userTheme);
+
+            var request = new GetUserThemeRequest { UserId = "user-1" };
+
+            // Act
+            var result = await _controller.Get(request);
+
+            // Assert
+            var response = result as UserThemeResponse;
+            response.Should().NotBeNull();
+            response.ThemeId.Should().Be(userTheme.Id);
+            response.IsUserSpecific.Should().BeTrue();
+            response.Overrides.Should().ContainKey("primary-color");
+            response.ETag.Should().NotBe(ThemeApiController.ComputeThemeETag(userTheme));
+
+            _mockThemeManager.Verify(x => x.GetActiveThemeAsync(), Times.Never);
+        }
+
+        [Fact]
+        public async Task Get_GetUserThemeRequest_EmptyUserId_ThrowsArgumentException()
+        {
+            // Arrange
+            var request = new GetUserThemeRequest { UserId = "" };
+
+            // Act & Assert
+            var exception = await Assert.ThrowsAsync<ArgumentException>(
+                () => _controller.Get(request));
+
+            exception.Message.Should().Contain("用户ID不能为空");
+        }
+
+        [Fact]
+        public async Task Post_SetUserThemeRequest_ValidTheme_SavesPreference()
+        {
+            // Arrange
+            var theme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetThemeByIdAsync(theme.Id))
+                .ReturnsAsync(theme);
+
+            var request = new SetUserThemeRequest
+            {
+                UserId = "user-1",
+                ThemeId = theme.Id,
+                Overrides = new Dictionary<string, string> { ["accent-color"] = "#00ff00" }
+            };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SetUserThemeResponse;
+            response.Should().NotBeNull();
+            response.Success.Should().BeTrue();
+            response.Theme.ThemeId.Should().Be(theme.Id);
+            _config.UserThemes["user-1"].ThemeId.Should().Be(theme.Id);
+            _config.UserThemes["user-1"].Overrides["accent-color"].Should().Be("#00ff00");
+
+            _mockConfigurationManager.Verify(x => x.SaveConfigurationAsync(_config), Times.Once);
+        }
+
+        [Fact]
+        public async Task Post_SetUserThemeRequest_EmptyThemeAndOverrides_ClearsPreference()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _config.UserThemes["user-1"] = new UserThemePreference { ThemeId = "old-theme" };
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+
+            var request = new SetUserThemeRequest { UserId = "user-1" };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SetUserThemeResponse;
+            response.Success.Should().BeTrue();
+            response.Theme.IsUserSpecific.Should().BeFalse();
+            _config.UserThemes.Should().NotContainKey("user-1");
+        }
+
+        [Fact]
+        public async Task Post_SetUserThemeRequest_UnknownTheme_ReturnsFailureResponse()
+        {
+            // Arrange
+            _mockThemeManager
+                .Setup(x => x.GetThemeByIdAsync("missing"))
+                .ReturnsAsync((Theme)null);
+
+            var request = new SetUserThemeRequest { UserId = "user-1", ThemeId = "missing" };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SetUserThemeResponse;
+            response.Success.Should().BeFalse();
+            response.Message.Should().Contain("未找到ID为 'missing' 的主题");
+            _mockConfigurationManager.Verify(x => x.SaveConfigurationAsync(It.IsAny<BeautifyConfig>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task Post_SetUserThemeRequest_UnsafeOverrideValue_ReturnsFailureResponse()
+        {
+            // Arrange
+            var request = new SetUserThemeRequest
+            {
+                UserId = "user-1",
+                Overrides = new Dictionary<string, string> { ["primary-color"] = "red; } body { display: none" }
+            };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SetUserThemeResponse;
+            response.Success.Should().BeFalse();
+            response.Message.Should().Contain("primary-color");
+            _mockConfigurationManager.Verify(x => x.SaveConfigurationAsync(It.IsAny<BeautifyConfig>()), Times.Never);
+        }
+
+        [Theory]
+        [InlineData("url(https://example.com/track.png)")]
+        [InlineData("expression(alert(1))")]
+        public async Task Post_SetUserThemeRequest_ExternalReferenceOverrideValue_ReturnsFailureResponse(string value)
+        {
+            // Arrange
+            var request = new SetUserThemeRequest
+            {
+                UserId = "user-1",
+                Overrides = new Dictionary<string, string> { ["background-color"] = value }
+            };
+
+            // Act
+            var result = await _controller.Post(request);
+
+            // Assert
+            var response = result as SetUserThemeResponse;
+            response.Success.Should().BeFalse();
+            response.Message.Should().Contain("background-color");
+            _mockConfigurationManager.Verify(x => x.SaveConfigurationAsync(It.IsAny<BeautifyConfig>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task Get_WaitForUserThemeChangeRequest_StaleETag_ReturnsChangedImmediately()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+
+            var request = new WaitForUserThemeChangeRequest { UserId = "user-1", ETag = "stale-etag", Timeout = 5 };
+
+            // Act
+            var result = await _controller.Get(request);
+
+            // Assert
+            var response = result as UserThemeResponse;
+            response.Should().NotBeNull();
+            response.Changed.Should().BeTrue();
+            response.UserId.Should().Be("user-1");
+        }
+
+        [Fact]
+        public async Task Get_WaitForUserThemeChangeRequest_UserThemeSet_ReturnsChangedWithoutReloadingConfiguration()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            var userTheme = TestConfiguration.GetSampleTheme();
+            userTheme.Id = "user-theme";
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+            _mockThemeManager
+                .Setup(x => x.GetThemeByIdAsync(userTheme.Id))
+                .ReturnsAsync(userTheme);
+
+            var current = (UserThemeResponse)await _controller.Get(new GetUserThemeRequest { UserId = "user-1" });
+            var request = new WaitForUserThemeChangeRequest { UserId = "user-1", ETag = current.ETag, Timeout = 30 };
+
+            // Act
+            var pending = _controller.Get(request);
+            await _controller.Post(new SetUserThemeRequest { UserId = "user-1", ThemeId = userTheme.Id });
+            var completed = await Task.WhenAny(pending, Task.Delay(TimeSpan.FromSeconds(5)));
+
+            // Assert
+            completed.Should().BeSameAs(pending);
+            var response = await pending as UserThemeResponse;
+            response.Changed.Should().BeTrue();
+            response.ThemeId.Should().Be(userTheme.Id);
+            response.IsUserSpecific.Should().BeTrue();
+            _mockConfigurationManager.Verify(x => x.LoadConfigurationAsync(), Times.Never);
+        }
+
+        [Fact]
+        public async Task Get_WaitForUserThemeChangeRequest_CurrentETag_ReturnsUnchangedAfterTimeout()
+        {
+            // Arrange
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+
+            var current = (UserThemeResponse)await _controller.Get(new GetUserThemeRequest { UserId = "user-1" });
+            var request = new WaitForUserThemeChangeRequest { UserId = "user-1", ETag = current.ETag, Timeout = 1 };
+
+            // Act
+            var result = await _controller.Get(request);
+
+            // Assert
+            var response = result as UserThemeResponse;
+            response.Changed.Should().BeFalse();
+            response.ETag.Should().Be(current.ETag);
+        }
+
+        [Fact]
+        public async Task Get_GetUserThemeRequest_OtherUser_ThrowsUnauthorizedAccessException()
+        {
+            // Arrange
+            var request = new GetUserThemeRequest { UserId = "user-2" };
+
+            // Act & Assert
+            await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _controller.Get(request));
+            _mockConfigurationManager.Verify(x => x.GetConfigurationAsync(), Times.Never);
+        }
+
+        [Fact]
+        public async Task Get_GetUserThemeRequest_Administrator_ReturnsOtherUsersTheme()
+        {
+            // Arrange
+            SetCurrentUser("admin", isAdministrator: true);
+            var activeTheme = TestConfiguration.GetSampleTheme();
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(activeTheme);
+
+            // Act
+            var result = await _controller.Get(new GetUserThemeRequest { UserId = "user-2" });
+
+            // Assert
+            var response = result as UserThemeResponse;
+            response.UserId.Should().Be("user-2");
+            response.ThemeId.Should().Be(activeTheme.Id);
+        }
+
+        [Fact]
+        public async Task Get_GetUserThemeRequest_SameUserInOtherGuidFormat_ReturnsUserTheme()
+        {
+            // Arrange
+            var userId = Guid.NewGuid();
+            SetCurrentUser(userId.ToString("N"), isAdministrator: false);
+            _mockThemeManager
+                .Setup(x => x.GetActiveThemeAsync())
+                .ReturnsAsync(TestConfiguration.GetSampleTheme());
+
+            // Act
+            var result = await _controller.Get(new GetUserThemeRequest { UserId = userId.ToString("D") });
+
+            // Assert
+            result.Should().BeOfType<UserThemeResponse>();
+        }
+
+        [Fact]
+        public async Task Post_SetUserThemeRequest_OtherUser_ThrowsUnauthorizedAccessException()
+        {
+            // Arrange
+            var request = new SetUserThemeRequest { UserId = "user-2", ThemeId = "default" };
+
+            // Act & Assert
+            await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _controller.Post(request));
+            _mockConfigurationManager.Verify(x => x.SaveConfigurationAsync(It.IsAny<BeautifyConfig>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task Get_WaitForUserThemeChangeRequest_OtherUser_ThrowsUnauthorizedAccessException()
+        {
+            // Arrange
+            var request = new WaitForUserThemeChangeRequest { UserId = "user-2", ETag = "stale-etag", Timeout = 1 };
+
+            // Act & Assert
+            await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _controller.Get(request));
+        }
+
+        [Fact]
+        public void Constructor_NullConfigurationManager_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            var exception = Assert.Throws<ArgumentNullException>(
+                () => new UserThemeApiController(_mockThemeManager.Object, null, _mockAuthorizationContext.Object, _mockLogManager.Object));
+
+            exception.ParamName.Should().Be("configurationManager");
+        }
+
+        [Fact]
+        public void Constructor_NullAuthorizationContext_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            var exception = Assert.Throws<ArgumentNullException>(
+                () => new UserThemeApiController(_mockThemeManager.Object, _mockConfigurationManager.Object, null, _mockLogManager.Object));
+
+            exception.ParamName.Should().Be("authorizationContext");
+        }
+    }
+}
@@ -13,6 +13,7 @@ namespace EmbyBeautifyPlugin.Abstracts
     {
         protected readonly ILogger<BaseConfigurationManager> _logger;
         protected BeautifyConfig _currentConfig;
+        private bool _configLoaded;
 
         protected BaseConfigurationManager(ILogger<BaseConfigurationManager> logger)
         {
@@ -25,6 +26,19 @@ namespace EmbyBeautifyPlugin.Abstracts
         /// </summary>
         public abstract Task<BeautifyConfig> LoadConfigurationAsync();
 
+        /// <summary>
+        /// Get the configuration kept in memory, loading it from storage only on first use
+        /// </summary>
+        public virtual async Task<BeautifyConfig> GetConfigurationAsync()
+        {
+            if (!_configLoaded)
+            {
+                return await LoadConfigurationAsync();
+            }
+
+            return GetCurrentConfig();
+        }
+
         /// <summary>
         /// Save configuration to storage
         /// </summary>
@@ -79,6 +93,7 @@ namespace EmbyBeautifyPlugin.Abstracts
         protected virtual void UpdateCurrentConfig(BeautifyConfig config)
         {
             _currentConfig = config ?? throw new ArgumentNullException(nameof(config));
+            _configLoaded = true;
         }
     }
 }
\ No newline at end of file
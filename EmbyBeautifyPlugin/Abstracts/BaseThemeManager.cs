@@ -1,5 +1,6 @@
 using EmbyBeautifyPlugin.Interfaces;
 using EmbyBeautifyPlugin.Models;
+using EmbyBeautifyPlugin.Services;
 using Microsoft.Extensions.Logging;
 using System;
 using System.Collections.Generic;
@@ -19,8 +20,14 @@ namespace EmbyBeautifyPlugin.Abstracts
         {
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
             _themes = new List<Theme>();
+            Changes = new ThemeChangeNotifier();
         }
 
+        /// <summary>
+        /// Signals theme changes to waiting clients
+        /// </summary>
+        public ThemeChangeNotifier Changes { get; }
+
         /// <summary>
         /// Get all available themes
         /// </summary>
@@ -58,6 +65,11 @@ namespace EmbyBeautifyPlugin.Abstracts
         /// </summary>
         public abstract Task<string> GenerateThemeCssAsync(Theme theme);
 
+        /// <summary>
+        /// Save a custom theme
+        /// </summary>
+        public abstract Task<bool> SaveThemeAsync(Theme theme);
+
         /// <summary>
         /// Register a theme with the manager
         /// </summary>
@@ -0,0 +1,131 @@
+using EmbyBeautifyPlugin.Services;
+using MediaBrowser.Controller.Net;
+using MediaBrowser.Model.Logging;
+using MediaBrowser.Model.Services;
+using System;
+using System.Collections.Generic;
+using System.IO;
+
+namespace EmbyBeautifyPlugin.Controllers
+{
+    /// <summary>
+    /// API控制器，用于提供主题使用的 Web 字体文件
+    /// 字体文件放在插件的 fonts 目录中，主题通过 Typography.FontFaces 按文件名引用
+    /// </summary>
+    [Route("/emby-beautify/fonts", "GET", Summary = "获取可用字体文件列表")]
+    [Route("/emby-beautify/fonts/{FileName}", "GET", Summary = "获取字体文件")]
+    public class FontApiController : IService, IRequiresRequest
+    {
+        /// <summary>
+        /// 字体文件的缓存时间（秒）
+        /// </summary>
+        private const int FontCacheSeconds = 86400;
+
+        private readonly IHttpResultFactory _resultFactory;
+        private readonly FontFileProvider _fontFileProvider;
+        private readonly ILogger _logger;
+
+        public FontApiController(IHttpResultFactory resultFactory, ILogManager logManager)
+            : this(resultFactory, logManager, new FontFileProvider())
+        {
+        }
+
+        public FontApiController(IHttpResultFactory resultFactory, ILogManager logManager, FontFileProvider fontFileProvider)
+        {
+            _resultFactory = resultFactory ?? throw new ArgumentNullException(nameof(resultFactory));
+            _fontFileProvider = fontFileProvider ?? throw new ArgumentNullException(nameof(fontFileProvider));
+            _logger = logManager?.GetLogger(GetType().Name) ?? throw new ArgumentNullException(nameof(logManager));
+        }
+
+        /// <summary>
+        /// 当前请求，由 Emby 注入
+        /// </summary>
+        public IRequest Request { get; set; }
+
+        /// <summary>
+        /// 获取可用字体文件列表
+        /// </summary>
+        /// <param name="request">请求参数</param>
+        /// <returns>字体文件列表</returns>
+        public object Get(GetFontsRequest request)
+        {
+            try
+            {
+                var fonts = _fontFileProvider.GetFontFiles();
+
+                _logger.Debug("成功获取字体文件列表，共 {0} 个", fonts.Count);
+                return new GetFontsResponse
+                {
+                    Fonts = fonts,
+                    Count = fonts.Count
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.ErrorException("获取字体文件列表失败", ex);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// 获取字体文件
+        /// 浏览器通过 @font-face 加载字体时不会附带访问令牌，因此该接口不要求登录
+        /// </summary>
+        /// <param name="request">请求参数</param>
+        /// <returns>字体文件内容</returns>
+        public object Get(GetFontFileRequest request)
+        {
+            try
+            {
+                var path = _fontFileProvider.GetFontPath(request.FileName);
+                if (path == null)
+                {
+                    throw new FileNotFoundException($"未找到字体文件 '{request.FileName}'");
+                }
+
+                var headers = new Dictionary<string, string>
+                {
+                    { "Cache-Control", $"public, max-age={FontCacheSeconds}" },
+                    { "Access-Control-Allow-Origin", "*" }
+                };
+
+                _logger.Debug("提供字体文件: {0}", request.FileName);
+                return _resultFactory.GetResult(Request, File.ReadAllBytes(path), FontFileProvider.GetContentType(path), headers);
+            }
+            catch (Exception ex)
+            {
+                _logger.ErrorException($"获取字体文件 '{request.FileName}' 失败", ex);
+                throw;
+            }
+        }
+    }
+
+    #region Request/Response Models
+
+    /// <summary>
+    /// 获取字体文件列表请求
+    /// </summary>
+    public class GetFontsRequest
+    {
+        // 空请求类，用于路由匹配
+    }
+
+    /// <summary>
+    /// 获取字体文件列表响应
+    /// </summary>
+    public class GetFontsResponse
+    {
+        public List<FontFileInfo> Fonts { get; set; }
+        public int Count { get; set; }
+    }
+
+    /// <summary>
+    /// 获取字体文件请求
+    /// </summary>
+    public class GetFontFileRequest
+    {
+        public string FileName { get; set; }
+    }
+
+    #endregion
+}
@@ -1,33 +1,58 @@
 using EmbyBeautifyPlugin.Interfaces;
 using EmbyBeautifyPlugin.Models;
+using EmbyBeautifyPlugin.Services;
 using MediaBrowser.Controller.Net;
 using MediaBrowser.Model.Logging;
 using MediaBrowser.Model.Services;
 using System;
 using System.Collections.Generic;
+using System.Linq;
+using System.Security.Cryptography;
+using System.Text;
 using System.Threading.Tasks;
 
 namespace EmbyBeautifyPlugin.Controllers
 {
     /// <summary>
     /// API控制器，用于管理主题相关的操作
+    /// 保存自定义主题会写入插件的主题目录，只有管理员可以调用
     /// </summary>
     [Route("/emby-beautify/themes", "GET", Summary = "获取所有可用主题")]
+    [Route("/emby-beautify/themes", "POST", Summary = "保存自定义主题")]
     [Route("/emby-beautify/themes/{ThemeId}", "GET", Summary = "获取指定主题")]
     [Route("/emby-beautify/themes/active", "GET", Summary = "获取当前活动主题")]
     [Route("/emby-beautify/themes/active", "POST", Summary = "设置活动主题")]
     [Route("/emby-beautify/themes/{ThemeId}/css", "GET", Summary = "获取主题CSS")]
-    public class ThemeApiController : IService
+    [Route("/emby-beautify/themes/active/version", "GET", Summary = "获取当前活动主题版本标识")]
+    [Route("/emby-beautify/themes/active/changes", "GET", Summary = "等待活动主题变更（长轮询）")]
+    public class ThemeApiController : IService, IRequiresRequest
     {
+        /// <summary>
+        /// 长轮询默认等待时间（秒）
+        /// </summary>
+        private const int DefaultChangeWaitSeconds = 25;
+
+        /// <summary>
+        /// 长轮询最大等待时间（秒）
+        /// </summary>
+        private const int MaxChangeWaitSeconds = 60;
+
         private readonly IThemeManager _themeManager;
+        private readonly IAuthorizationContext _authorizationContext;
         private readonly ILogger _logger;
 
-        public ThemeApiController(IThemeManager themeManager, ILogManager logManager)
+        public ThemeApiController(IThemeManager themeManager, IAuthorizationContext authorizationContext, ILogManager logManager)
         {
             _themeManager = themeManager ?? throw new ArgumentNullException(nameof(themeManager));
+            _authorizationContext = authorizationContext ?? throw new ArgumentNullException(nameof(authorizationContext));
             _logger = logManager?.GetLogger(GetType().Name) ?? throw new ArgumentNullException(nameof(logManager));
         }
 
+        /// <summary>
+        /// 当前请求，由 Emby 注入
+        /// </summary>
+        public IRequest Request { get; set; }
+
         /// <summary>
         /// 获取所有可用主题列表
         /// </summary>
@@ -161,6 +186,71 @@ namespace EmbyBeautifyPlugin.Controllers
             }
         }
 
+        /// <summary>
+        /// 保存自定义主题
+        /// 用于保存在浏览器中导入或编辑的主题，相同ID的自定义主题会被替换
+        /// </summary>
+        /// <param name="request">请求参数</param>
+        /// <returns>操作结果，校验失败时包含错误列表</returns>
+        /// <exception cref="UnauthorizedAccessException">当前用户不是管理员时抛出</exception>
+        public async Task<object> Post(SaveThemeRequest request)
+        {
+            var theme = request?.Theme;
+
+            try
+            {
+                _logger.Debug("开始保存自定义主题: {0}", theme?.Id);
+
+                EnsureAdministrator();
+
+                if (theme == null)
+                {
+                    throw new ArgumentException("主题不能为空", nameof(request.Theme));
+                }
+
+                var errors = theme.Validate();
+                if (errors.Count > 0)
+                {
+                    return new SaveThemeResponse
+                    {
+                        Success = false,
+                        Message = "主题校验失败",
+                        ValidationErrors = errors
+                    };
+                }
+
+                if (!await _themeManager.SaveThemeAsync(theme))
+                {
+                    throw new InvalidOperationException("主题未通过校验");
+                }
+
+                _logger.Info("成功保存自定义主题: {0}", theme.Id);
+                return new SaveThemeResponse
+                {
+                    Success = true,
+                    Message = $"主题 '{theme.Name}' 已保存",
+                    Theme = theme,
+                    ValidationErrors = new List<string>()
+                };
+            }
+            catch (UnauthorizedAccessException ex)
+            {
+                _logger.Warn("拒绝保存自定义主题 '{0}': {1}", theme?.Id, ex.Message);
+                throw;
+            }
+            catch (Exception ex)
+            {
+                _logger.ErrorException($"保存自定义主题 '{theme?.Id}' 失败", ex);
+
+                return new SaveThemeResponse
+                {
+                    Success = false,
+                    Message = $"保存主题失败: {ex.Message}",
+                    ValidationErrors = new List<string>()
+                };
+            }
+        }
+
         /// <summary>
         /// 获取主题的CSS样式
         /// </summary>
@@ -191,6 +281,7 @@ namespace EmbyBeautifyPlugin.Controllers
                 {
                     ThemeId = request.ThemeId,
                     Css = css,
+                    Theme = theme,
                     GeneratedAt = DateTime.UtcNow
                 };
 
@@ -203,6 +294,185 @@ namespace EmbyBeautifyPlugin.Controllers
                 throw;
             }
         }
+
+        /// <summary>
+        /// 获取当前活动主题的版本标识
+        /// 客户端通过比较 ETag 判断是否需要重新应用主题
+        /// </summary>
+        /// <param name="request">请求参数</param>
+        /// <returns>主题版本信息</returns>
+        public async Task<object> Get(GetActiveThemeVersionRequest request)
+        {
+            try
+            {
+                var activeTheme = await _themeManager.GetActiveThemeAsync();
+
+                if (activeTheme == null)
+                {
+                    throw new InvalidOperationException("未找到活动主题");
+                }
+
+                return CreateVersionResponse(activeTheme, true, await GetThemeETagAsync(activeTheme, request.Variants));
+            }
+            catch (Exception ex)
+            {
+                _logger.ErrorException("获取活动主题版本失败", ex);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// 等待活动主题变更
+        /// 当活动主题的 ETag 与客户端提供的不一致时立即返回，否则等待主题管理器的变更通知直到超时
+        /// </summary>
+        /// <param name="request">请求参数</param>
+        /// <returns>主题版本信息，Changed 表示是否发生变更</returns>
+        public async Task<object> Get(WaitForThemeChangeRequest request)
+        {
+            try
+            {
+                var waitSeconds = request.Timeout > 0
+                    ? Math.Min(request.Timeout, MaxChangeWaitSeconds)
+                    : DefaultChangeWaitSeconds;
+                var deadline = DateTime.UtcNow.AddSeconds(waitSeconds);
+
+                while (true)
+                {
+                    // 先取得变更信号再比较 ETag，避免错过两者之间发生的变更
+                    var changed = _themeManager.Changes.Changed;
+                    var activeTheme = await _themeManager.GetActiveThemeAsync();
+
+                    if (activeTheme == null)
+                    {
+                        throw new InvalidOperationException("未找到活动主题");
+                    }
+
+                    var etag = await GetThemeETagAsync(activeTheme, request.Variants);
+                    if (!string.Equals(etag, request.ETag, StringComparison.Ordinal))
+                    {
+                        _logger.Debug("检测到活动主题变更: {0}", activeTheme.Id);
+                        return CreateVersionResponse(activeTheme, true, etag);
+                    }
+
+                    // 与活动主题和主题组合无关的变更不影响 ETag，继续等待到超时
+                    if (!await ThemeChangeNotifier.WaitAsync(changed, deadline - DateTime.UtcNow))
+                    {
+                        return CreateVersionResponse(activeTheme, false, etag);
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.ErrorException("等待活动主题变更失败", ex);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// 检查当前请求的用户是否为管理员
+        /// </summary>
+        /// <exception cref="UnauthorizedAccessException">未登录或不是管理员时抛出</exception>
+        private void EnsureAdministrator()
+        {
+            var authorization = Request != null ? _authorizationContext.GetAuthorizationInfo(Request) : null;
+
+            if (authorization?.User?.Policy?.IsAdministrator != true)
+            {
+                throw new UnauthorizedAccessException("只有管理员可以保存主题");
+            }
+        }
+
+        /// <summary>
+        /// 计算主题的 ETag
+        /// 基于主题的完整序列化内容，任何属性变化都会产生新的 ETag
+        /// </summary>
+        /// <param name="theme">主题对象</param>
+        /// <param name="overrides">用户覆盖的CSS变量，为空时与仅主题的 ETag 相同</param>
+        /// <param name="variants">客户端浅色/深色主题组合中的主题，其内容一并计入 ETag</param>
+        /// <returns>十六进制哈希字符串</returns>
+        public static string ComputeThemeETag(Theme theme, IDictionary<string, string> overrides = null,
+            IEnumerable<Theme> variants = null)
+        {
+            if (theme == null)
+                throw new ArgumentNullException(nameof(theme));
+
+            var json = System.Text.Json.JsonSerializer.Serialize(theme);
+            if (overrides != null && overrides.Count > 0)
+            {
+                json += System.Text.Json.JsonSerializer.Serialize(new SortedDictionary<string, string>(overrides));
+            }
+
+            if (variants != null)
+            {
+                foreach (var variant in variants.Where(v => v != null && v.Id != theme.Id).OrderBy(v => v.Id, StringComparer.Ordinal))
+                {
+                    json += System.Text.Json.JsonSerializer.Serialize(variant);
+                }
+            }
+
+            using var sha256 = SHA256.Create();
+            var hashBytes = sha256.ComputeHash(Encoding.UTF8.GetBytes(json));
+            return Convert.ToHexString(hashBytes).Substring(0, 16).ToLowerInvariant();
+        }
+
+        /// <summary>
+        /// 获取主题的 ETag
+        /// 结果缓存到下一次主题变更，避免每个请求都重新序列化主题
+        /// </summary>
+        /// <param name="theme">活动主题</param>
+        /// <param name="variants">以逗号分隔的主题组合ID</param>
+        private async Task<string> GetThemeETagAsync(Theme theme, string variants)
+        {
+            var variantThemes = await GetVariantThemesAsync(_themeManager, variants);
+            var key = "theme:" + theme.Id + "|" + string.Join(",", variantThemes.Select(v => v.Id));
+
+            return _themeManager.Changes.GetETag(key, () => ComputeThemeETag(theme, null, variantThemes));
+        }
+
+        /// <summary>
+        /// 解析客户端传入的主题组合
+        /// 未知的主题ID会被忽略
+        /// </summary>
+        /// <param name="themeManager">主题管理器</param>
+        /// <param name="variants">以逗号分隔的主题ID</param>
+        /// <returns>按ID排序、去重后的主题</returns>
+        public static async Task<List<Theme>> GetVariantThemesAsync(IThemeManager themeManager, string variants)
+        {
+            var themes = new List<Theme>();
+            if (string.IsNullOrWhiteSpace(variants))
+            {
+                return themes;
+            }
+
+            var ids = variants.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Distinct(StringComparer.Ordinal)
+                .OrderBy(id => id, StringComparer.Ordinal);
+
+            foreach (var id in ids)
+            {
+                var theme = await themeManager.GetThemeByIdAsync(id);
+                if (theme != null)
+                {
+                    themes.Add(theme);
+                }
+            }
+
+            return themes;
+        }
+
+        /// <summary>
+        /// 创建主题版本响应
+        /// </summary>
+        private static ThemeVersionResponse CreateVersionResponse(Theme theme, bool changed, string etag)
+        {
+            return new ThemeVersionResponse
+            {
+                ThemeId = theme.Id,
+                Version = theme.Version,
+                ETag = etag,
+                Changed = changed
+            };
+        }
     }
 
     #region Request/Response Models
@@ -258,6 +528,26 @@ namespace EmbyBeautifyPlugin.Controllers
         public Theme ActiveTheme { get; set; }
     }
 
+    /// <summary>
+    /// 保存自定义主题请求，只有管理员可以保存
+    /// </summary>
+    [Authenticated]
+    public class SaveThemeRequest
+    {
+        public Theme Theme { get; set; }
+    }
+
+    /// <summary>
+    /// 保存自定义主题响应
+    /// </summary>
+    public class SaveThemeResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public Theme Theme { get; set; }
+        public List<string> ValidationErrors { get; set; }
+    }
+
     /// <summary>
     /// 获取主题CSS请求
     /// </summary>
@@ -273,8 +563,58 @@ namespace EmbyBeautifyPlugin.Controllers
     {
         public string ThemeId { get; set; }
         public string Css { get; set; }
+
+        /// <summary>
+        /// 生成 CSS 的主题配置，客户端据此生成服务端不渲染的字号阶梯、交互、滚动和响应式样式，
+        /// 并按其中的 Typography.FontFaces 加载主题字体，无需再次获取主题
+        /// </summary>
+        public Theme Theme { get; set; }
+
         public DateTime GeneratedAt { get; set; }
     }
 
+    /// <summary>
+    /// 获取活动主题版本请求
+    /// </summary>
+    public class GetActiveThemeVersionRequest
+    {
+        /// <summary>
+        /// 客户端浅色/深色主题组合中的主题ID，以逗号分隔
+        /// </summary>
+        public string Variants { get; set; }
+    }
+
+    /// <summary>
+    /// 等待活动主题变更请求
+    /// </summary>
+    public class WaitForThemeChangeRequest
+    {
+        /// <summary>
+        /// 客户端当前持有的主题 ETag
+        /// </summary>
+        public string ETag { get; set; }
+
+        /// <summary>
+        /// 最长等待时间（秒）
+        /// </summary>
+        public int Timeout { get; set; }
+
+        /// <summary>
+        /// 客户端浅色/深色主题组合中的主题ID，以逗号分隔
+        /// </summary>
+        public string Variants { get; set; }
+    }
+
+    /// <summary>
+    /// 主题版本响应
+    /// </summary>
+    public class ThemeVersionResponse
+    {
+        public string ThemeId { get; set; }
+        public string Version { get; set; }
+        public string ETag { get; set; }
+        public bool Changed { get; set; }
+    }
+
     #endregion
 }
\ No newline at end of file
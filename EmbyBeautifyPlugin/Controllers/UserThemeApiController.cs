@@ -0,0 +1,371 @@
+using EmbyBeautifyPlugin.Interfaces;
+using EmbyBeautifyPlugin.Models;
+using EmbyBeautifyPlugin.Services;
+using MediaBrowser.Controller.Net;
+using MediaBrowser.Model.Logging;
+using MediaBrowser.Model.Services;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace EmbyBeautifyPlugin.Controllers
+{
+    /// <summary>
+    /// API控制器，用于管理每个用户的主题选择
+    /// 只有用户本人或管理员可以读取和修改用户主题
+    /// </summary>
+    [Route("/emby-beautify/users/{UserId}/theme", "GET", Summary = "获取用户主题")]
+    [Route("/emby-beautify/users/{UserId}/theme", "POST", Summary = "设置用户主题")]
+    [Route("/emby-beautify/users/{UserId}/theme/changes", "GET", Summary = "等待用户主题变更（长轮询）")]
+    public class UserThemeApiController : IService, IRequiresRequest
+    {
+        /// <summary>
+        /// 长轮询默认等待时间（秒）
+        /// </summary>
+        private const int DefaultChangeWaitSeconds = 25;
+
+        /// <summary>
+        /// 长轮询最大等待时间（秒）
+        /// </summary>
+        private const int MaxChangeWaitSeconds = 60;
+
+        private readonly IThemeManager _themeManager;
+        private readonly IConfigurationManager _configurationManager;
+        private readonly IAuthorizationContext _authorizationContext;
+        private readonly ILogger _logger;
+
+        public UserThemeApiController(IThemeManager themeManager, IConfigurationManager configurationManager,
+            IAuthorizationContext authorizationContext, ILogManager logManager)
+        {
+            _themeManager = themeManager ?? throw new ArgumentNullException(nameof(themeManager));
+            _configurationManager = configurationManager ?? throw new ArgumentNullException(nameof(configurationManager));
+            _authorizationContext = authorizationContext ?? throw new ArgumentNullException(nameof(authorizationContext));
+            _logger = logManager?.GetLogger(GetType().Name) ?? throw new ArgumentNullException(nameof(logManager));
+        }
+
+        /// <summary>
+        /// 当前请求，由 Emby 注入
+        /// </summary>
+        public IRequest Request { get; set; }
+
+        /// <summary>
+        /// 获取用户的主题
+        /// 用户未单独设置主题时回退到服务器的活动主题
+        /// </summary>
+        /// <param name="request">请求参数</param>
+        /// <returns>用户主题信息</returns>
+        public async Task<object> Get(GetUserThemeRequest request)
+        {
+            try
+            {
+                _logger.Debug("开始获取用户主题: {0}", request.UserId);
+
+                if (string.IsNullOrWhiteSpace(request.UserId))
+                {
+                    throw new ArgumentException("用户ID不能为空", nameof(request.UserId));
+                }
+
+                EnsureCanAccessUser(request.UserId);
+
+                return await ResolveUserThemeAsync(request.UserId, variants: request.Variants);
+            }
+            catch (Exception ex)
+            {
+                _logger.ErrorException($"获取用户 '{request.UserId}' 的主题失败", ex);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// 设置用户的主题和覆盖变量
+        /// ThemeId 为空且没有覆盖变量时清除用户设置，恢复使用服务器默认主题
+        /// </summary>
+        /// <param name="request">请求参数</param>
+        /// <returns>操作结果</returns>
+        public async Task<object> Post(SetUserThemeRequest request)
+        {
+            try
+            {
+                _logger.Debug("开始设置用户主题: {0} -> {1}", request.UserId, request.ThemeId);
+
+                if (string.IsNullOrWhiteSpace(request.UserId))
+                {
+                    throw new ArgumentException("用户ID不能为空", nameof(request.UserId));
+                }
+
+                EnsureCanAccessUser(request.UserId);
+
+                if (!string.IsNullOrWhiteSpace(request.ThemeId) &&
+                    await _themeManager.GetThemeByIdAsync(request.ThemeId) == null)
+                {
+                    throw new ArgumentException($"未找到ID为 '{request.ThemeId}' 的主题");
+                }
+
+                var overrides = request.Overrides ?? new Dictionary<string, string>();
+                foreach (var item in overrides)
+                {
+                    if (!CssValueSanitizer.IsPropertyName(item.Key) || !CssValueSanitizer.IsSafeValue(item.Value))
+                    {
+                        throw new ArgumentException($"无效的主题覆盖变量: '{item.Key}'");
+                    }
+                }
+
+                var config = await _configurationManager.GetConfigurationAsync();
+                config.UserThemes ??= new Dictionary<string, UserThemePreference>();
+
+                if (string.IsNullOrWhiteSpace(request.ThemeId) && overrides.Count == 0)
+                {
+                    config.UserThemes.Remove(request.UserId);
+                }
+                else
+                {
+                    config.UserThemes[request.UserId] = new UserThemePreference
+                    {
+                        ThemeId = string.IsNullOrWhiteSpace(request.ThemeId) ? null : request.ThemeId,
+                        Overrides = new Dictionary<string, string>(overrides),
+                        UpdatedAt = DateTime.UtcNow
+                    };
+                }
+
+                await _configurationManager.SaveConfigurationAsync(config);
+                _themeManager.Changes.NotifyChanged();
+
+                var userTheme = await ResolveUserThemeAsync(request.UserId, config, request.Variants);
+
+                _logger.Info("成功设置用户主题: {0} -> {1}", request.UserId, userTheme.ThemeId);
+                return new SetUserThemeResponse
+                {
+                    Success = true,
+                    Message = $"用户主题已设置为 '{userTheme.ThemeId}'",
+                    Theme = userTheme
+                };
+            }
+            catch (UnauthorizedAccessException ex)
+            {
+                _logger.Warn("拒绝设置用户 '{0}' 的主题: {1}", request.UserId, ex.Message);
+                throw;
+            }
+            catch (Exception ex)
+            {
+                _logger.ErrorException($"设置用户 '{request.UserId}' 的主题失败", ex);
+
+                return new SetUserThemeResponse
+                {
+                    Success = false,
+                    Message = $"设置用户主题失败: {ex.Message}",
+                    Theme = null
+                };
+            }
+        }
+
+        /// <summary>
+        /// 等待用户主题变更
+        /// 当用户主题的 ETag 与客户端提供的不一致时立即返回，否则等待主题或用户设置的变更通知直到超时
+        /// </summary>
+        /// <param name="request">请求参数</param>
+        /// <returns>用户主题信息，Changed 表示是否发生变更</returns>
+        public async Task<object> Get(WaitForUserThemeChangeRequest request)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(request.UserId))
+                {
+                    throw new ArgumentException("用户ID不能为空", nameof(request.UserId));
+                }
+
+                EnsureCanAccessUser(request.UserId);
+
+                var waitSeconds = request.Timeout > 0
+                    ? Math.Min(request.Timeout, MaxChangeWaitSeconds)
+                    : DefaultChangeWaitSeconds;
+                var deadline = DateTime.UtcNow.AddSeconds(waitSeconds);
+
+                while (true)
+                {
+                    // 先取得变更信号再比较 ETag，避免错过两者之间发生的变更
+                    var changed = _themeManager.Changes.Changed;
+                    var userTheme = await ResolveUserThemeAsync(request.UserId, variants: request.Variants);
+
+                    if (!string.Equals(userTheme.ETag, request.ETag, StringComparison.Ordinal))
+                    {
+                        _logger.Debug("检测到用户主题变更: {0}", request.UserId);
+                        return userTheme;
+                    }
+
+                    if (!await ThemeChangeNotifier.WaitAsync(changed, deadline - DateTime.UtcNow))
+                    {
+                        userTheme.Changed = false;
+                        return userTheme;
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.ErrorException($"等待用户 '{request.UserId}' 的主题变更失败", ex);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// 检查当前请求的用户是否可以访问指定用户的主题
+        /// 用户只能访问自己的主题，管理员可以访问所有用户的主题
+        /// </summary>
+        /// <exception cref="UnauthorizedAccessException">无权访问时抛出</exception>
+        private void EnsureCanAccessUser(string userId)
+        {
+            var authorization = Request != null ? _authorizationContext.GetAuthorizationInfo(Request) : null;
+
+            if (authorization?.User?.Policy?.IsAdministrator == true)
+            {
+                return;
+            }
+
+            if (authorization == null || !IsSameUser(authorization.UserId, userId))
+            {
+                throw new UnauthorizedAccessException("无权访问其他用户的主题");
+            }
+        }
+
+        /// <summary>
+        /// 比较两个用户ID，兼容带或不带连字符的 GUID 格式
+        /// </summary>
+        private static bool IsSameUser(string left, string right)
+        {
+            if (string.IsNullOrWhiteSpace(left) || string.IsNullOrWhiteSpace(right))
+            {
+                return false;
+            }
+
+            if (Guid.TryParse(left, out var leftId) && Guid.TryParse(right, out var rightId))
+            {
+                return leftId == rightId;
+            }
+
+            return string.Equals(left, right, StringComparison.OrdinalIgnoreCase);
+        }
+
+        /// <summary>
+        /// 解析用户实际使用的主题
+        /// 使用内存中的配置，ETag 缓存到下一次变更
+        /// </summary>
+        /// <param name="userId">用户ID</param>
+        /// <param name="config">已加载的配置，为空时使用内存中的配置</param>
+        /// <param name="variants">客户端浅色/深色主题组合中的主题ID，以逗号分隔，一并计入 ETag</param>
+        private async Task<UserThemeResponse> ResolveUserThemeAsync(string userId, BeautifyConfig config = null, string variants = null)
+        {
+            config ??= await _configurationManager.GetConfigurationAsync();
+
+            UserThemePreference preference = null;
+            config.UserThemes?.TryGetValue(userId, out preference);
+
+            Theme theme = null;
+            if (!string.IsNullOrWhiteSpace(preference?.ThemeId))
+            {
+                theme = await _themeManager.GetThemeByIdAsync(preference.ThemeId);
+            }
+
+            var isUserSpecific = theme != null;
+            theme ??= await _themeManager.GetActiveThemeAsync();
+
+            if (theme == null)
+            {
+                throw new InvalidOperationException("未找到活动主题");
+            }
+
+            var overrides = preference?.Overrides ?? new Dictionary<string, string>();
+            var variantThemes = await ThemeApiController.GetVariantThemesAsync(_themeManager, variants);
+            var etagKey = "user:" + userId + "|" + string.Join(",", variantThemes.Select(v => v.Id));
+
+            return new UserThemeResponse
+            {
+                UserId = userId,
+                ThemeId = theme.Id,
+                Version = theme.Version,
+                ETag = _themeManager.Changes.GetETag(etagKey,
+                    () => ThemeApiController.ComputeThemeETag(theme, overrides, variantThemes)),
+                Changed = true,
+                IsUserSpecific = isUserSpecific,
+                Overrides = overrides
+            };
+        }
+    }
+
+    #region Request/Response Models
+
+    /// <summary>
+    /// 获取用户主题请求
+    /// </summary>
+    [Authenticated]
+    public class GetUserThemeRequest
+    {
+        public string UserId { get; set; }
+
+        /// <summary>
+        /// 客户端浅色/深色主题组合中的主题ID，以逗号分隔
+        /// </summary>
+        public string Variants { get; set; }
+    }
+
+    /// <summary>
+    /// 设置用户主题请求
+    /// </summary>
+    [Authenticated]
+    public class SetUserThemeRequest
+    {
+        public string UserId { get; set; }
+        public string ThemeId { get; set; }
+        public Dictionary<string, string> Overrides { get; set; }
+
+        /// <summary>
+        /// 客户端浅色/深色主题组合中的主题ID，以逗号分隔
+        /// </summary>
+        public string Variants { get; set; }
+    }
+
+    /// <summary>
+    /// 设置用户主题响应
+    /// </summary>
+    public class SetUserThemeResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public UserThemeResponse Theme { get; set; }
+    }
+
+    /// <summary>
+    /// 等待用户主题变更请求
+    /// </summary>
+    [Authenticated]
+    public class WaitForUserThemeChangeRequest
+    {
+        public string UserId { get; set; }
+
+        /// <summary>
+        /// 客户端当前持有的主题 ETag
+        /// </summary>
+        public string ETag { get; set; }
+
+        /// <summary>
+        /// 最长等待时间（秒）
+        /// </summary>
+        public int Timeout { get; set; }
+
+        /// <summary>
+        /// 客户端浅色/深色主题组合中的主题ID，以逗号分隔
+        /// </summary>
+        public string Variants { get; set; }
+    }
+
+    /// <summary>
+    /// 用户主题响应，字段与 ThemeVersionResponse 兼容
+    /// </summary>
+    public class UserThemeResponse : ThemeVersionResponse
+    {
+        public string UserId { get; set; }
+        public bool IsUserSpecific { get; set; }
+        public Dictionary<string, string> Overrides { get; set; }
+    }
+
+    #endregion
+}
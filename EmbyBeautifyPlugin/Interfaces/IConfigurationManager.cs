@@ -14,6 +14,12 @@ namespace EmbyBeautifyPlugin.Interfaces
         /// <returns>Current configuration</returns>
         Task<BeautifyConfig> LoadConfigurationAsync();
 
+        /// <summary>
+        /// Get the configuration kept in memory, loading it from storage only on first use
+        /// </summary>
+        /// <returns>Current configuration</returns>
+        Task<BeautifyConfig> GetConfigurationAsync();
+
         /// <summary>
         /// Save configuration to storage
         /// </summary>
@@ -1,4 +1,5 @@
 using EmbyBeautifyPlugin.Models;
+using EmbyBeautifyPlugin.Services;
 using System.Collections.Generic;
 using System.Threading.Tasks;
 
@@ -9,6 +10,11 @@ namespace EmbyBeautifyPlugin.Interfaces
     /// </summary>
     public interface IThemeManager
     {
+        /// <summary>
+        /// Signals changes to themes and to the active theme so that clients waiting for changes can be notified
+        /// </summary>
+        ThemeChangeNotifier Changes { get; }
+
         /// <summary>
         /// Get all available themes
         /// </summary>
@@ -41,5 +47,12 @@ namespace EmbyBeautifyPlugin.Interfaces
         /// <param name="theme">Theme to generate CSS for</param>
         /// <returns>Generated CSS string</returns>
         Task<string> GenerateThemeCssAsync(Theme theme);
+
+        /// <summary>
+        /// Save a custom theme so that it is available after a restart
+        /// </summary>
+        /// <param name="theme">Theme to save; an existing custom theme with the same ID is replaced</param>
+        /// <returns>True if the theme was valid and saved</returns>
+        Task<bool> SaveThemeAsync(Theme theme);
     }
 }
\ No newline at end of file
@@ -37,6 +37,11 @@ namespace EmbyBeautifyPlugin.Models
         /// </summary>
         public Dictionary<string, object> CustomSettings { get; set; }
 
+        /// <summary>
+        /// Per-user theme preferences keyed by Emby user ID
+        /// </summary>
+        public Dictionary<string, UserThemePreference> UserThemes { get; set; }
+
         public BeautifyConfig()
         {
             ActiveThemeId = "default";
@@ -45,6 +50,7 @@ namespace EmbyBeautifyPlugin.Models
             AnimationDuration = 300;
             ResponsiveSettings = new ResponsiveSettings();
             CustomSettings = new Dictionary<string, object>();
+            UserThemes = new Dictionary<string, UserThemePreference>();
         }
     }
 }
\ No newline at end of file
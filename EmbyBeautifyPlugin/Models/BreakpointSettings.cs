@@ -25,6 +25,12 @@ namespace EmbyBeautifyPlugin.Models
         /// </summary>
         public string GridGap { get; set; }
 
+        /// <summary>
+        /// Spacing unit used by cards and controls at this breakpoint, e.g. "0.5rem".
+        /// When empty the theme spacing unit is scaled down for smaller screens.
+        /// </summary>
+        public string Spacing { get; set; }
+
         /// <summary>
         /// Font size scaling factor
         /// </summary>
@@ -2,6 +2,7 @@ using System.Collections.Generic;
 using System.ComponentModel.DataAnnotations;
 using System.Text.Json.Serialization;
 using System.Linq;
+using EmbyBeautifyPlugin.Services;
 
 namespace EmbyBeautifyPlugin.Models
 {
@@ -100,6 +101,18 @@ namespace EmbyBeautifyPlugin.Models
                 errors.AddRange(Layout.Validate());
             }
 
+            if (CustomProperties != null)
+            {
+                foreach (var property in CustomProperties)
+                {
+                    var name = property.Key?.StartsWith("--") == true ? property.Key.Substring(2) : property.Key;
+                    if (!CssValueSanitizer.IsPropertyName(name))
+                        errors.Add($"Custom property name '{property.Key}' is not a valid CSS custom property name");
+                    else if (!CssValueSanitizer.IsSafeValue(property.Value))
+                        errors.Add($"Custom property '{property.Key}' has a value that is not allowed in a style sheet");
+                }
+            }
+
             return errors;
         }
 
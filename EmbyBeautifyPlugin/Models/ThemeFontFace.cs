@@ -0,0 +1,93 @@
+using System;
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+using System.Linq;
+using System.Text.RegularExpressions;
+
+namespace EmbyBeautifyPlugin.Models
+{
+    /// <summary>
+    /// A web font declared by a theme and served from the plugin fonts directory
+    /// </summary>
+    public class ThemeFontFace
+    {
+        /// <summary>
+        /// Font file extensions that can be served, mapped to their @font-face format
+        /// </summary>
+        public static readonly IReadOnlyDictionary<string, string> SupportedFormats = new Dictionary<string, string>
+        {
+            { ".woff2", "woff2" },
+            { ".woff", "woff" },
+            { ".ttf", "truetype" },
+            { ".otf", "opentype" }
+        };
+
+        /// <summary>
+        /// Font family name referenced from FontFamily
+        /// </summary>
+        [StringLength(100)]
+        public string Family { get; set; }
+
+        /// <summary>
+        /// File name of the font in the plugin fonts directory
+        /// </summary>
+        [StringLength(100)]
+        public string Source { get; set; }
+
+        /// <summary>
+        /// Font weight or weight range covered by the file, e.g. 400 or "100 900"
+        /// </summary>
+        public string Weight { get; set; }
+
+        /// <summary>
+        /// Font style covered by the file (normal, italic or oblique)
+        /// </summary>
+        public string Style { get; set; }
+
+        /// <summary>
+        /// Optional unicode-range limiting the characters the file is used for
+        /// </summary>
+        public string UnicodeRange { get; set; }
+
+        /// <summary>
+        /// Validates the font face declaration
+        /// </summary>
+        /// <returns>List of validation errors</returns>
+        public List<string> Validate()
+        {
+            var errors = new List<string>();
+
+            if (string.IsNullOrWhiteSpace(Family))
+                errors.Add("Font face Family is required");
+            else if (!Regex.IsMatch(Family, @"^[\w\u00a0-\uffff -]+$"))
+                errors.Add("Font face Family contains invalid characters");
+
+            if (string.IsNullOrWhiteSpace(Source))
+                errors.Add("Font face Source is required");
+            else if (!IsValidFileName(Source))
+                errors.Add("Font face Source must be a .woff2, .woff, .ttf or .otf file name in the plugin fonts directory");
+
+            if (!string.IsNullOrEmpty(Weight) && !Regex.IsMatch(Weight, @"^([1-9]00|normal|bold)( [1-9]00)?$"))
+                errors.Add("Font face Weight is not a valid font-weight value or range");
+
+            if (!string.IsNullOrEmpty(Style) && !new[] { "normal", "italic", "oblique" }.Contains(Style.ToLowerInvariant()))
+                errors.Add("Font face Style must be normal, italic or oblique");
+
+            if (!string.IsNullOrEmpty(UnicodeRange) && !Regex.IsMatch(UnicodeRange, @"^U\+[0-9A-Fa-f?]{1,6}(-[0-9A-Fa-f]{1,6})?(\s*,\s*U\+[0-9A-Fa-f?]{1,6}(-[0-9A-Fa-f]{1,6})?)*$"))
+                errors.Add("Font face UnicodeRange is not a valid unicode-range value");
+
+            return errors;
+        }
+
+        /// <summary>
+        /// Checks that a font file name has a supported extension and cannot leave the fonts directory
+        /// </summary>
+        public static bool IsValidFileName(string fileName)
+        {
+            if (string.IsNullOrWhiteSpace(fileName) || !Regex.IsMatch(fileName, @"^[A-Za-z0-9][A-Za-z0-9._-]*$"))
+                return false;
+
+            return SupportedFormats.Keys.Any(extension => fileName.EndsWith(extension, StringComparison.OrdinalIgnoreCase));
+        }
+    }
+}
@@ -1,6 +1,7 @@
 using System.Collections.Generic;
 using System.ComponentModel.DataAnnotations;
 using System.Text.RegularExpressions;
+using EmbyBeautifyPlugin.Services;
 
 namespace EmbyBeautifyPlugin.Models
 {
@@ -90,7 +91,8 @@ namespace EmbyBeautifyPlugin.Models
             // Basic validation for shadow format (offset-x offset-y blur-radius spread-radius color)
             // Must contain at least some numbers and valid characters
             return Regex.IsMatch(trimmed, @"^[\d\s\w#(),.-]+$") &&
-                   Regex.IsMatch(trimmed, @"\d");
+                   Regex.IsMatch(trimmed, @"\d") &&
+                   CssValueSanitizer.IsSafeValue(trimmed);
         }
     }
 }
\ No newline at end of file
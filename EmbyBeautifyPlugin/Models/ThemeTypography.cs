@@ -2,6 +2,7 @@ using System.Collections.Generic;
 using System.ComponentModel.DataAnnotations;
 using System.Text.RegularExpressions;
 using System.Linq;
+using EmbyBeautifyPlugin.Services;
 
 namespace EmbyBeautifyPlugin.Models
 {
@@ -10,6 +11,11 @@ namespace EmbyBeautifyPlugin.Models
     /// </summary>
     public class ThemeTypography
     {
+        /// <summary>
+        /// Supported font-display strategies
+        /// </summary>
+        public static readonly string[] FontDisplayValues = { "auto", "block", "swap", "fallback", "optional" };
+
         /// <summary>
         /// Primary font family
         /// </summary>
@@ -41,6 +47,16 @@ namespace EmbyBeautifyPlugin.Models
         /// </summary>
         public string LineHeight { get; set; }
 
+        /// <summary>
+        /// Web fonts loaded before FontFamily is applied
+        /// </summary>
+        public List<ThemeFontFace> FontFaces { get; set; }
+
+        /// <summary>
+        /// font-display strategy for FontFaces (auto, block, swap, fallback or optional)
+        /// </summary>
+        public string FontDisplay { get; set; }
+
         /// <summary>
         /// Validates typography values
         /// </summary>
@@ -49,6 +65,9 @@ namespace EmbyBeautifyPlugin.Models
         {
             var errors = new List<string>();
 
+            if (!string.IsNullOrEmpty(FontFamily) && !CssValueSanitizer.IsFontFamily(FontFamily))
+                errors.Add("FontFamily must be a comma-separated list of plain or quoted font family names");
+
             if (!string.IsNullOrEmpty(FontSize) && !IsValidFontSize(FontSize))
                 errors.Add("FontSize is not a valid CSS font-size value");
 
@@ -61,6 +80,15 @@ namespace EmbyBeautifyPlugin.Models
             if (!string.IsNullOrEmpty(LineHeight) && !IsValidLineHeight(LineHeight))
                 errors.Add("LineHeight is not a valid CSS line-height value");
 
+            if (!string.IsNullOrEmpty(FontDisplay) && !FontDisplayValues.Contains(FontDisplay.ToLowerInvariant()))
+                errors.Add("FontDisplay must be one of: " + string.Join(", ", FontDisplayValues));
+
+            if (FontFaces != null)
+            {
+                foreach (var fontFace in FontFaces.Where(f => f != null))
+                    errors.AddRange(fontFace.Validate());
+            }
+
             return errors;
         }
 
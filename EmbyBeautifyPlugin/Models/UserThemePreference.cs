@@ -0,0 +1,31 @@
+using System;
+using System.Collections.Generic;
+
+namespace EmbyBeautifyPlugin.Models
+{
+    /// <summary>
+    /// Theme preference of a single Emby user
+    /// </summary>
+    public class UserThemePreference
+    {
+        /// <summary>
+        /// ID of the theme selected by the user, null or empty to follow the server default
+        /// </summary>
+        public string ThemeId { get; set; }
+
+        /// <summary>
+        /// CSS custom property overrides applied on top of the theme (names without the leading "--")
+        /// </summary>
+        public Dictionary<string, string> Overrides { get; set; }
+
+        /// <summary>
+        /// Time of the last update (UTC)
+        /// </summary>
+        public DateTime UpdatedAt { get; set; }
+
+        public UserThemePreference()
+        {
+            Overrides = new Dictionary<string, string>();
+        }
+    }
+}
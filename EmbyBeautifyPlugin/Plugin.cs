@@ -168,6 +168,21 @@ namespace EmbyBeautifyPlugin
                 {
                     Name = "PreviewPage",
                     EmbeddedResourcePath = GetType().Namespace + ".Views.PreviewPage.html"
+                },
+                new PluginPageInfo
+                {
+                    Name = "EmbyBeautifyColorUtils",
+                    EmbeddedResourcePath = GetType().Namespace + ".Views.js.color-utils.js"
+                },
+                new PluginPageInfo
+                {
+                    Name = "EmbyBeautifyCssSanitizer",
+                    EmbeddedResourcePath = GetType().Namespace + ".Views.js.css-sanitizer.js"
+                },
+                new PluginPageInfo
+                {
+                    Name = "EmbyBeautifyThemeTransfer",
+                    EmbeddedResourcePath = GetType().Namespace + ".Views.js.theme-transfer.js"
                 }
             };
         }
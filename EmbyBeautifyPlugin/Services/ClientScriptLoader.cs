@@ -53,6 +53,33 @@ namespace EmbyBeautifyPlugin.Services
                     scriptBuilder.AppendLine();
                 }
 
+                // 添加颜色工具脚本
+                var colorUtilsScript = await LoadScriptAsync("color-utils.js");
+                if (!string.IsNullOrEmpty(colorUtilsScript))
+                {
+                    scriptBuilder.AppendLine("/* 颜色工具脚本 */");
+                    scriptBuilder.AppendLine(colorUtilsScript);
+                    scriptBuilder.AppendLine();
+                }
+
+                // 添加 CSS 值校验脚本
+                var sanitizerScript = await LoadScriptAsync("css-sanitizer.js");
+                if (!string.IsNullOrEmpty(sanitizerScript))
+                {
+                    scriptBuilder.AppendLine("/* CSS 值校验脚本 */");
+                    scriptBuilder.AppendLine(sanitizerScript);
+                    scriptBuilder.AppendLine();
+                }
+
+                // 添加主题导入导出脚本
+                var transferScript = await LoadScriptAsync("theme-transfer.js");
+                if (!string.IsNullOrEmpty(transferScript))
+                {
+                    scriptBuilder.AppendLine("/* 主题导入导出脚本 */");
+                    scriptBuilder.AppendLine(transferScript);
+                    scriptBuilder.AppendLine();
+                }
+
                 // 添加样式注入器脚本
                 var styleInjectorScript = await LoadScriptAsync("style-injector.js");
                 if (!string.IsNullOrEmpty(styleInjectorScript))
@@ -211,6 +238,9 @@ namespace EmbyBeautifyPlugin.Services
             var scriptNames = new[]
             {
                 "browser-compatibility.js",
+                "color-utils.js",
+                "css-sanitizer.js",
+                "theme-transfer.js",
                 "style-injector.js"
             };
 
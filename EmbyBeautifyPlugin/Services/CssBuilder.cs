@@ -31,7 +31,7 @@ namespace EmbyBeautifyPlugin.Services
         {
             if (!_minify && !string.IsNullOrEmpty(comment))
             {
-                AppendIndented($"/* {comment} */");
+                AppendIndented($"/* {CssValueSanitizer.EscapeComment(comment)} */");
                 AppendNewLine();
             }
             return this;
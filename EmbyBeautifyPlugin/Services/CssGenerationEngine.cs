@@ -169,7 +169,7 @@ namespace EmbyBeautifyPlugin.Services
                 foreach (var prop in theme.CustomProperties)
                 {
                     var propertyName = prop.Key.StartsWith("--") ? prop.Key : $"--{prop.Key}";
-                    cssBuilder.AddProperty(propertyName, prop.Value);
+                    AddVariable(cssBuilder, propertyName, prop.Value);
                 }
             }
 
@@ -184,23 +184,34 @@ namespace EmbyBeautifyPlugin.Services
             cssBuilder.AddNewLine();
         }
 
+        /// <summary>
+        /// 添加CSS变量，跳过空值以及变量名或值可能破坏样式表结构的变量
+        /// </summary>
+        private void AddVariable(CssBuilder cssBuilder, string name, string value)
+        {
+            if (string.IsNullOrEmpty(value))
+                return;
+
+            if (!CssValueSanitizer.IsPropertyName(name.Substring(2)) || !CssValueSanitizer.IsSafeValue(value))
+            {
+                _logger.LogWarning("跳过不安全的CSS变量: {Name}", name);
+                return;
+            }
+
+            cssBuilder.AddProperty(name, value);
+        }
+
         /// <summary>
         /// 添加颜色变量
         /// </summary>
         private void AddColorVariables(CssBuilder cssBuilder, ThemeColors colors)
         {
-            if (!string.IsNullOrEmpty(colors.Primary))
-                cssBuilder.AddProperty("--primary-color", colors.Primary);
-            if (!string.IsNullOrEmpty(colors.Secondary))
-                cssBuilder.AddProperty("--secondary-color", colors.Secondary);
-            if (!string.IsNullOrEmpty(colors.Background))
-                cssBuilder.AddProperty("--background-color", colors.Background);
-            if (!string.IsNullOrEmpty(colors.Surface))
-                cssBuilder.AddProperty("--surface-color", colors.Surface);
-            if (!string.IsNullOrEmpty(colors.Text))
-                cssBuilder.AddProperty("--text-color", colors.Text);
-            if (!string.IsNullOrEmpty(colors.Accent))
-                cssBuilder.AddProperty("--accent-color", colors.Accent);
+            AddVariable(cssBuilder, "--primary-color", colors.Primary);
+            AddVariable(cssBuilder, "--secondary-color", colors.Secondary);
+            AddVariable(cssBuilder, "--background-color", colors.Background);
+            AddVariable(cssBuilder, "--surface-color", colors.Surface);
+            AddVariable(cssBuilder, "--text-color", colors.Text);
+            AddVariable(cssBuilder, "--accent-color", colors.Accent);
         }
 
         /// <summary>
@@ -235,16 +246,11 @@ namespace EmbyBeautifyPlugin.Services
         /// </summary>
         private void AddTypographyVariables(CssBuilder cssBuilder, ThemeTypography typography)
         {
-            if (!string.IsNullOrEmpty(typography.FontFamily))
-                cssBuilder.AddProperty("--font-family", typography.FontFamily);
-            if (!string.IsNullOrEmpty(typography.FontSize))
-                cssBuilder.AddProperty("--font-size", typography.FontSize);
-            if (!string.IsNullOrEmpty(typography.HeadingWeight))
-                cssBuilder.AddProperty("--heading-weight", typography.HeadingWeight);
-            if (!string.IsNullOrEmpty(typography.BodyWeight))
-                cssBuilder.AddProperty("--body-weight", typography.BodyWeight);
-            if (!string.IsNullOrEmpty(typography.LineHeight))
-                cssBuilder.AddProperty("--line-height", typography.LineHeight);
+            AddVariable(cssBuilder, "--font-family", CssValueSanitizer.EscapeFontFamily(typography.FontFamily));
+            AddVariable(cssBuilder, "--font-size", typography.FontSize);
+            AddVariable(cssBuilder, "--heading-weight", typography.HeadingWeight);
+            AddVariable(cssBuilder, "--body-weight", typography.BodyWeight);
+            AddVariable(cssBuilder, "--line-height", typography.LineHeight);
         }
 
         /// <summary>
@@ -252,14 +258,10 @@ namespace EmbyBeautifyPlugin.Services
         /// </summary>
         private void AddLayoutVariables(CssBuilder cssBuilder, ThemeLayout layout)
         {
-            if (!string.IsNullOrEmpty(layout.BorderRadius))
-                cssBuilder.AddProperty("--border-radius", layout.BorderRadius);
-            if (!string.IsNullOrEmpty(layout.SpacingUnit))
-                cssBuilder.AddProperty("--spacing-unit", layout.SpacingUnit);
-            if (!string.IsNullOrEmpty(layout.BoxShadow))
-                cssBuilder.AddProperty("--box-shadow", layout.BoxShadow);
-            if (!string.IsNullOrEmpty(layout.MaxWidth))
-                cssBuilder.AddProperty("--max-width", layout.MaxWidth);
+            AddVariable(cssBuilder, "--border-radius", layout.BorderRadius);
+            AddVariable(cssBuilder, "--spacing-unit", layout.SpacingUnit);
+            AddVariable(cssBuilder, "--box-shadow", layout.BoxShadow);
+            AddVariable(cssBuilder, "--max-width", layout.MaxWidth);
         }
 
         /// <summary>
@@ -0,0 +1,129 @@
+using System.Linq;
+using System.Text.RegularExpressions;
+
+namespace EmbyBeautifyPlugin.Services
+{
+    /// <summary>
+    /// Checks CSS values before they are written into generated style sheets.
+    /// Mirrors the checks of the client script css-sanitizer.js
+    /// </summary>
+    public static class CssValueSanitizer
+    {
+        private static readonly Regex PropertyNamePattern = new Regex(@"^[a-zA-Z][a-zA-Z0-9-]*$");
+        private static readonly Regex UnsafeValuePattern = new Regex(
+            @"[;{}<>\\]|/\*|\*/|@import|url\s*\(|image-set\s*\(|expression\s*\(|javascript:",
+            RegexOptions.IgnoreCase);
+        private static readonly Regex PlainFontFamilyPattern = new Regex(@"^[A-Za-z0-9_\u00a0-\uffff-]+( [A-Za-z0-9_\u00a0-\uffff-]+)*$");
+        private static readonly Regex QuotedFontFamilyPattern = new Regex(@"^([""'])[^""'\\<>;{}*\p{C}]*\1$");
+        private static readonly Regex FontFamilyStripPattern = new Regex(@"[""'\\<>;{}*\p{C}]");
+
+        /// <summary>
+        /// Checks that a custom property name (without the -- prefix) is valid
+        /// </summary>
+        public static bool IsPropertyName(string name)
+        {
+            return !string.IsNullOrEmpty(name) && PropertyNamePattern.IsMatch(name);
+        }
+
+        /// <summary>
+        /// Checks that a value cannot change the structure of a style sheet.
+        /// Rejects semicolons, braces, comments, unclosed quotes and parentheses and
+        /// external references such as url() and expression()
+        /// </summary>
+        public static bool IsSafeValue(string value)
+        {
+            if (string.IsNullOrWhiteSpace(value))
+                return false;
+
+            foreach (var c in value)
+            {
+                if (char.IsControl(c))
+                    return false;
+            }
+
+            return !UnsafeValuePattern.IsMatch(value) && IsBalanced(value);
+        }
+
+        /// <summary>
+        /// Checks that a font-family list only contains plain family names
+        /// (letters, digits, hyphens and CJK characters) or quoted names that cannot end the string, declaration or comment
+        /// </summary>
+        public static bool IsFontFamily(string value)
+        {
+            if (string.IsNullOrWhiteSpace(value))
+                return false;
+
+            return value.Split(',').All(family =>
+            {
+                family = family.Trim();
+                return PlainFontFamilyPattern.IsMatch(family) || QuotedFontFamilyPattern.IsMatch(family);
+            });
+        }
+
+        /// <summary>
+        /// Escapes a font-family list so that every entry can only be parsed as a family name.
+        /// Plain and quoted names are kept; other names lose the characters rejected inside quoted names and are quoted
+        /// </summary>
+        /// <returns>The escaped list, or null if it has no family names</returns>
+        public static string EscapeFontFamily(string value)
+        {
+            if (string.IsNullOrWhiteSpace(value))
+                return null;
+
+            var families = value.Split(',')
+                .Select(family => family.Trim())
+                .Where(family => family.Length > 0)
+                .Select(family => PlainFontFamilyPattern.IsMatch(family) || QuotedFontFamilyPattern.IsMatch(family)
+                    ? family
+                    : "\"" + FontFamilyStripPattern.Replace(family, string.Empty) + "\"")
+                .Where(family => family != "\"\"")
+                .ToList();
+
+            return families.Count > 0 ? string.Join(", ", families) : null;
+        }
+
+        /// <summary>
+        /// Escapes text written into a CSS comment so that it cannot close the comment
+        /// </summary>
+        public static string EscapeComment(string text)
+        {
+            if (string.IsNullOrEmpty(text))
+                return text;
+
+            var singleLine = new string(text.Select(c => char.IsControl(c) ? ' ' : c).ToArray());
+            return singleLine.Replace("*/", "* /");
+        }
+
+        /// <summary>
+        /// Checks that parentheses are paired and quotes are closed
+        /// </summary>
+        private static bool IsBalanced(string value)
+        {
+            var depth = 0;
+            char? quote = null;
+
+            foreach (var c in value)
+            {
+                if (quote.HasValue)
+                {
+                    if (c == quote.Value)
+                        quote = null;
+                }
+                else if (c == '"' || c == '\'')
+                {
+                    quote = c;
+                }
+                else if (c == '(')
+                {
+                    depth++;
+                }
+                else if (c == ')' && --depth < 0)
+                {
+                    return false;
+                }
+            }
+
+            return depth == 0 && !quote.HasValue;
+        }
+    }
+}
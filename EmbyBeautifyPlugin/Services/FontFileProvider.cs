@@ -0,0 +1,115 @@
+using EmbyBeautifyPlugin.Models;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+
+namespace EmbyBeautifyPlugin.Services
+{
+    /// <summary>
+    /// Provides the web font files that themes reference through ThemeFontFace.Source
+    /// </summary>
+    public class FontFileProvider
+    {
+        private readonly string _fontsDirectory;
+
+        /// <summary>
+        /// Creates a provider for the plugin fonts directory
+        /// </summary>
+        public FontFileProvider()
+            : this(Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "fonts"))
+        {
+        }
+
+        /// <summary>
+        /// Creates a provider for the given fonts directory
+        /// </summary>
+        /// <param name="fontsDirectory">Directory containing the font files</param>
+        public FontFileProvider(string fontsDirectory)
+        {
+            _fontsDirectory = fontsDirectory ?? throw new ArgumentNullException(nameof(fontsDirectory));
+        }
+
+        /// <summary>
+        /// Directory the font files are served from
+        /// </summary>
+        public string FontsDirectory => _fontsDirectory;
+
+        /// <summary>
+        /// Lists the servable font files in the fonts directory
+        /// </summary>
+        /// <returns>Font files ordered by name</returns>
+        public List<FontFileInfo> GetFontFiles()
+        {
+            if (!Directory.Exists(_fontsDirectory))
+                return new List<FontFileInfo>();
+
+            return Directory.GetFiles(_fontsDirectory)
+                .Select(path => new FileInfo(path))
+                .Where(file => ThemeFontFace.IsValidFileName(file.Name))
+                .OrderBy(file => file.Name, StringComparer.OrdinalIgnoreCase)
+                .Select(file => new FontFileInfo
+                {
+                    FileName = file.Name,
+                    Format = GetFormat(file.Name),
+                    Size = file.Length,
+                    LastModified = file.LastWriteTimeUtc
+                })
+                .ToList();
+        }
+
+        /// <summary>
+        /// Resolves the full path of a font file
+        /// </summary>
+        /// <param name="fileName">File name as referenced by ThemeFontFace.Source</param>
+        /// <returns>Full path, or null when the name is invalid or the file does not exist</returns>
+        public string GetFontPath(string fileName)
+        {
+            if (!ThemeFontFace.IsValidFileName(fileName))
+                return null;
+
+            var path = Path.Combine(_fontsDirectory, fileName);
+            return File.Exists(path) ? path : null;
+        }
+
+        /// <summary>
+        /// Gets the @font-face format of a font file
+        /// </summary>
+        public static string GetFormat(string fileName)
+        {
+            var extension = Path.GetExtension(fileName ?? string.Empty).ToLowerInvariant();
+            return ThemeFontFace.SupportedFormats.TryGetValue(extension, out var format) ? format : null;
+        }
+
+        /// <summary>
+        /// Gets the HTTP content type of a font file
+        /// </summary>
+        public static string GetContentType(string fileName)
+        {
+            switch (GetFormat(fileName))
+            {
+                case "woff2":
+                    return "font/woff2";
+                case "woff":
+                    return "font/woff";
+                case "truetype":
+                    return "font/ttf";
+                case "opentype":
+                    return "font/otf";
+                default:
+                    return "application/octet-stream";
+            }
+        }
+    }
+
+    /// <summary>
+    /// Information about a font file in the fonts directory
+    /// </summary>
+    public class FontFileInfo
+    {
+        public string FileName { get; set; }
+        public string Format { get; set; }
+        public long Size { get; set; }
+        public DateTime LastModified { get; set; }
+    }
+}
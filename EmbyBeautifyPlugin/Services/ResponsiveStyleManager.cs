@@ -86,6 +86,11 @@ namespace EmbyBeautifyPlugin.Services
             css.AppendLine($"    --responsive-columns: {settings.GridColumns};");
             css.AppendLine($"    --responsive-gap: {settings.GridGap};");
             css.AppendLine($"    --responsive-font-scale: {settings.FontScale};");
+
+            if (!string.IsNullOrEmpty(settings.Spacing))
+            {
+                css.AppendLine($"    --responsive-spacing: {settings.Spacing};");
+            }
             
             // 计算响应式字体大小
             if (settings.FontScale != 1.0)
@@ -9,6 +9,7 @@ using System.Collections.Generic;
 using System.IO;
 using System.Linq;
 using System.Text;
+using System.Text.Json;
 using System.Text.RegularExpressions;
 using System.Threading;
 using System.Threading.Tasks;
@@ -471,6 +472,7 @@ namespace EmbyBeautifyPlugin.Services
 (function() {
     if (typeof window.EmbyBeautifyStyleInjector !== 'undefined') {
         window.EmbyBeautifyStyleInjector.config.debugMode = " + (config.CustomSettings?.ContainsKey("DebugMode") == true ? "true" : "false") + @";
+        window.EmbyBeautifyStyleInjector.config.artworkColors = " + (IsCustomSettingEnabled(config, "ArtworkColors") ? "true" : "false") + @";
         
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', function() {
@@ -499,6 +501,33 @@ namespace EmbyBeautifyPlugin.Services
             }
         }
 
+        /// <summary>
+        /// 读取 CustomSettings 中的开关设置
+        /// 值可能是 bool、字符串或从配置文件反序列化得到的 JsonElement，缺失或无法识别时视为关闭
+        /// </summary>
+        /// <param name="config">插件配置</param>
+        /// <param name="key">设置名称</param>
+        /// <returns>设置是否开启</returns>
+        private static bool IsCustomSettingEnabled(Models.BeautifyConfig config, string key)
+        {
+            if (config?.CustomSettings == null || !config.CustomSettings.TryGetValue(key, out var value))
+                return false;
+
+            switch (value)
+            {
+                case bool enabled:
+                    return enabled;
+                case string text:
+                    return bool.TryParse(text, out var parsed) && parsed;
+                case JsonElement element when element.ValueKind == JsonValueKind.String:
+                    return bool.TryParse(element.GetString(), out var parsedElement) && parsedElement;
+                case JsonElement element:
+                    return element.ValueKind == JsonValueKind.True;
+                default:
+                    return false;
+            }
+        }
+
         /// <summary>
         /// 生成主题CSS
         /// </summary>
@@ -0,0 +1,98 @@
+using System;
+using System.Collections.Concurrent;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace EmbyBeautifyPlugin.Services
+{
+    /// <summary>
+    /// Signals theme changes to requests waiting on the change channel and caches theme ETags until the next change
+    /// </summary>
+    public class ThemeChangeNotifier
+    {
+        private readonly object _lock = new object();
+        private TaskCompletionSource<bool> _changed = CreateSignal();
+        private ConcurrentDictionary<string, string> _etags = new ConcurrentDictionary<string, string>();
+
+        /// <summary>
+        /// Task that completes at the next change.
+        /// Callers should read it before comparing ETags so that a change in between is not missed.
+        /// </summary>
+        public Task Changed
+        {
+            get
+            {
+                lock (_lock)
+                {
+                    return _changed.Task;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Notifies waiting requests that a theme, the active theme or a user theme changed
+        /// and discards the cached ETags
+        /// </summary>
+        public void NotifyChanged()
+        {
+            TaskCompletionSource<bool> previous;
+            lock (_lock)
+            {
+                previous = _changed;
+                _changed = CreateSignal();
+                _etags = new ConcurrentDictionary<string, string>();
+            }
+
+            previous.TrySetResult(true);
+        }
+
+        /// <summary>
+        /// Gets a cached ETag, computing it on first use after a change
+        /// </summary>
+        /// <param name="key">Identifies what the ETag covers, e.g. the theme or user ID</param>
+        /// <param name="compute">Computes the ETag when it is not cached</param>
+        public string GetETag(string key, Func<string> compute)
+        {
+            if (compute == null)
+                throw new ArgumentNullException(nameof(compute));
+
+            ConcurrentDictionary<string, string> etags;
+            lock (_lock)
+            {
+                etags = _etags;
+            }
+
+            // A value computed while a change happens lands in the discarded cache and is recomputed next time
+            return etags.GetOrAdd(key, _ => compute());
+        }
+
+        /// <summary>
+        /// Waits for a change signal obtained from <see cref="Changed"/>
+        /// </summary>
+        /// <param name="changed">Change signal</param>
+        /// <param name="timeout">Maximum time to wait</param>
+        /// <returns>True if a change happened before the timeout</returns>
+        public static async Task<bool> WaitAsync(Task changed, TimeSpan timeout)
+        {
+            if (changed == null)
+                throw new ArgumentNullException(nameof(changed));
+
+            if (changed.IsCompleted)
+                return true;
+
+            if (timeout <= TimeSpan.Zero)
+                return false;
+
+            using var cancellation = new CancellationTokenSource();
+            var completed = await Task.WhenAny(changed, Task.Delay(timeout, cancellation.Token));
+            cancellation.Cancel();
+
+            return completed == changed;
+        }
+
+        private static TaskCompletionSource<bool> CreateSignal()
+        {
+            return new TaskCompletionSource<bool>(TaskCreationOptions.RunContinuationsAsynchronously);
+        }
+    }
+}
@@ -22,9 +22,9 @@ namespace EmbyBeautifyPlugin.Services
             var css = new StringBuilder();
             
             // Add theme header comment
-            css.AppendLine($"/* Theme: {theme.Name} v{theme.Version} */");
-            css.AppendLine($"/* Author: {theme.Author} */");
-            css.AppendLine($"/* Description: {theme.Description} */");
+            css.AppendLine($"/* Theme: {CssValueSanitizer.EscapeComment(theme.Name)} v{CssValueSanitizer.EscapeComment(theme.Version)} */");
+            css.AppendLine($"/* Author: {CssValueSanitizer.EscapeComment(theme.Author)} */");
+            css.AppendLine($"/* Description: {CssValueSanitizer.EscapeComment(theme.Description)} */");
             css.AppendLine();
             
             // Generate CSS custom properties
@@ -51,18 +51,12 @@ namespace EmbyBeautifyPlugin.Services
             if (theme.Colors != null)
             {
                 css.AppendLine("  /* Colors */");
-                if (!string.IsNullOrEmpty(theme.Colors.Primary))
-                    css.AppendLine($"  --primary-color: {theme.Colors.Primary};");
-                if (!string.IsNullOrEmpty(theme.Colors.Secondary))
-                    css.AppendLine($"  --secondary-color: {theme.Colors.Secondary};");
-                if (!string.IsNullOrEmpty(theme.Colors.Background))
-                    css.AppendLine($"  --background-color: {theme.Colors.Background};");
-                if (!string.IsNullOrEmpty(theme.Colors.Surface))
-                    css.AppendLine($"  --surface-color: {theme.Colors.Surface};");
-                if (!string.IsNullOrEmpty(theme.Colors.Text))
-                    css.AppendLine($"  --text-color: {theme.Colors.Text};");
-                if (!string.IsNullOrEmpty(theme.Colors.Accent))
-                    css.AppendLine($"  --accent-color: {theme.Colors.Accent};");
+                AppendVariable(css, "primary-color", theme.Colors.Primary);
+                AppendVariable(css, "secondary-color", theme.Colors.Secondary);
+                AppendVariable(css, "background-color", theme.Colors.Background);
+                AppendVariable(css, "surface-color", theme.Colors.Surface);
+                AppendVariable(css, "text-color", theme.Colors.Text);
+                AppendVariable(css, "accent-color", theme.Colors.Accent);
                 css.AppendLine();
             }
             
@@ -70,16 +64,11 @@ namespace EmbyBeautifyPlugin.Services
             if (theme.Typography != null)
             {
                 css.AppendLine("  /* Typography */");
-                if (!string.IsNullOrEmpty(theme.Typography.FontFamily))
-                    css.AppendLine($"  --font-family: {theme.Typography.FontFamily};");
-                if (!string.IsNullOrEmpty(theme.Typography.FontSize))
-                    css.AppendLine($"  --font-size: {theme.Typography.FontSize};");
-                if (!string.IsNullOrEmpty(theme.Typography.HeadingWeight))
-                    css.AppendLine($"  --heading-weight: {theme.Typography.HeadingWeight};");
-                if (!string.IsNullOrEmpty(theme.Typography.BodyWeight))
-                    css.AppendLine($"  --body-weight: {theme.Typography.BodyWeight};");
-                if (!string.IsNullOrEmpty(theme.Typography.LineHeight))
-                    css.AppendLine($"  --line-height: {theme.Typography.LineHeight};");
+                AppendVariable(css, "font-family", CssValueSanitizer.EscapeFontFamily(theme.Typography.FontFamily));
+                AppendVariable(css, "font-size", theme.Typography.FontSize);
+                AppendVariable(css, "heading-weight", theme.Typography.HeadingWeight);
+                AppendVariable(css, "body-weight", theme.Typography.BodyWeight);
+                AppendVariable(css, "line-height", theme.Typography.LineHeight);
                 css.AppendLine();
             }
             
@@ -87,14 +76,10 @@ namespace EmbyBeautifyPlugin.Services
             if (theme.Layout != null)
             {
                 css.AppendLine("  /* Layout */");
-                if (!string.IsNullOrEmpty(theme.Layout.BorderRadius))
-                    css.AppendLine($"  --border-radius: {theme.Layout.BorderRadius};");
-                if (!string.IsNullOrEmpty(theme.Layout.SpacingUnit))
-                    css.AppendLine($"  --spacing-unit: {theme.Layout.SpacingUnit};");
-                if (!string.IsNullOrEmpty(theme.Layout.BoxShadow))
-                    css.AppendLine($"  --box-shadow: {theme.Layout.BoxShadow};");
-                if (!string.IsNullOrEmpty(theme.Layout.MaxWidth))
-                    css.AppendLine($"  --max-width: {theme.Layout.MaxWidth};");
+                AppendVariable(css, "border-radius", theme.Layout.BorderRadius);
+                AppendVariable(css, "spacing-unit", theme.Layout.SpacingUnit);
+                AppendVariable(css, "box-shadow", theme.Layout.BoxShadow);
+                AppendVariable(css, "max-width", theme.Layout.MaxWidth);
                 css.AppendLine();
             }
             
@@ -104,7 +89,9 @@ namespace EmbyBeautifyPlugin.Services
                 css.AppendLine("  /* Custom Properties */");
                 foreach (var prop in theme.CustomProperties)
                 {
-                    css.AppendLine($"  --{prop.Key}: {prop.Value};");
+                    var name = prop.Key?.StartsWith("--") == true ? prop.Key.Substring(2) : prop.Key;
+                    if (CssValueSanitizer.IsPropertyName(name))
+                        AppendVariable(css, name, prop.Value);
                 }
                 css.AppendLine();
             }
@@ -113,6 +100,15 @@ namespace EmbyBeautifyPlugin.Services
             css.AppendLine();
         }
 
+        /// <summary>
+        /// Append a CSS variable, skipping empty values and values that could break out of the declaration
+        /// </summary>
+        private static void AppendVariable(StringBuilder css, string name, string value)
+        {
+            if (!string.IsNullOrEmpty(value) && CssValueSanitizer.IsSafeValue(value))
+                css.AppendLine($"  --{name}: {value};");
+        }
+
         /// <summary>
         /// Generate base styles for common elements
         /// </summary>
@@ -7,6 +7,7 @@ using System.Collections.Generic;
 using System.IO;
 using System.Linq;
 using System.Text;
+using System.Text.RegularExpressions;
 using System.Threading.Tasks;
 
 namespace EmbyBeautifyPlugin.Services
@@ -53,6 +54,7 @@ namespace EmbyBeautifyPlugin.Services
                 
                 // Load active theme from configuration
                 await LoadActiveThemeAsync();
+                Changes.NotifyChanged();
                 
                 _logger.LogInformation("Theme manager initialized with {ThemeCount} themes", _themes.Count);
             }
@@ -99,6 +101,7 @@ namespace EmbyBeautifyPlugin.Services
                     throw new ArgumentException($"Theme with ID '{themeId}' not found", nameof(themeId));
 
                 _activeTheme = theme;
+                Changes.NotifyChanged();
                 
                 // Update configuration
                 var config = await _configurationManager.LoadConfigurationAsync();
@@ -184,6 +187,7 @@ namespace EmbyBeautifyPlugin.Services
                 }
 
                 RegisterTheme(theme);
+                Changes.NotifyChanged();
                 _logger.LogInformation("Successfully registered theme: {ThemeId}", theme.Id);
                 return true;
             }
@@ -194,6 +198,46 @@ namespace EmbyBeautifyPlugin.Services
             }
         }
 
+        /// <summary>
+        /// Save a custom theme to the themes directory and register it
+        /// Built-in themes cannot be overwritten
+        /// </summary>
+        public override async Task<bool> SaveThemeAsync(Theme theme)
+        {
+            if (theme == null)
+                throw new ArgumentNullException(nameof(theme));
+
+            // The ID becomes the file name, so only allow characters that are safe in paths
+            if (string.IsNullOrWhiteSpace(theme.Id) || !Regex.IsMatch(theme.Id, @"^[A-Za-z0-9_-]+$"))
+                throw new ArgumentException("Theme ID may only contain letters, digits, '-' and '_'", nameof(theme));
+
+            if (DefaultThemeProvider.IsBuiltInTheme(theme.Id))
+                throw new InvalidOperationException($"Built-in theme '{theme.Id}' cannot be overwritten");
+
+            if (!await RegisterThemeAsync(theme))
+                return false;
+
+            try
+            {
+                await ThemeSerializer.SaveToFileAsync(theme, Path.Combine(_themesDirectory, theme.Id + ".json"));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving theme file: {ThemeId}", theme.Id);
+                throw;
+            }
+
+            // Keep the active theme in sync when it was replaced
+            if (_activeTheme?.Id == theme.Id)
+            {
+                _activeTheme = theme;
+                Changes.NotifyChanged();
+            }
+
+            _logger.LogInformation("Saved custom theme: {ThemeId}", theme.Id);
+            return true;
+        }
+
         /// <summary>
         /// Unregister a theme by ID
         /// </summary>
@@ -212,11 +256,13 @@ namespace EmbyBeautifyPlugin.Services
                 }
 
                 _themes.Remove(theme);
+                Changes.NotifyChanged();
                 
                 // If this was the active theme, switch to default
                 if (_activeTheme?.Id == themeId)
                 {
                     _activeTheme = await GetDefaultThemeAsync();
+                    Changes.NotifyChanged();
                     var config = await _configurationManager.LoadConfigurationAsync();
                     config.ActiveThemeId = _activeTheme.Id;
                     await _configurationManager.SaveConfigurationAsync(config);
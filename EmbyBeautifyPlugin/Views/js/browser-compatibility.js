@@ -18,6 +18,7 @@
             transforms: false,
             transitions: false,
             animations: false,
+            clamp: false,
             mutationObserver: false,
             promises: false,
             fetch: false,
@@ -33,9 +34,37 @@
             isModern: false,
             isMobile: false,
             isTouch: false,
+            isTV: false,
             engine: ''
         },
 
+        // Emby 网页客户端信息，detected 表示已检测过，apiClient 为检测时的 ApiClient
+        emby: {
+            version: null,
+            source: null,
+            detected: false,
+            apiClient: null
+        },
+
+        // Emby 网页客户端的选择器配置，按顺序匹配版本，命中的第一条生效
+        // selectors 为语义目标到选择器的映射，只需列出与样式注入器通用选择器不同的目标
+        selectorProfiles: [
+            {
+                name: 'emby-4',
+                minVersion: '4.0',
+                maxVersion: null,
+                selectors: {
+                    card: '.card',
+                    button: '.raised',
+                    primaryButton: '.button-submit',
+                    navigation: '.skinHeader',
+                    input: '.emby-input, .emby-textarea, .emby-select',
+                    caption: '.secondaryText, .cardText-secondary, .fieldDescription',
+                    container: '.content-primary'
+                }
+            }
+        ],
+
         // 兼容性修复方法
         polyfills: {},
 
@@ -104,10 +133,133 @@
             // 触摸设备检测
             browser.isTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 
+            // 智能电视和机顶盒检测
+            browser.isTV = this.isTvUserAgent(ua);
+
             // 现代浏览器判断
             browser.isModern = this.isModernBrowser();
         },
 
+        /**
+         * 判断是否为智能电视或机顶盒浏览器（Tizen、webOS、Android TV、Fire TV 等）
+         */
+        isTvUserAgent: function(ua) {
+            return /SMART-TV|SmartTV|Tizen|Web0S|webOS|NetCast|BRAVIA|HbbTV|VIDAA|Viera|Android TV|GoogleTV|AFT[A-Z]|CrKey|Roku|AppleTV|Xbox|PlayStation|Opera TV/i.test(ua || '');
+        },
+
+        /**
+         * 检测 Emby 网页客户端版本
+         * 依次读取 ApiClient 的客户端版本、服务器版本和页面脚本地址中的版本参数。
+         * 结果会缓存，识别失败时同样缓存，直到 ApiClient 在页面加载后才创建或被替换
+         * @param {boolean} refresh 忽略缓存重新检测
+         * @returns {{version: string|null, source: string|null}}
+         */
+        detectEmbyVersion: function(refresh) {
+            var emby = this.emby;
+            var apiClient = window.ApiClient || null;
+            if (!refresh && emby.detected && (emby.version || emby.apiClient === apiClient)) {
+                return emby;
+            }
+
+            var version = null;
+            var source = null;
+
+            if (apiClient) {
+                ['appVersion', 'serverVersion'].some(function(method) {
+                    if (typeof apiClient[method] !== 'function') {
+                        return false;
+                    }
+
+                    try {
+                        version = apiClient[method]() || null;
+                    } catch (error) {
+                        version = null;
+                    }
+                    source = version ? method : null;
+                    return !!version;
+                });
+            }
+
+            // Emby 加载的脚本和样式地址带有版本参数，例如 apploader.js?v=4.8.0.80
+            if (!version && document.querySelectorAll) {
+                var elements = document.querySelectorAll('script[src*="v="], link[href*="v="]');
+                for (var i = 0; i < elements.length && !version; i++) {
+                    var match = (elements[i].getAttribute('src') || elements[i].getAttribute('href') || '')
+                        .match(/[?&]v=(\d+\.\d+(?:\.\d+)*)/);
+                    if (match) {
+                        version = match[1];
+                        source = 'dom';
+                    }
+                }
+            }
+
+            emby.version = version;
+            emby.source = source;
+            emby.detected = true;
+            emby.apiClient = apiClient;
+            return emby;
+        },
+
+        /**
+         * 比较两个版本号
+         * @returns {number} a 小于 b 时为负数，相等时为 0，大于时为正数
+         */
+        compareVersions: function(a, b) {
+            var partsA = String(a).split('.');
+            var partsB = String(b).split('.');
+            var length = Math.max(partsA.length, partsB.length);
+
+            for (var i = 0; i < length; i++) {
+                var diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+                if (diff !== 0) {
+                    return diff;
+                }
+            }
+
+            return 0;
+        },
+
+        /**
+         * 按当前 Emby 版本选择选择器配置
+         * 无法识别版本或没有适配的配置时使用样式注入器的通用选择器
+         * @returns {{name: string, version: string|null, source: string|null, selectors: Object, fallback: boolean}}
+         */
+        getSelectorProfile: function() {
+            var emby = this.detectEmbyVersion();
+            var self = this;
+            var profile = null;
+
+            if (emby.version) {
+                profile = this.selectorProfiles.filter(function(candidate) {
+                    return (!candidate.minVersion || self.compareVersions(emby.version, candidate.minVersion) >= 0) &&
+                        (!candidate.maxVersion || self.compareVersions(emby.version, candidate.maxVersion) <= 0);
+                })[0] || null;
+            }
+
+            return {
+                name: profile ? profile.name : 'generic',
+                version: emby.version,
+                source: emby.source,
+                selectors: profile ? Object.assign({}, profile.selectors) : {},
+                fallback: !profile
+            };
+        },
+
+        /**
+         * 注册选择器配置，优先于已有的配置匹配
+         * @param {Object} profile 配置，包含 name、minVersion、maxVersion 和 selectors
+         */
+        registerSelectorProfile: function(profile) {
+            if (!profile || !profile.name || !profile.selectors) {
+                throw new Error('选择器配置必须提供 name 和 selectors');
+            }
+
+            this.selectorProfiles = this.selectorProfiles.filter(function(existing) {
+                return existing.name !== profile.name;
+            });
+            this.selectorProfiles.unshift(profile);
+        },
+
         /**
          * 判断是否为现代浏览器
          */
@@ -154,6 +306,9 @@
             // CSS Animations
             features.animations = this.testCSSSupport('animation', 'test 1s');
 
+            // CSS clamp()，不支持时流体字号回退为各断点的固定像素字号
+            features.clamp = this.testCSSSupport('font-size', 'clamp(1px, 1vw, 2px)');
+
             // MutationObserver
             features.mutationObserver = typeof MutationObserver !== 'undefined';
 
@@ -542,6 +697,10 @@
                 document.documentElement.className += ' is-touch';
             }
 
+            if (browser.isTV) {
+                document.documentElement.className += ' is-tv';
+            }
+
             // IE 特殊处理
             if (browser.name === 'IE') {
                 css += `
@@ -585,16 +744,7 @@
                 `;
             }
 
-            // 不支持 Transforms 的回退
-            if (!this.features.transforms) {
-                css += `
-                    .emby-beautify-card:hover {
-                        margin-top: -2px;
-                        margin-bottom: 2px;
-                    }
-                `;
-            }
-
+            // 不支持 Transforms 时卡片悬停不上移：增强类也会标记到 Emby 原生卡片上，用外边距模拟会改变原生列表的布局
             // 应用兼容性 CSS
             if (css) {
                 this.injectCSS('compatibility', css);
@@ -605,6 +755,13 @@
          * 注入 CSS
          */
         injectCSS: function(id, css) {
+            // 样式注入器可用时交给它管理，放入 compatibility 样式层
+            var injector = window.EmbyBeautifyStyleInjector;
+            if (injector && injector.layers && typeof injector.injectStyle === 'function') {
+                injector.injectStyle('compatibility-' + id, css, { layer: 'compatibility' });
+                return;
+            }
+
             var styleId = 'emby-beautify-compatibility-' + id;
             var styleElement = document.getElementById(styleId);
             
@@ -612,6 +769,8 @@
                 styleElement = document.createElement('style');
                 styleElement.id = styleId;
                 styleElement.type = 'text/css';
+                // 样式注入器初始化时会按该属性接管此元素
+                styleElement.setAttribute('data-layer', 'compatibility');
                 
                 var head = document.head || document.getElementsByTagName('head')[0];
                 head.appendChild(styleElement);
@@ -639,14 +798,37 @@
          * 获取兼容性报告
          */
         getCompatibilityReport: function() {
+            var profile = this.getSelectorProfile();
+
             return {
                 browser: this.browser,
                 features: this.features,
+                emby: {
+                    version: profile.version,
+                    source: profile.source,
+                    profile: profile.name
+                },
                 isSupported: this.isSupported(),
+                warnings: this.getWarnings(profile),
                 recommendations: this.getRecommendations()
             };
         },
 
+        /**
+         * 获取兼容性警告
+         */
+        getWarnings: function(profile) {
+            var warnings = [];
+
+            if (!profile.version) {
+                warnings.push('无法识别 Emby 网页客户端版本，使用通用选择器，部分样式可能不生效');
+            } else if (profile.fallback) {
+                warnings.push('未适配的 Emby 网页客户端版本 ' + profile.version + '，使用通用选择器，部分样式可能不生效');
+            }
+
+            return warnings;
+        },
+
         /**
          * 获取兼容性建议
          */
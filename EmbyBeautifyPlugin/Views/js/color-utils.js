@@ -0,0 +1,488 @@
+/**
+ * Emby 美化插件 - 颜色工具
+ * 提供颜色解析、格式转换和 WCAG 对比度计算
+ */
+
+(function(window) {
+    'use strict';
+
+    const ColorUtils = {
+        // 常用的颜色名称，其余名称无法解析时返回 null
+        namedColors: {
+            black: '#000000',
+            white: '#ffffff',
+            red: '#ff0000',
+            green: '#008000',
+            blue: '#0000ff',
+            gray: '#808080',
+            grey: '#808080',
+            transparent: 'rgba(0, 0, 0, 0)'
+        },
+
+        // 表面层级相对于表面色混入主色调的比例，从低到高
+        surfaceLevels: [0.04, 0.08, 0.12, 0.16],
+
+        // WCAG 2.x 正文文本的最低对比度要求
+        contrastLevels: {
+            AA: 4.5,
+            AAA: 7
+        },
+
+        /**
+         * 解析颜色
+         * 支持 #rgb、#rgba、#rrggbb、#rrggbbaa、rgb()、rgba()、hsl()、hsla() 和常用颜色名称
+         * @param {string|Object} value 颜色字符串或 { r, g, b, a } 对象
+         * @returns {{r: number, g: number, b: number, a: number}|null} 无法解析时返回 null
+         */
+        parse: function(value) {
+            if (value && typeof value === 'object') {
+                return typeof value.r === 'number' ? { r: value.r, g: value.g, b: value.b, a: value.a === undefined ? 1 : value.a } : null;
+            }
+
+            if (typeof value !== 'string') {
+                return null;
+            }
+
+            let color = value.trim().toLowerCase();
+            if (this.namedColors[color]) {
+                color = this.namedColors[color];
+            }
+
+            let match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(color);
+            if (match) {
+                let hex = match[1];
+                if (hex.length <= 4) {
+                    hex = hex.split('').map(char => char + char).join('');
+                }
+
+                return {
+                    r: parseInt(hex.slice(0, 2), 16),
+                    g: parseInt(hex.slice(2, 4), 16),
+                    b: parseInt(hex.slice(4, 6), 16),
+                    a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+                };
+            }
+
+            match = /^(rgba?|hsla?)\(([^)]+)\)$/.exec(color);
+            if (!match) {
+                return null;
+            }
+
+            const parts = match[2].split(/[\s,\/]+/).filter(Boolean);
+            if (parts.length < 3) {
+                return null;
+            }
+
+            const alpha = parts.length > 3 ? this.parseComponent(parts[3], 1) : 1;
+
+            if (match[1].indexOf('rgb') === 0) {
+                return {
+                    r: this.clamp(Math.round(this.parseComponent(parts[0], 255)), 0, 255),
+                    g: this.clamp(Math.round(this.parseComponent(parts[1], 255)), 0, 255),
+                    b: this.clamp(Math.round(this.parseComponent(parts[2], 255)), 0, 255),
+                    a: this.clamp(alpha, 0, 1)
+                };
+            }
+
+            const rgb = this.hslToRgb({
+                h: parseFloat(parts[0]),
+                s: this.clamp(parseFloat(parts[1]), 0, 100),
+                l: this.clamp(parseFloat(parts[2]), 0, 100)
+            });
+            rgb.a = this.clamp(alpha, 0, 1);
+            return rgb;
+        },
+
+        /**
+         * 解析颜色分量，百分比按 scale 换算
+         */
+        parseComponent: function(value, scale) {
+            return value.charAt(value.length - 1) === '%'
+                ? parseFloat(value) / 100 * scale
+                : parseFloat(value);
+        },
+
+        /**
+         * 转换为十六进制颜色，不透明时输出 #rrggbb
+         */
+        toHex: function(color) {
+            const rgb = this.parse(color);
+            if (!rgb) {
+                return null;
+            }
+
+            const hex = component => ('0' + this.clamp(Math.round(component), 0, 255).toString(16)).slice(-2);
+            let result = '#' + hex(rgb.r) + hex(rgb.g) + hex(rgb.b);
+
+            if (rgb.a < 1) {
+                result += hex(rgb.a * 255);
+            }
+
+            return result;
+        },
+
+        /**
+         * 转换为 rgba() 颜色
+         * @param {number} [alpha] 不透明度（0-1），省略时使用颜色自身的不透明度
+         */
+        toRgba: function(color, alpha) {
+            const rgb = this.parse(color);
+            if (!rgb) {
+                return null;
+            }
+
+            const a = alpha === undefined ? rgb.a : this.clamp(alpha, 0, 1);
+            return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${Math.round(a * 100) / 100})`;
+        },
+
+        /**
+         * RGB 转 HSL
+         * @returns {{h: number, s: number, l: number}} h 为 0-360，s、l 为 0-100
+         */
+        rgbToHsl: function(rgb) {
+            const r = rgb.r / 255;
+            const g = rgb.g / 255;
+            const b = rgb.b / 255;
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const l = (max + min) / 2;
+            let h = 0;
+            let s = 0;
+
+            if (max !== min) {
+                const d = max - min;
+                s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+                if (max === r) {
+                    h = (g - b) / d + (g < b ? 6 : 0);
+                } else if (max === g) {
+                    h = (b - r) / d + 2;
+                } else {
+                    h = (r - g) / d + 4;
+                }
+                h *= 60;
+            }
+
+            return { h: h, s: s * 100, l: l * 100 };
+        },
+
+        /**
+         * HSL 转 RGB
+         */
+        hslToRgb: function(hsl) {
+            const h = (((hsl.h % 360) + 360) % 360) / 360;
+            const s = hsl.s / 100;
+            const l = hsl.l / 100;
+
+            if (s === 0) {
+                const gray = Math.round(l * 255);
+                return { r: gray, g: gray, b: gray, a: 1 };
+            }
+
+            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+            const p = 2 * l - q;
+            const hue = t => {
+                if (t < 0) t += 1;
+                if (t > 1) t -= 1;
+                if (t < 1 / 6) return p + (q - p) * 6 * t;
+                if (t < 1 / 2) return q;
+                if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+                return p;
+            };
+
+            return {
+                r: Math.round(hue(h + 1 / 3) * 255),
+                g: Math.round(hue(h) * 255),
+                b: Math.round(hue(h - 1 / 3) * 255),
+                a: 1
+            };
+        },
+
+        /**
+         * 计算 WCAG 相对亮度
+         */
+        relativeLuminance: function(color) {
+            const rgb = this.parse(color);
+            if (!rgb) {
+                return null;
+            }
+
+            const channel = value => {
+                const c = value / 255;
+                return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+            };
+
+            return 0.2126 * channel(rgb.r) + 0.7152 * channel(rgb.g) + 0.0722 * channel(rgb.b);
+        },
+
+        /**
+         * 计算两个颜色的 WCAG 对比度（1-21）
+         * 半透明的前景色会先与背景色混合
+         * @returns {number|null} 任一颜色无法解析时返回 null
+         */
+        contrastRatio: function(foreground, background) {
+            const fg = this.parse(foreground);
+            const bg = this.parse(background);
+            if (!fg || !bg) {
+                return null;
+            }
+
+            const blended = fg.a < 1 ? this.mix(fg, bg, fg.a) : fg;
+            const l1 = this.relativeLuminance(blended);
+            const l2 = this.relativeLuminance(bg);
+
+            return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+        },
+
+        /**
+         * 按比例混合两个颜色
+         * @param {number} weight 第一个颜色的比例（0-1）
+         */
+        mix: function(first, second, weight) {
+            const a = this.parse(first);
+            const b = this.parse(second);
+            if (!a || !b) {
+                return null;
+            }
+
+            const w = this.clamp(weight, 0, 1);
+            return {
+                r: Math.round(a.r * w + b.r * (1 - w)),
+                g: Math.round(a.g * w + b.g * (1 - w)),
+                b: Math.round(a.b * w + b.b * (1 - w)),
+                a: 1
+            };
+        },
+
+        /**
+         * 调整颜色亮度
+         * @param {number} amount 亮度变化量（-100 到 100）
+         */
+        adjustLightness: function(color, amount) {
+            const rgb = this.parse(color);
+            if (!rgb) {
+                return null;
+            }
+
+            const hsl = this.rgbToHsl(rgb);
+            hsl.l = this.clamp(hsl.l + amount, 0, 100);
+            return this.toHex(this.hslToRgb(hsl));
+        },
+
+        /**
+         * 旋转色相
+         * @param {number} degrees 旋转角度
+         */
+        rotateHue: function(color, degrees) {
+            const rgb = this.parse(color);
+            if (!rgb) {
+                return null;
+            }
+
+            const hsl = this.rgbToHsl(rgb);
+            hsl.h += degrees;
+            return this.toHex(this.hslToRgb(hsl));
+        },
+
+        /**
+         * 从单个主色调派生完整的配色
+         * 已提供的基础颜色保持不变，只补全缺失的颜色；交互状态、表面层级、焦点环和滚动条颜色总是根据最终的基础颜色计算
+         * @param {string} seed 主色调
+         * @param {Object} [options] 选项
+         * @param {Object} [options.colors] 已有的基础颜色，键与主题变量名一致，例如 { 'background-color': '#121212' }
+         * @param {string} [options.scheme] 缺少背景色时使用的配色方案：light 或 dark
+         * @returns {Object|null} 变量名到颜色值的映射，主色调无法解析时返回 null
+         */
+        derivePalette: function(seed, options = {}) {
+            const primary = this.parse(seed);
+            if (!primary) {
+                return null;
+            }
+
+            const given = options.colors || {};
+            const pick = (name, derive) => this.parse(given[name]) ? given[name] : derive();
+            const hsl = this.rgbToHsl(primary);
+            const tone = (saturation, lightness) => this.toHex(this.hslToRgb({
+                h: hsl.h,
+                s: Math.min(hsl.s, saturation),
+                l: lightness
+            }));
+
+            const background = pick('background-color', () => options.scheme === 'dark' ? tone(20, 8) : tone(30, 97));
+            const dark = this.relativeLuminance(background) < 0.18;
+            const surface = pick('surface-color', () => dark ? tone(18, 13) : '#ffffff');
+
+            const palette = {
+                'primary-color': this.toHex(primary),
+                'secondary-color': pick('secondary-color', () => this.rotateHue(primary, 30)),
+                'accent-color': pick('accent-color', () => this.rotateHue(primary, -30)),
+                'background-color': background,
+                'surface-color': surface,
+                'text-color': pick('text-color', () => this.ensureContrast(dark ? tone(15, 92) : tone(15, 15), background, this.contrastLevels.AAA))
+            };
+
+            // 浅色背景上悬停和按下时加深，深色背景上提亮
+            const direction = dark ? 1 : -1;
+            palette['primary-hover-color'] = this.adjustLightness(primary, 8 * direction);
+            palette['primary-active-color'] = this.adjustLightness(primary, 14 * direction);
+            palette['primary-disabled-color'] = this.toHex(this.mix(this.mix(primary, '#808080', 0.5), background, 0.6));
+            palette['button-text-color'] = this.contrastRatio('#ffffff', primary) >= this.contrastLevels.AA ||
+                this.contrastRatio('#ffffff', primary) >= this.contrastRatio('#000000', primary) ? '#ffffff' : '#000000';
+
+            this.surfaceLevels.forEach((weight, index) => {
+                palette['surface-' + (index + 1)] = this.toHex(this.mix(primary, surface, weight));
+            });
+
+            palette['focus-ring-color'] = this.toRgba(primary, 0.5);
+            palette['scrollbar-track-color'] = palette['surface-1'];
+            palette['scrollbar-thumb-color'] = this.toHex(this.mix(primary, surface, 0.45));
+            palette['scrollbar-thumb-hover-color'] = palette['primary-hover-color'];
+
+            return palette;
+        },
+
+        /**
+         * 调整前景色的亮度，使其与背景色的对比度达到要求
+         * 保持色相和饱和度，向远离背景亮度的方向调整，改变尽可能小
+         * @returns {string|null} 调整后的十六进制颜色，已满足要求时原样返回
+         */
+        ensureContrast: function(foreground, background, ratio) {
+            const fg = this.parse(foreground);
+            const bg = this.parse(background);
+            if (!fg || !bg) {
+                return null;
+            }
+
+            if (this.contrastRatio(fg, bg) >= ratio) {
+                return this.toHex(fg);
+            }
+
+            const hsl = this.rgbToHsl(fg);
+            const darker = this.searchLightness(hsl, bg, ratio, 0);
+            const lighter = this.searchLightness(hsl, bg, ratio, 100);
+            const candidates = [darker, lighter].filter(Boolean);
+
+            if (candidates.length === 0) {
+                // 保持色相无法达到要求时退回黑色或白色
+                return this.contrastRatio('#000000', bg) >= this.contrastRatio('#ffffff', bg) ? '#000000' : '#ffffff';
+            }
+
+            candidates.sort((a, b) => Math.abs(a.l - hsl.l) - Math.abs(b.l - hsl.l));
+            return this.toHex(this.hslToRgb(candidates[0]));
+        },
+
+        /**
+         * 在原亮度和目标亮度之间二分查找满足对比度的最接近亮度
+         */
+        searchLightness: function(hsl, background, ratio, limit) {
+            const at = l => this.hslToRgb({ h: hsl.h, s: hsl.s, l: l });
+
+            if (this.contrastRatio(at(limit), background) < ratio) {
+                return null;
+            }
+
+            let low = hsl.l;
+            let high = limit;
+            for (let i = 0; i < 20; i++) {
+                const middle = (low + high) / 2;
+                if (this.contrastRatio(at(middle), background) >= ratio) {
+                    high = middle;
+                } else {
+                    low = middle;
+                }
+            }
+
+            return { h: hsl.h, s: hsl.s, l: high };
+        },
+
+        /**
+         * 使用中位切分法提取图片的主要颜色
+         * 不依赖 this 和其他方法，可以通过 toString() 放入 Web Worker 中执行
+         * @param {Uint8ClampedArray} pixels canvas getImageData 返回的 RGBA 像素数据
+         * @param {number} count 最多提取的颜色数量
+         * @returns {Array<{r: number, g: number, b: number, population: number}>} 按像素数量从多到少排列
+         */
+        quantize: function(pixels, count) {
+            const colors = [];
+            for (let i = 0; i < pixels.length; i += 4) {
+                // 跳过接近透明的像素
+                if (pixels[i + 3] >= 125) {
+                    colors.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
+                }
+            }
+
+            if (colors.length === 0) {
+                return [];
+            }
+
+            const boxes = [colors];
+            while (boxes.length < count) {
+                // 选择颜色范围最大的盒子，沿范围最大的通道从中位数处切分
+                let index = -1;
+                let channel = 0;
+                let widest = 0;
+
+                boxes.forEach((box, boxIndex) => {
+                    if (box.length < 2) {
+                        return;
+                    }
+
+                    for (let c = 0; c < 3; c++) {
+                        let min = 255;
+                        let max = 0;
+                        box.forEach(color => {
+                            min = Math.min(min, color[c]);
+                            max = Math.max(max, color[c]);
+                        });
+
+                        if (max - min > widest) {
+                            widest = max - min;
+                            index = boxIndex;
+                            channel = c;
+                        }
+                    }
+                });
+
+                if (index === -1) {
+                    break;
+                }
+
+                // 在中位数的取值边界处切分，相同的颜色分到两个盒子里会平均出图片中不存在的颜色
+                const box = boxes[index].sort((a, b) => a[channel] - b[channel]);
+                const median = box[box.length >> 1][channel];
+                let middle = box.findIndex(color => color[channel] >= median);
+                if (middle === 0) {
+                    middle = box.findIndex(color => color[channel] > median);
+                }
+                boxes.splice(index, 1, box.slice(0, middle), box.slice(middle));
+            }
+
+            return boxes.map(box => {
+                const sum = [0, 0, 0];
+                box.forEach(color => {
+                    sum[0] += color[0];
+                    sum[1] += color[1];
+                    sum[2] += color[2];
+                });
+
+                return {
+                    r: Math.round(sum[0] / box.length),
+                    g: Math.round(sum[1] / box.length),
+                    b: Math.round(sum[2] / box.length),
+                    population: box.length
+                };
+            }).sort((a, b) => b.population - a.population);
+        },
+
+        /**
+         * 将数值限制在范围内
+         */
+        clamp: function(value, min, max) {
+            return Math.min(max, Math.max(min, value));
+        }
+    };
+
+    // 导出到全局命名空间
+    window.EmbyBeautifyColor = ColorUtils;
+
+})(window);
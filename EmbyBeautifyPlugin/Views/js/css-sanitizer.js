@@ -0,0 +1,477 @@
+/**
+ * Emby 美化插件 - CSS 值校验
+ * 按预期的 CSS 类型（颜色、长度、字体栈、阴影）校验主题值，防止导入的主题向样式表注入额外规则
+ */
+
+(function(window) {
+    'use strict';
+
+    const CssSanitizer = {
+        // 长度单位，与服务端 ThemeLayout/ThemeTypography 的校验保持一致
+        lengthUnits: ['px', 'em', 'rem', '%', 'pt', 'pc', 'in', 'cm', 'mm', 'ex', 'ch', 'vw', 'vh', 'vmin', 'vmax', 'fr'],
+
+        // 所有类型都接受的 CSS 全局关键字
+        globalKeywords: ['inherit', 'initial', 'unset', 'revert'],
+
+        // 与服务端 ThemeTypography.FontDisplayValues 一致的 font-display 策略
+        fontDisplayValues: ['auto', 'block', 'swap', 'fallback', 'optional'],
+
+        // 主题字段对应的值类型，Colors 和 CustomProperties 中的所有字段使用同一类型
+        themeSchema: {
+            Colors: 'color',
+            Typography: {
+                FontFamily: 'fontStack',
+                FontSize: 'length',
+                LineHeight: 'number',
+                HeadingWeight: 'fontWeight',
+                BodyWeight: 'fontWeight',
+                FontWeight: 'fontWeight',
+                FontDisplay: 'fontDisplay',
+                FontFaces: 'fontFaces'
+            },
+            Layout: {
+                BorderRadius: 'length',
+                SpacingUnit: 'length',
+                Spacing: 'length',
+                BoxShadow: 'shadow',
+                MaxWidth: 'length',
+                GridColumns: 'number',
+                GridGap: 'length'
+            },
+            CustomProperties: 'value'
+        },
+
+        // 主题变量对应的值类型，用于校验用户覆盖的变量；以 -color 结尾的变量按颜色校验，其余未列出的变量按 value 校验
+        variableTypes: {
+            'font-family': 'fontStack',
+            'font-size': 'length',
+            'line-height': 'number',
+            'heading-weight': 'fontWeight',
+            'body-weight': 'fontWeight',
+            'border-radius': 'length',
+            'spacing-unit': 'length',
+            'box-shadow': 'shadow',
+            'max-width': 'length',
+            'grid-columns': 'number',
+            'grid-gap': 'length'
+        },
+
+        /**
+         * 按类型校验一个值
+         * 字体栈中无法识别的字体名会加引号转义，其余类型不合法时拒绝
+         * @param {*} value 原始值
+         * @param {string} type color、length、number、fontWeight、fontDisplay、fontStack、shadow 或 value
+         * @returns {{value: string|null, action: string}} action 为 accepted、escaped 或 rejected
+         */
+        sanitize: function(value, type) {
+            if (typeof value === 'number' && isFinite(value) && type !== 'color' && type !== 'fontStack') {
+                return { value: String(value), action: 'accepted' };
+            }
+
+            if (typeof value !== 'string') {
+                return { value: null, action: 'rejected' };
+            }
+
+            const trimmed = value.trim();
+            if (!trimmed || /[\u0000-\u001f]/.test(trimmed)) {
+                return { value: null, action: 'rejected' };
+            }
+
+            if (type === 'fontStack') {
+                return this.sanitizeFontStack(trimmed);
+            }
+
+            const validators = {
+                color: text => this.isColor(text),
+                length: text => this.isLengthList(text),
+                number: text => this.isNumber(text) || this.isLength(text),
+                fontWeight: text => this.isFontWeight(text),
+                fontDisplay: text => this.isKeyword(text, this.fontDisplayValues),
+                shadow: text => this.isShadow(text),
+                value: text => this.isSafeValue(text)
+            };
+            const validator = validators[type] || validators.value;
+
+            return validator(trimmed) || this.isKeyword(trimmed, this.globalKeywords)
+                ? { value: trimmed, action: 'accepted' }
+                : { value: null, action: 'rejected' };
+        },
+
+        /**
+         * 校验主题中所有已知字段
+         * @param {Object} theme 主题
+         * @returns {{theme: Object, fields: Array}} 校验后的主题副本（被拒绝的字段已删除）和被拒绝或转义的字段列表
+         */
+        sanitizeTheme: function(theme) {
+            const result = Object.assign({}, theme);
+            const fields = [];
+
+            Object.keys(this.themeSchema).forEach(section => {
+                const values = theme[section];
+                if (!values || typeof values !== 'object') {
+                    return;
+                }
+
+                const schema = this.themeSchema[section];
+                const sanitized = {};
+
+                Object.keys(values).forEach(key => {
+                    const value = values[key];
+                    const type = typeof schema === 'string' ? schema : schema[key];
+                    const path = section + '.' + key;
+
+                    // 未登记的字段和空值原样保留，由生成样式的代码决定是否使用
+                    if (!type || value === undefined || value === null || value === '') {
+                        sanitized[key] = value;
+                        return;
+                    }
+
+                    // 自定义变量的名称同样会写入样式表
+                    if (section === 'CustomProperties' && !this.isPropertyName(key)) {
+                        fields.push({ path: path, value: value, type: 'propertyName', action: 'rejected' });
+                        return;
+                    }
+
+                    if (type === 'fontFaces') {
+                        sanitized[key] = this.sanitizeFontFaces(value, path, fields);
+                        return;
+                    }
+
+                    const checked = this.sanitize(value, type);
+                    if (checked.action !== 'accepted') {
+                        fields.push({ path: path, value: value, type: type, action: checked.action });
+                    }
+                    if (checked.value !== null) {
+                        sanitized[key] = checked.value;
+                    }
+                });
+
+                result[section] = sanitized;
+            });
+
+            // 名称和版本写入样式表开头的注释
+            ['Name', 'Version'].forEach(key => {
+                if (typeof theme[key] === 'string') {
+                    result[key] = this.escapeComment(theme[key]);
+                }
+            });
+
+            return { theme: result, fields: fields };
+        },
+
+        /**
+         * 校验一组 CSS 变量，例如用户的主题覆盖
+         * 名称不合法或值不符合变量类型的条目会被删除
+         * @param {Object} variables 不带 -- 前缀的变量名到值的映射
+         * @returns {{variables: Object, fields: Array}} 通过校验的变量和被拒绝或转义的变量列表
+         */
+        sanitizeVariables: function(variables) {
+            const result = {};
+            const fields = [];
+
+            Object.keys(variables || {}).forEach(name => {
+                const value = variables[name];
+
+                if (!this.isPropertyName(name)) {
+                    fields.push({ path: name, value: value, type: 'propertyName', action: 'rejected' });
+                    return;
+                }
+
+                const type = this.getVariableType(name);
+                const checked = this.sanitize(value, type);
+                if (checked.action !== 'accepted') {
+                    fields.push({ path: name, value: value, type: type, action: checked.action });
+                }
+                if (checked.value !== null) {
+                    result[name] = checked.value;
+                }
+            });
+
+            return { variables: result, fields: fields };
+        },
+
+        /**
+         * 获取主题变量的值类型
+         */
+        getVariableType: function(name) {
+            if (this.variableTypes.hasOwnProperty(name)) {
+                return this.variableTypes[name];
+            }
+
+            return /-color$/.test(name) ? 'color' : 'value';
+        },
+
+        /**
+         * 是否为颜色
+         * 支持十六进制颜色、rgb()/hsl() 函数、颜色关键字和 var() 引用
+         */
+        isColor: function(text) {
+            // 颜色工具只检查函数名和括号，先限定函数参数中的字符
+            if (/^(rgba?|hsla?)\(/i.test(text)) {
+                const color = window.EmbyBeautifyColor;
+                return /^[a-z]+\([\w\s.,%\/+-]+\)$/i.test(text) && (!color || color.parse(text) !== null);
+            }
+
+            return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(text) ||
+                /^[a-z]+$/i.test(text) ||
+                this.isVariable(text, value => this.isColor(value));
+        },
+
+        /**
+         * 是否为长度
+         * 支持带单位的数值、0、calc()/min()/max()/clamp() 和 var() 引用
+         */
+        isLength: function(text) {
+            const match = /^[+-]?(\d+|\d*\.\d+)([a-z%]*)$/i.exec(text);
+            if (match) {
+                return match[2] === '' ? parseFloat(match[1]) === 0 : this.lengthUnits.indexOf(match[2].toLowerCase()) !== -1;
+            }
+
+            if (/^(calc|min|max|clamp)\(/i.test(text)) {
+                return /^[a-z]+\([\w\s.,%()*\/+-]*\)$/i.test(text) && this.isBalanced(text);
+            }
+
+            return this.isKeyword(text, ['auto', 'none', 'normal']) ||
+                this.isVariable(text, value => this.isLengthList(value));
+        },
+
+        /**
+         * 是否为以空格分隔的 1-4 个长度，例如 border-radius 的简写
+         */
+        isLengthList: function(text) {
+            const parts = this.splitTopLevel(text, ' ');
+            return parts.length > 0 && parts.length <= 4 && parts.every(part => this.isLength(part));
+        },
+
+        /**
+         * 是否为数值
+         */
+        isNumber: function(text) {
+            return /^[+-]?(\d+|\d*\.\d+)$/.test(text) || this.isVariable(text, value => this.isNumber(value));
+        },
+
+        /**
+         * 是否为字重
+         */
+        isFontWeight: function(text) {
+            if (/^\d+$/.test(text)) {
+                const weight = parseInt(text, 10);
+                return weight >= 1 && weight <= 1000;
+            }
+
+            return this.isKeyword(text, ['normal', 'bold', 'bolder', 'lighter']) ||
+                this.isVariable(text, value => this.isFontWeight(value));
+        },
+
+        /**
+         * 是否为阴影
+         * 每个阴影由 2-4 个长度、可选的颜色和 inset 组成，多个阴影以逗号分隔
+         */
+        isShadow: function(text) {
+            if (this.isKeyword(text, ['none']) || this.isVariable(text, value => this.isShadow(value))) {
+                return true;
+            }
+
+            return this.splitTopLevel(text, ',').every(shadow => {
+                let lengths = 0;
+                let colors = 0;
+
+                const valid = this.splitTopLevel(shadow, ' ').every(part => {
+                    if (part.toLowerCase() === 'inset') {
+                        return true;
+                    }
+                    if (this.isLength(part)) {
+                        lengths++;
+                        return true;
+                    }
+                    if (this.isColor(part)) {
+                        colors++;
+                        return true;
+                    }
+                    return false;
+                });
+
+                return valid && lengths >= 2 && lengths <= 4 && colors <= 1;
+            });
+        },
+
+        /**
+         * 是否为不会改变样式表结构的值
+         * 用于没有具体类型的字段，拒绝分号、花括号、注释、未闭合的引号和括号以及 url()/expression() 等外部引用
+         */
+        isSafeValue: function(text) {
+            if (/[;{}<>\\]|\/\*|\*\/|@import|url\s*\(|image-set\s*\(|expression\s*\(|javascript:/i.test(text)) {
+                return false;
+            }
+
+            return this.isBalanced(text);
+        },
+
+        /**
+         * 是否为合法的自定义变量名（不带 -- 前缀）
+         */
+        isPropertyName: function(name) {
+            return /^[a-zA-Z][a-zA-Z0-9-]*$/.test(name);
+        },
+
+        /**
+         * 校验字体栈
+         * 由字母、数字、连字符和 CJK 字符组成的字体名原样保留，其余字体名去掉引号、反斜杠、尖括号、分号、花括号和星号后整体加引号，
+         * 使其只能作为字体名解析，与服务端 CssValueSanitizer.EscapeFontFamily 的结果一致
+         */
+        sanitizeFontStack: function(text) {
+            if (this.isVariable(text, value => this.sanitizeFontStack(value).action === 'accepted')) {
+                return { value: text, action: 'accepted' };
+            }
+
+            let escaped = false;
+            const families = text.split(',').map(family => family.trim()).filter(Boolean).map(family => {
+                if (/^[\w\u00a0-\uffff-]+( [\w\u00a0-\uffff-]+)*$/.test(family)) {
+                    return family;
+                }
+
+                const quoted = /^(["'])([^"'\\<>;{}*]*)\1$/.exec(family);
+                if (quoted) {
+                    return family;
+                }
+
+                escaped = true;
+                return `"${family.replace(/["'\\<>;{}*]/g, '')}"`;
+            }).filter(family => family !== '""');
+
+            if (families.length === 0) {
+                return { value: null, action: 'rejected' };
+            }
+
+            return { value: families.join(', '), action: escaped ? 'escaped' : 'accepted' };
+        },
+
+        /**
+         * 校验字体声明列表
+         * 字体名、文件名、字重、样式或字符范围不合法的声明整条删除，文件名只能引用插件 fonts 目录中的字体文件
+         * @param {Array} faces Typography.FontFaces
+         * @param {string} path 字段路径，用于报告
+         * @param {Array} fields 被拒绝的字段列表
+         * @returns {Array} 通过校验的声明
+         */
+        sanitizeFontFaces: function(faces, path, fields) {
+            if (!Array.isArray(faces)) {
+                fields.push({ path: path, value: faces, type: 'fontFaces', action: 'rejected' });
+                return [];
+            }
+
+            const patterns = {
+                Family: /^[\w\u00a0-\uffff -]+$/,
+                Source: /^[a-z0-9][\w.-]*\.(woff2?|ttf|otf)$/i,
+                Weight: /^([1-9]00|normal|bold)( [1-9]00)?$/i,
+                Style: /^(normal|italic|oblique)$/i,
+                UnicodeRange: /^U\+[0-9a-f?]{1,6}(-[0-9a-f]{1,6})?(\s*,\s*U\+[0-9a-f?]{1,6}(-[0-9a-f]{1,6})?)*$/i
+            };
+
+            return faces.filter((face, index) => {
+                const facePath = `${path}[${index}]`;
+                if (!face || typeof face !== 'object') {
+                    fields.push({ path: facePath, value: face, type: 'fontFace', action: 'rejected' });
+                    return false;
+                }
+
+                return Object.keys(patterns).every(key => {
+                    const value = face[key];
+                    const required = key === 'Family' || key === 'Source';
+                    if ((value === undefined || value === null || value === '') && !required) {
+                        return true;
+                    }
+
+                    if (typeof value === 'string' && patterns[key].test(value.trim())) {
+                        return true;
+                    }
+
+                    fields.push({ path: facePath + '.' + key, value: value, type: 'fontFace', action: 'rejected' });
+                    return false;
+                });
+            }).map(face => Object.assign({}, face, { Family: face.Family.trim(), Source: face.Source.trim() }));
+        },
+
+        /**
+         * 转义 CSS 注释中的文本
+         */
+        escapeComment: function(text) {
+            return String(text).replace(/\*\//g, '* /').replace(/[\r\n]/g, ' ');
+        },
+
+        /**
+         * 是否为 var() 引用，带回退值时按 check 校验回退值
+         */
+        isVariable: function(text, check) {
+            const match = /^var\(\s*--([a-zA-Z][a-zA-Z0-9-]*)\s*(?:,\s*(.+))?\)$/.exec(text);
+            if (!match) {
+                return false;
+            }
+
+            return match[2] === undefined || (this.isBalanced(match[2]) && check(match[2].trim()));
+        },
+
+        /**
+         * 是否为列出的关键字之一（不区分大小写）
+         */
+        isKeyword: function(text, keywords) {
+            return keywords.indexOf(text.toLowerCase()) !== -1;
+        },
+
+        /**
+         * 括号是否成对出现且引号已闭合
+         */
+        isBalanced: function(text) {
+            let depth = 0;
+            let quote = null;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text.charAt(i);
+                if (quote) {
+                    if (char === quote) {
+                        quote = null;
+                    }
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '(') {
+                    depth++;
+                } else if (char === ')' && --depth < 0) {
+                    return false;
+                }
+            }
+
+            return depth === 0 && quote === null;
+        },
+
+        /**
+         * 按分隔符拆分，忽略括号内的分隔符
+         */
+        splitTopLevel: function(text, separator) {
+            const parts = [];
+            let depth = 0;
+            let current = '';
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text.charAt(i);
+                if (char === '(') {
+                    depth++;
+                } else if (char === ')') {
+                    depth--;
+                }
+
+                if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+                    parts.push(current);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            parts.push(current);
+
+            return parts.map(part => part.trim()).filter(Boolean);
+        }
+    };
+
+    window.EmbyBeautifySanitizer = CssSanitizer;
+
+})(window);
@@ -15,7 +15,57 @@
             stylePrefix: 'emby-beautify-',
             maxRetries: 3,
             retryDelay: 1000,
+            // 定期轮询间隔，仅在变更通知通道不可用时使用
             updateInterval: 5000,
+            // 变更通知长轮询的最长等待时间（秒）
+            changeWaitTimeout: 25,
+            // 变更通知通道失效后重新尝试建立的初始间隔和最大间隔（毫秒）
+            changeChannelRetryDelay: 30000,
+            changeChannelMaxRetryDelay: 300000,
+            // 本地主题样式缓存的存储键
+            cacheKey: 'theme-cache',
+            // 主题实时预览使用的 BroadcastChannel 名称
+            previewChannel: 'emby-beautify-preview',
+            // 主题历史的存储键（sessionStorage）和最大条目数
+            historyKey: 'theme-history',
+            historyLimit: 20,
+            // 是否按 Emby 用户分别选择主题
+            perUserThemes: true,
+            // 浅色/深色主题组合的存储键
+            variantsKey: 'theme-variants',
+            // 样式层的实现方式：auto、layers、adopted、order
+            // auto 在支持时使用 adoptedStyleSheets，否则按顺序放置 <style> 元素。
+            // layers 使用 CSS @layer，但分层样式的优先级低于 Emby 自身未分层的样式，需要显式启用
+            layerStrategy: 'auto',
+            // 颜色对比度检查：level 为 AA 或 AAA，autoCorrect 为 true 时自动调整亮度以满足要求
+            contrast: {
+                level: 'AA',
+                autoCorrect: false
+            },
+            // 用户的无障碍偏好设置的存储键，按 Emby 用户分别保存
+            accessibilityKey: 'accessibility-preferences',
+            // 用户文字大小倍数的允许范围
+            textScaleRange: { min: 0.75, max: 2 },
+            // 是否在详情页根据作品图片动态调整配色
+            artworkColors: false,
+            // 作品图片的采样尺寸（像素）和提取的颜色数量
+            artworkSampleSize: 64,
+            artworkSwatchCount: 8,
+            // 电视（10 英尺）模式：auto 在电视浏览器上或仅用方向键导航时启用，on 始终启用，off 停用
+            tvMode: 'auto',
+            // 是否在 Emby 视图之间播放切换动画，支持时使用 View Transitions API
+            pageTransitions: true,
+            viewTransitions: true,
+            // 等待新视图显示的最长时间（毫秒），超时后结束切换
+            pageTransitionTimeout: 1500,
+            // 支持容器查询时，卡片网格按所在区域的宽度而不是窗口宽度选择断点
+            containerQueries: true,
+            // 主题字体的地址前缀和默认 font-display 策略
+            fontPath: '/emby-beautify/fonts/',
+            fontDisplay: 'swap',
+            // fallback 和 optional 策略等待字体加载的最长时间（毫秒），超时后继续使用回退字体
+            fontLoadTimeout: 3000,
+            fontOptionalTimeout: 100,
             debugMode: false
         },
 
@@ -25,7 +75,230 @@
             observers: new Map(),
             isInitialized: false,
             lastUpdateTime: 0,
-            retryCount: 0
+            retryCount: 0,
+            themeETag: null,
+            changeChannel: null,
+            changeChannelRetry: { attempts: 0, timer: null },
+            userId: null,
+            themeVersion: null,
+            appliedThemeId: null,
+            appliedTheme: null,
+            variants: null,
+            colorScheme: null,
+            colorSchemeWatcher: null,
+            route: null,
+            routeLayers: new Map(),
+            routeListeners: null,
+            modules: new Map(),
+            previewSession: null,
+            previewChannel: null,
+            previewMessageListener: null,
+            history: { entries: [], index: -1 },
+            layerStrategy: null,
+            styleSequence: 0,
+            contrastReport: null,
+            validationReport: null,
+            preferences: { reducedMotion: false, highContrast: false, forcedColors: false, textScale: 1 },
+            preferenceOverrides: {},
+            preferenceWatchers: [],
+            artwork: null,
+            artworkTimer: null,
+            artworkCache: new Map(),
+            artworkWorker: null,
+            artworkWorkerUrl: null,
+            artworkRequests: new Map(),
+            artworkRequestId: 0,
+            inputMode: null,
+            inputListeners: null,
+            tvMode: false,
+            interactionListeners: null,
+            pressTimers: new WeakMap(),
+            enhancementMappings: null,
+            pageTransition: null,
+            pageTransitionListeners: null,
+            fonts: null,
+            breakpoints: null,
+            breakpoint: null
+        },
+
+        // 渲染默认值，与服务端模型的默认值保持一致
+        defaults: {
+            animation: {
+                EnableAnimations: true,
+                GlobalDuration: 300,
+                GlobalEasing: 'ease',
+                EnableHardwareAcceleration: true,
+                ReducedMotion: false,
+                SpecificAnimations: {},
+                Transitions: {
+                    HoverDuration: 200,
+                    ClickDuration: 150,
+                    PageTransitionDuration: 400,
+                    ModalDuration: 250,
+                    ScrollDuration: 300
+                }
+            },
+            breakpoints: {
+                mobile: { minWidth: 0, maxWidth: 767 },
+                tablet: { minWidth: 768, maxWidth: 1199 },
+                desktop: { minWidth: 1200, maxWidth: null }
+            },
+            // 字号阶梯：相邻级别的字号之比、各级别相对正文的级数，以及小屏流体字号开始缩放的视口宽度（像素）
+            typeScale: {
+                ratio: 1.2,
+                steps: { caption: -1, body: 0, h6: 0, h5: 1, h4: 2, h3: 3, h2: 4, h1: 5 },
+                minViewport: 360
+            },
+            // 按时间切换时，浅色/深色主题的开始时间
+            schedule: {
+                light: '07:00',
+                dark: '19:00'
+            }
+        },
+
+        // 关键帧定义，输出时自动添加 emby-beautify- 前缀
+        keyframes: {
+            fadeIn: 'from { opacity: 0; transform: translateY(10px); } to { opacity: 1; transform: translateY(0); }',
+            fadeOut: 'from { opacity: 1; } to { opacity: 0; }',
+            slideIn: 'from { transform: translateX(-20px); opacity: 0; } to { transform: translateX(0); opacity: 1; }',
+            slideOut: 'from { transform: translateX(0); opacity: 1; } to { transform: translateX(20px); opacity: 0; }',
+            slideUp: 'from { transform: translateY(20px); opacity: 0; } to { transform: translateY(0); opacity: 1; }',
+            slideDown: 'from { transform: translateY(-20px); opacity: 0; } to { transform: translateY(0); opacity: 1; }',
+            scaleIn: 'from { transform: scale(0.9); opacity: 0; } to { transform: scale(1); opacity: 1; }',
+            scaleOut: 'from { transform: scale(1); opacity: 1; } to { transform: scale(0.9); opacity: 0; }',
+            pulse: '0%, 100% { transform: scale(1); } 50% { transform: scale(1.05); }',
+            ripple: '0% { transform: scale(0); opacity: 1; } 100% { transform: scale(4); opacity: 0; }',
+            rippleSpread: 'from { transform: scale(0); opacity: 1; } to { transform: scale(1); opacity: 0; }',
+            clickPulse: '0% { box-shadow: 0 0 0 0 rgba(255, 255, 255, 0.7); } 70% { box-shadow: 0 0 0 10px rgba(255, 255, 255, 0); } 100% { box-shadow: 0 0 0 0 rgba(255, 255, 255, 0); }',
+            flash: '0%, 50%, 100% { opacity: 1; } 25%, 75% { opacity: 0.5; }'
+        },
+
+        // 样式层，从低到高排列，后面的层覆盖前面的层
+        // enhancements 放置插件自身的交互效果等增强样式，位于主题之后，兼容性修复和路由样式可以覆盖
+        layers: ['base', 'theme', 'enhancements', 'compatibility', 'route', 'user-overrides', 'accessibility', 'modules'],
+
+        // 浏览器端生成、服务端主题 CSS 中没有的变量，由主题补充样式输出
+        supplementTokens: ['grid-columns', 'grid-gap', 'transition-duration', 'animation-duration',
+            'animation-easing', 'page-transition-duration', 'modal-duration'],
+
+        // 需要检查对比度的颜色组合，foreground 为不满足要求时调整的变量
+        contrastPairs: [
+            { name: 'text/background', foreground: 'text-color', background: 'background-color' },
+            { name: 'text/surface', foreground: 'text-color', background: 'surface-color' },
+            { name: 'primary/button-text', foreground: 'button-text-color', background: 'primary-color', fallback: '#ffffff' }
+        ],
+
+        // 同一层内的优先级，数值越大越靠后
+        priorities: {
+            low: 0,
+            normal: 1,
+            high: 2
+        },
+
+        // Emby 路由识别规则，按顺序匹配，命中的第一条即为当前路由
+        // hash 匹配地址中的路由部分，selector 匹配当前显示的页面元素
+        routes: {
+            player: {
+                hash: /\/(videoosd|nowplaying)/i,
+                selector: '.videoOsdPage, .nowPlayingPage'
+            },
+            login: {
+                hash: /\/(login|manuallogin|selectserver|forgotpassword|startup\/)/i,
+                selector: '.loginPage, .manualLoginPage, .selectServerPage'
+            },
+            dashboard: {
+                hash: /\/(dashboard|configurationpage|plugins|scheduledtasks|devices|userprofiles|serveractivity)/i,
+                selector: '.type-interior'
+            },
+            itemDetails: {
+                hash: /\/(item|details)(\.html)?\?/i,
+                selector: '.itemDetailPage'
+            },
+            library: {
+                hash: /\/(list|library|movies|tv|music|livetv|collections|folders)(\.html|\/|\?|$)/i,
+                selector: '.libraryPage'
+            },
+            home: {
+                hash: /^#!?\/?(home(\.html)?)?(\?|$)/i,
+                selector: '.homePage'
+            }
+        },
+
+        // 系统无障碍偏好对应的媒体查询
+        preferenceQueries: {
+            reducedMotion: '(prefers-reduced-motion: reduce)',
+            highContrast: '(prefers-contrast: more)',
+            forcedColors: '(forced-colors: active)'
+        },
+
+        // 主题样式作用的语义目标，未识别 Emby 版本时使用的通用选择器
+        // 识别到版本后由兼容性模块的选择器配置覆盖，见 resolveSelectors
+        selectors: {
+            page: '.page',
+            card: '.card, .media-card',
+            button: '.button, .btn, button',
+            primaryButton: '.button-primary',
+            navigation: '.navigation, .nav, .navbar',
+            input: '.form-control, input, textarea, select',
+            container: '.container, .main-container, .page-container',
+            textPrimary: '.text-primary',
+            caption: 'small, figcaption, .text-secondary',
+            // 只包含插件自己的网格容器，Emby 原生列表的布局不受影响
+            grid: '.emby-beautify-grid, .responsive-grid',
+            viewContainer: '.mainAnimatedPages'
+        },
+
+        // 原生 Emby 元素与增强类的映射，键为 Emby 版本（主版本.次版本），default 适用于所有版本
+        // 版本映射只需列出与 default 不同的增强类；emby-beautify-grid 会把元素改为网格布局，默认不映射到原生列表
+        enhancementMappings: {
+            default: {
+                'emby-beautify-enhanced': '.card, .raised, .emby-button, .listItem',
+                'emby-beautify-card': '.card',
+                'emby-beautify-button': '.raised, .emby-button, .button-submit',
+                'touch-target': '.paper-icon-button-light'
+            }
+        },
+
+        // 电视模式下需要放大焦点的可导航元素
+        tvFocusSelectors: {
+            cards: '.card, .emby-beautify-card, .media-card',
+            buttons: '.button, .btn, button, .emby-button, .emby-beautify-button, .listItem'
+        },
+
+        // 导航方向键，用于识别遥控器和仅使用键盘的操作
+        navigationKeys: ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Up', 'Down', 'Left', 'Right'],
+
+        // 详情页作品图片的选择器，按顺序查找，海报优先于背景图
+        artworkSelectors: [
+            '.detailImageContainer img',
+            '.detailImageContainer .cardImage',
+            '.itemBackdrop',
+            '.backdropImage'
+        ],
+
+        // 内置的页面样式层，按路由注册，只在对应页面激活时注入
+        routeStyles: {
+            itemDetails: {
+                'backdrop-hero': function() {
+                    return this.cssRule('.itemBackdrop, .detailPageBackdrop', {
+                        'filter': 'blur(12px) brightness(0.6)',
+                        'transform': 'scale(1.05)'
+                    }) + this.cssRule('.detailPagePrimaryContainer, .detailPageContent', {
+                        'background': 'linear-gradient(to bottom, transparent, var(--background-color, #101010) 60%)'
+                    });
+                }
+            },
+            player: {
+                'minimal-chrome': function() {
+                    return this.cssRule('.skinHeader', {
+                        'background': 'transparent !important',
+                        'box-shadow': 'none !important'
+                    }) + this.cssRule('.videoOsdBottom', {
+                        'background': 'linear-gradient(to top, rgba(0, 0, 0, 0.75), transparent)',
+                        'box-shadow': 'none'
+                    });
+                }
+            }
         },
 
         // 浏览器兼容性检测
@@ -33,6 +306,7 @@
             supportsCustomProperties: false,
             supportsObserver: false,
             supportsPromises: false,
+            supportsClamp: false,
             browserInfo: {}
         },
 
@@ -50,11 +324,22 @@
             return this.detectBrowserCompatibility()
                 .then(() => this.setupStyleContainer())
                 .then(() => this.setupMutationObserver())
+                .then(() => this.setupEnhancements())
+                .then(() => this.setupRouteTracking())
+                .then(() => this.setupPageTransitions())
+                .then(() => this.setupBreakpoints())
+                .then(() => this.setupColorScheme())
+                .then(() => this.setupAccessibilityPreferences())
+                .then(() => this.setupTvMode())
+                .then(() => this.setupInteractions())
+                .then(() => this.setupPreviewChannel())
+                .then(() => this.setupHistory())
                 .then(() => this.loadInitialStyles())
                 .then(() => {
                     this.state.isInitialized = true;
                     this.log('样式注入器初始化完成');
-                    this.startPeriodicUpdate();
+                    this.applyModules();
+                    this.startChangeListener();
                 })
                 .catch(error => {
                     this.error('初始化失败:', error);
@@ -79,6 +364,12 @@
                 this.compatibility.supportsPromises = 
                     typeof Promise !== 'undefined';
 
+                // 检测 clamp() 支持，优先使用兼容性模块的检测结果
+                const compat = window.EmbyBeautifyCompatibility;
+                this.compatibility.supportsClamp = compat && typeof compat.testCSSSupport === 'function'
+                    ? compat.testCSSSupport('font-size', 'clamp(1px, 1vw, 2px)')
+                    : !!(window.CSS && window.CSS.supports && window.CSS.supports('font-size', 'clamp(1px, 1vw, 2px)'));
+
                 // 获取浏览器信息
                 this.compatibility.browserInfo = this.getBrowserInfo();
 
@@ -98,7 +389,8 @@
                 isSafari: /Safari/.test(ua) && /Apple Computer/.test(navigator.vendor),
                 isEdge: /Edge/.test(ua),
                 isIE: /Trident/.test(ua),
-                isMobile: /Mobile|Android|iPhone|iPad/.test(ua)
+                isMobile: /Mobile|Android|iPhone|iPad/.test(ua),
+                isTV: this.isTvUserAgent(ua)
             };
 
             // 获取版本号
@@ -116,6 +408,14 @@
             return info;
         },
 
+        /**
+         * 判断是否为智能电视或机顶盒浏览器，规则由浏览器兼容性脚本提供
+         */
+        isTvUserAgent: function(ua) {
+            const compat = window.EmbyBeautifyCompatibility;
+            return !!(compat && compat.isTvUserAgent && compat.isTvUserAgent(ua));
+        },
+
         /**
          * 设置样式容器
          */
@@ -137,6 +437,7 @@
                 }
 
                 this.state.styleContainer = container;
+                this.adoptLayerElements();
                 resolve();
             });
         },
@@ -153,26 +454,36 @@
                 }
 
                 const observer = new MutationObserver((mutations) => {
-                    let shouldUpdate = false;
+                    let pageChanged = false;
                     
                     mutations.forEach((mutation) => {
                         if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                            // 检查是否有新的 Emby 内容节点
+                            // 检查是否有新的 Emby 内容节点，并标记新增的原生元素
                             for (let node of mutation.addedNodes) {
-                                if (node.nodeType === Node.ELEMENT_NODE && 
-                                    (node.classList.contains('page') || 
-                                     node.classList.contains('view') ||
-                                     node.querySelector('.page, .view'))) {
-                                    shouldUpdate = true;
-                                    break;
+                                if (node.nodeType !== Node.ELEMENT_NODE) {
+                                    continue;
+                                }
+
+                                this.tagEnhancements(node);
+
+                                if (node.classList.contains('page') || 
+                                    node.classList.contains('view') ||
+                                    node.querySelector('.page, .view')) {
+                                    pageChanged = true;
                                 }
                             }
                         }
                     });
 
-                    if (shouldUpdate) {
-                        this.log('检测到页面内容变化，准备更新样式');
-                        this.debounce('updateStyles', () => this.updateStyles(), 500);
+                    // 主题变更由变更通知通道负责，页面变化只需重新识别路由
+                    if (pageChanged) {
+                        this.log('检测到页面内容变化，重新识别路由');
+                        this.debounce('updateRoute', () => this.updateRoute(), 100);
+
+                        // 没有 viewshow 事件的 Emby 版本依靠新页面结束切换
+                        if (this.state.pageTransition) {
+                            this.completePageTransition(null);
+                        }
                     }
                 });
 
@@ -189,263 +500,4589 @@
         },
 
         /**
-         * 加载初始样式
+         * 设置原生元素的增强类标记
+         * 按当前 Emby 版本的映射为已有元素添加增强类，之后新增的元素由 DOM 变化监听器标记
          */
-        loadInitialStyles: function() {
-            return this.fetchCurrentTheme()
-                .then(theme => {
-                    if (theme) {
-                        return this.applyTheme(theme);
+        setupEnhancements: function() {
+            this.state.enhancementMappings = this.resolveEnhancementMappings(this.getEmbyVersion());
+            this.tagEnhancements(document.body);
+            return Promise.resolve();
+        },
+
+        /**
+         * 获取 Emby 服务器版本，无法获取时返回 null
+         */
+        getEmbyVersion: function() {
+            const compat = window.EmbyBeautifyCompatibility;
+            if (compat && typeof compat.detectEmbyVersion === 'function') {
+                return compat.detectEmbyVersion().version;
+            }
+
+            const apiClient = window.ApiClient;
+
+            if (apiClient && typeof apiClient.serverVersion === 'function') {
+                try {
+                    return apiClient.serverVersion() || null;
+                } catch (error) {
+                    this.log('获取 Emby 版本失败:', error);
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * 解析当前 Emby 版本的选择器：通用选择器与兼容性模块选中的配置合并
+         * @returns {Object} 语义目标到选择器的映射
+         */
+        resolveSelectors: function() {
+            const compat = window.EmbyBeautifyCompatibility;
+            const profile = compat && typeof compat.getSelectorProfile === 'function' ? compat.getSelectorProfile() : null;
+            return Object.assign({}, this.selectors, profile && profile.selectors);
+        },
+
+        /**
+         * 解析指定 Emby 版本的增强类映射：default 与该版本（主版本.次版本）的映射合并
+         * @param {string|null} version Emby 版本，例如 4.8.0.80
+         * @returns {Object} 增强类到选择器的映射
+         */
+        resolveEnhancementMappings: function(version) {
+            const match = version ? String(version).match(/^(\d+)\.(\d+)/) : null;
+            const specific = match ? this.enhancementMappings[match[1] + '.' + match[2]] : null;
+            const mappings = Object.assign({}, this.enhancementMappings.default, specific);
+
+            // 版本映射中为空的增强类表示该版本不标记
+            Object.keys(mappings).forEach(className => {
+                if (!mappings[className]) {
+                    delete mappings[className];
+                }
+            });
+
+            return mappings;
+        },
+
+        /**
+         * 为指定 Emby 版本注册增强类映射并重新标记页面
+         * @param {string} version 主版本.次版本（例如 4.8），或 default
+         * @param {Object} mappings 增强类到选择器的映射，选择器为空时该版本不标记对应的增强类
+         */
+        registerEnhancementMappings: function(version, mappings) {
+            if (version !== 'default' && !/^\d+\.\d+$/.test(version)) {
+                throw new Error('无效的 Emby 版本: ' + version);
+            }
+
+            this.enhancementMappings[version] = Object.assign({}, this.enhancementMappings[version], mappings);
+
+            if (this.state.enhancementMappings) {
+                this.removeEnhancements();
+                this.setupEnhancements();
+            }
+        },
+
+        /**
+         * 标记节点及其子元素
+         * 只记录本插件添加的类，移除时不会影响元素原有的类
+         */
+        tagEnhancements: function(root) {
+            const mappings = this.state.enhancementMappings;
+            if (!mappings || !root || root.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+
+            Object.keys(mappings).forEach(className => {
+                const selector = mappings[className];
+                let elements;
+
+                try {
+                    elements = Array.prototype.slice.call(root.querySelectorAll(selector));
+                    if (root.matches && root.matches(selector)) {
+                        elements.push(root);
                     }
-                })
-                .catch(error => {
-                    this.error('加载初始样式失败:', error);
-                    // 应用默认样式作为回退
-                    return this.applyDefaultStyles();
+                } catch (error) {
+                    this.error('无效的增强类选择器:', className, selector);
+                    return;
+                }
+
+                elements.forEach(element => {
+                    if (element.classList.contains(className)) {
+                        return;
+                    }
+
+                    const tags = element.getAttribute('data-emby-beautify-tags');
+                    element.classList.add(className);
+                    element.setAttribute('data-emby-beautify-tags', tags ? tags + ' ' + className : className);
+                });
+            });
+        },
+
+        /**
+         * 移除本插件添加的所有增强类
+         */
+        removeEnhancements: function() {
+            const elements = document.querySelectorAll('[data-emby-beautify-tags]');
+
+            Array.prototype.forEach.call(elements, element => {
+                element.getAttribute('data-emby-beautify-tags').split(' ').forEach(className => {
+                    element.classList.remove(className);
                 });
+                element.removeAttribute('data-emby-beautify-tags');
+            });
+
+            this.state.enhancementMappings = null;
         },
 
         /**
-         * 获取当前主题
+         * 设置路由跟踪
+         * 注册内置的页面样式层，并监听地址变化和 Emby 的 viewshow 事件
          */
-        fetchCurrentTheme: function() {
-            return this.makeRequest('/emby-beautify/theme/current')
-                .then(response => response.json())
-                .then(data => {
-                    if (data.Success) {
-                        return data.Theme;
-                    } else {
-                        throw new Error(data.Message || '获取主题失败');
+        setupRouteTracking: function() {
+            Object.keys(this.routeStyles).forEach(route => {
+                Object.keys(this.routeStyles[route]).forEach(id => {
+                    if (!this.hasRouteStyle(route, id)) {
+                        this.registerRouteStyle(route, id, this.routeStyles[route][id]);
                     }
                 });
+            });
+
+            const listener = () => this.debounce('updateRoute', () => this.updateRoute(), 50);
+            window.addEventListener('hashchange', listener);
+            window.addEventListener('popstate', listener);
+            document.addEventListener('viewshow', listener);
+            this.state.routeListeners = listener;
+
+            this.updateRoute();
+            return Promise.resolve();
         },
 
         /**
-         * 应用主题
+         * 设置页面切换动画
+         * 地址变化（hashchange/popstate）和 Emby 的 viewbeforehide 事件表示开始离开当前视图，
+         * viewshow 事件或 DOM 变化监听器发现新页面表示新视图已显示
          */
-        applyTheme: function(theme) {
-            return new Promise((resolve, reject) => {
+        setupPageTransitions: function() {
+            this.stopPageTransitions();
+
+            const begin = () => this.beginPageTransition();
+            const complete = event => this.completePageTransition(event ? event.target : null);
+
+            window.addEventListener('hashchange', begin);
+            window.addEventListener('popstate', begin);
+            document.addEventListener('viewbeforehide', begin);
+            document.addEventListener('viewshow', complete);
+            this.state.pageTransitionListeners = { begin: begin, complete: complete };
+
+            return Promise.resolve();
+        },
+
+        /**
+         * 停止页面切换动画，结束进行中的切换
+         */
+        stopPageTransitions: function() {
+            const listeners = this.state.pageTransitionListeners;
+            if (listeners) {
+                window.removeEventListener('hashchange', listeners.begin);
+                window.removeEventListener('popstate', listeners.begin);
+                document.removeEventListener('viewbeforehide', listeners.begin);
+                document.removeEventListener('viewshow', listeners.complete);
+                this.state.pageTransitionListeners = null;
+            }
+
+            const transition = this.state.pageTransition;
+            if (transition) {
+                this.state.pageTransition = null;
+                clearTimeout(transition.timer);
+                if (transition.from) {
+                    transition.from.classList.remove('emby-beautify-page-exit');
+                }
+                if (transition.resolve) {
+                    transition.resolve();
+                }
+            }
+        },
+
+        /**
+         * 是否播放页面切换动画
+         * 已应用的主题关闭动画、启用减少动画或用户偏好减少动画时不播放
+         */
+        canAnimatePages: function() {
+            if (!this.config.pageTransitions || this.state.preferences.reducedMotion) {
+                return false;
+            }
+
+            const animation = this.resolveRenderSettings(this.state.appliedTheme || window.EmbyBeautifyActiveTheme || null).animation;
+            return animation.EnableAnimations !== false && !animation.ReducedMotion;
+        },
+
+        /**
+         * 开始离开当前视图
+         * 支持 View Transitions API 时在新视图显示前截取当前画面，否则为当前视图添加退出动画类
+         * @returns {boolean} 是否开始了页面切换
+         */
+        beginPageTransition: function() {
+            if (this.state.pageTransition || !this.canAnimatePages()) {
+                return false;
+            }
+
+            const transition = {
+                from: this.getActiveView(),
+                resolve: null,
+                timer: null,
+                viewTransition: null
+            };
+            this.state.pageTransition = transition;
+
+            if (this.config.viewTransitions && typeof document.startViewTransition === 'function') {
+                // 新视图显示后才结束更新回调，浏览器在此期间保持旧画面
+                const updated = new Promise(resolve => {
+                    transition.resolve = resolve;
+                });
+
                 try {
-                    this.log('应用主题:', theme.Name);
-                    
-                    // 生成 CSS
-                    const css = this.generateThemeCSS(theme);
-                    
-                    // 注入样式
-                    this.injectStyle('theme', css, { priority: 'high' });
-                    
-                    // 应用自定义属性
-                    if (this.compatibility.supportsCustomProperties) {
-                        this.applyCustomProperties(theme);
-                    }
-                    
-                    // 触发主题应用事件
-                    this.dispatchEvent('themeApplied', { theme: theme });
-                    
-                    resolve();
+                    transition.viewTransition = document.startViewTransition(() => updated);
+                    // 过渡被浏览器跳过时这两个 Promise 会被拒绝，不影响页面
+                    transition.viewTransition.ready.catch(() => {});
+                    transition.viewTransition.finished.catch(() => {});
                 } catch (error) {
-                    reject(error);
+                    this.log('View Transitions 启动失败，使用类名动画:', error);
+                    transition.viewTransition = null;
+                }
+            }
+
+            if (!transition.viewTransition && transition.from) {
+                transition.from.classList.add('emby-beautify-page-exit');
+            }
+
+            // 地址变化但没有切换视图时（例如同一页面内的锚点），超时后恢复当前视图
+            transition.timer = setTimeout(() => this.completePageTransition(null), this.config.pageTransitionTimeout);
+            return true;
+        },
+
+        /**
+         * 新视图已显示，结束页面切换并播放进入动画
+         * 没有进行中的切换时（例如 Emby 通过 pushState 导航）只播放进入动画
+         * @param {Element|null} view 新显示的视图，省略时使用当前显示的视图
+         */
+        completePageTransition: function(view) {
+            const transition = this.state.pageTransition;
+            this.state.pageTransition = null;
+
+            if (transition) {
+                clearTimeout(transition.timer);
+                if (transition.from) {
+                    transition.from.classList.remove('emby-beautify-page-exit');
+                }
+                if (transition.viewTransition) {
+                    transition.resolve();
+                    return;
+                }
+            }
+
+            view = view && view.nodeType === Node.ELEMENT_NODE ? view : this.getActiveView();
+            if (!view || (transition && view === transition.from) || !this.canAnimatePages()) {
+                return;
+            }
+
+            this.playPageEnter(view);
+        },
+
+        /**
+         * 为视图播放进入动画
+         */
+        playPageEnter: function(view) {
+            const remove = () => view.classList.remove('emby-beautify-page-enter');
+
+            view.classList.remove('emby-beautify-page-enter');
+            // 读取布局使浏览器重新开始动画
+            void view.offsetWidth;
+            view.classList.add('emby-beautify-page-enter');
+
+            view.addEventListener('animationend', function listener(event) {
+                if (event.target === view) {
+                    view.removeEventListener('animationend', listener);
+                    remove();
                 }
             });
+            // 动画被其他样式停用时不会触发 animationend
+            setTimeout(remove, this.config.pageTransitionTimeout);
         },
 
         /**
-         * 生成主题 CSS
+         * 获取当前显示的 Emby 视图
          */
-        generateThemeCSS: function(theme) {
-            let css = '';
-            
-            // 基础样式重置
-            css += this.generateBaseStyles();
-            
-            // 颜色样式
-            if (theme.Colors) {
-                css += this.generateColorStyles(theme.Colors);
+        getActiveView: function() {
+            const views = document.querySelectorAll(this.mapSelector(this.resolveSelectors().page, ':not(.hide)'));
+            return views.length ? views[views.length - 1] : null;
+        },
+
+        /**
+         * 停止路由跟踪
+         */
+        stopRouteTracking: function() {
+            const listener = this.state.routeListeners;
+            if (!listener) {
+                return;
             }
-            
-            // 字体样式
-            if (theme.Typography) {
-                css += this.generateTypographyStyles(theme.Typography);
+
+            window.removeEventListener('hashchange', listener);
+            window.removeEventListener('popstate', listener);
+            document.removeEventListener('viewshow', listener);
+            this.state.routeListeners = null;
+        },
+
+        /**
+         * 识别当前的 Emby 路由
+         * 优先按地址匹配，地址无法识别时按当前显示的页面元素匹配
+         * @returns {string|null} 路由名称，无法识别时为 null
+         */
+        detectRoute: function() {
+            const names = Object.keys(this.routes);
+            const location = window.location || {};
+            const hash = location.hash || '';
+
+            for (const name of names) {
+                if (this.routes[name].hash.test(hash)) {
+                    return name;
+                }
             }
-            
-            // 布局样式
-            if (theme.Layout) {
-                css += this.generateLayoutStyles(theme.Layout);
+
+            const page = document.querySelector('.page:not(.hide), .view:not(.hide)');
+            if (page && typeof page.matches === 'function') {
+                for (const name of names) {
+                    if (page.matches(this.routes[name].selector)) {
+                        return name;
+                    }
+                }
             }
-            
-            // 动画样式
-            css += this.generateAnimationStyles();
-            
-            // 响应式样式
-            css += this.generateResponsiveStyles();
-            
-            return css;
+
+            return null;
+        },
+
+        /**
+         * 获取当前路由
+         */
+        getCurrentRoute: function() {
+            return this.state.route;
+        },
+
+        /**
+         * 重新识别路由，路由变化时切换页面样式层
+         * @returns {boolean} 路由是否发生变化
+         */
+        updateRoute: function() {
+            const route = this.detectRoute();
+            const previousRoute = this.state.route;
+
+            // 详情页之间切换时路由不变，但作品图片会变化
+            this.updateArtworkColors(route);
+
+            if (route === previousRoute) {
+                return false;
+            }
+
+            this.state.route = route;
+
+            if (route) {
+                document.documentElement.setAttribute('data-emby-beautify-route', route);
+            } else {
+                document.documentElement.removeAttribute('data-emby-beautify-route');
+            }
+
+            // 登录或切换用户后路由会变化，重新读取当前用户的偏好设置
+            this.refreshAccessibilityPreferences();
+            this.applyRouteStyles();
+            this.applyModules();
+            this.log('路由已切换:', previousRoute, '->', route);
+            this.dispatchEvent('routeChanged', { route: route, previousRoute: previousRoute });
+            return true;
+        },
+
+        /**
+         * 注册页面样式层
+         * @param {string} route 路由名称，见 routes
+         * @param {string} id 样式层 ID，同一路由内唯一
+         * @param {string|Function} style CSS 文本，或返回 CSS 文本的生成函数（以注入器为 this，参数为路由名称）
+         */
+        registerRouteStyle: function(route, id, style) {
+            if (!this.routes[route]) {
+                throw new Error('未知的路由: ' + route);
+            }
+
+            if (typeof style !== 'string' && typeof style !== 'function') {
+                throw new Error('页面样式层必须是 CSS 文本或生成函数: ' + id);
+            }
+
+            if (!this.state.routeLayers.has(route)) {
+                this.state.routeLayers.set(route, new Map());
+            }
+
+            this.state.routeLayers.get(route).set(id, style);
+            this.log(`注册页面样式层: ${route}/${id}`);
+
+            if (route === this.state.route) {
+                this.applyRouteStyles();
+            }
+        },
+
+        /**
+         * 移除页面样式层
+         */
+        unregisterRouteStyle: function(route, id) {
+            const layers = this.state.routeLayers.get(route);
+            if (!layers || !layers.delete(id)) {
+                return false;
+            }
+
+            if (route === this.state.route) {
+                this.applyRouteStyles();
+            }
+            return true;
+        },
+
+        /**
+         * 检查页面样式层是否已注册
+         */
+        hasRouteStyle: function(route, id) {
+            const layers = this.state.routeLayers.get(route);
+            return !!layers && layers.has(id);
+        },
+
+        /**
+         * 注入当前路由的页面样式层，单个样式层生成失败不影响其他样式层
+         */
+        applyRouteStyles: function() {
+            const route = this.state.route;
+            const layers = route ? this.state.routeLayers.get(route) : null;
+            let css = '';
+
+            if (layers) {
+                layers.forEach((style, id) => {
+                    try {
+                        const layerCss = typeof style === 'function' ? style.call(this, route) : style;
+                        if (layerCss) {
+                            css += `/* ${route}/${id} */\n${layerCss}\n`;
+                        }
+                    } catch (error) {
+                        this.error(`页面样式层生成失败: ${route}/${id}`, error);
+                    }
+                });
+            }
+
+            if (css) {
+                this.injectStyle('route', css, { layer: 'route' });
+            } else {
+                this.removeStyle('route');
+            }
+        },
+
+        /**
+         * 根据当前详情页的作品图片更新配色
+         * 未启用或不在详情页时还原主题配色；Emby 异步渲染详情页，找不到图片时稍后重试
+         * @param {string} route 当前路由
+         * @returns {Promise<Object|null>} 应用的配色，没有应用时为 null
+         */
+        updateArtworkColors: function(route, attempt = 0) {
+            clearTimeout(this.state.artworkTimer);
+            this.state.artworkTimer = null;
+
+            if (!this.config.artworkColors || route !== 'itemDetails' || !window.EmbyBeautifyColor) {
+                this.clearArtworkColors();
+                return Promise.resolve(null);
+            }
+
+            const url = this.findArtworkUrl();
+            if (!url) {
+                if (attempt < 5) {
+                    this.state.artworkTimer = setTimeout(() => this.updateArtworkColors(this.state.route, attempt + 1), 500);
+                }
+                return Promise.resolve(null);
+            }
+
+            const current = this.state.artwork;
+            if (current && current.url === url) {
+                return Promise.resolve(current.palette);
+            }
+
+            this.state.artwork = { url: url, palette: null };
+
+            const cache = this.state.artworkCache;
+            const request = cache.has(url)
+                ? Promise.resolve(cache.get(url))
+                : this.loadArtworkPixels(url).then(pixels => this.quantizeArtwork(pixels));
+
+            return request.then(swatches => {
+                cache.set(url, swatches);
+                if (cache.size > 20) {
+                    cache.delete(cache.keys().next().value);
+                }
+
+                // 提取期间已离开页面或切换到其他作品时丢弃结果
+                if (!this.state.artwork || this.state.artwork.url !== url) {
+                    return null;
+                }
+
+                return this.applyArtworkPalette(swatches);
+            }).catch(error => {
+                this.error('提取作品配色失败:', url, error);
+                return null;
+            });
+        },
+
+        /**
+         * 查找当前详情页的作品图片地址
+         */
+        findArtworkUrl: function() {
+            for (const selector of this.artworkSelectors) {
+                const element = document.querySelector('.itemDetailPage:not(.hide) ' + selector);
+                if (!element) {
+                    continue;
+                }
+
+                if (element.tagName === 'IMG') {
+                    const src = element.currentSrc || element.src;
+                    if (src) {
+                        return src;
+                    }
+                    continue;
+                }
+
+                const match = /url\(["']?([^"')]+)["']?\)/.exec(window.getComputedStyle(element).backgroundImage || '');
+                if (match) {
+                    return match[1];
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * 加载作品图片并缩小到采样尺寸，读取像素数据
+         * @returns {Promise<Uint8ClampedArray>}
+         */
+        loadArtworkPixels: function(url) {
+            return new Promise((resolve, reject) => {
+                const image = new Image();
+                image.crossOrigin = 'anonymous';
+
+                image.onload = () => {
+                    try {
+                        const size = this.config.artworkSampleSize;
+                        const canvas = document.createElement('canvas');
+                        canvas.width = size;
+                        canvas.height = size;
+
+                        const context = canvas.getContext('2d');
+                        context.drawImage(image, 0, 0, size, size);
+
+                        // 跨域图片没有 CORS 头时读取像素会抛出安全错误
+                        resolve(context.getImageData(0, 0, size, size).data);
+                    } catch (error) {
+                        reject(error);
+                    }
+                };
+                image.onerror = () => reject(new Error('作品图片加载失败: ' + url));
+                image.src = url;
+            });
+        },
+
+        /**
+         * 提取像素数据的主要颜色，优先在 Web Worker 中执行
+         * @returns {Promise<Array<{r: number, g: number, b: number, population: number}>>}
+         */
+        quantizeArtwork: function(pixels) {
+            const count = this.config.artworkSwatchCount;
+            const worker = this.getArtworkWorker();
+
+            if (!worker) {
+                return Promise.resolve(window.EmbyBeautifyColor.quantize(pixels, count));
+            }
+
+            return new Promise((resolve, reject) => {
+                const id = ++this.state.artworkRequestId;
+                this.state.artworkRequests.set(id, { resolve: resolve, reject: reject });
+                worker.postMessage({ id: id, pixels: pixels, count: count }, [pixels.buffer]);
+            });
+        },
+
+        /**
+         * 获取提取颜色的 Web Worker
+         * Worker 由颜色工具的 quantize 函数生成，无法创建（例如受内容安全策略限制）时返回 null，改为在主线程中执行
+         */
+        getArtworkWorker: function() {
+            if (this.state.artworkWorker !== null) {
+                return this.state.artworkWorker || null;
+            }
+
+            try {
+                const source = 'var quantize = ' + window.EmbyBeautifyColor.quantize.toString() + ';\n' +
+                    'self.onmessage = function(event) {\n' +
+                    '    var data = event.data;\n' +
+                    '    self.postMessage({ id: data.id, swatches: quantize(data.pixels, data.count) });\n' +
+                    '};\n';
+                const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+                const worker = new Worker(url);
+
+                worker.onmessage = event => {
+                    const request = this.state.artworkRequests.get(event.data.id);
+                    if (request) {
+                        this.state.artworkRequests.delete(event.data.id);
+                        request.resolve(event.data.swatches);
+                    }
+                };
+                worker.onerror = event => {
+                    this.log('颜色提取 Worker 出错，改为在主线程中提取:', event.message);
+                    this.stopArtworkWorker(new Error('颜色提取 Worker 出错'));
+                    this.state.artworkWorker = false;
+                };
+
+                this.state.artworkWorker = worker;
+                this.state.artworkWorkerUrl = url;
+                return worker;
+            } catch (error) {
+                this.log('无法创建颜色提取 Worker，改为在主线程中提取:', error);
+                this.state.artworkWorker = false;
+                return null;
+            }
+        },
+
+        /**
+         * 停止颜色提取 Worker，未完成的提取以 error 拒绝
+         */
+        stopArtworkWorker: function(error) {
+            if (this.state.artworkWorker) {
+                this.state.artworkWorker.terminate();
+                URL.revokeObjectURL(this.state.artworkWorkerUrl);
+            }
+
+            this.state.artworkRequests.forEach(request => {
+                request.reject(error || new Error('颜色提取已停止'));
+            });
+            this.state.artworkRequests.clear();
+            this.state.artworkWorker = null;
+            this.state.artworkWorkerUrl = null;
+        },
+
+        /**
+         * 根据提取的颜色选择配色并覆盖主题颜色
+         * 保持主题原有背景的深浅，只替换色调
+         * @returns {Object|null} 应用的配色，作品颜色过于灰暗时为 null
+         */
+        applyArtworkPalette: function(swatches) {
+            const color = window.EmbyBeautifyColor;
+
+            // 先移除上一个作品的配色，读取主题本身的背景色
+            this.removeStyle('artwork');
+
+            const background = this.canReadAppliedTokens()
+                ? this.readAppliedTokens(['background-color'])['background-color']
+                : null;
+            const luminance = background ? color.relativeLuminance(background) : null;
+            const dark = luminance === null ? this.state.colorScheme !== 'light' : luminance < 0.18;
+            const palette = this.chooseArtworkPalette(swatches, dark);
+
+            this.state.artwork.palette = palette;
+
+            if (palette) {
+                const values = Object.assign({}, palette, {
+                    'emby-beautify-primary': palette['primary-color'],
+                    'emby-beautify-accent': palette['accent-color'],
+                    'emby-beautify-background': palette['background-color']
+                });
+                this.injectStyle('artwork', this.rootVariables(values), { layer: 'route', priority: 'high' });
+                this.log('应用作品配色:', palette['primary-color']);
+            }
+
+            this.checkAppliedContrast();
+            this.dispatchEvent('artworkColorsChanged', { url: this.state.artwork.url, palette: palette });
+            return palette;
+        },
+
+        /**
+         * 从提取的颜色中选择主色调、强调色和背景色
+         * 主色调取像素占比高且饱和度高、亮度适中的颜色，背景色使用占比最高颜色的色相
+         * @returns {Object|null} 完整配色，作品颜色过于灰暗时为 null
+         */
+        chooseArtworkPalette: function(swatches, dark) {
+            const color = window.EmbyBeautifyColor;
+            const total = swatches.reduce((sum, swatch) => sum + swatch.population, 0);
+            const scored = swatches.map(swatch => {
+                const hsl = color.rgbToHsl(swatch);
+                return {
+                    hex: color.toHex(swatch),
+                    hsl: hsl,
+                    score: (swatch.population / total) * (hsl.s / 100) * (1 - Math.abs(hsl.l - 50) / 50)
+                };
+            }).sort((a, b) => b.score - a.score);
+
+            const primary = scored[0];
+            if (!primary || primary.hsl.s < 20) {
+                return null;
+            }
+
+            const hueDistance = hsl => {
+                const distance = Math.abs(hsl.h - primary.hsl.h) % 360;
+                return Math.min(distance, 360 - distance);
+            };
+            const accent = scored.find(item => item !== primary && item.hsl.s >= 20 &&
+                item.hsl.l >= 25 && item.hsl.l <= 80 && hueDistance(item.hsl) >= 30);
+
+            const dominant = color.rgbToHsl(swatches[0]);
+            const backgroundColor = color.toHex(color.hslToRgb({
+                h: dominant.h,
+                s: Math.min(dominant.s, 35),
+                l: dark ? 10 : 95
+            }));
+
+            const colors = { 'background-color': backgroundColor };
+            if (accent) {
+                colors['accent-color'] = accent.hex;
+            }
+
+            return color.derivePalette(primary.hex, { colors: colors });
+        },
+
+        /**
+         * 移除作品配色，恢复主题颜色
+         */
+        clearArtworkColors: function() {
+            clearTimeout(this.state.artworkTimer);
+            this.state.artworkTimer = null;
+
+            if (!this.state.artwork) {
+                return;
+            }
+
+            this.state.artwork = null;
+
+            if (this.state.injectedStyles.has('artwork')) {
+                this.removeStyle('artwork');
+                this.checkAppliedContrast();
+            }
+
+            this.dispatchEvent('artworkColorsChanged', { url: null, palette: null });
+        },
+
+        /**
+         * 启用或停用作品动态配色
+         * @returns {Promise<Object|null>} 应用的配色
+         */
+        setArtworkColors: function(enabled) {
+            this.config.artworkColors = !!enabled;
+            return this.updateArtworkColors(this.state.route);
+        },
+
+        /**
+         * 注册第三方样式模块
+         * @param {Object} definition 模块定义
+         * @param {string} definition.id 模块 ID
+         * @param {string} [definition.css] 固定的 CSS 文本
+         * @param {Function} [definition.generator] 返回 CSS 文本的生成函数，参数为应用上下文
+         * @param {string[]} [definition.dependsOn] 依赖的模块 ID，依赖全部生效后才会应用
+         * @param {string[]} [definition.routes] 只在这些路由下生效，省略时全局生效
+         * @param {number} [definition.order] 同层级内的排序，数值越大越靠后（优先级越高）
+         * @param {Function} [definition.beforeApply] 应用前调用，返回 false 时本次跳过该模块
+         * @param {Function} [definition.afterApply] 应用后调用，参数为应用上下文和生成的 CSS
+         * @param {Function} [definition.onDestroy] 模块移除或注入器销毁时调用
+         * @returns {Function} 取消注册的函数
+         */
+        registerModule: function(definition) {
+            if (!definition || typeof definition.id !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(definition.id)) {
+                throw new Error('样式模块必须提供有效的 id');
+            }
+
+            if (typeof definition.css !== 'string' && typeof definition.generator !== 'function') {
+                throw new Error('样式模块必须提供 css 或 generator: ' + definition.id);
+            }
+
+            if (definition.routes !== undefined && definition.routes !== null && !Array.isArray(definition.routes)) {
+                throw new Error('样式模块的 routes 必须是数组: ' + definition.id);
+            }
+
+            (definition.routes || []).forEach(route => {
+                if (!this.routes[route]) {
+                    throw new Error('未知的路由: ' + route);
+                }
+            });
+
+            // 校验通过后才替换同 ID 的模块，校验失败时保留原模块
+            if (this.state.modules.has(definition.id)) {
+                this.unregisterModule(definition.id);
+            }
+
+            this.state.modules.set(definition.id, {
+                definition: definition,
+                dependsOn: (definition.dependsOn || []).slice(),
+                routes: definition.routes ? definition.routes.slice() : null,
+                order: typeof definition.order === 'number' ? definition.order : 0,
+                status: 'registered',
+                error: null,
+                cyclic: false
+            });
+
+            this.log('注册样式模块:', definition.id);
+            this.dispatchEvent('moduleRegistered', { id: definition.id });
+            this.applyModules();
+
+            return () => this.unregisterModule(definition.id);
+        },
+
+        /**
+         * 取消注册样式模块
+         * @returns {boolean} 模块是否存在
+         */
+        unregisterModule: function(id) {
+            const module = this.state.modules.get(id);
+            if (!module) {
+                return false;
+            }
+
+            this.state.modules.delete(id);
+            this.removeStyle('module-' + id);
+            this.callModuleHook(module, 'onDestroy');
+
+            this.log('移除样式模块:', id);
+            this.applyModules();
+            return true;
+        },
+
+        /**
+         * 获取已注册模块的状态，按应用顺序排列
+         * @returns {Array<{id: string, status: string, order: number, dependsOn: string[], routes: string[]|null, error: string|null}>}
+         */
+        getModules: function() {
+            return this.sortModules().map(module => ({
+                id: module.definition.id,
+                status: module.status,
+                order: module.order,
+                dependsOn: module.dependsOn.slice(),
+                routes: module.routes ? module.routes.slice() : null,
+                error: module.error
+            }));
+        },
+
+        /**
+         * 按依赖关系和 order 排序模块
+         * 依赖总是排在被依赖的模块之后，循环依赖的模块标记为失败
+         */
+        sortModules: function() {
+            const modules = Array.from(this.state.modules.values())
+                .sort((a, b) => a.order - b.order);
+            const sorted = [];
+            const visiting = new Set();
+            const visited = new Set();
+
+            const visit = module => {
+                const id = module.definition.id;
+                if (visited.has(id)) {
+                    return;
+                }
+
+                if (visiting.has(id)) {
+                    module.cyclic = true;
+                    return;
+                }
+
+                visiting.add(id);
+                module.dependsOn.forEach(dependencyId => {
+                    const dependency = this.state.modules.get(dependencyId);
+                    if (dependency) {
+                        visit(dependency);
+                    }
+                });
+                visiting.delete(id);
+                visited.add(id);
+                sorted.push(module);
+            };
+
+            modules.forEach(visit);
+            return sorted;
+        },
+
+        /**
+         * 应用所有样式模块
+         * 每个模块单独隔离：生成或钩子出错只会停用该模块及依赖它的模块
+         */
+        applyModules: function() {
+            if (!this.state.isInitialized || this.state.modules.size === 0) {
+                return;
+            }
+
+            const context = {
+                route: this.state.route,
+                colorScheme: this.state.colorScheme,
+                preferences: Object.assign({}, this.state.preferences),
+                tvMode: this.state.tvMode,
+                themeId: this.state.appliedThemeId,
+                config: window.EmbyBeautifyConfig || {},
+                injector: this
+            };
+            const active = new Set();
+
+            // 先清除上一次的循环依赖标记，排序时会重新检测
+            this.state.modules.forEach(module => {
+                module.cyclic = false;
+            });
+
+            this.sortModules().forEach((module, index) => {
+                const id = module.definition.id;
+                const styleId = 'module-' + id;
+
+                if (module.cyclic) {
+                    module.status = 'failed';
+                    module.error = '循环依赖';
+                    this.removeStyle(styleId);
+                    return;
+                }
+
+                const missing = module.dependsOn.filter(dependencyId => !active.has(dependencyId));
+                if (missing.length > 0) {
+                    module.status = 'waiting';
+                    this.removeStyle(styleId);
+                    return;
+                }
+
+                if (module.routes && module.routes.indexOf(context.route) === -1) {
+                    module.status = 'inactive';
+                    this.removeStyle(styleId);
+                    return;
+                }
+
+                try {
+                    if (this.callModuleHook(module, 'beforeApply', context, true) === false) {
+                        module.status = 'skipped';
+                        this.removeStyle(styleId);
+                        return;
+                    }
+
+                    const css = typeof module.definition.generator === 'function'
+                        ? module.definition.generator.call(module.definition, context)
+                        : module.definition.css;
+
+                    if (css) {
+                        // 按排序结果设置层内顺序，保证后应用的模块覆盖先应用的
+                        this.injectStyle(styleId, css, { layer: 'modules', order: index });
+                    } else {
+                        this.removeStyle(styleId);
+                    }
+
+                    this.callModuleHook(module, 'afterApply', context, true, css || '');
+                    module.status = 'active';
+                    module.error = null;
+                    active.add(id);
+                } catch (error) {
+                    const message = error && error.message ? error.message : String(error);
+                    const alreadyFailed = module.status === 'failed' && module.error === message;
+
+                    module.status = 'failed';
+                    module.error = message;
+                    this.removeStyle(styleId);
+
+                    // 失败的模块每次应用都会重试，相同的错误只报告一次
+                    if (!alreadyFailed) {
+                        this.error('样式模块应用失败:', id, error);
+                        this.dispatchEvent('moduleFailed', { id: id, error: message });
+                    }
+                }
+            });
+        },
+
+        /**
+         * 调用模块的生命周期钩子
+         * @param {boolean} rethrow 是否把钩子的异常抛给调用方
+         */
+        callModuleHook: function(module, name, context, rethrow, css) {
+            const hook = module.definition[name];
+            if (typeof hook !== 'function') {
+                return undefined;
+            }
+
+            try {
+                return hook.call(module.definition, context, css);
+            } catch (error) {
+                if (rethrow) {
+                    throw error;
+                }
+                this.error(`样式模块钩子 ${name} 执行失败:`, module.definition.id, error);
+                return undefined;
+            }
+        },
+
+        /**
+         * 设置主题实时预览通道
+         * 主题自定义器通过 BroadcastChannel 或 postMessage 发送预览消息
+         */
+        setupPreviewChannel: function() {
+            const handler = (message, reply) => this.handlePreviewMessage(message, reply);
+
+            if (typeof BroadcastChannel !== 'undefined') {
+                const channel = new BroadcastChannel(this.config.previewChannel);
+                channel.onmessage = event => handler(event.data, data => channel.postMessage(data));
+                this.state.previewChannel = channel;
+            }
+
+            // 自定义器以弹出窗口或 iframe 打开时通过 postMessage 通信，只接受同源消息
+            this.state.previewMessageListener = event => {
+                if (event.origin === window.location.origin) {
+                    handler(event.data, event.source ? data => event.source.postMessage(data, event.origin) : null);
+                }
+            };
+            window.addEventListener('message', this.state.previewMessageListener);
+
+            return Promise.resolve();
+        },
+
+        /**
+         * 关闭主题实时预览通道
+         */
+        stopPreviewChannel: function() {
+            if (this.state.previewChannel) {
+                this.state.previewChannel.close();
+                this.state.previewChannel = null;
+            }
+
+            if (this.state.previewMessageListener) {
+                window.removeEventListener('message', this.state.previewMessageListener);
+                this.state.previewMessageListener = null;
+            }
+        },
+
+        /**
+         * 处理预览消息
+         * @param {Object} message 消息，source 必须为 emby-beautify-customizer
+         * @param {Function} reply 向发送消息的自定义器回复消息，可省略
+         */
+        handlePreviewMessage: function(message, reply) {
+            if (!message || message.source !== 'emby-beautify-customizer' || !message.sessionId) {
+                return;
+            }
+
+            try {
+                switch (message.type) {
+                    case 'preview-start':
+                        this.startPreviewSession(message.sessionId, message.theme, reply);
+                        break;
+                    case 'preview-update':
+                        this.updatePreviewSession(message.sessionId, message.changes);
+                        break;
+                    case 'preview-commit':
+                        this.commitPreviewSession(message.sessionId);
+                        break;
+                    case 'preview-revert':
+                        this.revertPreviewSession(message.sessionId);
+                        break;
+                    default:
+                        this.log('未知的预览消息:', message.type);
+                }
+            } catch (error) {
+                this.error('处理预览消息失败:', message.type, error);
+            }
+        },
+
+        /**
+         * 开始预览会话
+         * 记录当前所有注入样式的快照，预览期间服务端的主题变更会延后到会话结束
+         * @param {string} sessionId 会话 ID
+         * @param {Object} theme 预览的起始主题，省略时使用当前活动主题
+         * @param {Function} reply 向自定义器回复消息，用于报告被拒绝的主题值
+         */
+        startPreviewSession: function(sessionId, theme, reply) {
+            const current = this.state.previewSession;
+            if (current) {
+                if (current.id === sessionId) {
+                    return;
+                }
+                this.revertPreviewSession(current.id);
+            }
+
+            const snapshot = [];
+            this.state.injectedStyles.forEach((styleInfo, id) => {
+                snapshot.push({ id: id, css: styleInfo.css, options: styleInfo.options });
+            });
+
+            this.state.previewSession = {
+                id: sessionId,
+                theme: this.mergeTheme(theme || window.EmbyBeautifyActiveTheme || {}, null),
+                snapshot: snapshot,
+                appliedThemeId: this.state.appliedThemeId,
+                fontTheme: this.state.fonts ? this.state.fonts.theme : null,
+                pendingVersion: null,
+                reply: reply || null
+            };
+
+            this.log('开始主题预览:', sessionId);
+            this.dispatchEvent('previewStarted', { sessionId: sessionId });
+
+            if (theme) {
+                this.applyPreviewTheme();
+            }
+        },
+
+        /**
+         * 将部分主题修改合并到预览会话并立即应用
+         * @param {string} sessionId 会话 ID
+         * @param {Object} changes 部分主题，例如 { Colors: { Primary: '#ff6b6b' } }
+         */
+        updatePreviewSession: function(sessionId, changes) {
+            const session = this.state.previewSession;
+            if (!session || session.id !== sessionId) {
+                return;
+            }
+
+            session.theme = this.mergeTheme(session.theme, changes);
+            this.applyPreviewTheme();
+        },
+
+        /**
+         * 应用预览会话中的主题
+         */
+        applyPreviewTheme: function() {
+            const session = this.state.previewSession;
+            const css = this.generateThemeCSS(session.theme);
+
+            this.injectStyle('theme', css, { layer: 'theme', priority: 'high' });
+            this.removeStyle('theme-supplement');
+            this.removeStyle('palette');
+            this.removeStyle('contrast');
+            this.state.appliedThemeId = session.theme.Id || null;
+            this.applyThemeFonts(session.theme);
+            this.applyModules();
+            this.scheduleHistoryRecord();
+
+            // 每次都回复校验结果，自定义器据此更新需要高亮的字段
+            if (session.reply) {
+                session.reply({
+                    source: 'emby-beautify-injector',
+                    type: 'preview-validation',
+                    sessionId: session.id,
+                    fields: this.state.validationReport ? this.state.validationReport.fields : []
+                });
+            }
+
+            this.dispatchEvent('themeApplied', {
+                theme: session.theme,
+                sessionId: session.id,
+                source: 'preview'
+            });
+        },
+
+        /**
+         * 提交预览会话，保留当前预览的样式
+         */
+        commitPreviewSession: function(sessionId) {
+            const session = this.state.previewSession;
+            if (!session || session.id !== sessionId) {
+                return;
+            }
+
+            this.state.previewSession = null;
+            this.log('提交主题预览:', sessionId);
+            this.dispatchEvent('previewCommitted', { sessionId: sessionId, theme: session.theme });
+        },
+
+        /**
+         * 还原预览会话，恢复开始预览时的全部注入样式
+         * 预览期间收到的服务端主题变更会在还原后应用
+         */
+        revertPreviewSession: function(sessionId) {
+            const session = this.state.previewSession;
+            if (!session || session.id !== sessionId) {
+                return Promise.resolve(false);
+            }
+
+            this.state.previewSession = null;
+
+            const snapshotIds = session.snapshot.map(entry => entry.id);
+            Array.from(this.state.injectedStyles.keys()).forEach(id => {
+                if (snapshotIds.indexOf(id) === -1) {
+                    this.removeStyle(id);
+                }
+            });
+            session.snapshot.forEach(entry => {
+                const styleInfo = this.state.injectedStyles.get(entry.id);
+                if (!styleInfo || styleInfo.css !== entry.css) {
+                    this.injectStyle(entry.id, entry.css, entry.options);
+                }
+            });
+            this.state.appliedThemeId = session.appliedThemeId;
+            this.applyThemeFonts(session.fontTheme);
+
+            this.log('还原主题预览:', sessionId);
+            this.dispatchEvent('previewReverted', { sessionId: sessionId });
+
+            if (!session.pendingVersion) {
+                this.refreshAppliedColors();
+                this.applyModules();
+                return Promise.resolve(false);
+            }
+
+            return this.syncTheme(session.pendingVersion, true).catch(error => {
+                this.error('应用预览期间的主题变更失败:', error);
+                return false;
+            });
+        },
+
+        /**
+         * 导出当前主题
+         * 预览期间导出预览中的主题，否则从服务器获取当前应用的主题；导出内容包含用户的 CSS 变量覆盖
+         * @returns {Promise<Object>} 导出文档，可传给 EmbyBeautifyThemeTransfer 的 download、encodeShareCode 或 createShareUrl
+         */
+        exportTheme: function() {
+            const transfer = window.EmbyBeautifyThemeTransfer;
+            if (!transfer) {
+                return Promise.reject(new Error('主题导入导出脚本未加载'));
+            }
+
+            const session = this.state.previewSession;
+            const themeId = this.state.appliedThemeId;
+            const request = session
+                ? Promise.resolve(session.theme)
+                : themeId ? this.fetchTheme(themeId) : Promise.resolve(window.EmbyBeautifyActiveTheme || null);
+
+            return request.then(theme => {
+                if (!theme) {
+                    throw new Error('没有可导出的主题');
+                }
+
+                const overrides = this.state.themeVersion ? this.state.themeVersion.Overrides : null;
+                return transfer.createDocument(theme, overrides);
+            });
+        },
+
+        /**
+         * 导入主题并开始预览
+         * 确认后调用 saveImportedTheme 保存，或调用 revertPreviewSession 放弃
+         * @param {string|Blob} source JSON 文本、分享码、链接或文件
+         * @returns {Promise<Object>} { sessionId, theme, warnings }，校验失败时拒绝，错误的 errors 为字段错误列表
+         */
+        importTheme: function(source) {
+            const transfer = window.EmbyBeautifyThemeTransfer;
+            if (!transfer) {
+                return Promise.reject(new Error('主题导入导出脚本未加载'));
+            }
+
+            return transfer.load(source).then(result => {
+                const sessionId = 'import-' + Date.now();
+                this.startPreviewSession(sessionId, result.theme);
+
+                this.log('导入主题并开始预览:', result.theme.Id);
+                this.dispatchEvent('themeImported', {
+                    sessionId: sessionId,
+                    theme: result.theme,
+                    warnings: result.warnings
+                });
+
+                return { sessionId: sessionId, theme: result.theme, warnings: result.warnings };
+            });
+        },
+
+        /**
+         * 保存导入的主题
+         * apply 为 true 时同时设为当前用户的主题，否则保存后还原预览
+         * @param {string} sessionId importTheme 返回的会话 ID
+         * @param {Object} options { apply: boolean }
+         * @returns {Promise<Object>} 保存后的主题
+         */
+        saveImportedTheme: function(sessionId, options = {}) {
+            const session = this.state.previewSession;
+            if (!session || session.id !== sessionId) {
+                return Promise.reject(new Error('没有进行中的主题导入'));
+            }
+
+            return this.saveTheme(session.theme).then(theme => {
+                if (!options.apply) {
+                    return this.revertPreviewSession(sessionId).then(() => theme);
+                }
+
+                this.commitPreviewSession(sessionId);
+                return this.setUserTheme(theme.Id, null).then(() => theme);
+            });
+        },
+
+        /**
+         * 通过服务器接口保存自定义主题
+         * @returns {Promise<Object>} 保存后的主题，校验失败时拒绝，错误的 errors 为服务端返回的错误列表
+         */
+        saveTheme: function(theme) {
+            return this.makeRequest('/emby-beautify/themes', {
+                method: 'POST',
+                body: JSON.stringify({ Theme: theme })
+            })
+                .then(response => response.json())
+                .then(data => {
+                    if (!data.Success) {
+                        const error = new Error(data.Message || '保存主题失败');
+                        error.errors = data.ValidationErrors || [];
+                        throw error;
+                    }
+
+                    this.dispatchEvent('themeSaved', { theme: data.Theme });
+                    return data.Theme;
+                });
+        },
+
+        /**
+         * 获取当前预览会话的 ID，没有预览时返回 null
+         */
+        getPreviewSession: function() {
+            return this.state.previewSession ? this.state.previewSession.id : null;
+        },
+
+        /**
+         * 合并部分主题修改，嵌套对象（Colors、Typography 等）按字段合并
+         * @returns {Object} 新的主题对象，不修改参数
+         */
+        mergeTheme: function(theme, changes) {
+            const merged = {};
+
+            [theme, changes].forEach(source => {
+                Object.keys(source || {}).forEach(key => {
+                    const value = source[key];
+                    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+                        ? Object.assign({}, merged[key], value)
+                        : value;
+                });
+            });
+
+            return merged;
+        },
+
+        /**
+         * 恢复本会话的主题历史
+         */
+        setupHistory: function() {
+            const saved = this.loadFromStorage(this.config.historyKey, true);
+
+            if (saved && Array.isArray(saved.entries) && saved.index < saved.entries.length) {
+                this.state.history = { entries: saved.entries, index: saved.index };
+            }
+
+            return Promise.resolve();
+        },
+
+        /**
+         * 稍后记录一条主题历史
+         * 实时预览时拖动滑块会连续应用主题，合并为一条记录
+         */
+        scheduleHistoryRecord: function() {
+            this.debounce('recordHistory', () => this.recordHistory(), 300);
+        },
+
+        /**
+         * 记录当前应用的主题和用户覆盖变量
+         * 撤销后再记录新条目会丢弃可重做的条目，超过 historyLimit 时丢弃最早的条目
+         */
+        recordHistory: function() {
+            const theme = this.state.injectedStyles.get('theme');
+            if (!theme) {
+                return;
+            }
+
+            const overrides = this.state.injectedStyles.get('user-overrides');
+            const entry = {
+                themeId: this.state.appliedThemeId,
+                css: theme.css,
+                overridesCss: overrides ? overrides.css : null,
+                timestamp: Date.now()
+            };
+
+            const history = this.state.history;
+            const current = history.entries[history.index];
+            if (current && current.css === entry.css && current.overridesCss === entry.overridesCss) {
+                return;
+            }
+
+            history.entries = history.entries.slice(0, history.index + 1);
+            history.entries.push(entry);
+            if (history.entries.length > this.config.historyLimit) {
+                history.entries.splice(0, history.entries.length - this.config.historyLimit);
+            }
+            history.index = history.entries.length - 1;
+
+            this.saveHistory();
+        },
+
+        /**
+         * 立即执行等待中的历史记录
+         */
+        flushHistoryRecord: function() {
+            const timers = this.state.debounceTimers;
+            if (timers && timers.recordHistory) {
+                clearTimeout(timers.recordHistory);
+                delete timers.recordHistory;
+                this.recordHistory();
+            }
+        },
+
+        /**
+         * 撤销到上一个应用的主题
+         * @returns {boolean} 是否撤销成功
+         */
+        undo: function() {
+            return this.moveHistory(-1);
+        },
+
+        /**
+         * 重做被撤销的主题
+         * @returns {boolean} 是否重做成功
+         */
+        redo: function() {
+            return this.moveHistory(1);
+        },
+
+        /**
+         * 是否可以撤销
+         */
+        canUndo: function() {
+            return this.state.history.index > 0;
+        },
+
+        /**
+         * 是否可以重做
+         */
+        canRedo: function() {
+            return this.state.history.index < this.state.history.entries.length - 1;
+        },
+
+        /**
+         * 在历史中移动并应用对应的主题
+         */
+        moveHistory: function(step) {
+            // 先写入尚未记录的修改，避免撤销时丢失
+            this.flushHistoryRecord();
+
+            const history = this.state.history;
+            const entry = history.entries[history.index + step];
+            if (!entry) {
+                return false;
+            }
+
+            history.index += step;
+
+            this.injectStyle('theme', entry.css, { layer: 'theme', priority: 'high' });
+            if (entry.overridesCss) {
+                this.injectStyle('user-overrides', entry.overridesCss, { layer: 'user-overrides' });
+            } else {
+                this.removeStyle('user-overrides');
+            }
+            this.state.appliedThemeId = entry.themeId;
+            this.refreshAppliedColors();
+            this.applyModules();
+            this.saveHistory();
+
+            this.log(step < 0 ? '撤销主题:' : '重做主题:', entry.themeId);
+            this.dispatchEvent('themeApplied', { themeId: entry.themeId, source: 'history' });
+            return true;
+        },
+
+        /**
+         * 保存主题历史到 sessionStorage 并通知历史状态变化
+         */
+        saveHistory: function() {
+            this.saveToStorage(this.config.historyKey, this.state.history, true);
+            this.dispatchEvent('historyChanged', {
+                index: this.state.history.index,
+                length: this.state.history.entries.length,
+                canUndo: this.canUndo(),
+                canRedo: this.canRedo()
+            });
+        },
+
+        /**
+         * 加载初始样式
+         */
+        loadInitialStyles: function() {
+            // 已从缓存恢复样式时，版本未变化就无需重新下载
+            const hasCachedStyles = this.state.injectedStyles.has('theme');
+
+            return this.fetchThemeVersion()
+                .then(version => this.syncTheme(version, !hasCachedStyles))
+                .catch(error => {
+                    if (this.state.injectedStyles.has('theme')) {
+                        this.error('加载初始样式失败，继续使用缓存的主题样式:', error);
+                        return;
+                    }
+
+                    this.error('加载初始样式失败:', error);
+                    // 应用默认样式作为回退
+                    return this.applyDefaultStyles();
+                });
+        },
+
+        /**
+         * 从本地缓存恢复上次应用的主题样式
+         * 同步执行，在任何网络请求之前应用，避免页面加载时的无样式闪烁
+         * @returns {boolean} 是否恢复了缓存
+         */
+        restoreCachedStyles: function() {
+            const cached = this.loadFromStorage(this.config.cacheKey);
+            if (!cached || !cached.css) {
+                return false;
+            }
+
+            // 缓存属于其他用户时不恢复，避免短暂显示别人的主题
+            const userId = this.resolveUserId();
+            if (userId && cached.userId && cached.userId !== userId) {
+                this.log('缓存的主题属于其他用户，跳过恢复');
+                return false;
+            }
+
+            this.injectStyle('theme', cached.css, { layer: 'theme', priority: 'high' });
+            if (cached.supplement) {
+                this.injectStyle('theme-supplement', cached.supplement, { layer: 'theme', priority: 'high', order: 1 });
+            }
+            this.applyUserOverrides(cached.overrides);
+            this.state.themeETag = cached.etag || null;
+            this.state.appliedThemeId = cached.themeId || null;
+            this.state.appliedTheme = cached.responsive || cached.interaction || cached.animation || cached.fonts
+                ? {
+                    ResponsiveSettings: cached.responsive || null,
+                    InteractionSettings: cached.interaction || null,
+                    AnimationSettings: cached.animation || null,
+                    Typography: cached.fonts || null
+                }
+                : null;
+            // 字体声明随主题样式按 ETag 缓存，版本未变化时无需再次请求主题
+            if (cached.fonts) {
+                this.applyThemeFonts(this.state.appliedTheme);
+            }
+            this.log('已从本地缓存恢复主题样式:', cached.themeId);
+            return true;
+        },
+
+        /**
+         * 取出主题中与字体加载有关的字段，用于本地缓存
+         * @returns {Object|null} { FontFamily, FontDisplay, FontFaces }，主题未声明字体时为 null
+         */
+        pickThemeFonts: function(theme) {
+            const typography = theme && theme.Typography;
+            if (!typography || !Array.isArray(typography.FontFaces) || typography.FontFaces.length === 0) {
+                return null;
+            }
+
+            return {
+                FontFamily: typography.FontFamily || null,
+                FontDisplay: typography.FontDisplay || null,
+                FontFaces: typography.FontFaces
+            };
+        },
+
+        /**
+         * 保存当前主题样式到本地缓存
+         */
+        saveThemeCache: function(version) {
+            const styleInfo = this.state.injectedStyles.get('theme');
+            if (!styleInfo) {
+                return;
+            }
+            const supplement = this.state.injectedStyles.get('theme-supplement');
+
+            this.saveToStorage(this.config.cacheKey, {
+                userId: this.state.userId,
+                themeId: version ? version.ThemeId : null,
+                version: version ? version.Version : null,
+                etag: version ? version.ETag : null,
+                overrides: version ? version.Overrides || null : null,
+                css: styleInfo.css,
+                supplement: supplement ? supplement.css : null,
+                responsive: this.state.appliedTheme ? this.state.appliedTheme.ResponsiveSettings || null : null,
+                interaction: this.state.appliedTheme ? this.state.appliedTheme.InteractionSettings || null : null,
+                animation: this.state.appliedTheme ? this.state.appliedTheme.AnimationSettings || null : null,
+                fonts: this.pickThemeFonts(this.state.appliedTheme),
+                savedAt: Date.now()
+            });
+        },
+
+        /**
+         * 获取当前活动主题
+         * 版本接口不可用时 syncTheme 用它在浏览器端生成主题样式
+         */
+        fetchCurrentTheme: function() {
+            return this.makeRequest('/emby-beautify/themes/active')
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('获取活动主题失败');
+                    }
+                    return response.json();
+                });
+        },
+
+        /**
+         * 获取当前主题的版本标识
+         * 版本接口不可用时返回 null，调用方应视为"未知版本"
+         */
+        fetchThemeVersion: function() {
+            const userId = this.config.perUserThemes ? this.resolveUserId() : null;
+            const query = this.getVariantQuery();
+            const fetchVersion = url => this.makeRequest(url + (query ? '?' + query : ''))
+                .then(response => response.json())
+                .then(data => (data && data.ETag) ? data : null);
+
+            // 已登录用户优先使用用户主题，失败时回退到服务器活动主题
+            const request = userId
+                ? fetchVersion(this.getUserThemeUrl(userId)).catch(error => {
+                    this.log('获取用户主题失败，回退到服务器活动主题:', error);
+                    return fetchVersion('/emby-beautify/themes/active/version');
+                })
+                : fetchVersion('/emby-beautify/themes/active/version');
+
+            return request.catch(error => {
+                this.log('获取主题版本失败:', error);
+                return null;
+            });
+        },
+
+        /**
+         * 获取主题组合中的主题 ID
+         * 服务端把这些主题一并计入 ETag，修改非活动的浅色/深色主题时客户端同样会收到变更
+         * @returns {Array<string>} 未启用主题组合时返回空数组
+         */
+        getVariantThemeIds: function() {
+            const variants = this.state.variants;
+            return variants ? [variants.light, variants.dark].filter(Boolean) : [];
+        },
+
+        /**
+         * 获取主题组合的查询参数
+         * @returns {string} 未启用主题组合时返回空字符串
+         */
+        getVariantQuery: function() {
+            const ids = this.getVariantThemeIds();
+            return ids.length > 0 ? 'Variants=' + encodeURIComponent(ids.join(',')) : '';
+        },
+
+        /**
+         * 解析当前登录的 Emby 用户
+         * 通过 Emby Web 客户端的 ApiClient 获取，不可用时返回 null
+         */
+        resolveUserId: function() {
+            const apiClient = window.ApiClient;
+            let userId = null;
+
+            if (apiClient && typeof apiClient.getCurrentUserId === 'function') {
+                try {
+                    userId = apiClient.getCurrentUserId() || null;
+                } catch (error) {
+                    this.log('获取当前用户失败:', error);
+                }
+            }
+
+            if (userId !== this.state.userId) {
+                this.log('当前用户:', userId);
+                this.state.userId = userId;
+            }
+
+            return userId;
+        },
+
+        /**
+         * 获取用户主题接口地址
+         */
+        getUserThemeUrl: function(userId) {
+            return '/emby-beautify/users/' + encodeURIComponent(userId) + '/theme';
+        },
+
+        /**
+         * 设置当前用户的主题和覆盖变量
+         * themeId 为空且没有覆盖变量时恢复使用服务器默认主题
+         * @param {string|null} themeId 主题 ID
+         * @param {Object} overrides CSS 变量覆盖，例如 { 'primary-color': '#ff6b6b' }
+         */
+        setUserTheme: function(themeId, overrides) {
+            const userId = this.resolveUserId();
+            if (!userId) {
+                return Promise.reject(new Error('未检测到登录用户，无法设置用户主题'));
+            }
+
+            return this.makeRequest(this.getUserThemeUrl(userId), {
+                method: 'POST',
+                body: JSON.stringify({
+                    ThemeId: themeId || null,
+                    Overrides: overrides || {},
+                    Variants: this.getVariantThemeIds().join(',') || null
+                })
+            })
+                .then(response => response.json())
+                .then(data => {
+                    if (!data.Success) {
+                        throw new Error(data.Message || '设置用户主题失败');
+                    }
+
+                    return this.syncTheme(data.Theme, true).then(() => data.Theme);
+                });
+        },
+
+        /**
+         * 应用用户的 CSS 变量覆盖
+         * 按变量类型校验，名称或值不合法的条目会被忽略；校验脚本未加载时不应用任何覆盖
+         */
+        applyUserOverrides: function(overrides) {
+            const sanitizer = window.EmbyBeautifySanitizer;
+            if (!sanitizer) {
+                if (overrides && Object.keys(overrides).length > 0) {
+                    this.error('CSS 值校验脚本未加载，忽略用户主题覆盖');
+                }
+                this.removeStyle('user-overrides');
+                return;
+            }
+
+            const result = sanitizer.sanitizeVariables(overrides || {});
+            if (result.fields.length > 0) {
+                this.log('部分用户主题覆盖未通过校验:', result.fields);
+            }
+
+            const variables = result.variables;
+            if (Object.keys(variables).length === 0) {
+                this.removeStyle('user-overrides');
+                return;
+            }
+
+            this.injectStyle('user-overrides', this.rootVariables(variables), { layer: 'user-overrides' });
+        },
+
+        /**
+         * 按版本同步主题
+         * 仅当版本标识与已应用的不一致（或强制更新）时才重新获取并应用主题
+         * @returns {Promise<boolean>} 是否重新应用了主题
+         */
+        syncTheme: function(version, force) {
+            // 预览期间延后服务端的主题变更，记录 ETag 以免变更通知通道反复返回同一变更
+            const session = this.state.previewSession;
+            if (session) {
+                if (version) {
+                    session.pendingVersion = version;
+                    this.state.themeETag = version.ETag;
+                }
+                this.log('主题预览进行中，延后主题更新');
+                return Promise.resolve(false);
+            }
+
+            // 启用浅色/深色主题组合时，实际应用的主题由当前配色方案决定
+            const target = this.resolveVariantVersion(version);
+
+            if (!force && version && version.ETag === this.state.themeETag &&
+                target.ThemeId === this.state.appliedThemeId) {
+                this.log('主题未变化，跳过更新');
+                return Promise.resolve(false);
+            }
+
+            // 有版本信息时直接使用服务端生成的 CSS，否则回退到浏览器端生成
+            const request = target
+                ? this.fetchThemeCss(target.ThemeId).then(data => this.applyThemeCss(data, target))
+                : this.fetchCurrentTheme().then(theme => theme ? this.applyTheme(theme).then(() => true) : false);
+
+            return request.then(updated => {
+                if (updated) {
+                    this.state.themeETag = version ? version.ETag : null;
+                    this.state.themeVersion = version || null;
+                    this.applyUserOverrides(version && version.Overrides);
+                    if (target) {
+                        this.refreshAppliedColors();
+                    }
+                    this.saveThemeCache(target);
+                    this.applyModules();
+                    this.recordHistory();
+                }
+                return updated;
+            });
+        },
+
+        /**
+         * 按当前配色方案替换要应用的主题
+         * 未启用主题组合时原样返回服务端版本信息
+         */
+        resolveVariantVersion: function(version) {
+            const variants = this.state.variants;
+            const scheme = this.state.colorScheme;
+            const themeId = variants && scheme ? variants[scheme] : null;
+
+            if (!themeId) {
+                return version;
+            }
+
+            return Object.assign({}, version, {
+                ThemeId: themeId,
+                Version: version && version.ThemeId === themeId ? version.Version : null,
+                ColorScheme: scheme
+            });
+        },
+
+        /**
+         * 初始化浅色/深色主题组合
+         * 读取保存的组合设置，计算当前配色方案并开始监听系统设置或时间变化
+         */
+        setupColorScheme: function() {
+            this.state.variants = this.normalizeThemeVariants(this.loadFromStorage(this.config.variantsKey));
+            this.updateColorScheme();
+            this.startColorSchemeWatcher();
+            return Promise.resolve();
+        },
+
+        /**
+         * 设置浅色/深色主题组合
+         * @param {Object|null} variants 主题组合，传入 null 时停用
+         * @param {string} variants.light 浅色主题 ID
+         * @param {string} variants.dark 深色主题 ID
+         * @param {string} variants.mode 切换模式：system（跟随系统）、schedule（按时间）、manual（手动）
+         * @param {Object} variants.schedule 按时间切换时的开始时间，例如 { light: '07:00', dark: '19:00' }
+         * @param {string} variants.scheme 手动模式下使用的配色方案：light 或 dark
+         * @returns {Promise<boolean>} 是否重新应用了主题
+         */
+        setThemeVariants: function(variants) {
+            const normalized = this.normalizeThemeVariants(variants);
+            if (variants && !normalized) {
+                return Promise.reject(new Error('无效的主题组合设置'));
+            }
+
+            this.state.variants = normalized;
+            this.saveToStorage(this.config.variantsKey, normalized);
+            this.startColorSchemeWatcher();
+
+            return this.refreshColorScheme();
+        },
+
+        /**
+         * 切换主题组合的切换模式
+         * @param {string} mode system、schedule 或 manual
+         * @param {string} scheme 手动模式下使用的配色方案
+         */
+        setColorSchemeMode: function(mode, scheme) {
+            if (!this.state.variants) {
+                return Promise.reject(new Error('尚未设置浅色/深色主题组合'));
+            }
+
+            return this.setThemeVariants(Object.assign({}, this.state.variants, {
+                mode: mode,
+                scheme: scheme || this.state.variants.scheme
+            }));
+        },
+
+        /**
+         * 获取当前配色方案，未启用主题组合时返回 null
+         */
+        getColorScheme: function() {
+            return this.state.colorScheme;
+        },
+
+        /**
+         * 校验并规范化主题组合设置，无效时返回 null
+         */
+        normalizeThemeVariants: function(variants) {
+            if (!variants || !variants.light || !variants.dark) {
+                return null;
+            }
+
+            const modes = ['system', 'schedule', 'manual'];
+            const schedule = variants.schedule || {};
+            const isClock = value => typeof value === 'string' && this.parseClockTime(value) !== null;
+
+            return {
+                light: String(variants.light),
+                dark: String(variants.dark),
+                mode: modes.indexOf(variants.mode) !== -1 ? variants.mode : 'system',
+                schedule: {
+                    light: isClock(schedule.light) ? schedule.light : this.defaults.schedule.light,
+                    dark: isClock(schedule.dark) ? schedule.dark : this.defaults.schedule.dark
+                },
+                scheme: variants.scheme === 'dark' ? 'dark' : 'light'
+            };
+        },
+
+        /**
+         * 计算当前应使用的配色方案
+         * @returns {string|null} light、dark，未启用主题组合时为 null
+         */
+        resolveColorScheme: function() {
+            const variants = this.state.variants;
+            if (!variants) {
+                return null;
+            }
+
+            switch (variants.mode) {
+                case 'system':
+                    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches
+                        ? 'dark'
+                        : 'light';
+                case 'schedule':
+                    return this.isDarkScheduled(new Date()) ? 'dark' : 'light';
+                default:
+                    return variants.scheme;
+            }
+        },
+
+        /**
+         * 按时间表判断指定时刻是否处于深色时段
+         */
+        isDarkScheduled: function(date) {
+            const schedule = this.state.variants.schedule;
+            const light = this.parseClockTime(schedule.light);
+            const dark = this.parseClockTime(schedule.dark);
+            const now = date.getHours() * 60 + date.getMinutes();
+
+            // 深色时段可能跨越午夜
+            return dark > light
+                ? now >= dark || now < light
+                : now >= dark && now < light;
+        },
+
+        /**
+         * 解析 HH:mm 格式的时间，返回当天的分钟数，格式无效时返回 null
+         */
+        parseClockTime: function(value) {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+            if (!match) {
+                return null;
+            }
+
+            const hours = parseInt(match[1], 10);
+            const minutes = parseInt(match[2], 10);
+            return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+        },
+
+        /**
+         * 更新当前配色方案
+         * @returns {boolean} 配色方案是否发生变化
+         */
+        updateColorScheme: function() {
+            const scheme = this.resolveColorScheme();
+            if (scheme === this.state.colorScheme) {
+                return false;
+            }
+
+            this.state.colorScheme = scheme;
+
+            if (scheme) {
+                document.documentElement.setAttribute('data-emby-beautify-scheme', scheme);
+            } else {
+                document.documentElement.removeAttribute('data-emby-beautify-scheme');
+            }
+
+            this.log('配色方案已切换:', scheme);
+            this.dispatchEvent('colorSchemeChanged', { colorScheme: scheme });
+            return true;
+        },
+
+        /**
+         * 重新计算配色方案，并在需要时应用对应的主题
+         * @returns {Promise<boolean>} 是否重新应用了主题
+         */
+        refreshColorScheme: function() {
+            this.updateColorScheme();
+
+            return this.syncTheme(this.state.themeVersion)
+                .then(updated => {
+                    if (updated) {
+                        this.dispatchEvent('stylesUpdated');
+                    }
+                    return updated;
+                })
+                .catch(error => {
+                    this.error('切换配色方案失败:', error);
+                    return false;
+                });
+        },
+
+        /**
+         * 开始监听配色方案的变化来源
+         * 跟随系统时监听 prefers-color-scheme，按时间切换时在下一个切换点设置定时器
+         */
+        startColorSchemeWatcher: function() {
+            this.stopColorSchemeWatcher();
+
+            const variants = this.state.variants;
+            if (!variants) {
+                return;
+            }
+
+            const watcher = {};
+
+            if (variants.mode === 'system' && window.matchMedia) {
+                watcher.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+                watcher.listener = () => this.refreshColorScheme();
+
+                if (watcher.mediaQuery.addEventListener) {
+                    watcher.mediaQuery.addEventListener('change', watcher.listener);
+                } else if (watcher.mediaQuery.addListener) {
+                    // Safari 14 之前只支持 addListener
+                    watcher.mediaQuery.addListener(watcher.listener);
+                }
+            } else if (variants.mode === 'schedule') {
+                watcher.timer = setTimeout(() => {
+                    this.refreshColorScheme();
+                    this.startColorSchemeWatcher();
+                }, this.getNextScheduleDelay(new Date()));
+            }
+
+            this.state.colorSchemeWatcher = watcher;
+        },
+
+        /**
+         * 计算距离下一个时间表切换点的毫秒数
+         */
+        getNextScheduleDelay: function(date) {
+            const schedule = this.state.variants.schedule;
+
+            return Math.min(...[schedule.light, schedule.dark].map(value => {
+                const minutes = this.parseClockTime(value);
+                const next = new Date(date.getTime());
+                next.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+                if (next <= date) {
+                    next.setDate(next.getDate() + 1);
+                }
+                return next - date;
+            }));
+        },
+
+        /**
+         * 停止监听配色方案的变化来源
+         */
+        stopColorSchemeWatcher: function() {
+            const watcher = this.state.colorSchemeWatcher;
+            if (!watcher) {
+                return;
+            }
+
+            if (watcher.mediaQuery) {
+                if (watcher.mediaQuery.removeEventListener) {
+                    watcher.mediaQuery.removeEventListener('change', watcher.listener);
+                } else if (watcher.mediaQuery.removeListener) {
+                    watcher.mediaQuery.removeListener(watcher.listener);
+                }
+            }
+
+            if (watcher.timer) {
+                clearTimeout(watcher.timer);
+            }
+
+            this.state.colorSchemeWatcher = null;
+        },
+
+        /**
+         * 设置无障碍偏好
+         * 读取当前用户的偏好设置，并监听系统的减少动画、高对比度和强制颜色设置
+         */
+        setupAccessibilityPreferences: function() {
+            this.stopAccessibilityWatchers();
+
+            if (window.matchMedia) {
+                Object.keys(this.preferenceQueries).forEach(name => {
+                    const mediaQuery = window.matchMedia(this.preferenceQueries[name]);
+                    const listener = () => this.refreshAccessibilityPreferences();
+
+                    if (mediaQuery.addEventListener) {
+                        mediaQuery.addEventListener('change', listener);
+                    } else if (mediaQuery.addListener) {
+                        mediaQuery.addListener(listener);
+                    }
+
+                    this.state.preferenceWatchers.push({ name: name, mediaQuery: mediaQuery, listener: listener });
+                });
+            }
+
+            this.refreshAccessibilityPreferences(true);
+            return Promise.resolve();
+        },
+
+        /**
+         * 停止监听系统偏好
+         */
+        stopAccessibilityWatchers: function() {
+            this.state.preferenceWatchers.forEach(watcher => {
+                if (watcher.mediaQuery.removeEventListener) {
+                    watcher.mediaQuery.removeEventListener('change', watcher.listener);
+                } else if (watcher.mediaQuery.removeListener) {
+                    watcher.mediaQuery.removeListener(watcher.listener);
+                }
+            });
+            this.state.preferenceWatchers = [];
+        },
+
+        /**
+         * 设置当前用户的无障碍偏好，覆盖系统设置
+         * @param {Object} overrides 偏好设置
+         * @param {string} [overrides.reducedMotion] auto（跟随系统）、reduce（减少动画）或 no-preference（保留动画）
+         * @param {string} [overrides.contrast] auto（跟随系统）、more（更高对比度）或 no-preference（主题默认）
+         * @param {number|string} [overrides.textScale] 文字大小倍数，范围见 config.textScaleRange；auto 恢复为 1
+         * @returns {Object} 生效的偏好
+         */
+        setAccessibilityPreferences: function(overrides) {
+            const values = {
+                reducedMotion: ['auto', 'reduce', 'no-preference'],
+                contrast: ['auto', 'more', 'no-preference']
+            };
+            const range = this.config.textScaleRange;
+            const current = Object.assign({}, this.state.preferenceOverrides);
+
+            Object.keys(overrides || {}).forEach(name => {
+                const value = overrides[name];
+                const valid = name === 'textScale'
+                    ? value === 'auto' || (typeof value === 'number' && value >= range.min && value <= range.max)
+                    : values[name] && values[name].indexOf(value) !== -1;
+                if (!valid) {
+                    throw new Error('无效的无障碍偏好: ' + name + '=' + overrides[name]);
+                }
+
+                if (overrides[name] === 'auto') {
+                    delete current[name];
+                } else {
+                    current[name] = overrides[name];
+                }
+            });
+
+            const saved = this.loadFromStorage(this.config.accessibilityKey) || {};
+            saved[this.resolveUserId() || 'default'] = current;
+            this.saveToStorage(this.config.accessibilityKey, saved);
+
+            this.refreshAccessibilityPreferences();
+            return this.getAccessibilityPreferences();
+        },
+
+        /**
+         * 获取生效的无障碍偏好
+         * @returns {{reducedMotion: boolean, highContrast: boolean, forcedColors: boolean, textScale: number, overrides: Object}}
+         */
+        getAccessibilityPreferences: function() {
+            return Object.assign({}, this.state.preferences, {
+                overrides: Object.assign({}, this.state.preferenceOverrides)
+            });
+        },
+
+        /**
+         * 重新计算生效的无障碍偏好，变化时重新应用对应的样式
+         * 用户设置优先，其次是系统设置；已应用的主题关闭 RespectReducedMotion 时忽略系统的减少动画设置
+         * @param {boolean} force 偏好未变化时也重新应用
+         * @returns {boolean} 偏好是否变化或被强制重新应用
+         */
+        refreshAccessibilityPreferences: function(force) {
+            const saved = this.loadFromStorage(this.config.accessibilityKey) || {};
+            const overrides = saved[this.resolveUserId() || 'default'] || {};
+            const matches = {};
+            this.state.preferenceWatchers.forEach(watcher => {
+                matches[watcher.name] = watcher.mediaQuery.matches;
+            });
+
+            const settings = this.resolveRenderSettings(this.state.appliedTheme || window.EmbyBeautifyActiveTheme || null);
+            const global = (settings.interaction && settings.interaction.GlobalSettings) || {};
+            const respectSystem = global.RespectReducedMotion !== false;
+
+            const preferences = {
+                reducedMotion: overrides.reducedMotion
+                    ? overrides.reducedMotion === 'reduce'
+                    : settings.animation.ReducedMotion || (respectSystem && !!matches.reducedMotion),
+                highContrast: overrides.contrast ? overrides.contrast === 'more' : !!matches.highContrast,
+                forcedColors: !!matches.forcedColors,
+                textScale: typeof overrides.textScale === 'number' ? overrides.textScale : 1
+            };
+
+            const previous = this.state.preferences;
+            const changed = Object.keys(preferences).some(name => preferences[name] !== previous[name]);
+
+            this.state.preferenceOverrides = overrides;
+            this.state.preferences = preferences;
+
+            if (!changed && !force) {
+                return false;
+            }
+
+            this.applyAccessibilityPreferences();
+            this.applyTvModeStyles();
+            if (this.state.isInitialized) {
+                this.refreshAppliedColors();
+                this.applyModules();
+            }
+
+            this.log('无障碍偏好:', preferences);
+            this.dispatchEvent('accessibilityChanged', this.getAccessibilityPreferences());
+            return true;
+        },
+
+        /**
+         * 按生效的无障碍偏好注入样式，并在 <html> 上标记，便于样式模块适配
+         * 减少动画时停用过渡、动画和悬停位移；高对比度和强制颜色模式下用边框代替阴影和渐变
+         */
+        applyAccessibilityPreferences: function() {
+            const preferences = this.state.preferences;
+            const root = document.documentElement;
+            let css = '';
+
+            ['reducedMotion', 'highContrast', 'forcedColors'].forEach(name => {
+                const attribute = 'data-emby-beautify-' + this.toKebabCase(name);
+                if (preferences[name]) {
+                    root.setAttribute(attribute, '');
+                } else {
+                    root.removeAttribute(attribute);
+                }
+            });
+
+            if (preferences.reducedMotion) {
+                css += this.rootVariables({
+                    'transition-duration': '0ms',
+                    'animation-duration': '0ms',
+                    'page-transition-duration': '0ms',
+                    'modal-duration': '0ms'
+                });
+                css += this.cssRule('*, *::before, *::after', {
+                    'animation-duration': '0.01ms !important',
+                    'animation-iteration-count': '1 !important',
+                    'transition-duration': '0.01ms !important',
+                    'scroll-behavior': 'auto !important'
+                });
+                css += this.cssRule('.emby-beautify-card:hover, .emby-beautify-button:hover, .card:hover, .media-card:hover, .button:hover, .btn:hover, button:hover', {
+                    'transform': 'none !important'
+                });
+            }
+
+            if (preferences.textScale !== 1) {
+                css += this.rootVariables({ 'text-scale': preferences.textScale });
+            }
+
+            if (preferences.highContrast || preferences.forcedColors) {
+                css += this.rootVariables({ 'box-shadow': 'none' });
+                css += this.cssRule('.emby-beautify-card, .card, .media-card', {
+                    'box-shadow': 'none !important',
+                    'border': '1px solid currentColor'
+                });
+            }
+
+            if (preferences.forcedColors) {
+                // 强制颜色模式不会移除渐变背景，需要显式去掉，焦点轮廓使用系统颜色
+                css += this.cssRule('.button, .btn, button, .button-primary', {
+                    'background-image': 'none !important',
+                    'border': '1px solid ButtonText'
+                });
+                css += this.cssRule(':focus-visible', {
+                    'outline': '2px solid Highlight !important'
+                });
+            }
+
+            if (css) {
+                this.injectStyle('preferences', css, { layer: 'accessibility', priority: 'high' });
+            } else {
+                this.removeStyle('preferences');
+            }
+        },
+
+        /**
+         * 设置交互效果引擎
+         * 在 document 上委托处理点击和键盘激活，之后动态加入页面的卡片和按钮同样生效
+         */
+        setupInteractions: function() {
+            this.stopInteractions();
+
+            const spread = this.keyframes.rippleSpread;
+            const css = `@keyframes emby-beautify-rippleSpread { ${spread} }\n` +
+                this.cssRule('.emby-beautify-ripple-container', {
+                    'position': 'absolute',
+                    'top': '0',
+                    'right': '0',
+                    'bottom': '0',
+                    'left': '0',
+                    'overflow': 'hidden',
+                    'border-radius': 'inherit',
+                    'pointer-events': 'none'
+                }) +
+                this.cssRule('.emby-beautify-ripple', {
+                    'position': 'absolute',
+                    'border-radius': '50%',
+                    'pointer-events': 'none',
+                    'transform': 'scale(0)',
+                    'animation-name': 'emby-beautify-rippleSpread',
+                    'animation-fill-mode': 'forwards'
+                });
+            this.injectStyle('interactions', css, { layer: 'enhancements', priority: 'low' });
+
+            const pointerEvent = window.PointerEvent ? 'pointerdown' : 'mousedown';
+            const pointerListener = event => {
+                if (!event.button) {
+                    this.handleInteraction(event, false);
+                }
+            };
+            const keyListener = event => {
+                if (event.key === 'Enter' || event.key === ' ' || event.key === 'Spacebar') {
+                    this.handleInteraction(event, true);
+                }
+            };
+
+            document.addEventListener(pointerEvent, pointerListener, { passive: true });
+            document.addEventListener('keydown', keyListener);
+            this.state.interactionListeners = { pointerEvent: pointerEvent, pointer: pointerListener, key: keyListener };
+
+            return Promise.resolve();
+        },
+
+        /**
+         * 停止交互效果引擎
+         */
+        stopInteractions: function() {
+            const listeners = this.state.interactionListeners;
+            if (!listeners) {
+                return;
+            }
+
+            document.removeEventListener(listeners.pointerEvent, listeners.pointer, { passive: true });
+            document.removeEventListener('keydown', listeners.key);
+            this.state.interactionListeners = null;
+            this.removeStyle('interactions');
+        },
+
+        /**
+         * 获取当前生效的交互设置，预览期间使用预览的主题，否则使用已应用的主题（用户主题、浅色/深色变体或推送的主题）
+         * @returns {Object|null} InteractionSettings
+         */
+        getInteractionSettings: function() {
+            const session = this.state.previewSession;
+            const theme = session ? session.theme : this.state.appliedTheme || window.EmbyBeautifyActiveTheme || null;
+            return this.resolveRenderSettings(theme).interaction;
+        },
+
+        /**
+         * 处理一次点击或键盘激活，按 ClickFeedbacks 中匹配的配置播放反馈
+         * @param {Event} event 原始事件
+         * @param {boolean} fromKeyboard 键盘激活时涟漪从元素中心扩散
+         */
+        handleInteraction: function(event, fromKeyboard) {
+            const interaction = this.getInteractionSettings();
+            if (!interaction || interaction.EnableInteractionEnhancements === false || this.state.preferences.reducedMotion) {
+                return;
+            }
+
+            const match = this.findInteractionTarget(event.target, interaction.ClickFeedbacks);
+            if (!match) {
+                return;
+            }
+
+            const global = interaction.GlobalSettings || {};
+            const multiplier = global.GlobalDurationMultiplier > 0 ? global.GlobalDurationMultiplier : 1;
+            const feedback = match.feedback;
+            const duration = Math.round((feedback.Duration != null ? feedback.Duration : 150) * multiplier);
+
+            switch (this.normalizeClickFeedbackType(feedback.Type)) {
+                case 'Ripple':
+                    this.createRipple(match.element, fromKeyboard ? null : event, feedback, duration);
+                    break;
+                case 'None':
+                    break;
+                default:
+                    this.pressElement(match.element, duration);
+                    break;
+            }
+        },
+
+        /**
+         * 查找事件目标所属的交互元素
+         * 多个选择器同时命中时（例如卡片中的按钮）使用最内层的元素
+         * @returns {{element: Element, feedback: Object, selector: string}|null}
+         */
+        findInteractionTarget: function(target, feedbacks) {
+            if (!target || typeof target.closest !== 'function') {
+                return null;
+            }
+
+            let best = null;
+            Object.keys(feedbacks || {}).forEach(selector => {
+                const feedback = feedbacks[selector];
+                if (!feedback || feedback.Enabled === false) {
+                    return;
+                }
+
+                let element;
+                try {
+                    element = target.closest(selector);
+                } catch (error) {
+                    // 配置中的选择器无效时忽略该项
+                    return;
+                }
+
+                if (element && (!best || best.element.contains(element))) {
+                    best = { element: element, feedback: feedback, selector: selector };
+                }
+            });
+
+            return best;
+        },
+
+        /**
+         * 在元素内创建涟漪
+         * 涟漪放在单独的裁剪容器中，元素本身不需要 overflow: hidden，避免裁剪卡片的角标和阴影
+         * @param {Element} element 交互元素
+         * @param {Event|null} event 指针事件，为 null 时从元素中心扩散
+         * @param {Object} feedback ClickFeedbackConfig
+         * @param {number} duration 持续时间（毫秒）
+         */
+        createRipple: function(element, event, feedback, duration) {
+            const rect = element.getBoundingClientRect();
+            const x = event && event.clientX != null ? event.clientX - rect.left : rect.width / 2;
+            const y = event && event.clientY != null ? event.clientY - rect.top : rect.height / 2;
+            // 半径取到最远角的距离，保证涟漪覆盖整个元素
+            const radius = Math.sqrt(
+                Math.pow(Math.max(x, rect.width - x), 2) + Math.pow(Math.max(y, rect.height - y), 2));
+
+            if (window.getComputedStyle(element).position === 'static') {
+                element.style.position = 'relative';
+            }
+
+            let container = Array.prototype.filter.call(element.children, child =>
+                child.classList.contains('emby-beautify-ripple-container'))[0];
+            if (!container) {
+                container = document.createElement('span');
+                container.className = 'emby-beautify-ripple-container';
+                element.appendChild(container);
+            }
+
+            const ripple = document.createElement('span');
+            ripple.className = 'emby-beautify-ripple';
+            ripple.style.left = (x - radius) + 'px';
+            ripple.style.top = (y - radius) + 'px';
+            ripple.style.width = ripple.style.height = (radius * 2) + 'px';
+            ripple.style.background = feedback.Color || 'rgba(255, 255, 255, 0.3)';
+            ripple.style.animationDuration = duration + 'ms';
+            ripple.style.animationTimingFunction = feedback.Easing || 'ease-out';
+
+            const remove = () => {
+                if (!ripple.parentNode) {
+                    return;
+                }
+                ripple.remove();
+                if (!container.children.length) {
+                    container.remove();
+                }
+            };
+            ripple.addEventListener('animationend', remove);
+            // 动画被其他样式停用时不会触发 animationend
+            setTimeout(remove, duration + 100);
+
+            container.appendChild(ripple);
+        },
+
+        /**
+         * 为元素添加按下状态，持续 duration 毫秒
+         * :active 在松开时立即结束且键盘激活时不生效，按下状态保证缩放、脉冲和闪烁反馈完整播放
+         */
+        pressElement: function(element, duration) {
+            const timers = this.state.pressTimers;
+            clearTimeout(timers.get(element));
+
+            element.classList.remove('emby-beautify-pressed');
+            // 读取布局使浏览器重新开始动画
+            void element.offsetWidth;
+            element.classList.add('emby-beautify-pressed');
+
+            timers.set(element, setTimeout(() => {
+                element.classList.remove('emby-beautify-pressed');
+                timers.delete(element);
+            }, duration));
+        },
+
+        /**
+         * 设置电视（10 英尺）模式
+         * 跟踪最近的输入方式：方向键表示遥控器或仅使用键盘，指针和触摸操作表示鼠标或触屏
+         */
+        setupTvMode: function() {
+            this.stopInputTracking();
+
+            const keyListener = event => {
+                const target = event.target;
+                const editing = target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+
+                // 在输入框中移动光标不算方向键导航
+                if (!editing && this.navigationKeys.indexOf(event.key) !== -1) {
+                    this.setInputMode('keyboard');
+                }
+            };
+            const pointerListener = () => this.setInputMode('pointer');
+
+            document.addEventListener('keydown', keyListener, true);
+            document.addEventListener('mousedown', pointerListener, true);
+            document.addEventListener('touchstart', pointerListener, { capture: true, passive: true });
+            this.state.inputListeners = { key: keyListener, pointer: pointerListener };
+
+            this.updateTvMode(true);
+            return Promise.resolve();
+        },
+
+        /**
+         * 停止跟踪输入方式
+         */
+        stopInputTracking: function() {
+            const listeners = this.state.inputListeners;
+            if (!listeners) {
+                return;
+            }
+
+            document.removeEventListener('keydown', listeners.key, true);
+            document.removeEventListener('mousedown', listeners.pointer, true);
+            document.removeEventListener('touchstart', listeners.pointer, { capture: true, passive: true });
+            this.state.inputListeners = null;
+        },
+
+        /**
+         * 记录最近的输入方式并在 <html> 上标记
+         * @param {string} mode keyboard 或 pointer
+         */
+        setInputMode: function(mode) {
+            if (this.state.inputMode === mode) {
+                return;
+            }
+
+            this.state.inputMode = mode;
+            document.documentElement.setAttribute('data-emby-beautify-input', mode);
+            this.updateTvMode();
+        },
+
+        /**
+         * 设置电视模式
+         * @param {string} mode auto、on 或 off
+         * @returns {boolean} 电视模式是否启用
+         */
+        setTvMode: function(mode) {
+            if (['auto', 'on', 'off'].indexOf(mode) === -1) {
+                throw new Error('无效的电视模式: ' + mode);
+            }
+
+            this.config.tvMode = mode;
+            this.updateTvMode();
+            return this.state.tvMode;
+        },
+
+        /**
+         * 电视模式是否启用
+         */
+        isTvMode: function() {
+            return this.state.tvMode;
+        },
+
+        /**
+         * 重新计算电视模式是否启用，变化时重新应用对应的样式
+         * @param {boolean} force 状态未变化时也重新应用
+         * @returns {boolean} 状态是否变化
+         */
+        updateTvMode: function(force) {
+            const mode = this.config.tvMode;
+            const active = mode === 'on' || (mode === 'auto' &&
+                (!!this.compatibility.browserInfo.isTV || this.state.inputMode === 'keyboard'));
+
+            if (active === this.state.tvMode && !force) {
+                return false;
+            }
+
+            this.state.tvMode = active;
+            if (active) {
+                document.documentElement.setAttribute('data-emby-beautify-tv', '');
+            } else {
+                document.documentElement.removeAttribute('data-emby-beautify-tv');
+            }
+
+            this.applyTvModeStyles();
+            this.applyModules();
+
+            this.log('电视模式:', active ? '启用' : '停用');
+            this.dispatchEvent('tvModeChanged', { active: active, mode: mode, inputMode: this.state.inputMode });
+            return true;
+        },
+
+        /**
+         * 按电视模式注入样式
+         * 焦点轮廓沿用已应用主题 InteractionSettings 的焦点效果并加粗，卡片获得焦点时放大，
+         * 并为滚动容器留出边距，使方向键移动焦点时焦点元素完整滚动到可视区域内
+         */
+        applyTvModeStyles: function() {
+            if (!this.state.tvMode) {
+                this.removeStyle('tv-mode');
+                return;
+            }
+
+            const settings = this.resolveRenderSettings(this.state.appliedTheme || window.EmbyBeautifyActiveTheme || null);
+            const outline = this.resolveTvOutline(settings.interaction);
+            const selectors = this.tvFocusSelectors;
+            const all = selectors.cards + ', ' + selectors.buttons;
+            const focusRing = `${outline.width}px ${outline.style} ${outline.color} !important`;
+            let css = '';
+
+            css += this.rootVariables({
+                'tv-focus-scale': this.state.preferences.reducedMotion ? '1' : '1.08',
+                'tv-focus-ring-width': outline.width + 'px'
+            });
+            css += this.cssRule(this.mapSelector(all, ':focus'), {
+                'outline': focusRing,
+                'outline-offset': outline.offset + 'px'
+            });
+            css += this.cssRule(this.mapSelector(selectors.cards, ':focus-within'), {
+                'outline': focusRing,
+                'outline-offset': outline.offset + 'px'
+            });
+            css += this.cssRule(selectors.cards, {
+                'scroll-margin': '10vh 5vw'
+            });
+            css += this.cssRule(this.mapSelector(selectors.cards, ':focus') + ', ' +
+                this.mapSelector(selectors.cards, ':focus-within'), {
+                'position': 'relative',
+                'z-index': '2',
+                'transform': 'scale(var(--tv-focus-scale))'
+            });
+            css += this.cssRule(selectors.buttons, {
+                'min-height': '48px',
+                'scroll-margin': '10vh 5vw'
+            });
+            css += this.cssRule('.emby-scroller, .scrollX, .itemsContainer', {
+                'scroll-padding': '0 5vw',
+                'scroll-behavior': this.state.preferences.reducedMotion ? '' : 'smooth'
+            });
+            css += this.cssRule('html', {
+                'scroll-padding': '15vh 0'
+            });
+
+            this.injectStyle('tv-mode', css, { layer: 'accessibility' });
+        },
+
+        /**
+         * 解析电视模式的焦点轮廓
+         * 优先使用作用于卡片或按钮的焦点效果，其次是任意启用的焦点效果；宽度至少放大到 4px
+         */
+        resolveTvOutline: function(interaction) {
+            const focusEffects = (interaction && interaction.FocusEffects) || {};
+            const candidates = Object.keys(focusEffects).filter(selector => {
+                const focus = focusEffects[selector];
+                return focus && focus.Enabled !== false && focus.Outline && focus.Outline.Width > 0;
+            });
+            const preferred = candidates.filter(selector => /card|button|btn/.test(selector))[0] || candidates[0];
+            const outline = preferred ? focusEffects[preferred].Outline : {};
+
+            return {
+                width: Math.max((outline.Width || 0) * 2, 4),
+                style: outline.Style || 'solid',
+                color: outline.Color || 'var(--accent-color, var(--primary-color, #52b54b))',
+                offset: Math.max(outline.Offset || 0, 3)
+            };
+        },
+
+        /**
+         * 获取指定主题
+         */
+        fetchTheme: function(themeId) {
+            return this.makeRequest('/emby-beautify/themes/' + encodeURIComponent(themeId))
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('获取主题失败: ' + themeId);
+                    }
+                    return response.json();
+                });
+        },
+
+        /**
+         * 获取服务端生成的主题 CSS
+         * @returns {Promise<{Css: string, Theme: Object}>} 主题 CSS 和生成它的主题配置
+         */
+        fetchThemeCss: function(themeId) {
+            return this.makeRequest('/emby-beautify/themes/' + encodeURIComponent(themeId) + '/css')
+                .then(response => response.json())
+                .then(data => {
+                    if (data && typeof data.Css === 'string') {
+                        return data;
+                    }
+                    throw new Error('获取主题 CSS 失败: ' + themeId);
+                });
+        },
+
+        /**
+         * 应用服务端生成的主题 CSS
+         * 随后注入浏览器端生成的补充样式，并按主题的响应式设置更新断点
+         * @param {Object} data 主题 CSS 接口的响应
+         * @param {Object} version 主题版本信息
+         * @returns {boolean} 是否应用成功
+         */
+        applyThemeCss: function(data, version) {
+            if (!data || !data.Css) {
+                return false;
+            }
+
+            this.log('应用服务端主题 CSS:', version.ThemeId);
+            this.injectStyle('theme', data.Css, { layer: 'theme', priority: 'high' });
+            this.state.appliedTheme = data.Theme || null;
+            this.applyThemeSupplement(this.state.appliedTheme);
+            this.setupBreakpoints(this.state.appliedTheme);
+            this.refreshThemeDependentStyles();
+            this.state.appliedThemeId = version.ThemeId;
+            // 响应中的主题配置包含字体声明，旧版服务端没有返回主题配置时才单独获取主题
+            if (data.Theme) {
+                this.applyThemeFonts(data.Theme);
+            } else {
+                this.loadThemeFonts(version.ThemeId);
+            }
+            this.dispatchEvent('themeApplied', {
+                themeId: version.ThemeId,
+                version: version.Version,
+                colorScheme: version.ColorScheme || null,
+                source: 'server'
+            });
+
+            return true;
+        },
+
+        /**
+         * 已应用的主题变化后重新计算依赖主题设置的无障碍偏好和电视模式样式
+         * 偏好变化时 refreshAccessibilityPreferences 已一并更新电视模式样式
+         */
+        refreshThemeDependentStyles: function() {
+            if (!this.refreshAccessibilityPreferences()) {
+                this.applyTvModeStyles();
+            }
+        },
+
+        /**
+         * 注入服务端主题 CSS 的补充样式
+         * 响应中没有主题配置（旧版服务端）时按插件配置和默认值生成
+         */
+        applyThemeSupplement: function(theme) {
+            try {
+                this.injectStyle('theme-supplement', this.generateThemeSupplement(theme || {}),
+                    { layer: 'theme', priority: 'high', order: 1 });
+            } catch (error) {
+                this.error('生成主题补充样式失败:', error);
+                this.removeStyle('theme-supplement');
+            }
+        },
+
+        /**
+         * 应用主题
+         */
+        applyTheme: function(theme) {
+            return new Promise((resolve, reject) => {
+                try {
+                    this.log('应用主题:', theme.Name);
+                    
+                    // 生成 CSS
+                    const css = this.generateThemeCSS(theme);
+                    
+                    // 注入样式
+                    this.injectStyle('theme', css, { layer: 'theme', priority: 'high' });
+                    this.removeStyle('theme-supplement');
+                    this.removeStyle('palette');
+                    this.removeStyle('contrast');
+                    this.state.appliedThemeId = theme.Id || null;
+                    this.state.appliedTheme = theme;
+                    
+                    // 应用自定义属性
+                    if (this.compatibility.supportsCustomProperties) {
+                        this.applyCustomProperties(theme);
+                    }
+
+                    // 加载主题字体，按主题的设置更新断点、无障碍偏好和电视模式的焦点样式
+                    this.applyThemeFonts(theme);
+                    this.setupBreakpoints(theme);
+                    this.refreshThemeDependentStyles();
+                    
+                    // 触发主题应用事件
+                    this.dispatchEvent('themeApplied', { theme: theme });
+                    
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        },
+
+        /**
+         * 解析渲染设置
+         * 主题自带的设置优先，其次是插件配置，最后回退到与服务端模型一致的默认值
+         */
+        resolveRenderSettings: function(theme) {
+            const config = window.EmbyBeautifyConfig || {};
+            const custom = config.CustomSettings || {};
+            const defaults = this.defaults;
+
+            const animation = Object.assign({}, defaults.animation, {
+                EnableAnimations: config.EnableAnimations !== false,
+                GlobalDuration: config.AnimationDuration || defaults.animation.GlobalDuration
+            }, custom.AnimationSettings, theme && theme.AnimationSettings);
+            animation.Transitions = Object.assign({}, defaults.animation.Transitions, animation.Transitions);
+
+            return {
+                animation: animation,
+                interaction: (theme && theme.InteractionSettings) || custom.InteractionSettings || null,
+                responsive: (theme && theme.ResponsiveSettings) || config.ResponsiveSettings || null
+            };
+        },
+
+        /**
+         * 收集主题变量
+         * 变量名与服务端 ThemeCssGenerator 生成的 :root 变量一致
+         */
+        collectThemeTokens: function(theme, settings) {
+            const tokens = {};
+            const set = (name, value) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    tokens[name] = String(value);
+                }
+            };
+
+            const colors = theme.Colors || {};
+            set('primary-color', colors.Primary);
+            set('secondary-color', colors.Secondary);
+            set('background-color', colors.Background);
+            set('surface-color', colors.Surface);
+            set('text-color', colors.Text);
+            set('accent-color', colors.Accent);
+            Object.assign(tokens, this.collectPaletteTokens(tokens));
+
+            const typography = theme.Typography || {};
+            set('font-family', typography.FontFamily);
+            set('font-size', typography.FontSize);
+            set('heading-weight', typography.HeadingWeight);
+            set('body-weight', typography.BodyWeight || typography.FontWeight);
+            set('line-height', typography.LineHeight);
+
+            const layout = theme.Layout || {};
+            set('border-radius', layout.BorderRadius);
+            set('spacing-unit', layout.SpacingUnit || layout.Spacing);
+            set('box-shadow', layout.BoxShadow);
+            set('max-width', layout.MaxWidth);
+            set('grid-columns', layout.GridColumns);
+            set('grid-gap', layout.GridGap);
+
+            const animation = settings.animation;
+            const transitions = animation.Transitions;
+            const motionEnabled = animation.EnableAnimations && !animation.ReducedMotion;
+            set('transition-duration', motionEnabled ? transitions.HoverDuration + 'ms' : '0ms');
+            set('animation-duration', motionEnabled ? animation.GlobalDuration + 'ms' : '0ms');
+            set('animation-easing', animation.GlobalEasing);
+            set('page-transition-duration', motionEnabled ? transitions.PageTransitionDuration + 'ms' : '0ms');
+            set('modal-duration', motionEnabled ? transitions.ModalDuration + 'ms' : '0ms');
+
+            const customProperties = theme.CustomProperties || {};
+            Object.keys(customProperties).forEach(key => {
+                set(key, customProperties[key]);
+            });
+
+            return tokens;
+        },
+
+        /**
+         * 引用主题变量
+         * 支持自定义属性时输出 var()，否则直接输出变量值；变量缺失且无回退值时返回空字符串
+         */
+        cssRef: function(tokens, name, fallback) {
+            if (!tokens[name] && !fallback) {
+                return '';
+            }
+
+            if (this.compatibility.supportsCustomProperties) {
+                return fallback ? `var(--${name}, ${fallback})` : `var(--${name})`;
+            }
+
+            return tokens[name] || fallback;
+        },
+
+        /**
+         * 生成 CSS 规则，跳过值为空的声明
+         */
+        cssRule: function(selector, declarations) {
+            const lines = Object.keys(declarations)
+                .filter(property => declarations[property] !== '' &&
+                    declarations[property] !== undefined &&
+                    declarations[property] !== null)
+                .map(property => `  ${property}: ${declarations[property]};`);
+
+            return lines.length ? `${selector} {\n${lines.join('\n')}\n}\n` : '';
+        },
+
+        /**
+         * 根据主色调（未设置时使用强调色）补全缺失的颜色，并派生交互状态、表面层级、焦点环和滚动条颜色
+         * @param {Object} tokens 已有的主题变量
+         * @returns {Object} 需要新增的变量，已有的变量不会被覆盖
+         */
+        collectPaletteTokens: function(tokens) {
+            const color = window.EmbyBeautifyColor;
+            const seed = tokens['primary-color'] || tokens['accent-color'];
+            if (!color || !seed) {
+                return {};
+            }
+
+            const palette = color.derivePalette(seed, { colors: tokens, scheme: this.state.colorScheme }) || {};
+            Object.keys(tokens).forEach(name => {
+                delete palette[name];
+            });
+
+            return palette;
+        },
+
+        /**
+         * 生成使用派生颜色的交互状态样式
+         */
+        generatePaletteStyles: function(tokens) {
+            const ref = name => this.cssRef(tokens, name);
+            const button = this.resolveSelectors().button;
+            let css = '';
+
+            // 使用渐变背景时保留渐变，不替换为纯色
+            if (!tokens['gradient-primary']) {
+                css += this.cssRule(this.mapSelector(button, ':hover'), {
+                    'background': ref('primary-hover-color')
+                });
+                css += this.cssRule(this.mapSelector(button, ':active'), {
+                    'background': ref('primary-active-color')
+                });
+            }
+            css += this.cssRule(this.mapSelector(button, ':disabled'), {
+                'background': ref('primary-disabled-color'),
+                'cursor': tokens['primary-disabled-color'] ? 'not-allowed' : ''
+            });
+            css += this.cssRule(':focus-visible', {
+                'outline': tokens['focus-ring-color'] ? `2px solid ${ref('focus-ring-color')}` : '',
+                'outline-offset': tokens['focus-ring-color'] ? '2px' : ''
+            });
+
+            return css;
+        },
+
+        /**
+         * 为服务端生成的主题补充派生颜色
+         * 从实际生效的基础颜色派生，只添加主题和用户覆盖中没有的变量
+         */
+        applyDerivedPalette: function() {
+            if (!this.canReadAppliedTokens()) {
+                return;
+            }
+
+            // 先移除上次派生的颜色，读取主题本身的颜色
+            this.removeStyle('palette');
+
+            const tokens = this.readAppliedTokens(['primary-color', 'secondary-color', 'accent-color',
+                'background-color', 'surface-color', 'text-color', 'gradient-primary']);
+            const palette = this.collectPaletteTokens(tokens);
+            if (Object.keys(palette).length === 0) {
+                return;
+            }
+
+            let css = this.rootVariables(palette);
+            css += this.generatePaletteStyles(Object.assign({}, tokens, palette));
+
+            // 服务端 CSS 中按钮文字颜色是固定值，需要单独覆盖
+            if (palette['button-text-color']) {
+                css += this.cssRule('.button, .btn, button, .button-primary', {
+                    'color': 'var(--button-text-color)'
+                });
+            }
+
+            this.injectStyle('palette', css, { layer: 'theme' });
+        },
+
+        /**
+         * 根据实际生效的颜色补充派生颜色并检查对比度
+         */
+        refreshAppliedColors: function() {
+            this.applyDerivedPalette();
+            this.checkAppliedContrast();
+        },
+
+        /**
+         * 是否可以读取页面上实际生效的主题变量
+         */
+        canReadAppliedTokens: function() {
+            return this.compatibility.supportsCustomProperties && typeof window.getComputedStyle === 'function';
+        },
+
+        /**
+         * 读取页面上实际生效的主题变量
+         * @param {Array<string>} names 不带 -- 前缀的变量名
+         * @returns {Object} 有值的变量
+         */
+        readAppliedTokens: function(names) {
+            const computed = window.getComputedStyle(document.documentElement);
+            const tokens = {};
+
+            names.forEach(name => {
+                const value = computed.getPropertyValue('--' + name).trim();
+                if (value) {
+                    tokens[name] = value;
+                }
+            });
+
+            return tokens;
+        },
+
+        /**
+         * 生成设置主题变量的 :root 规则
+         */
+        rootVariables: function(values) {
+            let css = ':root {\n';
+            Object.keys(values).forEach(name => {
+                css += `  --${name}: ${values[name]};\n`;
+            });
+            return css + '}\n';
+        },
+
+        /**
+         * 检查主题变量中颜色组合的 WCAG 对比度
+         * @param {Object} tokens 主题变量，键为不带 -- 前缀的变量名
+         * @returns {Object|null} 对比度报告，颜色工具不可用时返回 null
+         */
+        checkContrast: function(tokens) {
+            const color = window.EmbyBeautifyColor;
+            if (!color) {
+                return null;
+            }
+
+            const options = this.getContrastOptions();
+            const level = options.level === 'AAA' ? 'AAA' : 'AA';
+            const required = color.contrastLevels[level];
+            const checks = [];
+
+            this.contrastPairs.forEach(pair => {
+                const foreground = tokens[pair.foreground] || pair.fallback;
+                const background = tokens[pair.background];
+                const ratio = color.contrastRatio(foreground, background);
+
+                // 变量缺失或无法解析（例如引用了其他变量）时跳过
+                if (ratio === null) {
+                    return;
+                }
+
+                checks.push({
+                    pair: pair.name,
+                    variable: pair.foreground,
+                    foreground: foreground,
+                    background: background,
+                    ratio: Math.round(ratio * 100) / 100,
+                    required: required,
+                    passed: ratio >= required,
+                    suggestion: null
+                });
+            });
+
+            // 同一前景变量需要同时满足它参与的所有组合，依次调整后仍不满足时取对比度更高的黑色或白色
+            const corrections = {};
+            checks.filter(check => !check.passed).forEach(check => {
+                const name = check.variable;
+                if (corrections[name]) {
+                    return;
+                }
+
+                const backgrounds = checks.filter(item => item.variable === name).map(item => item.background);
+                const lowest = candidate => Math.min.apply(null, backgrounds.map(bg => color.contrastRatio(candidate, bg)));
+                let value = check.foreground;
+
+                backgrounds.forEach(bg => {
+                    value = color.ensureContrast(value, bg, required);
+                });
+                if (lowest(value) < required) {
+                    value = lowest('#000000') >= lowest('#ffffff') ? '#000000' : '#ffffff';
+                }
+
+                corrections[name] = value;
+            });
+
+            checks.forEach(check => {
+                if (!check.passed) {
+                    check.suggestion = corrections[check.variable];
+                }
+            });
+
+            return {
+                level: level,
+                required: required,
+                passed: checks.every(check => check.passed),
+                checks: checks,
+                corrections: corrections,
+                corrected: options.autoCorrect && Object.keys(corrections).length > 0,
+                timestamp: Date.now()
+            };
+        },
+
+        /**
+         * 检查当前页面实际生效的主题颜色
+         * 服务端生成的主题 CSS 和用户覆盖变量在应用后才能确定最终颜色，启用自动修正时通过 accessibility 层覆盖变量
+         * @returns {Object|null} 对比度报告
+         */
+        checkAppliedContrast: function() {
+            if (!this.canReadAppliedTokens()) {
+                return null;
+            }
+
+            // 先移除上次的修正，读取主题本身的颜色
+            this.removeStyle('contrast');
+
+            const names = [];
+            this.contrastPairs.forEach(pair => names.push(pair.foreground, pair.background));
+
+            const report = this.checkContrast(this.readAppliedTokens(names));
+
+            if (report && report.corrected) {
+                let css = this.rootVariables(report.corrections);
+
+                // 服务端 CSS 中按钮文字颜色是固定值，需要单独覆盖
+                if (report.corrections['button-text-color']) {
+                    css += this.cssRule('.button, .btn, button, .button-primary', {
+                        'color': 'var(--button-text-color)'
+                    });
+                }
+
+                this.injectStyle('contrast', css, { layer: 'accessibility' });
+            }
+
+            this.setContrastReport(report);
+            return report;
+        },
+
+        /**
+         * 记录对比度报告并通知检查结果
+         */
+        setContrastReport: function(report) {
+            this.state.contrastReport = report;
+            if (!report) {
+                return;
+            }
+
+            report.checks.filter(check => !check.passed).forEach(check => {
+                this.log(`颜色对比度不足: ${check.pair} ${check.ratio}:1，要求 ${check.required}:1，建议使用 ${check.suggestion}`);
+            });
+            this.dispatchEvent('contrastChecked', report);
+        },
+
+        /**
+         * 获取最近一次的颜色对比度报告，用于诊断主题的可读性
+         * @returns {Object|null} { level, required, passed, checks: [{ pair, variable, foreground, background, ratio, required, passed, suggestion }], corrections, corrected }
+         */
+        getContrastReport: function() {
+            return this.state.contrastReport;
+        },
+
+        /**
+         * 按预期的 CSS 类型校验主题中的颜色、字体和布局值
+         * 无法通过校验的值会被删除，字体栈中无法识别的字体名会加引号转义
+         * @returns {Object} 校验后的主题副本
+         */
+        sanitizeTheme: function(theme) {
+            const sanitizer = window.EmbyBeautifySanitizer;
+            if (!sanitizer) {
+                this.error('CSS 值校验脚本未加载，主题值将不经校验写入样式表');
+                return theme;
+            }
+
+            const result = sanitizer.sanitizeTheme(theme);
+            this.setValidationReport({ themeId: theme.Id || null, fields: result.fields });
+            return result.theme;
+        },
+
+        /**
+         * 记录主题值校验报告，有字段被拒绝或转义时发出 themeValuesRejected 事件
+         */
+        setValidationReport: function(report) {
+            this.state.validationReport = report;
+            if (report.fields.length === 0) {
+                return;
+            }
+
+            report.fields.forEach(field => {
+                this.log(field.action === 'escaped' ? '主题值已转义:' : '主题值无效，已忽略:', field.path, field.value);
+            });
+            this.dispatchEvent('themeValuesRejected', report);
+        },
+
+        /**
+         * 获取最近一次生成主题样式时的校验报告
+         * @returns {Object|null} { themeId, fields: [{ path, value, type, action }] }，action 为 rejected 或 escaped
+         */
+        getValidationReport: function() {
+            return this.state.validationReport;
+        },
+
+        /**
+         * 获取实际使用的对比度检查选项
+         * 用户需要更高对比度时至少按 AAA 检查并自动修正
+         */
+        getContrastOptions: function() {
+            if (this.state.preferences.highContrast) {
+                return { level: 'AAA', autoCorrect: true };
+            }
+
+            return this.config.contrast;
+        },
+
+        /**
+         * 修改对比度检查选项并重新检查当前主题
+         * @param {Object} options { level: 'AA' | 'AAA', autoCorrect: boolean }
+         */
+        setContrastOptions: function(options) {
+            this.config.contrast = Object.assign({}, this.config.contrast, options);
+
+            const session = this.state.previewSession;
+            if (session) {
+                this.applyPreviewTheme();
+                return this.state.contrastReport;
+            }
+
+            return this.checkAppliedContrast();
+        },
+
+        /**
+         * 生成主题 CSS
+         * 输出与服务端 ThemeCssGenerator 保持一致，确保浏览器端生成与 /themes/{id}/css 效果相同
+         */
+        generateThemeCSS: function(theme) {
+            // 校验主题值，被拒绝的字段不会写入样式表
+            theme = this.sanitizeTheme(theme);
+
+            const settings = this.resolveRenderSettings(theme);
+            if (this.state.preferences.reducedMotion) {
+                settings.animation.ReducedMotion = true;
+            }
+            const tokens = this.collectThemeTokens(theme, settings);
+            let css = `/* Theme: ${theme.Name || ''} v${theme.Version || ''} */\n`;
+
+            // 检查颜色对比度，启用自动修正时直接替换变量值
+            const report = this.checkContrast(tokens);
+            if (report && report.corrected) {
+                Object.assign(tokens, report.corrections);
+            }
+            this.setContrastReport(report);
+            
+            // 主题变量
+            css += this.generateRootVariables(theme, tokens);
+            
+            // 基础样式重置
+            css += this.generateBaseStyles(tokens);
+            
+            // 颜色样式
+            if (theme.Colors) {
+                css += this.generateColorStyles(theme.Colors, tokens);
+            }
+            
+            // 字体样式
+            if (theme.Typography) {
+                css += this.generateTypographyStyles(theme.Typography, tokens);
+            }
+            
+            // 布局样式
+            if (theme.Layout) {
+                css += this.generateLayoutStyles(theme.Layout, tokens);
+            }
+            
+            // 字号阶梯、动画、交互、滚动和响应式样式
+            css += this.generateEnhancedStyles(theme, settings, tokens);
+            
+            return css;
+        },
+
+        /**
+         * 生成服务端 ThemeCssGenerator 不渲染的样式
+         * 浏览器端生成完整主题和补充服务端主题 CSS 时共用
+         */
+        generateEnhancedStyles: function(theme, settings, tokens) {
+            let css = '';
+
+            // 字号阶梯
+            if (theme.Typography) {
+                css += this.generateTypeScaleStyles(theme.Typography, settings.responsive, tokens);
+            }
+
+            // 动画样式
+            css += this.generateAnimationStyles(settings.animation, tokens);
+            
+            // 交互样式
+            if (settings.interaction) {
+                css += this.generateInteractionStyles(settings.interaction);
+            }
+
+            // 滚动条和滚动行为，关闭交互增强时不输出
+            if (!settings.interaction || settings.interaction.EnableInteractionEnhancements !== false) {
+                css += this.generateScrollStyles(settings.interaction && settings.interaction.ScrollOptimization, tokens);
+            }
+            
+            // 响应式样式
+            css += this.generateResponsiveStyles(settings.responsive, tokens);
+
+            return css;
+        },
+
+        /**
+         * 生成服务端主题 CSS 的补充样式
+         * 服务端只输出变量、基础样式和组件样式，其余部分由浏览器按校验后的主题生成并注入在服务端 CSS 之后
+         * @param {Object} theme 服务端返回的主题配置
+         * @returns {string} CSS
+         */
+        generateThemeSupplement: function(theme) {
+            theme = this.sanitizeTheme(theme);
+
+            const settings = this.resolveRenderSettings(theme);
+            if (this.state.preferences.reducedMotion) {
+                settings.animation.ReducedMotion = true;
+            }
+            const tokens = this.collectThemeTokens(theme, settings);
+            let css = `/* Theme supplement: ${theme.Name || ''} v${theme.Version || ''} */\n`;
+
+            // 服务端不输出的变量
+            const supplementTokens = {};
+            this.supplementTokens.forEach(name => {
+                if (tokens[name] !== undefined) {
+                    supplementTokens[name] = tokens[name];
+                }
+            });
+            if (this.compatibility.supportsCustomProperties && Object.keys(supplementTokens).length > 0) {
+                css += this.rootVariables(supplementTokens);
+            }
+
+            css += this.generateEnhancedStyles(theme, settings, tokens);
+
+            return css;
+        },
+
+        /**
+         * 生成主题变量
+         */
+        generateRootVariables: function(theme, tokens) {
+            if (!this.compatibility.supportsCustomProperties) {
+                return '';
+            }
+
+            let css = ':root {\n';
+            Object.keys(tokens).forEach(name => {
+                css += `  --${name}: ${tokens[name]};\n`;
+            });
+
+            // 保留 --emby-beautify-* 变量，兼容已有的自定义样式
+            const colors = theme.Colors || {};
+            Object.keys(colors).forEach(key => {
+                if (colors[key]) {
+                    css += `  --emby-beautify-${key.toLowerCase()}: ${colors[key]};\n`;
+                }
+            });
+            css += '}\n';
+
+            return css;
+        },
+
+        /**
+         * 生成基础样式
+         */
+        generateBaseStyles: function(tokens) {
+            tokens = tokens || {};
+
+            return `
+                /* Emby 美化插件 - 基础样式 */
+                .emby-beautify-enhanced {
+                    transition: all ${this.cssRef(tokens, 'transition-duration', '0.3s')} ease;
+                }
+                
+                .emby-beautify-card {
+                    border-radius: ${this.cssRef(tokens, 'border-radius', '8px')};
+                    box-shadow: ${this.cssRef(tokens, 'box-shadow', '0 2px 8px rgba(0, 0, 0, 0.1)')};
+                    transition: transform ${this.cssRef(tokens, 'transition-duration', '0.3s')} ease, box-shadow ${this.cssRef(tokens, 'transition-duration', '0.3s')} ease;
+                }
+                
+                .emby-beautify-card:hover {
+                    transform: translateY(-2px);
+                    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+                }
+                
+                .emby-beautify-button {
+                    border-radius: ${this.cssRef(tokens, 'border-radius', '6px')};
+                    transition: all ${this.cssRef(tokens, 'transition-duration', '0.2s')} ease;
+                }
+                
+                .emby-beautify-button:hover {
+                    transform: translateY(-1px);
+                }
+            `;
+        },
+
+        /**
+         * 生成颜色样式
+         */
+        generateColorStyles: function(colors, tokens) {
+            const ref = (name, fallback) => this.cssRef(tokens, name, fallback);
+            const selectors = this.resolveSelectors();
+            let css = '';
+
+            css += this.cssRule('body', {
+                'background-color': ref('background-color'),
+                'color': ref('text-color')
+            });
+            css += this.cssRule(selectors.page, {
+                'background-color': ref('background-color', '#f5f5f5')
+            });
+            css += this.cssRule('h1, h2, h3, h4, h5, h6, ' + selectors.textPrimary, {
+                'color': ref('text-color', '#333333')
+            });
+            css += this.cssRule('a', {
+                'color': ref('primary-color'),
+                'text-decoration': 'none',
+                'transition': `color ${ref('transition-duration', '0.2s')} ease`
+            });
+            css += this.cssRule('a:hover', {
+                'color': ref('accent-color')
+            });
+            css += this.cssRule(selectors.card, {
+                'background-color': ref('surface-color', '#ffffff')
+            });
+            css += this.cssRule(selectors.button + ', ' + selectors.primaryButton, {
+                'background': ref('gradient-primary', ref('primary-color', '#007bff')),
+                'color': ref('button-text-color', 'white'),
+                'border': 'none'
+            });
+            css += this.generatePaletteStyles(tokens);
+            css += this.cssRule(selectors.navigation, {
+                'background-color': ref('surface-color'),
+                'border-bottom': tokens['primary-color'] ? `1px solid ${ref('primary-color')}` : ''
+            });
+            css += this.cssRule(selectors.input, {
+                'background-color': ref('surface-color'),
+                'color': ref('text-color'),
+                'border': tokens['primary-color'] ? `1px solid ${ref('primary-color')}` : ''
+            });
+            css += this.cssRule(this.mapSelector(selectors.input, ':focus'), {
+                'outline': 'none',
+                'border-color': ref('accent-color')
+            });
+
+            return css;
+        },
+
+        /**
+         * 生成字体样式
+         */
+        generateTypographyStyles: function(typography, tokens) {
+            const ref = name => this.cssRef(tokens, name);
+            const selectors = this.resolveSelectors();
+            let css = '';
+
+            css += this.cssRule('body, ' + selectors.page, {
+                'font-family': ref('font-family')
+            });
+            css += this.cssRule('body', {
+                'font-weight': ref('body-weight'),
+                'line-height': ref('line-height')
+            });
+            css += this.cssRule('h1, h2, h3, h4, h5, h6', {
+                'font-weight': ref('heading-weight')
+            });
+            css += this.cssRule(selectors.button + ', ' + selectors.input, {
+                'font-family': ref('font-family'),
+                'font-size': ref('font-size')
+            });
+            css += this.cssRule(selectors.button, {
+                'font-weight': ref('body-weight')
+            });
+
+            return css;
+        },
+
+        /**
+         * 生成字号阶梯
+         * 正文、说明文字和各级标题的字号按 typeScale.ratio 递增，各断点的字号乘以 ResponsiveSettings 中的 FontScale，
+         * 断点之间用 clamp() 按视口宽度线性过渡；不支持 clamp() 时每个断点使用固定的像素字号。
+         * 所有字号再乘以用户的文字大小倍数（--text-scale）
+         */
+        generateTypeScaleStyles: function(typography, responsive, tokens) {
+            const scale = this.defaults.typeScale;
+            const base = this.toPixels(typography.FontSize) || 16;
+            const breakpoints = this.resolveBreakpoints(responsive);
+
+            // 字号锚点：小屏从 minViewport 开始，平板和桌面从各自断点的最小宽度开始
+            const anchors = breakpoints.map((breakpoint, index) => ({
+                width: index === 0 ? Math.max(scale.minViewport, breakpoint.minWidth) : breakpoint.minWidth,
+                scale: breakpoint.settings && breakpoint.settings.FontScale > 0 ? breakpoint.settings.FontScale : 1
+            }));
+            const segments = breakpoints.map((breakpoint, index) => ({
+                query: breakpoint.query,
+                from: anchors[index],
+                to: anchors[Math.min(index + 1, anchors.length - 1)]
+            }));
+
+            const fluid = this.compatibility.supportsClamp;
+            const variables = this.compatibility.supportsCustomProperties;
+            const textScale = variables ? 1 : this.state.preferences.textScale || 1;
+            const selectors = this.resolveSelectors();
+            const targets = {
+                caption: selectors.caption,
+                body: 'body',
+                h6: 'h6',
+                h5: 'h5',
+                h4: 'h4',
+                h3: 'h3',
+                h2: 'h2',
+                h1: 'h1'
+            };
+            let css = '';
+
+            segments.forEach(segment => {
+                const sizes = {};
+                Object.keys(scale.steps).forEach(level => {
+                    const factor = base * Math.pow(scale.ratio, scale.steps[level]) * textScale;
+                    const from = this.roundPixels(factor * segment.from.scale);
+                    const to = this.roundPixels(factor * segment.to.scale);
+                    const size = fluid ? this.fluidSize(from, to, segment.from.width, segment.to.width) : from + 'px';
+                    sizes[level] = variables ? `calc(${size} * var(--text-scale, 1))` : size;
+                });
+
+                let rules = '';
+                if (variables) {
+                    const values = {};
+                    Object.keys(sizes).forEach(level => {
+                        values['font-size-' + level] = sizes[level];
+                    });
+                    rules += this.rootVariables(values);
+                }
+                Object.keys(targets).forEach(level => {
+                    rules += this.cssRule(targets[level], {
+                        'font-size': variables ? `var(--font-size-${level})` : sizes[level]
+                    });
+                });
+
+                css += `@media ${segment.query} {\n${rules}}\n`;
+            });
+
+            css += this.cssRule(selectors.caption, {
+                'font-weight': this.cssRef(tokens, 'body-weight'),
+                'line-height': '1.4'
+            });
+
+            return css;
+        },
+
+        /**
+         * 生成在两个视口宽度之间线性变化的字号
+         */
+        fluidSize: function(from, to, minWidth, maxWidth) {
+            if (from === to || maxWidth <= minWidth) {
+                return from + 'px';
+            }
+
+            const slope = (to - from) / (maxWidth - minWidth);
+            const intercept = this.roundPixels(from - slope * minWidth);
+            const preferred = `${intercept}px + ${this.roundPixels(slope * 100, 4)}vw`;
+
+            return `clamp(${Math.min(from, to)}px, ${preferred}, ${Math.max(from, to)}px)`;
+        },
+
+        /**
+         * 把字号换算为像素，按 16px 的根字号换算 rem、em 和百分比；无法换算时返回 null
+         */
+        toPixels: function(value) {
+            const match = /^(\d+|\d*\.\d+)(px|rem|em|%|pt)$/i.exec(String(value || '').trim());
+            if (!match) {
+                return null;
+            }
+
+            const factors = { px: 1, rem: 16, em: 16, '%': 0.16, pt: 4 / 3 };
+            return parseFloat(match[1]) * factors[match[2].toLowerCase()];
+        },
+
+        /**
+         * 保留指定位数的小数
+         */
+        roundPixels: function(value, digits = 2) {
+            const factor = Math.pow(10, digits);
+            return Math.round(value * factor) / factor;
+        },
+
+        /**
+         * 解析主题声明的 Web 字体
+         * 插件配置停用自定义字体或主题未声明字体时返回 null
+         */
+        resolveThemeFonts: function(theme) {
+            // 字体名和回退字体栈会写入样式表，先校验；校验报告由生成主题样式时记录
+            const sanitizer = window.EmbyBeautifySanitizer;
+            if (theme && sanitizer) {
+                theme = sanitizer.sanitizeTheme(theme).theme;
+            }
+
+            const config = window.EmbyBeautifyConfig || {};
+            const typography = (theme && theme.Typography) || {};
+            const faces = Array.isArray(typography.FontFaces) ? typography.FontFaces.filter(face => face && face.Family && face.Source) : [];
+            if (config.EnableCustomFonts === false || faces.length === 0) {
+                return null;
+            }
+
+            const display = String(typography.FontDisplay || this.config.fontDisplay).toLowerCase();
+            const families = [];
+            faces.forEach(face => {
+                if (families.indexOf(face.Family) === -1) {
+                    families.push(face.Family);
+                }
+            });
+
+            // 回退字体栈为主题字体栈去掉待加载的字体
+            const declared = families.map(family => family.toLowerCase());
+            const fallback = String(typography.FontFamily || '').split(',')
+                .map(family => family.trim())
+                .filter(family => family && declared.indexOf(family.replace(/^["']|["']$/g, '').toLowerCase()) === -1)
+                .join(', ');
+            // 主题未写字体栈时由声明的字体加上回退字体组成
+            const stack = typography.FontFamily || families.map(family => `"${family}"`).concat(fallback || 'sans-serif').join(', ');
+
+            return {
+                key: JSON.stringify([faces, display, stack]),
+                theme: theme,
+                faces: faces,
+                families: families,
+                display: display,
+                stack: stack,
+                fallback: fallback || 'sans-serif',
+                status: 'loading',
+                fontFaces: [],
+                timer: null,
+                promise: null
+            };
+        },
+
+        /**
+         * 加载主题声明的 Web 字体
+         * 支持 FontFace API 时通过 document.fonts 预加载，否则生成 @font-face 规则交给浏览器加载。
+         * swap、fallback 和 optional 策略在加载完成前使用回退字体栈，加载完成后再切换，页面不会在渲染中途换用字体；
+         * fallback 和 optional 策略超时后本次不再切换。block 和 auto 策略由浏览器处理。
+         * 正文、页面、按钮和输入框的字体栈直接写入样式，不依赖主题 CSS 中的 --font-family
+         * @returns {Promise<Object|null>} 字体加载状态，主题未声明字体或已停用自定义字体时为 null
+         */
+        applyThemeFonts: function(theme) {
+            const fonts = this.resolveThemeFonts(theme);
+            const current = this.state.fonts;
+            if (fonts && current && current.key === fonts.key) {
+                return current.promise;
+            }
+
+            this.clearThemeFonts();
+            if (!fonts) {
+                return Promise.resolve(null);
+            }
+
+            this.state.fonts = fonts;
+            const useApi = typeof window.FontFace === 'function' && !!document.fonts;
+            const gated = ['swap', 'fallback', 'optional'].indexOf(fonts.display) !== -1;
+
+            let css = useApi ? '' : this.generateFontFaceStyles(fonts.faces, fonts.display);
+            css += this.generateFontStackStyles(fonts, gated);
+            this.injectStyle('fonts', css, { layer: 'theme' });
+            this.setFontStatus(fonts, 'loading');
+
+            const loads = fonts.faces.map(face => {
+                const load = useApi ? this.loadFontFace(fonts, face) : this.waitForFontFace(face);
+                return load.then(() => null, error => {
+                    this.error('字体加载失败:', face.Source, error);
+                    return face.Source;
+                });
+            });
+
+            const limits = { fallback: this.config.fontLoadTimeout, optional: this.config.fontOptionalTimeout };
+            const timeout = new Promise(resolve => {
+                if (limits[fonts.display]) {
+                    fonts.timer = setTimeout(() => resolve('timeout'), limits[fonts.display]);
+                }
+            });
+
+            fonts.promise = Promise.race([Promise.all(loads), timeout]).then(result => {
+                clearTimeout(fonts.timer);
+                if (this.state.fonts !== fonts) {
+                    return fonts;
+                }
+
+                if (result === 'timeout') {
+                    this.setFontStatus(fonts, 'timeout');
+                    return fonts;
+                }
+
+                const failed = result.filter(Boolean);
+                this.setFontStatus(fonts, failed.length === fonts.faces.length ? 'failed' : 'loaded', failed);
+                return fonts;
+            });
+
+            return fonts.promise;
+        },
+
+        /**
+         * 按主题 ID 加载字体，用于主题 CSS 响应中没有主题配置的旧版服务端
+         */
+        loadThemeFonts: function(themeId) {
+            if (!themeId) {
+                return Promise.resolve(this.applyThemeFonts(null));
+            }
+
+            return this.fetchTheme(themeId)
+                .then(theme => this.applyThemeFonts(theme))
+                .catch(error => {
+                    this.error('加载主题字体失败:', error);
+                    return null;
+                });
+        },
+
+        /**
+         * 通过 FontFace API 加载一个字体文件
+         */
+        loadFontFace: function(fonts, face) {
+            const descriptors = { display: fonts.display };
+            if (face.Weight) {
+                descriptors.weight = String(face.Weight);
+            }
+            if (face.Style) {
+                descriptors.style = face.Style;
+            }
+            if (face.UnicodeRange) {
+                descriptors.unicodeRange = face.UnicodeRange;
+            }
+
+            const fontFace = new window.FontFace(face.Family, this.fontSource(face), descriptors);
+            document.fonts.add(fontFace);
+            fonts.fontFaces.push(fontFace);
+
+            return fontFace.load();
+        },
+
+        /**
+         * 等待 @font-face 规则声明的字体加载完成，用于不支持 FontFace API 的浏览器
+         */
+        waitForFontFace: function(face) {
+            if (!document.fonts || typeof document.fonts.load !== 'function') {
+                return Promise.resolve();
+            }
+
+            const weight = String(face.Weight || 'normal').split(' ')[0];
+            return document.fonts.load(`${face.Style || 'normal'} ${weight} 1em "${face.Family}"`);
+        },
+
+        /**
+         * 移除已加载的主题字体和回退字体栈
+         */
+        clearThemeFonts: function() {
+            const fonts = this.state.fonts;
+            if (!fonts) {
+                return;
+            }
+
+            clearTimeout(fonts.timer);
+            fonts.fontFaces.forEach(fontFace => {
+                document.fonts.delete(fontFace);
+            });
+            this.state.fonts = null;
+            this.removeStyle('fonts');
+            document.documentElement.removeAttribute('data-emby-beautify-fonts');
+        },
+
+        /**
+         * 更新字体加载状态并发出 fontStatus 事件
+         * 状态为 loading、loaded、timeout 或 failed，页面只在 loaded 时使用主题字体
+         */
+        setFontStatus: function(fonts, status, failed) {
+            fonts.status = status;
+            fonts.failed = failed || [];
+            document.documentElement.setAttribute('data-emby-beautify-fonts', status);
+
+            this.log('主题字体状态:', status, fonts.families);
+            this.dispatchEvent('fontStatus', this.getFontStatus());
+        },
+
+        /**
+         * 获取主题字体的加载状态
+         * @returns {Object|null} { status, families, display, failed }，未加载主题字体时为 null
+         */
+        getFontStatus: function() {
+            const fonts = this.state.fonts;
+            return fonts ? {
+                status: fonts.status,
+                families: fonts.families.slice(),
+                display: fonts.display,
+                failed: fonts.failed.slice()
+            } : null;
+        },
+
+        /**
+         * 字体文件的 src 描述
+         */
+        fontSource: function(face) {
+            const format = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype' }[face.Source.split('.').pop().toLowerCase()];
+            return `url("${this.config.fontPath}${encodeURIComponent(face.Source)}") format("${format}")`;
+        },
+
+        /**
+         * 生成使用主题字体的元素的字体栈
+         * 延后切换时加载完成前使用回退字体栈，加载完成后使用主题字体栈；用户覆盖了 --font-family 时以覆盖为准
+         */
+        generateFontStackStyles: function(fonts, gated) {
+            const selectors = this.resolveSelectors();
+            const targets = ['body', selectors.page, selectors.button, selectors.input].join(', ');
+            const stack = this.compatibility.supportsCustomProperties ? `var(--font-family, ${fonts.stack})` : fonts.stack;
+
+            if (!gated) {
+                return this.cssRule(this.prefixSelector(targets, 'html'), { 'font-family': stack });
+            }
+
+            const pending = ['loading', 'timeout', 'failed'].map(status => `html[data-emby-beautify-fonts="${status}"]`);
+            let css = '';
+            if (this.compatibility.supportsCustomProperties) {
+                css += this.cssRule(pending.join(', '), { '--font-family': fonts.fallback });
+            }
+            css += this.cssRule(pending.map(prefix => this.prefixSelector(targets, prefix)).join(', '), {
+                'font-family': fonts.fallback
+            });
+            css += this.cssRule(this.prefixSelector(targets, 'html[data-emby-beautify-fonts="loaded"]'), {
+                'font-family': stack
+            });
+
+            return css;
+        },
+
+        /**
+         * 生成主题字体的 @font-face 规则
+         */
+        generateFontFaceStyles: function(faces, display) {
+            return faces.map(face => this.cssRule('@font-face', {
+                'font-family': `"${face.Family}"`,
+                'src': this.fontSource(face),
+                'font-weight': face.Weight,
+                'font-style': face.Style,
+                'unicode-range': face.UnicodeRange,
+                'font-display': display
+            })).join('');
+        },
+
+        /**
+         * 生成布局样式
+         */
+        generateLayoutStyles: function(layout, tokens) {
+            const ref = name => this.cssRef(tokens, name);
+            const spacing = ref('spacing-unit');
+            const scaled = factor => spacing ? `calc(${spacing} * ${factor})` : '';
+            const selectors = this.resolveSelectors();
+            let css = '';
+
+            css += this.cssRule(selectors.container, {
+                'max-width': ref('max-width'),
+                'margin': tokens['max-width'] ? '0 auto' : '',
+                'padding': spacing ? `0 ${spacing}` : ''
+            });
+            css += this.cssRule('h1, h2, h3, h4, h5, h6', {
+                'margin': spacing ? `0 0 ${spacing} 0` : ''
+            });
+            css += this.cssRule(selectors.card, {
+                'border-radius': ref('border-radius'),
+                'box-shadow': ref('box-shadow'),
+                'padding': spacing,
+                'margin-bottom': spacing
+            });
+            css += this.cssRule(selectors.button, {
+                'border-radius': ref('border-radius'),
+                'padding': spacing ? `${scaled(0.5)} ${spacing}` : '',
+                'cursor': 'pointer'
+            });
+            css += this.cssRule(selectors.navigation, {
+                'padding': spacing
+            });
+            css += this.cssRule(selectors.input, {
+                'border-radius': ref('border-radius'),
+                'padding': scaled(0.5)
+            });
+
+            if (tokens['grid-columns'] || tokens['grid-gap']) {
+                css += this.cssRule(selectors.grid, {
+                    'display': 'grid',
+                    'grid-template-columns': tokens['grid-columns'] ? `repeat(${ref('grid-columns')}, 1fr)` : '',
+                    'gap': ref('grid-gap')
+                });
+            }
+
+            return css;
+        },
+
+        /**
+         * 生成动画样式
+         * 按 AnimationSettings 输出关键帧、过渡时长和硬件加速设置
+         */
+        generateAnimationStyles: function(animation, tokens) {
+            animation = animation || this.defaults.animation;
+            tokens = tokens || {};
+
+            if (!animation.EnableAnimations || animation.ReducedMotion) {
+                return `
+                    .emby-beautify-animate-in,
+                    .emby-beautify-slide-in {
+                        animation: none;
+                    }
+                    
+                    .emby-beautify-card:hover,
+                    .emby-beautify-button:hover {
+                        transform: none;
+                    }
+                `;
+            }
+
+            const duration = animation.GlobalDuration + 'ms';
+            const easing = animation.GlobalEasing || 'ease';
+            const pageDuration = animation.Transitions.PageTransitionDuration + 'ms';
+            let css = '';
+
+            Object.keys(this.keyframes).forEach(name => {
+                css += `@keyframes emby-beautify-${name} { ${this.keyframes[name]} }\n`;
+            });
+
+            css += `
+                .emby-beautify-animate-in {
+                    animation: emby-beautify-fadeIn ${duration} ${easing};
+                }
+                
+                .emby-beautify-slide-in {
+                    animation: emby-beautify-slideIn ${pageDuration} ${easing};
+                }
+            `;
+
+            css += this.cssRule('.card:hover, .media-card:hover', {
+                'transform': this.cssRef(tokens, 'hover-transform', 'translateY(-2px)'),
+                'box-shadow': tokens['glow-effect'] ? this.cssRef(tokens, 'glow-effect') : ''
+            });
+            css += this.cssRule('.button:hover, .btn:hover, button:hover', {
+                'transform': this.cssRef(tokens, 'hover-transform', 'translateY(-1px)'),
+                'opacity': '0.9'
+            });
+
+            // 指定动画，例如 SpecificAnimations.cardEnter -> .emby-beautify-animation-card-enter
+            const specific = animation.SpecificAnimations || {};
+            Object.keys(specific).forEach(key => {
+                const config = specific[key] || {};
+                const name = this.toKeyframeName(config.Type);
+                if (!name) {
+                    return;
+                }
+
+                css += this.cssRule(`.emby-beautify-animation-${this.toKebabCase(key)}`, {
+                    'animation': `emby-beautify-${name} ${config.Duration || animation.GlobalDuration}ms ` +
+                        `${config.Easing || easing} ${config.Delay || 0}ms both`,
+                    'will-change': config.EnableHardwareAcceleration ? 'transform, opacity' : ''
+                });
+            });
+
+            css += this.generatePageTransitionStyles(animation, easing);
+
+            if (animation.EnableHardwareAcceleration) {
+                css += this.cssRule('.emby-beautify-card, .emby-beautify-animate-in, .emby-beautify-slide-in', {
+                    'will-change': 'transform, opacity',
+                    'backface-visibility': 'hidden'
+                });
+            }
+
+            return css;
+        },
+
+        /**
+         * 生成页面切换动画样式
+         * 进入和退出动画可通过 SpecificAnimations.pageEnter / pageExit 配置，默认为淡入淡出，
+         * 时长默认为 Transitions.PageTransitionDuration
+         */
+        generatePageTransitionStyles: function(animation, easing) {
+            const specific = animation.SpecificAnimations || {};
+            const selectors = this.resolveSelectors();
+            const resolve = (config, fallback) => {
+                config = config || {};
+                const name = this.toKeyframeName(config.Type) || fallback;
+                const duration = config.Duration || animation.Transitions.PageTransitionDuration;
+                return `emby-beautify-${name} ${duration}ms ${config.Easing || easing} both`;
+            };
+            const enter = resolve(specific.pageEnter, 'fadeIn');
+            const exit = resolve(specific.pageExit, 'fadeOut');
+            let css = '';
+
+            css += this.cssRule(selectors.viewContainer, {
+                'view-transition-name': 'emby-beautify-page'
+            });
+            css += this.cssRule('::view-transition-old(emby-beautify-page)', {
+                'animation': exit
+            });
+            css += this.cssRule('::view-transition-new(emby-beautify-page)', {
+                'animation': enter
+            });
+            css += this.cssRule('.emby-beautify-page-exit', {
+                'animation': exit,
+                'pointer-events': 'none'
+            });
+            css += this.cssRule('.emby-beautify-page-enter', {
+                'animation': enter
+            });
+
+            return css;
+        },
+
+        /**
+         * 生成交互样式
+         * 与服务端 InteractionEnhancer 的输出一致：全局设置、悬停、点击反馈和焦点效果
+         */
+        generateInteractionStyles: function(interaction) {
+            if (interaction.EnableInteractionEnhancements === false) {
+                return '';
+            }
+
+            const global = Object.assign({
+                EnableHardwareAcceleration: true,
+                RespectReducedMotion: true,
+                GlobalDurationMultiplier: 1.0,
+                EnableTouchOptimization: true
+            }, interaction.GlobalSettings);
+            const multiplier = global.GlobalDurationMultiplier > 0 ? global.GlobalDurationMultiplier : 1;
+            const ms = (value, fallback) => Math.round((value != null ? value : fallback) * multiplier) + 'ms';
+            let css = '';
+
+            // 用户明确要求保留动画时不再跟随系统设置
+            if (global.RespectReducedMotion && this.state.preferenceOverrides.reducedMotion !== 'no-preference') {
+                css += `
+                    @media (prefers-reduced-motion: reduce) {
+                        *, *::before, *::after {
+                            animation-duration: 0.01ms !important;
+                            animation-iteration-count: 1 !important;
+                            transition-duration: 0.01ms !important;
+                        }
+                    }
+                `;
+            }
+
+            if (global.EnableHardwareAcceleration) {
+                css += this.cssRule('.interactive-element', {
+                    'transform': 'translateZ(0)',
+                    'will-change': 'transform, opacity',
+                    'backface-visibility': 'hidden'
+                });
+            }
+
+            if (global.EnableTouchOptimization) {
+                css += this.cssRule('.touch-target', {
+                    'min-height': '44px',
+                    'min-width': '44px',
+                    'touch-action': 'manipulation'
+                });
+            }
+
+            const hoverEffects = interaction.HoverEffects || {};
+            Object.keys(hoverEffects).forEach(selector => {
+                css += this.generateHoverEffectStyles(selector, hoverEffects[selector], ms);
+            });
+
+            const clickFeedbacks = interaction.ClickFeedbacks || {};
+            Object.keys(clickFeedbacks).forEach(selector => {
+                css += this.generateClickFeedbackStyles(selector, clickFeedbacks[selector], ms);
+            });
+
+            const focusEffects = interaction.FocusEffects || {};
+            Object.keys(focusEffects).forEach(selector => {
+                css += this.generateFocusEffectStyles(selector, focusEffects[selector], ms);
+            });
+
+            return css;
+        },
+
+        /**
+         * 生成滚动条和滚动行为样式
+         * Blink/WebKit 使用 ::-webkit-scrollbar（设置 scrollbar-color 后 Chrome 会忽略它，因此不再输出标准属性），
+         * Gecko 使用 scrollbar-color/scrollbar-width，无法识别内核时两者都输出
+         * @param {Object|null} scroll ScrollOptimizationConfig，省略时只在主题派生了滚动条颜色时美化滚动条
+         */
+        generateScrollStyles: function(scroll, tokens) {
+            tokens = tokens || {};
+
+            const ref = (name, fallback) => this.cssRef(tokens, name, fallback);
+            const style = (scroll && scroll.ScrollbarStyle) || {};
+            const styled = scroll ? scroll.EnableScrollbarStyling !== false : !!tokens['scrollbar-thumb-color'];
+            let css = '';
+
+            if (scroll && scroll.EnableSmoothScrolling !== false && !this.state.preferences.reducedMotion) {
+                css += this.cssRule('html', {
+                    'scroll-behavior': scroll.ScrollBehavior || 'smooth'
+                });
+            }
+
+            if (!styled) {
+                return css;
+            }
+
+            const width = typeof style.Width === 'number' ? style.Width : 8;
+            const radius = (typeof style.BorderRadius === 'number' ? style.BorderRadius : 4) + 'px';
+            const track = style.TrackColor || ref('scrollbar-track-color', 'transparent');
+            const thumb = style.ThumbColor || ref('scrollbar-thumb-color', 'rgba(128, 128, 128, 0.5)');
+            const thumbHover = style.ThumbHoverColor || ref('scrollbar-thumb-hover-color', thumb);
+            const engine = this.getBrowserEngine();
+
+            if (engine !== 'Gecko') {
+                css += this.cssRule('::-webkit-scrollbar', {
+                    'width': width + 'px',
+                    'height': width + 'px'
+                });
+                css += this.cssRule('::-webkit-scrollbar-track', {
+                    'background': track,
+                    'border-radius': radius
+                });
+                css += this.cssRule('::-webkit-scrollbar-thumb', {
+                    'background': thumb,
+                    'border-radius': radius
+                });
+                css += this.cssRule('::-webkit-scrollbar-thumb:hover', {
+                    'background': thumbHover
+                });
+            }
+
+            if (engine !== 'Blink' && engine !== 'WebKit') {
+                // scrollbar-color 可继承，scrollbar-width 不可继承
+                css += this.cssRule(':root', {
+                    'scrollbar-color': `${thumb} ${track}`
+                });
+                css += this.cssRule('*', {
+                    'scrollbar-width': width === 0 ? 'none' : (width <= 10 ? 'thin' : 'auto')
+                });
+            }
+
+            return css;
+        },
+
+        /**
+         * 获取浏览器内核：Blink、WebKit、Gecko 等，无法识别时为空字符串
+         * 优先使用兼容性模块的检测结果
+         */
+        getBrowserEngine: function() {
+            const compat = window.EmbyBeautifyCompatibility;
+            if (compat && compat.browser && compat.browser.engine) {
+                return compat.browser.engine;
+            }
+
+            const info = this.compatibility.browserInfo || {};
+            if (info.isFirefox) {
+                return 'Gecko';
+            }
+            if (info.isChrome) {
+                return 'Blink';
+            }
+            return info.isSafari ? 'WebKit' : '';
+        },
+
+        /**
+         * 生成悬停效果样式
+         */
+        generateHoverEffectStyles: function(selector, hover, ms) {
+            if (!hover || hover.Enabled === false) {
+                return '';
+            }
+
+            const transform = hover.Transform || {};
+            const color = hover.Color || {};
+            const transforms = [];
+
+            if (transform.Scale && transform.Scale !== 1) {
+                transforms.push(`scale(${transform.Scale})`);
+            }
+            if (transform.TranslateX || transform.TranslateY) {
+                transforms.push(`translate(${transform.TranslateX || 0}px, ${transform.TranslateY || 0}px)`);
+            }
+            if (transform.Rotate) {
+                transforms.push(`rotate(${transform.Rotate}deg)`);
+            }
+
+            let css = this.cssRule(selector, {
+                'transition': `all ${ms(hover.Duration, 200)} ${hover.Easing || 'ease'}`
+            });
+            css += this.cssRule(this.mapSelector(selector, ':hover'), {
+                'transform': transforms.join(' '),
+                'background-color': color.BackgroundColor,
+                'color': color.TextColor,
+                'border-color': color.BorderColor,
+                'box-shadow': hover.Shadow && hover.Shadow.Enabled ? hover.Shadow.BoxShadow : '',
+                'text-shadow': hover.Shadow && hover.Shadow.Enabled ? hover.Shadow.TextShadow : '',
+                'opacity': hover.Opacity && hover.Opacity.Enabled ? hover.Opacity.Value : ''
+            });
+
+            return css;
+        },
+
+        /**
+         * 生成点击反馈样式
+         */
+        generateClickFeedbackStyles: function(selector, click, ms) {
+            if (!click || click.Enabled === false) {
+                return '';
+            }
+
+            const type = this.normalizeClickFeedbackType(click.Type);
+            const timing = `${ms(click.Duration, 150)} ${click.Easing || 'ease-out'}`;
+            // emby-beautify-pressed 由交互引擎在点击和键盘激活时添加
+            const active = this.mapSelector(selector, ':active') + ', ' + this.mapSelector(selector, '.emby-beautify-pressed');
+            let css = '';
+
+            switch (type) {
+                case 'Scale':
+                    css += this.cssRule(selector, { 'transition': `transform ${timing}` });
+                    css += this.cssRule(active, {
+                        'transform': click.Scale && click.Scale.Enabled !== false ? `scale(${click.Scale.Value})` : ''
+                    });
+                    break;
+                case 'Ripple':
+                    // 涟漪元素由交互引擎在点击位置创建，这里只提供定位容器
+                    css += this.cssRule(selector, { 'position': 'relative' });
+                    break;
+                case 'Pulse':
+                    css += this.cssRule(active, { 'animation': `emby-beautify-clickPulse ${timing}` });
+                    break;
+                case 'Flash':
+                    css += this.cssRule(active, { 'animation': `emby-beautify-flash ${timing}` });
+                    break;
+                default:
+                    break;
+            }
+
+            return css;
+        },
+
+        /**
+         * 生成焦点效果样式
+         */
+        generateFocusEffectStyles: function(selector, focus, ms) {
+            if (!focus || focus.Enabled === false) {
+                return '';
+            }
+
+            const outline = focus.Outline || {};
+            const shadow = focus.Shadow || {};
+
+            return this.cssRule(this.mapSelector(selector, ':focus'), {
+                'transition': `all ${ms(focus.Duration, 150)} ${focus.Easing || 'ease'}`,
+                'outline': outline.Width > 0 ? `${outline.Width}px ${outline.Style || 'solid'} ${outline.Color}` : '',
+                'outline-offset': outline.Width > 0 ? `${outline.Offset || 0}px` : '',
+                'box-shadow': shadow.Enabled !== false ? shadow.BoxShadow : ''
+            });
+        },
+
+        /**
+         * 生成响应式样式
+         * 媒体查询的宽度范围、列数、间距和字体缩放来自 ResponsiveSettings；支持容器查询时卡片网格按自身宽度选择断点
+         */
+        generateResponsiveStyles: function(responsive, tokens) {
+            const breakpoints = this.resolveBreakpoints(responsive);
+            let css = '';
+
+            breakpoints.forEach(breakpoint => {
+                const rules = this.generateBreakpointStyles(breakpoint, tokens || {});
+                if (rules) {
+                    css += `@media ${breakpoint.query} {\n${rules}}\n`;
+                }
+            });
+
+            if (this.config.containerQueries) {
+                css += this.generateContainerQueryStyles(breakpoints);
+            }
+
+            return css;
+        },
+
+        /**
+         * 解析断点
+         * 宽度范围取自 ResponsiveSettings 中各断点的 MinWidth/MaxWidth，未设置（为 0）时使用与服务端 ResponsiveStyleManager 一致的默认范围
+         * @returns {Array} [{ name, minWidth, maxWidth, query, settings }]，按从小屏到大屏排列
+         */
+        resolveBreakpoints: function(responsive) {
+            return ['mobile', 'tablet', 'desktop'].map(name => {
+                const range = this.defaults.breakpoints[name];
+                const settings = (responsive && responsive[name.charAt(0).toUpperCase() + name.slice(1)]) || null;
+
+                // 服务端用 int.MaxValue 表示不限最大宽度
+                const width = (key, fallback) => {
+                    const value = settings ? Number(settings[key]) : 0;
+                    return value > 0 && value < 100000 ? Math.floor(value) : fallback;
+                };
+                const minWidth = width('MinWidth', range.minWidth);
+                const maxWidth = width('MaxWidth', settings && settings.MaxWidth >= 100000 ? null : range.maxWidth);
+
+                return {
+                    name: name,
+                    minWidth: minWidth,
+                    maxWidth: maxWidth,
+                    query: this.widthQuery(minWidth, maxWidth),
+                    settings: settings
+                };
+            });
+        },
+
+        /**
+         * 跟踪当前断点
+         * 断点变化时更新 <html> 的 data-breakpoint 属性并发出 breakpointChanged 事件；断点配置不变时不重复注册监听
+         * @param {Object} theme 主题，主题自带 ResponsiveSettings 时优先使用
+         */
+        setupBreakpoints: function(theme) {
+            const settings = this.resolveRenderSettings(theme || this.state.appliedTheme || window.EmbyBeautifyActiveTheme || null);
+            const breakpoints = this.resolveBreakpoints(settings.responsive);
+            const key = breakpoints.map(breakpoint => breakpoint.query).join('|');
+
+            if (this.state.breakpoints && this.state.breakpoints.key === key) {
+                this.state.breakpoints.list = breakpoints;
+                return Promise.resolve();
+            }
+
+            this.stopBreakpointWatchers();
+            this.state.breakpoints = { key: key, list: breakpoints, watchers: [] };
+
+            if (window.matchMedia) {
+                breakpoints.forEach(breakpoint => {
+                    const mediaQuery = window.matchMedia(breakpoint.query);
+                    const listener = () => this.updateBreakpoint();
+
+                    if (mediaQuery.addEventListener) {
+                        mediaQuery.addEventListener('change', listener);
+                    } else if (mediaQuery.addListener) {
+                        mediaQuery.addListener(listener);
+                    }
+
+                    this.state.breakpoints.watchers.push({ breakpoint: breakpoint, mediaQuery: mediaQuery, listener: listener });
+                });
+            } else {
+                const listener = () => this.debounce('updateBreakpoint', () => this.updateBreakpoint(), 100);
+                window.addEventListener('resize', listener);
+                this.state.breakpoints.resizeListener = listener;
+            }
+
+            this.updateBreakpoint();
+            return Promise.resolve();
+        },
+
+        /**
+         * 停止跟踪断点
+         */
+        stopBreakpointWatchers: function() {
+            const breakpoints = this.state.breakpoints;
+            if (!breakpoints) {
+                return;
+            }
+
+            breakpoints.watchers.forEach(watcher => {
+                if (watcher.mediaQuery.removeEventListener) {
+                    watcher.mediaQuery.removeEventListener('change', watcher.listener);
+                } else if (watcher.mediaQuery.removeListener) {
+                    watcher.mediaQuery.removeListener(watcher.listener);
+                }
+            });
+            if (breakpoints.resizeListener) {
+                window.removeEventListener('resize', breakpoints.resizeListener);
+            }
+            this.state.breakpoints = null;
+        },
+
+        /**
+         * 重新计算当前断点，变化时通知
+         * 断点范围有重叠时取先匹配的小屏断点，窗口宽度不在任何断点内时为 null
+         * @returns {boolean} 断点是否变化
+         */
+        updateBreakpoint: function() {
+            const breakpoints = this.state.breakpoints;
+            if (!breakpoints) {
+                return false;
+            }
+
+            let current = null;
+            if (breakpoints.watchers.length > 0) {
+                const match = breakpoints.watchers.find(watcher => watcher.mediaQuery.matches);
+                current = match ? match.breakpoint : null;
+            } else {
+                const width = window.innerWidth || document.documentElement.clientWidth || 0;
+                current = breakpoints.list.find(breakpoint =>
+                    width >= breakpoint.minWidth && (!breakpoint.maxWidth || width <= breakpoint.maxWidth)) || null;
+            }
+
+            const previous = this.state.breakpoint;
+            this.state.breakpoint = current;
+            if ((previous ? previous.name : null) === (current ? current.name : null)) {
+                return false;
+            }
+
+            if (current) {
+                document.documentElement.setAttribute('data-breakpoint', current.name);
+            } else {
+                document.documentElement.removeAttribute('data-breakpoint');
+            }
+
+            this.log('当前断点:', current ? current.name : null);
+            this.dispatchEvent('breakpointChanged', {
+                breakpoint: this.getBreakpoint(),
+                previous: previous ? previous.name : null
+            });
+            return true;
+        },
+
+        /**
+         * 获取当前断点
+         * @returns {Object|null} { name, minWidth, maxWidth, gridColumns, gridGap, fontScale }，窗口宽度不在任何断点内时为 null
+         */
+        getBreakpoint: function() {
+            const breakpoint = this.state.breakpoint;
+            if (!breakpoint) {
+                return null;
+            }
+
+            const settings = breakpoint.settings || {};
+            const grid = this.resolveGridSettings(settings);
+            return {
+                name: breakpoint.name,
+                minWidth: breakpoint.minWidth,
+                maxWidth: breakpoint.maxWidth,
+                gridColumns: grid.columns,
+                gridGap: grid.gap,
+                fontScale: settings.FontScale > 0 ? settings.FontScale : 1
+            };
+        },
+
+        /**
+         * 生成宽度范围的查询条件，媒体查询和容器查询通用；没有限制时返回 all
+         */
+        widthQuery: function(minWidth, maxWidth) {
+            const conditions = [];
+            if (minWidth > 0) {
+                conditions.push(`(min-width: ${minWidth}px)`);
+            }
+            if (maxWidth) {
+                conditions.push(`(max-width: ${maxWidth}px)`);
+            }
+
+            return conditions.join(' and ') || 'all';
+        },
+
+        /**
+         * 解析断点的网格列数和间距，无效的值使用默认值
+         */
+        resolveGridSettings: function(settings) {
+            const columns = parseInt(settings.GridColumns, 10);
+
+            return {
+                columns: columns > 0 ? columns : 4,
+                gap: this.sanitizeLength(settings.GridGap) || '1rem'
+            };
+        },
+
+        /**
+         * 校验长度值，不合法时返回 null
+         */
+        sanitizeLength: function(value) {
+            if (value === undefined || value === null || value === '') {
+                return null;
+            }
+
+            const sanitizer = window.EmbyBeautifySanitizer;
+            return sanitizer ? sanitizer.sanitize(value, 'length').value : String(value);
+        },
+
+        /**
+         * 生成单个断点内的样式规则
+         * 列数和间距只作用于插件自己的网格容器（selectors.grid）；增强类也会标记到 Emby 原生卡片和按钮上，
+         * 因此断点样式不改变它们的外边距和内边距；
+         * Spacing 设置该断点容器的左右内边距，未设置时小屏和平板按主题间距单位的 0.5 和 0.75 倍收紧
+         */
+        generateBreakpointStyles: function(breakpoint, tokens) {
+            const name = breakpoint.name;
+            const settings = breakpoint.settings;
+            let rules = '';
+
+            // 小屏上卡片圆角更小
+            if (name === 'mobile') {
+                rules += this.cssRule('.emby-beautify-card', {
+                    'border-radius': '6px'
+                });
+            }
+
+            if (!settings) {
+                return rules;
+            }
+
+            const grid = this.resolveGridSettings(settings);
+            const spacing = this.sanitizeLength(settings.Spacing);
+            const unit = spacing || this.cssRef(tokens, 'spacing-unit', '16px');
+            const factor = spacing ? 1 : { mobile: 0.5, tablet: 0.75 }[name];
+
+            if (this.compatibility.supportsCustomProperties) {
+                rules += this.cssRule(':root', {
+                    '--responsive-columns': grid.columns,
+                    '--responsive-gap': grid.gap,
+                    '--responsive-font-scale': settings.FontScale || 1,
+                    '--responsive-spacing': spacing
+                });
+            }
+
+            rules += this.cssRule(this.resolveSelectors().grid, {
+                'display': 'grid',
+                'grid-template-columns': `repeat(${grid.columns}, 1fr)`,
+                'gap': grid.gap
+            });
+
+            if (factor) {
+                rules += this.cssRule('.container, .main-container', {
+                    'padding': `0 ${factor === 1 ? unit : `calc(${unit} * ${factor})`}`
+                });
+            }
+
+            return rules;
         },
 
         /**
-         * 生成基础样式
+         * 生成卡片网格的容器查询样式
+         * 网格的父元素作为查询容器，网格按所在区域的宽度而不是窗口宽度选择列数；
+         * 不支持容器查询或 :has() 的浏览器忽略整段样式，继续使用媒体查询
          */
-        generateBaseStyles: function() {
-            return `
-                /* Emby 美化插件 - 基础样式 */
-                .emby-beautify-enhanced {
-                    transition: all 0.3s ease;
-                }
-                
-                .emby-beautify-card {
-                    border-radius: 8px;
-                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
-                    transition: transform 0.3s ease, box-shadow 0.3s ease;
-                }
-                
-                .emby-beautify-card:hover {
-                    transform: translateY(-2px);
-                    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
-                }
-                
-                .emby-beautify-button {
-                    border-radius: 6px;
-                    transition: all 0.2s ease;
-                }
-                
-                .emby-beautify-button:hover {
-                    transform: translateY(-1px);
+        generateContainerQueryStyles: function(breakpoints) {
+            const grid = this.resolveSelectors().grid;
+            const children = grid.split(',').map(selector => '> ' + selector.trim()).join(', ');
+            let rules = this.cssRule(`:where(:has(${children}))`, {
+                'container-type': 'inline-size',
+                'container-name': 'emby-beautify-grid'
+            });
+            let queries = 0;
+
+            breakpoints.forEach(breakpoint => {
+                if (!breakpoint.settings || breakpoint.query === 'all') {
+                    return;
                 }
-            `;
+
+                const settings = this.resolveGridSettings(breakpoint.settings);
+                rules += `@container emby-beautify-grid ${breakpoint.query} {\n` + this.cssRule(grid, {
+                    'grid-template-columns': `repeat(${settings.columns}, 1fr)`,
+                    'gap': settings.gap
+                }) + '}\n';
+                queries++;
+            });
+
+            return queries ? `@supports (container-type: inline-size) and selector(:has(> *)) {\n${rules}}\n` : '';
         },
 
         /**
-         * 生成颜色样式
+         * 为选择器列表中的每一项追加伪类
          */
-        generateColorStyles: function(colors) {
-            let css = '';
-            
-            if (this.compatibility.supportsCustomProperties) {
-                // 使用 CSS 自定义属性
-                css += ':root {\n';
-                Object.keys(colors).forEach(key => {
-                    const value = colors[key];
-                    if (value) {
-                        css += `  --emby-beautify-${key.toLowerCase()}: ${value};\n`;
-                    }
-                });
-                css += '}\n';
-                
-                // 应用自定义属性
-                css += `
-                    .page { background-color: var(--emby-beautify-background, #f5f5f5); }
-                    .card { background-color: var(--emby-beautify-surface, #ffffff); }
-                    .button-primary { background-color: var(--emby-beautify-primary, #007bff); }
-                    .text-primary { color: var(--emby-beautify-text, #333333); }
-                `;
-            } else {
-                // 直接应用颜色值（兼容旧浏览器）
-                css += `
-                    .page { background-color: ${colors.Background || '#f5f5f5'}; }
-                    .card { background-color: ${colors.Surface || '#ffffff'}; }
-                    .button-primary { background-color: ${colors.Primary || '#007bff'}; }
-                    .text-primary { color: ${colors.Text || '#333333'}; }
-                `;
-            }
-            
-            return css;
+        mapSelector: function(selector, suffix) {
+            return selector.split(',')
+                .map(part => part.trim() + suffix)
+                .join(', ');
         },
 
         /**
-         * 生成字体样式
+         * 为选择器列表中的每一项添加祖先选择器
          */
-        generateTypographyStyles: function(typography) {
-            let css = '';
-            
-            if (typography.FontFamily) {
-                css += `body, .page { font-family: ${typography.FontFamily}; }\n`;
-            }
-            
-            if (typography.FontSize) {
-                css += `body { font-size: ${typography.FontSize}; }\n`;
-            }
-            
-            if (typography.LineHeight) {
-                css += `body { line-height: ${typography.LineHeight}; }\n`;
-            }
-            
-            return css;
+        prefixSelector: function(selector, prefix) {
+            return selector.split(',')
+                .map(part => prefix + ' ' + part.trim())
+                .join(', ');
         },
 
         /**
-         * 生成布局样式
+         * 规范化点击反馈类型（服务端枚举可能序列化为数字或名称）
          */
-        generateLayoutStyles: function(layout) {
-            let css = '';
-            
-            if (layout.MaxWidth) {
-                css += `.page-container { max-width: ${layout.MaxWidth}; }\n`;
-            }
-            
-            if (layout.Padding) {
-                css += `.page { padding: ${layout.Padding}; }\n`;
-            }
-            
-            if (layout.Margin) {
-                css += `.page { margin: ${layout.Margin}; }\n`;
+        normalizeClickFeedbackType: function(type) {
+            const names = ['None', 'Ripple', 'Scale', 'Pulse', 'Flash'];
+            if (typeof type === 'number') {
+                return names[type] || 'None';
             }
-            
-            return css;
+            return type || 'Ripple';
         },
 
         /**
-         * 生成动画样式
+         * 将动画类型转换为关键帧名称，未知类型返回 null
          */
-        generateAnimationStyles: function() {
-            return `
-                @keyframes emby-beautify-fadeIn {
-                    from { opacity: 0; transform: translateY(10px); }
-                    to { opacity: 1; transform: translateY(0); }
-                }
-                
-                @keyframes emby-beautify-slideIn {
-                    from { transform: translateX(-20px); opacity: 0; }
-                    to { transform: translateX(0); opacity: 1; }
-                }
-                
-                .emby-beautify-animate-in {
-                    animation: emby-beautify-fadeIn 0.3s ease-out;
-                }
-                
-                .emby-beautify-slide-in {
-                    animation: emby-beautify-slideIn 0.4s ease-out;
-                }
-            `;
+        toKeyframeName: function(type) {
+            if (!type) {
+                return null;
+            }
+
+            const name = type.charAt(0).toLowerCase() + type.slice(1);
+            return this.keyframes[name] ? name : null;
         },
 
         /**
-         * 生成响应式样式
+         * 转换为短横线命名
          */
-        generateResponsiveStyles: function() {
-            return `
-                @media (max-width: 768px) {
-                    .emby-beautify-card {
-                        margin: 8px;
-                        border-radius: 6px;
-                    }
-                    
-                    .emby-beautify-button {
-                        padding: 8px 16px;
-                        font-size: 14px;
-                    }
-                }
-                
-                @media (max-width: 480px) {
-                    .emby-beautify-card {
-                        margin: 4px;
-                        border-radius: 4px;
-                    }
-                    
-                    .page {
-                        padding: 12px;
-                    }
-                }
-            `;
+        toKebabCase: function(value) {
+            return String(value)
+                .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+                .replace(/[^a-zA-Z0-9-]+/g, '-')
+                .toLowerCase();
         },
 
         /**
@@ -468,44 +5105,69 @@
 
         /**
          * 注入样式
+         * @param {string} id 样式 ID
+         * @param {string} css CSS 文本
+         * @param {Object} options 选项
+         * @param {string} [options.layer] 样式层，见 layers；省略时 low 优先级放入 base 层，其余放入 modules 层
+         * @param {string} [options.priority] 层内优先级：low、normal、high
+         * @param {number} [options.order] 同一优先级内的顺序，数值越大越靠后
          */
         injectStyle: function(id, css, options = {}) {
+            const strategy = this.resolveLayerStrategy();
+            const existing = this.state.injectedStyles.get(id);
+            const styleInfo = {
+                id: id,
+                css: css,
+                layer: this.resolveLayer(options),
+                priority: this.priorities.hasOwnProperty(options.priority) ? options.priority : 'normal',
+                order: typeof options.order === 'number' ? options.order : 0,
+                sequence: existing ? existing.sequence : ++this.state.styleSequence,
+                element: existing ? existing.element : null,
+                sheet: existing ? existing.sheet : null,
+                timestamp: Date.now(),
+                options: options
+            };
+            const content = strategy === 'layers' ? this.wrapInLayer(styleInfo.layer, css) : css;
+
+            if (strategy === 'adopted') {
+                styleInfo.sheet = styleInfo.sheet || new CSSStyleSheet();
+                styleInfo.sheet.replaceSync(content);
+            } else {
+                styleInfo.element = styleInfo.element || this.createStyleElement(id);
+                styleInfo.element.setAttribute('data-layer', styleInfo.layer);
+                styleInfo.element.setAttribute('data-priority', styleInfo.priority);
+
+                // 更新样式内容
+                if (styleInfo.element.styleSheet) {
+                    // IE 兼容
+                    styleInfo.element.styleSheet.cssText = content;
+                } else {
+                    styleInfo.element.textContent = content;
+                }
+            }
+
+            // 记录注入的样式
+            this.state.injectedStyles.set(id, styleInfo);
+            this.arrangeStyles();
+
+            this.log(`样式注入完成: ${id} (${styleInfo.layer})`);
+        },
+
+        /**
+         * 获取或创建样式元素
+         */
+        createStyleElement: function(id) {
             const styleId = this.config.stylePrefix + id;
             let styleElement = document.getElementById(styleId);
-            
+
             if (!styleElement) {
                 styleElement = document.createElement('style');
                 styleElement.id = styleId;
                 styleElement.type = 'text/css';
-                
-                // 设置优先级
-                if (options.priority === 'high') {
-                    styleElement.setAttribute('data-priority', 'high');
-                }
-                
-                const head = document.head || document.getElementsByTagName('head')[0];
-                head.appendChild(styleElement);
-                
                 this.log(`创建样式元素: ${styleId}`);
             }
-            
-            // 更新样式内容
-            if (styleElement.styleSheet) {
-                // IE 兼容
-                styleElement.styleSheet.cssText = css;
-            } else {
-                styleElement.textContent = css;
-            }
-            
-            // 记录注入的样式
-            this.state.injectedStyles.set(id, {
-                element: styleElement,
-                css: css,
-                timestamp: Date.now(),
-                options: options
-            });
-            
-            this.log(`样式注入完成: ${id}`);
+
+            return styleElement;
         },
 
         /**
@@ -513,11 +5175,175 @@
          */
         removeStyle: function(id) {
             const styleInfo = this.state.injectedStyles.get(id);
-            if (styleInfo && styleInfo.element) {
+            if (!styleInfo) {
+                return;
+            }
+
+            if (styleInfo.sheet) {
+                document.adoptedStyleSheets = document.adoptedStyleSheets.filter(sheet => sheet !== styleInfo.sheet);
+            }
+
+            if (styleInfo.element) {
                 styleInfo.element.remove();
-                this.state.injectedStyles.delete(id);
-                this.log(`样式移除完成: ${id}`);
             }
+
+            this.state.injectedStyles.delete(id);
+            this.log(`样式移除完成: ${id}`);
+        },
+
+        /**
+         * 解析样式层的实现方式，结果在首次注入样式时确定
+         */
+        resolveLayerStrategy: function() {
+            if (this.state.layerStrategy) {
+                return this.state.layerStrategy;
+            }
+
+            const supportsLayers = typeof window.CSSLayerBlockRule !== 'undefined';
+            const supportsAdopted = 'adoptedStyleSheets' in document &&
+                typeof window.CSSStyleSheet === 'function' &&
+                'replaceSync' in window.CSSStyleSheet.prototype;
+            const requested = this.config.layerStrategy;
+            let strategy;
+
+            if (requested === 'layers' && supportsLayers) {
+                strategy = 'layers';
+            } else if (requested === 'order' || !supportsAdopted) {
+                strategy = 'order';
+            } else {
+                strategy = 'adopted';
+            }
+
+            this.state.layerStrategy = strategy;
+            this.log('样式层实现方式:', strategy);
+            return strategy;
+        },
+
+        /**
+         * 解析样式所属的层
+         */
+        resolveLayer: function(options) {
+            if (options.layer) {
+                if (this.layers.indexOf(options.layer) === -1) {
+                    throw new Error('未知的样式层: ' + options.layer);
+                }
+                return options.layer;
+            }
+
+            return options.priority === 'low' ? 'base' : 'modules';
+        },
+
+        /**
+         * 将 CSS 包装到对应的 @layer 中
+         */
+        wrapInLayer: function(layer, css) {
+            return `@layer ${this.config.stylePrefix}${layer} {\n${css}\n}\n`;
+        },
+
+        /**
+         * 按层、层内优先级、顺序和注入先后排序已注入的样式
+         * @returns {Array<Object>} 从低到高排列的样式信息
+         */
+        getOrderedStyles: function() {
+            return Array.from(this.state.injectedStyles.values()).sort((a, b) =>
+                (this.layers.indexOf(a.layer) - this.layers.indexOf(b.layer)) ||
+                (this.priorities[a.priority] - this.priorities[b.priority]) ||
+                (a.order - b.order) ||
+                (a.sequence - b.sequence));
+        },
+
+        /**
+         * 按排序结果放置样式，保证高层的样式总是覆盖低层的样式
+         */
+        arrangeStyles: function() {
+            const ordered = this.getOrderedStyles();
+
+            if (this.state.layerStrategy === 'adopted') {
+                const own = new Set(ordered.map(styleInfo => styleInfo.sheet));
+                const others = document.adoptedStyleSheets.filter(sheet => !own.has(sheet));
+                document.adoptedStyleSheets = others.concat(ordered.map(styleInfo => styleInfo.sheet));
+                return;
+            }
+
+            const elements = ordered.map(styleInfo => styleInfo.element);
+            if (this.state.layerStrategy === 'layers') {
+                // @layer 的顺序由首次出现的位置决定，声明必须在所有分层样式之前
+                elements.unshift(this.getLayerDeclaration());
+            }
+
+            const head = document.head || document.getElementsByTagName('head')[0];
+            const current = Array.prototype.filter.call(head.children, element => elements.indexOf(element) !== -1);
+
+            // 顺序已正确时不移动元素，避免不必要的样式重新计算
+            if (current.length === elements.length && current.every((element, index) => element === elements[index])) {
+                return;
+            }
+
+            elements.forEach(element => head.appendChild(element));
+        },
+
+        /**
+         * 获取声明 @layer 顺序的样式元素
+         */
+        getLayerDeclaration: function() {
+            const styleId = this.config.stylePrefix + 'layer-order';
+            let element = document.getElementById(styleId);
+
+            if (!element) {
+                element = document.createElement('style');
+                element.id = styleId;
+                element.type = 'text/css';
+                element.textContent = '@layer ' +
+                    this.layers.map(layer => this.config.stylePrefix + layer).join(', ') + ';\n';
+            }
+
+            return element;
+        },
+
+        /**
+         * 接管注入器初始化前由其他脚本创建的分层样式元素（例如浏览器兼容性样式）
+         */
+        adoptLayerElements: function() {
+            const prefix = this.config.stylePrefix;
+            const elements = document.querySelectorAll('style[data-layer]');
+
+            Array.prototype.forEach.call(elements, element => {
+                const id = element.id && element.id.indexOf(prefix) === 0 ? element.id.slice(prefix.length) : null;
+                const layer = element.getAttribute('data-layer');
+
+                if (!id || this.state.injectedStyles.has(id) || this.layers.indexOf(layer) === -1) {
+                    return;
+                }
+
+                const css = element.textContent;
+                if (this.resolveLayerStrategy() === 'adopted') {
+                    element.remove();
+                }
+
+                this.injectStyle(id, css, { layer: layer, priority: element.getAttribute('data-priority') });
+            });
+        },
+
+        /**
+         * 获取样式层的实际生效顺序，用于调试
+         * @returns {{strategy: string, layers: Array<{name: string, styles: Array<{id: string, priority: string, order: number}>}>}}
+         */
+        getStyleLayers: function() {
+            const ordered = this.getOrderedStyles();
+
+            return {
+                strategy: this.resolveLayerStrategy(),
+                layers: this.layers.map(name => ({
+                    name: name,
+                    styles: ordered
+                        .filter(styleInfo => styleInfo.layer === name)
+                        .map(styleInfo => ({
+                            id: styleInfo.id,
+                            priority: styleInfo.priority,
+                            order: styleInfo.order
+                        }))
+                }))
+            };
         },
 
         /**
@@ -532,16 +5358,15 @@
             this.state.lastUpdateTime = Date.now();
             this.log('开始更新样式...');
             
-            return this.fetchCurrentTheme()
-                .then(theme => {
-                    if (theme) {
-                        return this.applyTheme(theme);
+            return this.fetchThemeVersion()
+                .then(version => this.syncTheme(version))
+                .then(updated => {
+                    this.state.retryCount = 0;
+                    if (updated) {
+                        this.log('样式更新完成');
+                        this.dispatchEvent('stylesUpdated');
                     }
                 })
-                .then(() => {
-                    this.log('样式更新完成');
-                    this.dispatchEvent('stylesUpdated');
-                })
                 .catch(error => {
                     this.error('样式更新失败:', error);
                     this.handleUpdateError(error);
@@ -553,7 +5378,7 @@
          */
         applyDefaultStyles: function() {
             const defaultCSS = this.generateBaseStyles() + this.generateAnimationStyles();
-            this.injectStyle('default', defaultCSS, { priority: 'low' });
+            this.injectStyle('default', defaultCSS, { layer: 'base', priority: 'low' });
             this.log('应用默认样式');
         },
 
@@ -602,6 +5427,126 @@
             }
         },
 
+        /**
+         * 启动主题变更通知通道
+         * 通过长轮询等待服务器推送变更，通道不可用时回退到定期轮询
+         */
+        startChangeListener: function() {
+            if (this.state.changeChannel) {
+                return;
+            }
+
+            clearTimeout(this.state.changeChannelRetry.timer);
+            this.state.changeChannelRetry.timer = null;
+            this.stopPeriodicUpdate();
+
+            const channel = { active: true, failures: 0, abortController: null };
+            this.state.changeChannel = channel;
+            this.waitForThemeChange(channel);
+
+            this.log('主题变更通知通道已启动');
+        },
+
+        /**
+         * 等待一次主题变更通知，完成后继续下一轮等待
+         */
+        waitForThemeChange: function(channel) {
+            if (!channel.active) {
+                return;
+            }
+
+            const userId = this.config.perUserThemes ? this.resolveUserId() : null;
+            const query = this.getVariantQuery();
+            const url = (userId ? this.getUserThemeUrl(userId) + '/changes' : '/emby-beautify/themes/active/changes') +
+                '?ETag=' + encodeURIComponent(this.state.themeETag || '') +
+                '&Timeout=' + this.config.changeWaitTimeout +
+                (query ? '&' + query : '');
+
+            const options = {};
+            if (typeof AbortController !== 'undefined') {
+                channel.abortController = new AbortController();
+                options.signal = channel.abortController.signal;
+            }
+
+            this.makeRequest(url, options)
+                .then(response => response.json())
+                .then(version => {
+                    channel.failures = 0;
+                    this.state.changeChannelRetry.attempts = 0;
+
+                    if (channel.active && version && version.Changed) {
+                        return this.syncTheme(version).then(updated => {
+                            if (updated) {
+                                this.log('收到主题变更通知，样式已更新');
+                                this.dispatchEvent('stylesUpdated');
+                            }
+                        });
+                    }
+                })
+                .then(() => this.waitForThemeChange(channel))
+                .catch(error => {
+                    if (!channel.active) {
+                        return;
+                    }
+
+                    channel.failures++;
+
+                    if (channel.failures >= this.config.maxRetries) {
+                        this.error('主题变更通知通道不可用，回退到定期轮询:', error);
+                        this.stopChangeListener();
+                        this.startPeriodicUpdate();
+                        this.scheduleChangeListenerRestart();
+                    } else {
+                        setTimeout(() => {
+                            this.waitForThemeChange(channel);
+                        }, this.config.retryDelay * channel.failures);
+                    }
+                });
+        },
+
+        /**
+         * 在回退到定期轮询后，按指数退避重新尝试建立变更通知通道
+         * 重新建立的通道在成功收到响应前会继续累计退避时间
+         */
+        scheduleChangeListenerRestart: function() {
+            const retry = this.state.changeChannelRetry;
+            clearTimeout(retry.timer);
+
+            const delay = Math.min(
+                this.config.changeChannelRetryDelay * Math.pow(2, retry.attempts),
+                this.config.changeChannelMaxRetryDelay
+            );
+            retry.attempts++;
+
+            retry.timer = setTimeout(() => {
+                retry.timer = null;
+                if (this.state.isInitialized && !this.state.changeChannel) {
+                    this.log('重新尝试建立主题变更通知通道');
+                    this.startChangeListener();
+                }
+            }, delay);
+
+            this.log(`${delay}ms 后重新尝试建立主题变更通知通道`);
+        },
+
+        /**
+         * 停止主题变更通知通道
+         */
+        stopChangeListener: function() {
+            const channel = this.state.changeChannel;
+            if (!channel) {
+                return;
+            }
+
+            channel.active = false;
+            if (channel.abortController) {
+                channel.abortController.abort();
+            }
+
+            this.state.changeChannel = null;
+            this.log('主题变更通知通道已停止');
+        },
+
         /**
          * 发起网络请求
          */
@@ -613,6 +5558,12 @@
                 }
             };
             
+            // Emby 接口需要访问令牌，ApiClient 可用时自动附加
+            const apiClient = window.ApiClient;
+            if (apiClient && typeof apiClient.accessToken === 'function' && apiClient.accessToken()) {
+                defaultOptions.headers['X-Emby-Token'] = apiClient.accessToken();
+            }
+            
             const finalOptions = Object.assign({}, defaultOptions, options);
             
             if (typeof fetch !== 'undefined') {
@@ -657,11 +5608,43 @@
             });
         },
 
+        /**
+         * 从 localStorage 读取数据，存储不可用或数据损坏时返回 null
+         * @param {boolean} session 为 true 时使用 sessionStorage
+         */
+        loadFromStorage: function(key, session) {
+            try {
+                const storage = session ? window.sessionStorage : window.localStorage;
+                const raw = storage.getItem(this.config.stylePrefix + key);
+                return raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                this.log('读取本地存储失败:', key, error);
+                return null;
+            }
+        },
+
+        /**
+         * 写入 localStorage，失败时（隐私模式、配额已满等）静默忽略
+         * @param {boolean} session 为 true 时使用 sessionStorage
+         */
+        saveToStorage: function(key, value, session) {
+            try {
+                const storage = session ? window.sessionStorage : window.localStorage;
+                if (value === null || value === undefined) {
+                    storage.removeItem(this.config.stylePrefix + key);
+                } else {
+                    storage.setItem(this.config.stylePrefix + key, JSON.stringify(value));
+                }
+            } catch (error) {
+                this.log('写入本地存储失败:', key, error);
+            }
+        },
+
         /**
          * 防抖函数
          */
         debounce: function(key, func, delay) {
-            if (this.state.debounceTimers) {
+            if (!this.state.debounceTimers) {
                 this.state.debounceTimers = {};
             }
             
@@ -711,13 +5694,48 @@
         destroy: function() {
             this.log('销毁样式注入器...');
             
-            // 停止定期更新
+            // 停止变更通知、定期更新和配色方案监听
+            this.stopChangeListener();
+            clearTimeout(this.state.changeChannelRetry.timer);
+            this.state.changeChannelRetry = { attempts: 0, timer: null };
             this.stopPeriodicUpdate();
+            this.stopColorSchemeWatcher();
+            this.stopAccessibilityWatchers();
+            this.stopInputTracking();
+            this.stopInteractions();
+            this.stopRouteTracking();
+            this.stopPageTransitions();
+            this.stopPreviewChannel();
+            this.stopArtworkWorker();
+            this.clearThemeFonts();
+            this.stopBreakpointWatchers();
+            this.state.breakpoint = null;
+            clearTimeout(this.state.artworkTimer);
+            this.state.previewSession = null;
+            this.state.artwork = null;
+
+            // 通知样式模块销毁
+            this.state.modules.forEach(module => {
+                this.callModuleHook(module, 'onDestroy');
+            });
+            this.state.modules.clear();
+            this.removeEnhancements();
+            document.documentElement.removeAttribute('data-emby-beautify-route');
+            document.documentElement.removeAttribute('data-emby-beautify-scheme');
+            document.documentElement.removeAttribute('data-breakpoint');
+            ['reduced-motion', 'high-contrast', 'forced-colors', 'input', 'tv'].forEach(name => {
+                document.documentElement.removeAttribute('data-emby-beautify-' + name);
+            });
             
             // 移除所有注入的样式
             this.state.injectedStyles.forEach((styleInfo, id) => {
                 this.removeStyle(id);
             });
+
+            const layerDeclaration = document.getElementById(this.config.stylePrefix + 'layer-order');
+            if (layerDeclaration) {
+                layerDeclaration.remove();
+            }
             
             // 断开观察器
             this.state.observers.forEach(observer => {
@@ -726,6 +5744,14 @@
             
             // 重置状态
             this.state.isInitialized = false;
+            this.state.themeETag = null;
+            this.state.themeVersion = null;
+            this.state.appliedThemeId = null;
+            this.state.appliedTheme = null;
+            this.state.colorScheme = null;
+            this.state.route = null;
+            this.state.inputMode = null;
+            this.state.tvMode = false;
             this.state.injectedStyles.clear();
             this.state.observers.clear();
             
@@ -736,6 +5762,9 @@
     // 导出到全局命名空间
     window.EmbyBeautifyStyleInjector = StyleInjector;
 
+    // 在初始化之前同步应用缓存的主题样式
+    StyleInjector.restoreCachedStyles();
+
     // 自动初始化（如果页面已加载）
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function() {
@@ -0,0 +1,377 @@
+/**
+ * Emby 美化插件 - 主题导入导出
+ * 把主题导出为 JSON 文件或分享码，并从文件、粘贴的文本、分享码或链接导入主题
+ */
+
+(function(window) {
+    'use strict';
+
+    const ThemeTransfer = {
+        // 导出文件的格式标识和版本，格式变化时递增版本
+        format: 'emby-beautify-theme',
+        schemaVersion: 1,
+
+        // 分享码前缀，包含格式版本
+        shareCodePrefix: 'EBT1.',
+
+        // 分享链接中携带分享码的参数名
+        shareParameter: 'theme',
+
+        // 与服务端 Theme 模型一致的字段限制
+        limits: {
+            Id: 50,
+            Name: 100,
+            Description: 500,
+            Author: 100
+        },
+
+        // 导入时保留的主题字段，其余字段忽略
+        sections: ['Colors', 'Typography', 'Layout', 'CustomProperties'],
+
+        /**
+         * 创建导出文档
+         * @param {Object} theme 主题
+         * @param {Object} overrides 用户的 CSS 变量覆盖，可省略
+         * @returns {Object} { format, schemaVersion, exportedAt, theme, overrides }
+         */
+        createDocument: function(theme, overrides) {
+            const exported = {
+                format: this.format,
+                schemaVersion: this.schemaVersion,
+                exportedAt: new Date().toISOString(),
+                theme: this.prune(this.pick(theme))
+            };
+
+            if (overrides && Object.keys(overrides).length > 0) {
+                exported.overrides = Object.assign({}, overrides);
+            }
+
+            return exported;
+        },
+
+        /**
+         * 导出为格式化的 JSON 文本
+         */
+        toJson: function(exported) {
+            return JSON.stringify(exported, null, 2);
+        },
+
+        /**
+         * 下载导出文档，文件名取自主题名称
+         */
+        download: function(exported) {
+            const blob = new Blob([this.toJson(exported)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = window.document.createElement('a');
+
+            link.href = url;
+            link.download = (exported.theme.Name || exported.theme.Id || 'theme').replace(/[\s\\\/:*?"<>|]+/g, '-') + '.json';
+            window.document.body.appendChild(link);
+            link.click();
+            window.document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        },
+
+        /**
+         * 编码分享码
+         * 去掉导出时间和空值后的 JSON 经 UTF-8 编码为 base64url，可直接粘贴到论坛帖子中
+         */
+        encodeShareCode: function(exported) {
+            const compact = { v: exported.schemaVersion, t: exported.theme };
+            if (exported.overrides) {
+                compact.o = exported.overrides;
+            }
+
+            const bytes = new TextEncoder().encode(JSON.stringify(compact));
+            let binary = '';
+            bytes.forEach(byte => {
+                binary += String.fromCharCode(byte);
+            });
+
+            return this.shareCodePrefix + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        },
+
+        /**
+         * 解码分享码
+         * @returns {Object} 导出文档
+         */
+        decodeShareCode: function(code) {
+            const body = code.trim().slice(this.shareCodePrefix.length).replace(/\s+/g, '');
+            let compact;
+
+            try {
+                const binary = atob(body.replace(/-/g, '+').replace(/_/g, '/'));
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+                compact = JSON.parse(new TextDecoder().decode(bytes));
+            } catch (error) {
+                throw new Error('分享码已损坏或不完整');
+            }
+
+            return {
+                format: this.format,
+                schemaVersion: compact.v,
+                theme: compact.t,
+                overrides: compact.o
+            };
+        },
+
+        /**
+         * 生成分享链接，在主题自定义器中打开时自动导入
+         * @param {string} baseUrl 主题自定义器地址
+         */
+        createShareUrl: function(exported, baseUrl) {
+            return baseUrl.split('#')[0] + '#' + this.shareParameter + '=' + this.encodeShareCode(exported);
+        },
+
+        /**
+         * 从链接中读取分享码
+         * @returns {string|null} 链接中没有分享码时返回 null
+         */
+        readShareUrl: function(url) {
+            const pattern = new RegExp('[#?&]' + this.shareParameter + '=(' + this.shareCodePrefix.replace('.', '\\.') + '[\\w-]+)');
+            const match = pattern.exec(url);
+            return match ? match[1] : null;
+        },
+
+        /**
+         * 导入主题
+         * @param {string|Blob} source JSON 文本、分享码、链接或文件
+         * @returns {Promise<Object>} { theme, overrides, warnings }，校验失败时拒绝并附带 errors
+         */
+        load: function(source) {
+            if (source && typeof source === 'object' && typeof source.text === 'function') {
+                return source.text().then(text => this.parse(text));
+            }
+
+            if (typeof source !== 'string' || !source.trim()) {
+                return Promise.reject(new Error('没有可导入的主题'));
+            }
+
+            const text = source.trim();
+            if (/^https?:\/\//i.test(text)) {
+                return this.fetchUrl(text);
+            }
+
+            try {
+                return Promise.resolve(this.parse(text));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        },
+
+        /**
+         * 从链接导入
+         * 分享链接直接解码，其余链接按 JSON 文件下载
+         */
+        fetchUrl: function(url) {
+            const code = this.readShareUrl(url);
+            if (code) {
+                return Promise.resolve(this.parse(code));
+            }
+
+            return fetch(url, { credentials: 'omit' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`下载主题失败: HTTP ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(text => this.parse(text));
+        },
+
+        /**
+         * 解析并校验 JSON 文本或分享码
+         * 支持导出文档、API 返回的主题和服务器 themes 目录中的主题文件（字段名首字母小写）
+         * @returns {Object} { theme, overrides, warnings }
+         */
+        parse: function(text) {
+            let exported;
+
+            if (text.indexOf(this.shareCodePrefix) === 0) {
+                exported = this.decodeShareCode(text);
+            } else {
+                try {
+                    exported = JSON.parse(text);
+                } catch (error) {
+                    throw new Error('无法识别的主题内容，请粘贴主题 JSON、分享码或链接');
+                }
+            }
+
+            if (!exported || typeof exported !== 'object' || Array.isArray(exported)) {
+                throw new Error('无法识别的主题内容，请粘贴主题 JSON、分享码或链接');
+            }
+
+            if (exported.format !== this.format) {
+                exported = { schemaVersion: this.schemaVersion, theme: exported };
+            }
+
+            if (exported.schemaVersion > this.schemaVersion) {
+                throw new Error('主题由更新版本的插件导出，请先升级插件');
+            }
+
+            return this.validate(this.normalizeKeys(exported.theme), exported.overrides);
+        },
+
+        /**
+         * 按服务端 Theme 模型校验主题
+         * 用户覆盖变量合并到 CustomProperties 中，保存后同样生效
+         * @returns {Object} { theme, overrides, warnings }
+         */
+        validate: function(theme, overrides) {
+            const errors = [];
+            const warnings = [];
+
+            if (!theme || typeof theme !== 'object') {
+                throw this.createError(['缺少主题内容']);
+            }
+
+            theme = this.pick(theme);
+
+            ['Id', 'Name'].forEach(key => {
+                if (typeof theme[key] !== 'string' || !theme[key].trim()) {
+                    errors.push(`${key}: 不能为空`);
+                }
+            });
+            Object.keys(this.limits).forEach(key => {
+                if (typeof theme[key] === 'string' && theme[key].length > this.limits[key]) {
+                    errors.push(`${key}: 长度不能超过 ${this.limits[key]} 个字符`);
+                }
+            });
+            if (typeof theme.Version !== 'string' || !/^\d+\.\d+\.\d+$/.test(theme.Version)) {
+                errors.push('Version: 格式应为 x.y.z');
+            }
+            if (!theme.Colors || typeof theme.Colors !== 'object') {
+                errors.push('Colors: 不能为空');
+            } else {
+                ['Primary', 'Background', 'Text'].forEach(key => {
+                    if (!theme.Colors[key]) {
+                        errors.push(`Colors.${key}: 不能为空`);
+                    }
+                });
+            }
+
+            if (overrides && typeof overrides === 'object') {
+                theme.CustomProperties = Object.assign({}, theme.CustomProperties, overrides);
+            }
+
+            // 按 CSS 类型校验取值，字体栈中无法识别的字体名会被转义
+            const sanitizer = window.EmbyBeautifySanitizer;
+            if (sanitizer) {
+                const result = sanitizer.sanitizeTheme(theme);
+                result.fields.forEach(field => {
+                    if (field.action === 'rejected') {
+                        errors.push(`${field.path}: 无效的值 ${JSON.stringify(field.value)}`);
+                    } else {
+                        warnings.push(`${field.path}: 已转义 ${JSON.stringify(field.value)}`);
+                    }
+                });
+                this.sections.forEach(section => {
+                    if (result.theme[section]) {
+                        theme[section] = result.theme[section];
+                    }
+                });
+            }
+
+            if (errors.length > 0) {
+                throw this.createError(errors);
+            }
+
+            return { theme: this.prune(theme), overrides: overrides || null, warnings: warnings };
+        },
+
+        /**
+         * 只保留主题模型中的字段
+         */
+        pick: function(theme) {
+            const result = {};
+
+            ['Id', 'Name', 'Description', 'Version', 'Author'].concat(this.sections).forEach(key => {
+                const value = theme[key];
+                if (value === undefined || value === null) {
+                    return;
+                }
+                result[key] = value && typeof value === 'object' ? Object.assign({}, value) : value;
+            });
+
+            return result;
+        },
+
+        /**
+         * 去掉空值，使导出内容和分享码更短
+         * 数组（例如 Typography.FontFaces）逐项处理并保持为数组
+         */
+        prune: function(theme) {
+            if (Array.isArray(theme)) {
+                return theme.map(item => item && typeof item === 'object' ? this.prune(item) : item);
+            }
+
+            const result = {};
+
+            Object.keys(theme).forEach(key => {
+                const value = theme[key];
+                if (value === null || value === undefined || value === '') {
+                    return;
+                }
+
+                if (typeof value === 'object') {
+                    const nested = this.prune(value);
+                    if (Array.isArray(nested) ? nested.length > 0 : Object.keys(nested).length > 0) {
+                        result[key] = nested;
+                    }
+                    return;
+                }
+
+                result[key] = value;
+            });
+
+            return result;
+        },
+
+        /**
+         * 把 ThemeSerializer 输出的首字母小写字段名转换为 API 使用的大写形式
+         * CustomProperties 中的变量名保持不变，Typography.FontFaces 中的字体声明同样转换
+         */
+        normalizeKeys: function(theme) {
+            if (!theme || typeof theme !== 'object') {
+                return theme;
+            }
+
+            const capitalize = key => key.charAt(0).toUpperCase() + key.slice(1);
+            const result = {};
+
+            Object.keys(theme).forEach(key => {
+                const name = capitalize(key);
+                const value = theme[key];
+
+                if (value && typeof value === 'object' && name !== 'CustomProperties') {
+                    result[name] = {};
+                    Object.keys(value).forEach(field => {
+                        const nested = value[field];
+                        result[name][capitalize(field)] = Array.isArray(nested)
+                            ? nested.map(item => item && typeof item === 'object' ? this.normalizeKeys(item) : item)
+                            : nested;
+                    });
+                } else {
+                    result[name] = value;
+                }
+            });
+
+            return result;
+        },
+
+        /**
+         * 创建带校验错误列表的异常
+         */
+        createError: function(errors) {
+            const error = new Error('主题校验失败: ' + errors.join('；'));
+            error.errors = errors;
+            return error;
+        }
+    };
+
+    window.EmbyBeautifyThemeTransfer = ThemeTransfer;
+
+})(window);